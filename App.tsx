@@ -1,5 +1,5 @@
 // App.tsx - Timer App without Vector Icons
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import {
   StyleSheet,
   Text,
@@ -9,89 +9,635 @@ import {
   TouchableOpacity,
   Alert,
   StatusBar,
-  AppState,
-  Platform
+  Platform,
+  TextInput,
+  Modal,
+  Share,
+  Linking,
 } from 'react-native';
 import TimerService from './src/services/TimerService';
+import ProfileService from './src/services/ProfileService';
+import EarningRulesService from './src/services/EarningRulesService';
+import TimeRequestService from './src/services/TimeRequestService';
+import ParentAuthService from './src/services/ParentAuthService';
+import BackupService from './src/services/BackupService';
+import EnforcementService from './src/services/EnforcementService';
+import I18nService from './src/services/I18nService';
+import VoucherService, { parseRedeemUrl } from './src/services/VoucherService';
+import SyncService from './src/services/SyncService';
+import Logger from './src/services/Logger';
+import { getStartOfWeek, shiftDays } from './src/utils/time';
+import { CATALOGS, DURATION_STYLES } from './src/i18n';
+import HistoryScreen from './src/screens/HistoryScreen';
+import LogViewerScreen from './src/screens/LogViewerScreen';
+import WeeklyWindowList, { WeeklyWindow } from './src/components/WeeklyWindowList';
+import ExpiryOverlay, { EnforcementStatus } from './src/components/ExpiryOverlay';
+import { DebtConfig, TimerProvider, TimerEvent, TimerEventName, useCredits, useTimerEvent, useTimerStatus } from './src/context/TimerContext';
 
-const App = () => {
-  const [availableTime, setAvailableTime] = useState(0);
-  const [isTracking, setIsTracking] = useState(false);
-  const [appState, setAppState] = useState(AppState.currentState);
-  const [logs, setLogs] = useState([]);
-  const [lastEvent, setLastEvent] = useState(null);
+const uiLog = Logger.tag('ui');
 
-  useEffect(() => {
-    // Initialize timer service and get initial time
-    const initializeTimer = async () => {
-      const time = await TimerService.loadSavedTime();
-      setAvailableTime(time);
-    };
+// Events that may have appended to the credit ledger
+const LEDGER_EVENTS: TimerEventName[] = ['creditsAdded', 'creditsRemoved', 'creditsExpired', 'trackingStopped', 'backgroundTimeProcessed', 'sessionRecovered', 'profileSwitched', 'dataRestored', 'reset'];
+
+type Profile = {
+  id: string;
+  name: string;
+  createdAt: number;
+};
+
+type Activity = {
+  id: string;
+  name: string;
+  unit: 'minute' | 'item';
+  ratio: number;
+};
+
+type TimeRequest = {
+  id: string;
+  seconds: number;
+  origin: string;
+  requestedAt: number;
+};
+
+type RestorePreview = {
+  valid: boolean;
+  errors: string[];
+  exportedAt?: number;
+  profiles?: { id: string; name: string; isNew: boolean; currentBalance: number | null; backupBalance: number; ledgerEntries: number }[];
+  removedProfiles?: { id: string; name: string }[];
+};
+
+type ClaimResult = {
+  accepted: boolean;
+  credited?: number;
+  message?: string;
+};
+
+// Caps offered for overtime debt, in minutes
+const DEBT_CAP_OPTIONS = [15, 30, 60];
+
+// Voucher values offered to parents, in minutes; vouchers last a week
+const VOUCHER_OPTIONS = [15, 30, 60];
+const VOUCHER_LIFETIME_DAYS = 7;
+
+type EnforcementPolicy = {
+  enabled: boolean;
+  overlay: boolean;
+  reminderIntervals: number[];
+};
+
+type EnforcementReport = {
+  reason: string;
+  restrictionName: string | null;
+  startedAt: number;
+  endedAt: number;
+  overuse: number;
+  reminders: number;
+};
+
+type SyncStatus = {
+  enabled: boolean;
+  endpoint: string;
+  pending: number;
+  isSyncing: boolean;
+  lastSyncAt: number | null;
+  lastError: string | null;
+};
+
+type LedgerEntry = {
+  id: string;
+  type: string;
+  amount: number;
+  balance: number;
+  reason: string | null;
+  source: string | null;
+  timestamp: number;
+};
 
-    initializeTimer();
+const TimerDashboard = () => {
+  const { isTimerRunning: isTracking, appState, freeTime: activeFreeTime, restriction: activeRestriction, debtConfig } = useTimerStatus();
+  const { availableTime, formattedTime, debt, expiringCredits, addCredits, removeCredits } = useCredits();
+  const [logs, setLogs] = useState<string[]>([]);
+  const [lastEvent, setLastEvent] = useState<TimerEvent | null>(null);
+  const [ledgerEntries, setLedgerEntries] = useState<LedgerEntry[]>([]);
+  const [profiles, setProfiles] = useState<Profile[]>([]);
+  const [activeProfileId, setActiveProfileId] = useState<string | null>(null);
+  const [newProfileName, setNewProfileName] = useState('');
+  const [activities, setActivities] = useState<Activity[]>([]);
+  const [claimQuantity, setClaimQuantity] = useState('1');
+  const [pendingRequests, setPendingRequests] = useState<TimeRequest[]>([]);
+  const [hasPin, setHasPin] = useState(false);
+  const [isParentUnlocked, setIsParentUnlocked] = useState(false);
+  const [newPin, setNewPin] = useState('');
+  const [pinPromptVisible, setPinPromptVisible] = useState(false);
+  const [pinEntry, setPinEntry] = useState('');
+  const [showHistory, setShowHistory] = useState(false);
+  const [showLogs, setShowLogs] = useState(false);
+  const [backupText, setBackupText] = useState('');
+  const [freeTimeWindows, setFreeTimeWindows] = useState<WeeklyWindow[]>([]);
+  const [restrictions, setRestrictions] = useState<WeeklyWindow[]>([]);
+  const [enforcement, setEnforcement] = useState<EnforcementStatus | null>(null);
+  const [enforcementPolicy, setEnforcementPolicy] = useState<EnforcementPolicy>({ enabled: false, overlay: false, reminderIntervals: [] });
+  const [enforcementReports, setEnforcementReports] = useState<EnforcementReport[]>([]);
+  const [language, setLanguage] = useState(I18nService.getLanguage());
+  const [languageOverride, setLanguageOverride] = useState<string | null>(null);
+  const [isPaired, setIsPaired] = useState(false);
+  const [pairingCode, setPairingCode] = useState<string | null>(null);
+  const [pairingEntry, setPairingEntry] = useState('');
+  const [voucherEntry, setVoucherEntry] = useState('');
+  const [syncStatus, setSyncStatus] = useState<SyncStatus>(SyncService.getStatus());
+  const [syncEndpoint, setSyncEndpoint] = useState('');
+  const pendingAuthorizedAction = useRef<(() => void) | null>(null);
 
-    // Listen to timer events
-    const removeTimerListener = TimerService.addEventListener(handleTimerEvent);
+  // Balance, tracking and schedule state come from TimerProvider; these
+  // listeners only keep the lists and the log in step
+  useTimerEvent('*', (event) => handleTimerEvent(event));
+  useTimerEvent(LEDGER_EVENTS, () => refreshLedger());
+  useTimerEvent(['profileSwitched', 'dataRestored'], (event) => {
+    setActiveProfileId(event.profileId);
+    refreshActivities();
+    refreshRequests();
+    refreshFreeTime();
+  });
 
-    // Listen to app state changes
-    const appStateSubscription = AppState.addEventListener('change', (nextAppState) => {
-      setAppState(nextAppState);
-      addLog(`App State: ${nextAppState}`);
+  // Used by the listeners below, so kept stable across renders
+  const addLog = useCallback((message: string) => {
+    uiLog.info(message);
+    const timestamp = new Date().toLocaleTimeString();
+    setLogs(prev => [`${timestamp}: ${message}`, ...prev.slice(0, 9)]);
+  }, []);
+
+  const refreshEnforcement = useCallback(() => {
+    setEnforcement(EnforcementService.getStatus());
+    setEnforcementPolicy(EnforcementService.getPolicy());
+    setEnforcementReports(EnforcementService.getReports().reverse());
+  }, []);
+
+  const handleEnforcementEvent = useCallback((event: { event: string; reminder: number; overuse: number; report: EnforcementReport }) => {
+    refreshEnforcement();
+
+    switch (event.event) {
+      case 'enforcementReminder':
+        addLog(`🚨 Reminder ${event.reminder}: used ${TimerService.formatTime(event.overuse)} past expiry`);
+        break;
+      case 'enforcementEnded':
+        addLog(`📋 Used ${TimerService.formatTime(event.report.overuse)} after time ran out`);
+        break;
+      case 'enforcementDismissed':
+        addLog('🚨 Time\'s up screen dismissed');
+        break;
+    }
+  }, [refreshEnforcement, addLog]);
+
+  const handleRedeemVoucher = useCallback(async (code: string) => {
+    try {
+      const voucher = await VoucherService.redeem(code);
+      setVoucherEntry('');
+      addLog(`🎟️ Voucher redeemed: +${TimerService.formatTime(voucher.amount, DURATION_STYLES.SHORT)}`);
+    } catch (error) {
+      Alert.alert('Cannot redeem voucher', (error as Error).message);
+    }
+  }, [addLog]);
+
+  useEffect(() => {
+    refreshLedger();
+    refreshProfiles();
+    refreshActivities();
+    refreshRequests();
+    TimerService.ready.then(refreshFreeTime);
+    EnforcementService.ready.then(refreshEnforcement);
+
+    const removeRequestListener = TimeRequestService.addEventListener(refreshRequests);
+    const removeEnforcementListener = EnforcementService.addEventListener(handleEnforcementEvent);
+    const removeAuthListener = ParentAuthService.addEventListener((status: { hasPin: boolean; isUnlocked: boolean }) => {
+      setHasPin(status.hasPin);
+      setIsParentUnlocked(status.isUnlocked);
+    });
+    ParentAuthService.load().then(() => setHasPin(ParentAuthService.hasPin()));
+    const removeLanguageListener = I18nService.addEventListener(refreshLanguage);
+    I18nService.load().then(refreshLanguage);
+    VoucherService.load().then(() => setIsPaired(VoucherService.isPaired()));
+    const removeSyncListener = SyncService.addEventListener(refreshSync);
+    SyncService.ready.then(() => {
+      refreshSync();
+      setSyncEndpoint(SyncService.getConfig().endpoint);
     });
 
+    // Voucher links (simpletimerapp://redeem?code=...) open or resume the app
+    const handleUrl = (url: string | null) => {
+      const code = parseRedeemUrl(url);
+      if (code) {
+        handleRedeemVoucher(code);
+      }
+    };
+    Linking.getInitialURL().then(handleUrl);
+    const linkSubscription = Linking.addEventListener('url', ({ url }) => handleUrl(url));
+
     return () => {
-      removeTimerListener();
-      appStateSubscription?.remove();
-      TimerService.cleanup();
+      removeRequestListener();
+      removeEnforcementListener();
+      removeAuthListener();
+      removeLanguageListener();
+      removeSyncListener();
+      linkSubscription.remove();
     };
-  }, []);
+  }, [refreshEnforcement, handleEnforcementEvent, handleRedeemVoucher]);
 
-  const handleTimerEvent = (event) => {
+  const handleTimerEvent = (event: TimerEvent) => {
     console.log('Timer Event:', event);
     setLastEvent(event);
     
-    // Update UI based on event
     switch (event.event) {
-      case 'timeLoaded':
-      case 'timeUpdate':
-      case 'creditsAdded':
-      case 'creditsRemoved':
-        setAvailableTime(event.availableTime || event.newTotal || event.remaining);
+      case 'creditsExpired':
+        addLog(`🍂 ${TimerService.formatTime(event.amount)} of unused credits expired`);
         break;
       case 'trackingStarted':
-        setIsTracking(true);
         addLog(`🟢 Started tracking (${TimerService.formatTime(event.availableTime)})`);
         break;
       case 'trackingStopped':
-        setIsTracking(false);
         addLog(`🔴 Stopped tracking (${TimerService.formatTime(event.availableTime)})`);
         break;
       case 'timeExpired':
-        setIsTracking(false);
-        addLog('⌛ TIME EXPIRED!');
-        Alert.alert('Time Expired!', 'Your screen time has run out.');
+        if (event.reason === 'restriction') {
+          addLog(`🌙 Used during ${event.restriction.name}`);
+          Alert.alert(event.restriction.name, `Screen time is off until ${new Date(event.restriction.end).toLocaleTimeString()}.`);
+        } else if (event.overtime) {
+          addLog('⌛ TIME EXPIRED! Overtime is now owed');
+          Alert.alert('Time Expired!', 'Your screen time has run out. Any more use will be taken from your next credits.');
+        } else {
+          addLog('⌛ TIME EXPIRED!');
+          Alert.alert('Time Expired!', 'Your screen time has run out.');
+        }
+        break;
+      case 'debtCapReached':
+        addLog(`⛔ Overtime limit of ${TimerService.formatTime(event.cap)} reached`);
+        Alert.alert('No More Overtime', `You already owe ${TimerService.formatTime(event.debt)} of screen time.`);
+        break;
+      case 'debtConfigChanged':
+        addLog(`⏳ Overtime debt ${event.debtConfig.enabled ? 'on' : 'off'}`);
+        break;
+      case 'restrictionStarted':
+        addLog(`🌙 ${event.restriction.name} until ${new Date(event.restriction.end).toLocaleTimeString()}`);
+        break;
+      case 'restrictionEnded':
+        addLog(`☀️ ${event.restriction.name} over`);
         break;
       case 'appStateChanged':
         addLog(`📱 ${event.previousState} → ${event.currentState}`);
         break;
+      case 'allowanceApplied':
+        addLog(`📅 Allowance granted for ${event.grants.length} day(s)`);
+        break;
+      case 'profileSwitched':
+        addLog(`👤 Switched to profile ${event.profileId}`);
+        break;
+      case 'dataRestored':
+        refreshProfiles();
+        addLog('📥 Backup restored');
+        break;
+      case 'freeTimeStarted':
+        addLog(`🎈 Free time: ${event.freeTime.name} until ${new Date(event.freeTime.end).toLocaleTimeString()}`);
+        break;
+      case 'freeTimeEnded':
+        addLog(`🎈 Free time over: ${event.freeTime.name}`);
+        break;
+      case 'sessionRecovered':
+        addLog(`🩹 Recovered interrupted session (-${event.charged}s)`);
+        break;
     }
   };
 
-  const addLog = (message) => {
-    const timestamp = new Date().toLocaleTimeString();
-    setLogs(prev => [`${timestamp}: ${message}`, ...prev.slice(0, 9)]);
+  const handleDismissOverlay = () => runAuthorized(async () => {
+    try {
+      await EnforcementService.dismissOverlay();
+    } catch (error) {
+      Alert.alert('Cannot dismiss', (error as Error).message);
+    }
+  });
+
+  const handleUpdateEnforcementPolicy = (changes: Partial<EnforcementPolicy>) => runAuthorized(async () => {
+    try {
+      await EnforcementService.updatePolicy(changes);
+    } catch (error) {
+      Alert.alert('Cannot change enforcement', (error as Error).message);
+    }
+  });
+
+  const refreshLedger = async () => {
+    const entries = await TimerService.getLedgerEntries({ limit: 20 });
+    setLedgerEntries(entries.reverse());
+  };
+
+  const refreshProfiles = async () => {
+    setProfiles(await ProfileService.getProfiles());
+    setActiveProfileId(await ProfileService.getActiveProfileId());
+  };
+
+  // Run `action` straight away, or after the parent enters their PIN
+  const runAuthorized = (action: () => void) => {
+    if (ParentAuthService.requiresAuthorization()) {
+      pendingAuthorizedAction.current = action;
+      setPinEntry('');
+      setPinPromptVisible(true);
+    } else {
+      action();
+    }
+  };
+
+  const handleSubmitPin = async () => {
+    try {
+      await ParentAuthService.unlock(pinEntry);
+      setPinPromptVisible(false);
+      const action = pendingAuthorizedAction.current;
+      pendingAuthorizedAction.current = null;
+      action?.();
+    } catch (error) {
+      setPinEntry('');
+      Alert.alert('Not authorized', (error as Error).message);
+    }
+  };
+
+  const handleCancelPin = () => {
+    pendingAuthorizedAction.current = null;
+    setPinPromptVisible(false);
+  };
+
+  const handleSetPin = async () => {
+    try {
+      await ParentAuthService.setPin(newPin);
+      setNewPin('');
+      addLog('🔐 Parent PIN saved');
+    } catch (error) {
+      Alert.alert('Cannot set PIN', (error as Error).message);
+    }
+  };
+
+  const handleSwitchProfile = (profileId: string) => runAuthorized(async () => {
+    try {
+      await TimerService.switchProfile(profileId);
+    } catch (error) {
+      Alert.alert('Cannot switch profile', (error as Error).message);
+    }
+  });
+
+  const handleCreateProfile = () => runAuthorized(async () => {
+    try {
+      await ProfileService.createProfile(newProfileName);
+      setNewProfileName('');
+      refreshProfiles();
+    } catch (error) {
+      Alert.alert('Cannot create profile', (error as Error).message);
+    }
+  });
+
+  const refreshActivities = async () => {
+    setActivities(await EarningRulesService.getActivities());
+  };
+
+  const handleClaim = async (activity: Activity) => {
+    const result: ClaimResult = await EarningRulesService.claim(activity.id, Number(claimQuantity));
+
+    if (result.accepted) {
+      addLog(`🏅 ${activity.name} x${claimQuantity}: +${result.credited}s`);
+    } else {
+      Alert.alert('Claim rejected', result.message);
+    }
+  };
+
+  const refreshRequests = async () => {
+    setPendingRequests(await TimeRequestService.getPendingRequests());
   };
 
-  const handleAddTime = (seconds) => {
-    TimerService.addTimeCredits(seconds);
-    addLog(`💰 Added ${seconds}s`);
+  const handleRequestTime = async () => {
+    await TimeRequestService.requestMoreTime(300);
+    addLog('🙋 Asked for 5 more minutes');
   };
 
-  const handleRemoveTime = (seconds) => {
-    TimerService.removeTimeCredits(seconds);
-    addLog(`💸 Removed ${seconds}s`);
+  const handleResolveRequest = (request: TimeRequest, approve: boolean) => runAuthorized(async () => {
+    try {
+      if (approve) {
+        await TimeRequestService.approve(request.id);
+        addLog(`✅ Approved ${request.seconds}s request`);
+      } else {
+        await TimeRequestService.deny(request.id);
+        addLog(`🚫 Denied ${request.seconds}s request`);
+      }
+    } catch (error) {
+      Alert.alert('Cannot update request', (error as Error).message);
+    }
+  });
+
+  // The on-screen list keeps the last 10; everything is persisted in the app log
+  // Free time and restrictions are loaded with the profile, so read them together
+  const refreshFreeTime = () => {
+    setFreeTimeWindows(TimerService.getFreeTimeSchedule().windows);
+    setRestrictions(TimerService.getRestrictions());
+  };
+
+  const refreshLanguage = () => {
+    setLanguage(I18nService.getLanguage());
+    setLanguageOverride(I18nService.getOverride());
   };
 
+  // Pass null to follow the device language again
+  const handleSetLanguage = async (code: string | null) => {
+    try {
+      await I18nService.setLanguage(code);
+      addLog(`🌐 Notifications in ${CATALOGS[I18nService.getLanguage() as keyof typeof CATALOGS].name}`);
+    } catch (error) {
+      Alert.alert('Cannot change language', (error as Error).message);
+    }
+  };
+
+  const handleUpdateDebtConfig = (changes: Partial<DebtConfig>) => runAuthorized(async () => {
+    try {
+      await TimerService.updateDebtConfig(changes);
+    } catch (error) {
+      Alert.alert('Cannot change overtime settings', (error as Error).message);
+    }
+  });
+
+  const handleFreeTimePass = (minutes: number) => runAuthorized(async () => {
+    try {
+      await TimerService.startFreeTimePass(minutes * 60, { reason: `Free for ${minutes} minutes` });
+    } catch (error) {
+      Alert.alert('Cannot start free time', (error as Error).message);
+    }
+  });
+
+  const handleEndFreeTimePass = (passId: string) => runAuthorized(async () => {
+    await TimerService.cancelFreeTimePass(passId);
+  });
+
+  // Resolves once the change is saved, or false when it was rejected
+  const saveWindows = (save: () => Promise<void>) => new Promise<boolean>((resolve) => {
+    runAuthorized(async () => {
+      try {
+        await save();
+        resolve(true);
+      } catch (error) {
+        Alert.alert('Cannot save schedule', (error as Error).message);
+        resolve(false);
+      }
+    });
+  });
+
+  const handleAddFreeTimeWindow = (window: WeeklyWindow) => saveWindows(async () => {
+    setFreeTimeWindows(await TimerService.setFreeTimeWindows([...freeTimeWindows, window]));
+  });
+
+  const handleRemoveFreeTimeWindow = (windowId?: string) => saveWindows(async () => {
+    setFreeTimeWindows(await TimerService.setFreeTimeWindows(freeTimeWindows.filter(window => window.id !== windowId)));
+  });
+
+  const handleAddRestriction = (window: WeeklyWindow) => saveWindows(async () => {
+    setRestrictions(await TimerService.setRestrictions([...restrictions, window]));
+  });
+
+  const handleRemoveRestriction = (windowId?: string) => saveWindows(async () => {
+    setRestrictions(await TimerService.setRestrictions(restrictions.filter(window => window.id !== windowId)));
+  });
+
+  const handleExport = (format: 'json' | 'csv') => runAuthorized(async () => {
+    try {
+      const message = format === 'json'
+        ? await BackupService.exportJson()
+        : await BackupService.exportLedgerCsv();
+      await Share.share({ message, title: format === 'json' ? 'Timer backup' : 'Credit history' });
+    } catch (error) {
+      Alert.alert('Export failed', (error as Error).message);
+    }
+  });
+
+  // Parent's phone: the code to type into the child's phone
+  const handleCreatePairingCode = () => runAuthorized(async () => {
+    try {
+      setPairingCode(await VoucherService.createPairingCode());
+      setIsPaired(true);
+      addLog('🔗 New pairing code made');
+    } catch (error) {
+      Alert.alert('Cannot pair', (error as Error).message);
+    }
+  });
+
+  // Child's phone: accept the parent's pairing code
+  const handlePair = () => runAuthorized(async () => {
+    try {
+      await VoucherService.pair(pairingEntry);
+      setPairingEntry('');
+      setIsPaired(true);
+      addLog('🔗 Paired with parent');
+    } catch (error) {
+      Alert.alert('Cannot pair', (error as Error).message);
+    }
+  });
+
+  const handleCreateVoucher = (minutes: number) => runAuthorized(async () => {
+    try {
+      const voucher = await VoucherService.createVoucher({
+        amount: minutes * 60,
+        expiresAt: shiftDays(Date.now(), VOUCHER_LIFETIME_DAYS),
+      });
+      await Share.share({
+        title: 'Screen time voucher',
+        message: `${minutes} minutes of screen time until ${new Date(voucher.expiresAt).toLocaleDateString()}\n\nCode: ${voucher.code}\n${voucher.url}`,
+      });
+    } catch (error) {
+      Alert.alert('Cannot make voucher', (error as Error).message);
+    }
+  });
+
+  const refreshSync = () => {
+    setSyncStatus(SyncService.getStatus());
+  };
+
+  const handleToggleSync = () => runAuthorized(async () => {
+    try {
+      const config = await SyncService.updateConfig({ enabled: !syncStatus.enabled, endpoint: syncEndpoint });
+      addLog(config.enabled ? `🔄 Syncing with ${config.endpoint}` : '🔄 Sync turned off');
+    } catch (error) {
+      Alert.alert('Cannot change sync', (error as Error).message);
+    }
+  });
+
+  const describeSync = () => {
+    if (!syncStatus.enabled) {
+      return 'Off. Enter the parent server address to send usage and receive time from it.';
+    }
+    if (syncStatus.isSyncing) {
+      return 'Syncing…';
+    }
+
+    const last = syncStatus.lastSyncAt ? `last synced ${new Date(syncStatus.lastSyncAt).toLocaleTimeString()}` : 'not synced yet';
+    const error = syncStatus.lastError ? ` (${syncStatus.lastError}, retrying)` : '';
+    return `${syncStatus.pending} change${syncStatus.pending === 1 ? '' : 's'} waiting, ${last}${error}`;
+  };
+
+  const handleRestore = () => runAuthorized(async () => {
+    try {
+      await BackupService.restoreBackup(backupText);
+      setBackupText('');
+    } catch (error) {
+      const details = (error as { errors?: string[] }).errors || [];
+      Alert.alert('Cannot restore backup', [(error as Error).message, ...details.slice(0, 5)].join('\n'));
+    }
+  });
+
+  // Show what would change and let the parent confirm the restore
+  const handlePreviewRestore = async () => {
+    const preview: RestorePreview = await BackupService.previewRestore(backupText);
+
+    if (!preview.valid) {
+      Alert.alert('Invalid backup', preview.errors.slice(0, 5).join('\n'));
+      return;
+    }
+
+    const lines = (preview.profiles || []).map(profile =>
+      `${profile.name}${profile.isNew ? ' (new)' : ''}: ` +
+      `${profile.currentBalance === null ? '-' : TimerService.formatTime(profile.currentBalance)} → ` +
+      `${TimerService.formatTime(profile.backupBalance)}, ${profile.ledgerEntries} history entries`
+    );
+    (preview.removedProfiles || []).forEach(profile => lines.push(`${profile.name}: removed`));
+
+    Alert.alert(
+      `Restore backup from ${new Date(preview.exportedAt || 0).toLocaleString()}?`,
+      lines.join('\n'),
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Restore', style: 'destructive', onPress: handleRestore },
+      ]
+    );
+  };
+
+  const handleAddTime = (seconds: number) => runAuthorized(() => {
+    try {
+      addCredits(seconds);
+      addLog(`💰 Added ${seconds}s`);
+    } catch (error) {
+      Alert.alert('Cannot add time', (error as Error).message);
+    }
+  });
+
+  // Bonus time that is lost if not used by the end of Sunday
+  const handleAddWeekendBonus = (seconds: number) => runAuthorized(() => {
+    try {
+      const expiresAt = shiftDays(getStartOfWeek(Date.now()), 7);
+      addCredits(seconds, { expiresAt });
+      addLog(`🎁 Added ${seconds}s bonus until Sunday night`);
+    } catch (error) {
+      Alert.alert('Cannot add time', (error as Error).message);
+    }
+  });
+
+  const handleRemoveTime = (seconds: number) => runAuthorized(() => {
+    try {
+      removeCredits(seconds);
+      addLog(`💸 Removed ${seconds}s`);
+    } catch (error) {
+      Alert.alert('Cannot remove time', (error as Error).message);
+    }
+  });
+
   const handleReset = () => {
     Alert.alert(
       'Reset Timer',
@@ -101,12 +647,16 @@ const App = () => {
         { 
           text: 'Reset', 
           style: 'destructive',
-          onPress: () => {
-            TimerService.resetAll();
-            setLogs([]);
-            addLog('🔄 Timer reset');
-          }
-        }
+          onPress: () => runAuthorized(async () => {
+            try {
+              await TimerService.resetAll();
+              setLogs([]);
+              addLog('🔄 Timer reset');
+            } catch (error) {
+              Alert.alert('Cannot reset', (error as Error).message);
+            }
+          }),
+        },
       ]
     );
   };
@@ -140,12 +690,15 @@ const App = () => {
     return '✅';
   };
 
-  const formattedTime = TimerService.formatTime(availableTime);
-
   return (
     <SafeAreaView style={styles.container}>
       <StatusBar barStyle="dark-content" backgroundColor="#f5f5f5" />
       
+      {showHistory ? (
+        <HistoryScreen onClose={() => setShowHistory(false)} />
+      ) : showLogs ? (
+        <LogViewerScreen onClose={() => setShowLogs(false)} />
+      ) : (
       <ScrollView contentContainerStyle={styles.scrollContainer}>
         {/* Header */}
         <View style={styles.header}>
@@ -161,6 +714,14 @@ const App = () => {
             {formattedTime}
           </Text>
           <Text style={styles.timeLabel}>Available Time</Text>
+          {debt > 0 && (
+            <Text style={styles.debtText}>Owes {TimerService.formatTime(debt)} of overtime</Text>
+          )}
+          {expiringCredits.map((credit) => (
+            <Text key={credit.id} style={styles.expiringText}>
+              🍂 {TimerService.formatTime(credit.amount)} expires {new Date(credit.expiresAt).toLocaleString()}
+            </Text>
+          ))}
           
           {/* Status indicators */}
           <View style={styles.statusRow}>
@@ -172,6 +733,88 @@ const App = () => {
             <View style={[styles.statusBadge, { backgroundColor: '#2196F3' }]}>
               <Text style={styles.statusText}>{appState.toUpperCase()}</Text>
             </View>
+            {activeFreeTime && (
+              <View style={[styles.statusBadge, styles.freeTimeBadge]}>
+                <Text style={styles.statusText}>FREE TIME</Text>
+              </View>
+            )}
+            {activeRestriction && (
+              <View style={[styles.statusBadge, styles.restrictionBadge]}>
+                <Text style={styles.statusText}>
+                  {activeRestriction.name.toUpperCase()} UNTIL {new Date(activeRestriction.end).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                </Text>
+              </View>
+            )}
+          </View>
+        </View>
+
+        {/* Parent Controls */}
+        <View style={styles.buttonsSection}>
+          <Text style={styles.sectionTitle}>Parent Controls</Text>
+
+          {hasPin && (
+            // The session also ends by inactivity timeout, so re-check on render
+            <View style={styles.buttonRow}>
+              <Text style={styles.requestText}>
+                {isParentUnlocked && ParentAuthService.isUnlocked() ? '🔓 Unlocked' : '🔒 Locked'}
+              </Text>
+              {isParentUnlocked && ParentAuthService.isUnlocked() && (
+                <TouchableOpacity
+                  style={[styles.button, styles.orangeButton]}
+                  onPress={() => ParentAuthService.lock()}
+                >
+                  <Text style={styles.buttonText}>Lock</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          )}
+
+          <View style={styles.buttonRow}>
+            <TextInput
+              style={styles.textInput}
+              placeholder={hasPin ? 'New PIN' : 'Choose a 4-8 digit PIN'}
+              keyboardType="number-pad"
+              secureTextEntry
+              value={newPin}
+              onChangeText={setNewPin}
+            />
+            <TouchableOpacity
+              style={[styles.button, styles.blueButton]}
+              onPress={() => (hasPin ? runAuthorized(handleSetPin) : handleSetPin())}
+            >
+              <Text style={styles.buttonText}>{hasPin ? 'Change PIN' : 'Set PIN'}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        {/* Profiles */}
+        <View style={styles.buttonsSection}>
+          <Text style={styles.sectionTitle}>Profiles</Text>
+
+          <View style={styles.profileRow}>
+            {profiles.map((profile) => (
+              <TouchableOpacity
+                key={profile.id}
+                style={[styles.profileChip, profile.id === activeProfileId && styles.profileChipActive]}
+                onPress={() => handleSwitchProfile(profile.id)}
+              >
+                <Text style={[styles.profileChipText, profile.id === activeProfileId && styles.profileChipTextActive]}>
+                  {profile.name}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.buttonRow}>
+            <TextInput
+              style={styles.textInput}
+              placeholder="New profile name"
+              value={newProfileName}
+              onChangeText={setNewProfileName}
+            />
+            <TouchableOpacity style={[styles.button, styles.blueButton]} onPress={handleCreateProfile}>
+              <Text style={styles.buttonText}>Add Profile</Text>
+            </TouchableOpacity>
           </View>
         </View>
 
@@ -205,6 +848,16 @@ const App = () => {
             </TouchableOpacity>
           </View>
 
+          <View style={styles.buttonRow}>
+            <TouchableOpacity
+              style={[styles.button, styles.greenButton]}
+              onPress={() => handleAddWeekendBonus(30 * 60)}
+            >
+              <Text style={styles.buttonEmoji}>🎁</Text>
+              <Text style={styles.buttonText}>+30min bonus until Sunday</Text>
+            </TouchableOpacity>
+          </View>
+
           <View style={styles.buttonRow}>
             <TouchableOpacity 
               style={[styles.button, styles.blueButton]} 
@@ -224,6 +877,172 @@ const App = () => {
           </View>
         </View>
 
+        {/* Time Requests */}
+        <View style={styles.buttonsSection}>
+          <Text style={styles.sectionTitle}>Time Requests</Text>
+
+          {pendingRequests.map((request) => (
+            <View key={request.id} style={styles.buttonRow}>
+              <Text style={styles.requestText}>
+                {TimerService.formatTime(request.seconds)} requested {new Date(request.requestedAt).toLocaleTimeString()}
+              </Text>
+              <TouchableOpacity
+                style={[styles.button, styles.greenButton]}
+                onPress={() => handleResolveRequest(request, true)}
+              >
+                <Text style={styles.buttonText}>Approve</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.button, styles.redButton]}
+                onPress={() => handleResolveRequest(request, false)}
+              >
+                <Text style={styles.buttonText}>Deny</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+
+          {pendingRequests.length === 0 && (
+            <TouchableOpacity style={[styles.button, styles.blueButton]} onPress={handleRequestTime}>
+              <Text style={styles.buttonEmoji}>🙋</Text>
+              <Text style={styles.buttonText}>Ask for 5 more minutes</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {/* Free Time */}
+        <View style={styles.buttonsSection}>
+          <Text style={styles.sectionTitle}>🎈 Free Time</Text>
+
+          {activeFreeTime ? (
+            <View style={styles.buttonRow}>
+              <Text style={styles.requestText}>
+                {activeFreeTime.name} until {new Date(activeFreeTime.end).toLocaleTimeString()}
+              </Text>
+              {activeFreeTime.kind === 'pass' && (
+                <TouchableOpacity
+                  style={[styles.button, styles.orangeButton]}
+                  onPress={() => handleEndFreeTimePass(activeFreeTime.id)}
+                >
+                  <Text style={styles.buttonText}>End</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          ) : (
+            <TouchableOpacity style={[styles.button, styles.blueButton]} onPress={() => handleFreeTimePass(30)}>
+              <Text style={styles.buttonText}>Free for the next 30 minutes</Text>
+            </TouchableOpacity>
+          )}
+
+          <WeeklyWindowList
+            windows={freeTimeWindows}
+            defaults={{ name: '', days: [1, 2, 3, 4, 5], startTime: '16:00', endTime: '18:00' }}
+            namePlaceholder="Window name (e.g. Homework)"
+            addLabel="Add Free Time Window"
+            onAdd={handleAddFreeTimeWindow}
+            onRemove={handleRemoveFreeTimeWindow}
+          />
+        </View>
+
+        {/* Restrictions */}
+        <View style={styles.buttonsSection}>
+          <Text style={styles.sectionTitle}>🌙 Bedtime and School Hours</Text>
+          <Text style={styles.emptyLog}>No time can be spent during these windows, whatever the balance.</Text>
+
+          <WeeklyWindowList
+            windows={restrictions}
+            defaults={{ name: '', days: [0, 1, 2, 3, 4, 5, 6], startTime: '21:00', endTime: '07:00' }}
+            namePlaceholder="Name (e.g. Bedtime)"
+            addLabel="Add Restriction"
+            onAdd={handleAddRestriction}
+            onRemove={handleRemoveRestriction}
+          />
+        </View>
+
+        {/* Overtime Debt */}
+        <View style={styles.buttonsSection}>
+          <Text style={styles.sectionTitle}>⏳ Overtime Debt</Text>
+          <Text style={styles.emptyLog}>
+            When on, use after time runs out is owed and paid off first from the next credits.
+          </Text>
+
+          <TouchableOpacity
+            style={[styles.button, debtConfig.enabled ? styles.redButton : styles.greenButton, styles.debtToggle]}
+            onPress={() => handleUpdateDebtConfig({ enabled: !debtConfig.enabled })}
+          >
+            <Text style={styles.buttonText}>{debtConfig.enabled ? 'Turn Off Overtime Debt' : 'Turn On Overtime Debt'}</Text>
+          </TouchableOpacity>
+          <View style={styles.buttonRow}>
+            {DEBT_CAP_OPTIONS.map((minutes) => (
+              <TouchableOpacity
+                key={minutes}
+                style={[styles.button, debtConfig.cap === minutes * 60 ? styles.blueButton : styles.greyButton]}
+                onPress={() => handleUpdateDebtConfig({ cap: minutes * 60 })}
+              >
+                <Text style={styles.buttonText}>Max {minutes} min</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        {/* Expiry Enforcement */}
+        <View style={styles.buttonsSection}>
+          <Text style={styles.sectionTitle}>🚨 When Time Runs Out</Text>
+          <Text style={styles.emptyLog}>
+            Reminders after {enforcementPolicy.reminderIntervals.map(interval => TimerService.formatTime(interval, DURATION_STYLES.SHORT)).join(', ')} of further use
+          </Text>
+
+          <View style={[styles.buttonRow, styles.enforcementRow]}>
+            <TouchableOpacity
+              style={[styles.button, enforcementPolicy.enabled ? styles.blueButton : styles.greyButton]}
+              onPress={() => handleUpdateEnforcementPolicy({ enabled: !enforcementPolicy.enabled })}
+            >
+              <Text style={styles.buttonText}>Reminders {enforcementPolicy.enabled ? 'On' : 'Off'}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, enforcementPolicy.overlay ? styles.blueButton : styles.greyButton]}
+              onPress={() => handleUpdateEnforcementPolicy({ overlay: !enforcementPolicy.overlay })}
+            >
+              <Text style={styles.buttonText}>Lock Screen {enforcementPolicy.overlay ? 'On' : 'Off'}</Text>
+            </TouchableOpacity>
+          </View>
+
+          {enforcementReports.slice(0, 5).map((report) => (
+            <Text key={report.startedAt} style={styles.reportText}>
+              {new Date(report.startedAt).toLocaleString()}: used {TimerService.formatTime(report.overuse)} after {report.restrictionName || 'time ran out'}
+            </Text>
+          ))}
+        </View>
+
+        {/* Earn Time */}
+        <View style={styles.buttonsSection}>
+          <Text style={styles.sectionTitle}>Earn Time</Text>
+
+          {activities.length === 0 ? (
+            <Text style={styles.emptyLog}>No activities defined yet...</Text>
+          ) : (
+            <>
+              <TextInput
+                style={[styles.textInput, styles.quantityInput]}
+                keyboardType="numeric"
+                placeholder="Quantity"
+                value={claimQuantity}
+                onChangeText={setClaimQuantity}
+              />
+              {activities.map((activity) => (
+                <TouchableOpacity
+                  key={activity.id}
+                  style={[styles.button, styles.greenButton, styles.activityButton]}
+                  onPress={() => handleClaim(activity)}
+                >
+                  <Text style={styles.buttonText}>
+                    {activity.name} ({TimerService.formatTime(activity.ratio)} per {activity.unit})
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </>
+          )}
+        </View>
+
         {/* Debug Info */}
         <View style={styles.debugSection}>
           <Text style={styles.sectionTitle}>Debug Info</Text>
@@ -256,6 +1075,179 @@ const App = () => {
               ))
             )}
           </View>
+
+          <TouchableOpacity onPress={() => setShowLogs(true)} style={styles.fullLogButton}>
+            <Text style={styles.fullLogButtonText}>View full log</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Usage History */}
+        <TouchableOpacity
+          style={[styles.button, styles.blueButton]}
+          onPress={() => setShowHistory(true)}
+        >
+          <Text style={styles.buttonText}>📊 View Usage History</Text>
+        </TouchableOpacity>
+
+        {/* Language */}
+        <View style={styles.buttonsSection}>
+          <Text style={styles.sectionTitle}>🌐 Notification Language</Text>
+          <Text style={styles.emptyLog}>
+            {languageOverride ? 'Chosen here' : 'Following the device'}: {CATALOGS[language as keyof typeof CATALOGS].name}
+          </Text>
+
+          <View style={[styles.buttonRow, styles.languageRow]}>
+            <TouchableOpacity
+              style={[styles.button, languageOverride === null ? styles.blueButton : styles.greyButton]}
+              onPress={() => handleSetLanguage(null)}
+            >
+              <Text style={styles.buttonText}>Device</Text>
+            </TouchableOpacity>
+            {Object.entries(CATALOGS).map(([code, catalog]) => (
+              <TouchableOpacity
+                key={code}
+                style={[styles.button, languageOverride === code ? styles.blueButton : styles.greyButton]}
+                onPress={() => handleSetLanguage(code)}
+              >
+                <Text style={styles.buttonText}>{catalog.name}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        {/* Vouchers */}
+        <View style={styles.buttonsSection}>
+          <Text style={styles.sectionTitle}>🎟️ Vouchers</Text>
+          <Text style={styles.emptyLog}>
+            {isPaired ? 'Paired: vouchers made on the paired phone work here.' : 'Not paired yet. Make a pairing code on the parent\'s phone and enter it on the child\'s.'}
+          </Text>
+
+          <TextInput
+            style={[styles.textInput, styles.voucherInput]}
+            placeholder="Voucher code"
+            autoCapitalize="characters"
+            value={voucherEntry}
+            onChangeText={setVoucherEntry}
+          />
+          <TouchableOpacity
+            style={[styles.button, styles.greenButton, styles.voucherButton]}
+            onPress={() => handleRedeemVoucher(voucherEntry)}
+            disabled={!voucherEntry.trim()}
+          >
+            <Text style={styles.buttonText}>Redeem Voucher</Text>
+          </TouchableOpacity>
+
+          <View style={styles.buttonRow}>
+            <TextInput
+              style={styles.textInput}
+              placeholder="Pairing code from the parent's phone"
+              autoCapitalize="characters"
+              value={pairingEntry}
+              onChangeText={setPairingEntry}
+            />
+            <TouchableOpacity style={[styles.button, styles.greyButton]} onPress={handlePair} disabled={!pairingEntry.trim()}>
+              <Text style={styles.buttonText}>Pair</Text>
+            </TouchableOpacity>
+          </View>
+
+          <Text style={styles.emptyLog}>On the parent's phone:</Text>
+          <View style={styles.buttonRow}>
+            {VOUCHER_OPTIONS.map((minutes) => (
+              <TouchableOpacity
+                key={minutes}
+                style={[styles.button, isPaired ? styles.blueButton : styles.greyButton]}
+                onPress={() => handleCreateVoucher(minutes)}
+                disabled={!isPaired}
+              >
+                <Text style={styles.buttonText}>Give {minutes} min</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <TouchableOpacity style={[styles.button, styles.greyButton]} onPress={handleCreatePairingCode}>
+            <Text style={styles.buttonText}>Make Pairing Code</Text>
+          </TouchableOpacity>
+          {pairingCode && (
+            <Text selectable style={styles.pairingCode}>{pairingCode}</Text>
+          )}
+        </View>
+
+        {/* Sync */}
+        <View style={styles.buttonsSection}>
+          <Text style={styles.sectionTitle}>🔄 Parent Sync</Text>
+          <Text style={styles.emptyLog}>{describeSync()}</Text>
+
+          <TextInput
+            style={[styles.textInput, styles.voucherInput]}
+            placeholder="http://parent-server:8787"
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+            value={syncEndpoint}
+            onChangeText={setSyncEndpoint}
+            editable={!syncStatus.enabled}
+          />
+          <View style={styles.buttonRow}>
+            <TouchableOpacity
+              style={[styles.button, syncStatus.enabled ? styles.redButton : styles.greenButton]}
+              onPress={handleToggleSync}
+            >
+              <Text style={styles.buttonText}>{syncStatus.enabled ? 'Turn Off Sync' : 'Turn On Sync'}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, syncStatus.enabled ? styles.blueButton : styles.greyButton]}
+              onPress={() => SyncService.sync()}
+              disabled={!syncStatus.enabled || syncStatus.isSyncing}
+            >
+              <Text style={styles.buttonText}>Sync Now</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        {/* Backup */}
+        <View style={styles.buttonsSection}>
+          <Text style={styles.sectionTitle}>💾 Backup</Text>
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={[styles.button, styles.blueButton]} onPress={() => handleExport('json')}>
+              <Text style={styles.buttonText}>Export Backup</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.button, styles.blueButton]} onPress={() => handleExport('csv')}>
+              <Text style={styles.buttonText}>Export CSV</Text>
+            </TouchableOpacity>
+          </View>
+
+          <TextInput
+            style={[styles.textInput, styles.backupInput]}
+            placeholder="Paste a backup to restore"
+            multiline
+            value={backupText}
+            onChangeText={setBackupText}
+          />
+          <TouchableOpacity
+            style={[styles.button, styles.orangeButton]}
+            onPress={handlePreviewRestore}
+            disabled={!backupText.trim()}
+          >
+            <Text style={styles.buttonText}>Restore Backup</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Credit History */}
+        <View style={styles.logSection}>
+          <Text style={styles.sectionTitle}>Credit History</Text>
+
+          <View style={styles.logContainer}>
+            {ledgerEntries.length === 0 ? (
+              <Text style={styles.emptyLog}>No credit changes yet...</Text>
+            ) : (
+              ledgerEntries.map((entry) => (
+                <Text key={entry.id} style={styles.logText}>
+                  {new Date(entry.timestamp).toLocaleString()}: {entry.type} {entry.amount > 0 ? '+' : ''}{entry.amount}s → {TimerService.formatTime(entry.balance)}
+                  {entry.source ? ` (${entry.source})` : ''}
+                </Text>
+              ))
+            )}
+          </View>
         </View>
 
         {/* Instructions */}
@@ -272,6 +1264,37 @@ const App = () => {
           </Text>
         </View>
       </ScrollView>
+      )}
+
+      {enforcement?.overlayVisible && (
+        <ExpiryOverlay status={enforcement} formatTime={TimerService.formatTime} onDismiss={handleDismissOverlay} />
+      )}
+
+      {/* Parent PIN prompt */}
+      <Modal visible={pinPromptVisible} transparent animationType="fade" onRequestClose={handleCancelPin}>
+        <View style={styles.modalBackdrop}>
+          <View style={styles.modalCard}>
+            <Text style={styles.sectionTitle}>🔐 Parent PIN</Text>
+            <TextInput
+              style={[styles.textInput, styles.pinInput]}
+              keyboardType="number-pad"
+              secureTextEntry
+              autoFocus
+              value={pinEntry}
+              onChangeText={setPinEntry}
+              onSubmitEditing={handleSubmitPin}
+            />
+            <View style={styles.buttonRow}>
+              <TouchableOpacity style={[styles.button, styles.redButton]} onPress={handleCancelPin}>
+                <Text style={styles.buttonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={[styles.button, styles.greenButton]} onPress={handleSubmitPin}>
+                <Text style={styles.buttonText}>Unlock</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
     </SafeAreaView>
   );
 };
@@ -333,6 +1356,34 @@ const styles = StyleSheet.create({
     color: '#666',
     marginBottom: 16,
   },
+  debtText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#F44336',
+    marginTop: -8,
+    marginBottom: 16,
+  },
+  enforcementRow: {
+    marginTop: 12,
+  },
+  reportText: {
+    color: '#333',
+    marginBottom: 4,
+  },
+  languageRow: {
+    flexWrap: 'wrap',
+    marginTop: 12,
+  },
+  expiringText: {
+    fontSize: 13,
+    color: '#FF9800',
+    marginTop: -8,
+    marginBottom: 12,
+  },
+  debtToggle: {
+    flex: 0,
+    marginVertical: 12,
+  },
   statusRow: {
     flexDirection: 'row',
     gap: 12,
@@ -342,6 +1393,12 @@ const styles = StyleSheet.create({
     paddingVertical: 6,
     borderRadius: 12,
   },
+  freeTimeBadge: {
+    backgroundColor: '#9C27B0',
+  },
+  restrictionBadge: {
+    backgroundColor: '#3F51B5',
+  },
   statusText: {
     color: 'white',
     fontSize: 12,
@@ -391,6 +1448,92 @@ const styles = StyleSheet.create({
   orangeButton: {
     backgroundColor: '#FF9800',
   },
+  greyButton: {
+    backgroundColor: '#9E9E9E',
+  },
+  profileRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 12,
+  },
+  profileChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#2196F3',
+    backgroundColor: 'white',
+  },
+  profileChipActive: {
+    backgroundColor: '#2196F3',
+  },
+  profileChipText: {
+    color: '#2196F3',
+    fontWeight: 'bold',
+  },
+  profileChipTextActive: {
+    color: 'white',
+  },
+  textInput: {
+    flex: 1,
+    backgroundColor: 'white',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  voucherInput: {
+    flex: 0,
+    marginBottom: 12,
+  },
+  voucherButton: {
+    marginBottom: 12,
+  },
+  pairingCode: {
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+    fontSize: 16,
+    textAlign: 'center',
+    marginTop: 12,
+  },
+  backupInput: {
+    flex: 0,
+    minHeight: 80,
+    marginBottom: 12,
+    textAlignVertical: 'top',
+  },
+  modalBackdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    padding: 32,
+  },
+  modalCard: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 24,
+  },
+  pinInput: {
+    flex: 0,
+    paddingVertical: 12,
+    marginBottom: 16,
+    fontSize: 24,
+    textAlign: 'center',
+  },
+  requestText: {
+    flex: 2,
+    alignSelf: 'center',
+    color: '#333',
+  },
+  quantityInput: {
+    flex: 0,
+    paddingVertical: 8,
+    marginBottom: 12,
+  },
+  activityButton: {
+    flex: 0,
+    marginBottom: 8,
+  },
   debugSection: {
     marginBottom: 24,
   },
@@ -443,6 +1586,15 @@ const styles = StyleSheet.create({
     marginBottom: 4,
     color: '#333',
   },
+  fullLogButton: {
+    alignSelf: 'flex-end',
+    marginTop: 8,
+  },
+  fullLogButtonText: {
+    color: '#2196F3',
+    fontSize: 14,
+    fontWeight: '600',
+  },
   emptyLog: {
     fontSize: 14,
     color: '#999',
@@ -463,4 +1615,10 @@ const styles = StyleSheet.create({
   },
 });
 
+const App = () => (
+  <TimerProvider>
+    <TimerDashboard />
+  </TimerProvider>
+);
+
 export default App;
\ No newline at end of file
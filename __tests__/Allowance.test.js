@@ -0,0 +1,139 @@
+/**
+ * @format
+ */
+
+import {ROLLOVER_MODES} from '../src/services/AllowanceService';
+import {createTestTimer} from '../src/testing';
+import {flush} from './helpers';
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60;
+
+describe('AllowanceService', () => {
+  let env;
+  let allowance;
+
+  beforeEach(async () => {
+    env = await createTestTimer();
+    allowance = env.services.allowance;
+  });
+
+  afterEach(() => {
+    env.timer.dispose();
+  });
+
+  const enable = changes =>
+    allowance.updateConfig({
+      enabled: true,
+      weekdayAmount: HOUR,
+      weekendAmount: 2 * HOUR,
+      ...changes,
+    });
+  const balance = () => env.timer.getStatus().availableTime;
+
+  test('the first run grants the current day only', async () => {
+    await enable();
+
+    const grants = await env.timer.applyAllowance();
+    expect(grants).toMatchObject([
+      {date: '2025-01-06', amount: HOUR, forfeited: 0},
+    ]);
+    expect(balance()).toBe(HOUR);
+
+    // Nothing more is due until the next reset
+    expect(await env.timer.applyAllowance()).toEqual([]);
+    const entries = await env.timer.getLedgerEntries();
+    expect(entries.pop()).toMatchObject({
+      type: 'grant',
+      source: 'allowance',
+      reason: 'allowance:2025-01-06',
+    });
+  });
+
+  test('without rollover the unspent allowance is forfeited', async () => {
+    await enable();
+    await env.timer.applyAllowance();
+
+    env.clock.jump(DAY);
+    expect(await env.timer.applyAllowance()).toMatchObject([
+      {date: '2025-01-07', amount: HOUR, forfeited: HOUR},
+    ]);
+    expect(balance()).toBe(HOUR);
+  });
+
+  test('only unspent allowance is forfeited, other credits are kept', async () => {
+    await enable({rollover: ROLLOVER_MODES.CAPPED, rolloverCap: HOUR / 2});
+    await env.timer.applyAllowance();
+    env.timer.addTimeCredits(HOUR / 4, {source: 'voucher:abc'});
+    env.timer.addTimeCredits(HOUR / 4);
+
+    // The allowance, granted first, is spent first
+    env.appStateSource.background();
+    env.clock.advance((HOUR / 6) * 1000);
+    env.appStateSource.foreground();
+    // Coming back to the foreground checks the allowance too
+    await flush();
+
+    env.clock.jump(DAY);
+    expect(await env.timer.applyAllowance()).toMatchObject([
+      {date: '2025-01-07', amount: HOUR, forfeited: HOUR / 3},
+    ]);
+    expect(balance()).toBe(HOUR / 2 + HOUR / 2 + HOUR);
+
+    // Without rollover all of it goes, and still nothing else
+    await allowance.updateConfig({rollover: ROLLOVER_MODES.NONE});
+    env.clock.jump(DAY);
+    expect(await env.timer.applyAllowance()).toMatchObject([
+      {date: '2025-01-08', forfeited: HOUR + HOUR / 2},
+    ]);
+    expect(balance()).toBe(HOUR / 2 + HOUR);
+  });
+
+  test('capped rollover keeps up to the cap', async () => {
+    await enable({rollover: ROLLOVER_MODES.CAPPED, rolloverCap: HOUR / 2});
+    await env.timer.applyAllowance();
+
+    env.clock.jump(DAY);
+    await env.timer.applyAllowance();
+    expect(balance()).toBe(HOUR + HOUR / 2);
+  });
+
+  test('replays at most three missed resets after a long absence', async () => {
+    await enable({rollover: ROLLOVER_MODES.FULL});
+    await env.timer.applyAllowance();
+
+    // Monday to the Thursday of the next week: ten resets were missed
+    env.clock.jump(10 * DAY);
+    const grants = await env.timer.applyAllowance();
+    expect(grants.map(grant => grant.date)).toEqual([
+      '2025-01-14',
+      '2025-01-15',
+      '2025-01-16',
+    ]);
+    expect(balance()).toBe(4 * HOUR);
+  });
+
+  test('weekend days grant the weekend amount', async () => {
+    await enable({rollover: ROLLOVER_MODES.FULL});
+    await env.timer.applyAllowance();
+
+    // Saturday and Sunday, after Friday's reset was applied
+    env.clock.jump(4 * DAY);
+    await env.timer.applyAllowance();
+    env.clock.jump(2 * DAY);
+    const grants = await env.timer.applyAllowance();
+    expect(grants.map(grant => grant.amount)).toEqual([2 * HOUR, 2 * HOUR]);
+  });
+
+  test('changing the allowance needs a parent session, granting it does not', async () => {
+    await enable();
+    await env.services.parentAuth.setPin('1234');
+
+    await expect(
+      allowance.updateConfig({weekdayAmount: 0}),
+    ).rejects.toMatchObject({code: 'unauthorized'});
+
+    await env.timer.applyAllowance();
+    expect(balance()).toBe(HOUR);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * @format
+ */
+
+import {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  BackupService,
+  toCsv,
+  validateBackup,
+} from '../src/services/BackupService';
+import {LEDGER_ENTRY_TYPES} from '../src/services/CreditLedger';
+import {CURRENT_SCHEMA_VERSION} from '../src/services/StorageMigrations';
+import {createTestTimer} from '../src/testing';
+
+describe('validateBackup', () => {
+  const backup = changes => ({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: 0,
+    settings: {},
+    profileData: {default: {balance: 60}},
+    ...changes,
+  });
+
+  test('accepts a well-formed backup, as object or JSON', () => {
+    expect(validateBackup(backup()).valid).toBe(true);
+    expect(validateBackup(JSON.stringify(backup())).backup).toEqual(backup());
+  });
+
+  test('rejects foreign and newer documents outright', () => {
+    expect(validateBackup('{not json').errors).toEqual([
+      'Backup is not valid JSON',
+    ]);
+    expect(validateBackup({format: 'other'}).errors).toEqual([
+      'Not a Simple Timer backup',
+    ]);
+    expect(validateBackup(backup({version: BACKUP_VERSION + 1})).valid).toBe(
+      false,
+    );
+    expect(
+      validateBackup(backup({schemaVersion: CURRENT_SCHEMA_VERSION + 1})).valid,
+    ).toBe(false);
+  });
+
+  test('lists every field of the wrong type', () => {
+    const {
+      valid,
+      errors,
+      backup: result,
+    } = validateBackup(
+      backup({
+        settings: {language: 7, activeProfileId: 'kid'},
+        profileData: {
+          default: {balance: 1.5, ledger: [{type: 'grant'}]},
+          stranger: {},
+        },
+      }),
+    );
+
+    expect(valid).toBe(false);
+    expect(result).toBeNull();
+    expect(errors).toEqual([
+      'settings.language must be of type string',
+      'settings.activeProfileId "kid" is not a listed profile',
+      'profileData.default.balance must be of type integer',
+      'profileData.default.ledger[0] needs a type, amount and timestamp',
+      'profileData.stranger does not belong to a listed profile',
+    ]);
+  });
+});
+
+test('toCsv quotes separators and defuses formulas', () => {
+  expect(
+    toCsv(['reason', 'amount'], [{reason: 'chores, "extra"', amount: 5}]),
+  ).toBe('reason,amount\n"chores, ""extra""",5');
+  expect(toCsv(['reason'], [{reason: '=SUM(A1)'}])).toBe("reason\n'=SUM(A1)");
+});
+
+describe('BackupService', () => {
+  let env;
+  let backups;
+
+  const createBackupService = environment =>
+    new BackupService({
+      storage: environment.storage,
+      clock: environment.clock,
+      timer: environment.timer,
+      reloadServices: async () => {},
+      logger: environment.services.logger,
+    });
+
+  beforeEach(async () => {
+    env = await createTestTimer();
+    backups = createBackupService(env);
+    env.timer.addTimeCredits(600, {reason: 'chores'});
+  });
+
+  afterEach(() => {
+    env.timer.dispose();
+  });
+
+  test('a backup restores balance and history on another device', async () => {
+    const backup = await backups.createBackup();
+    expect(backup.profileData.default).toMatchObject({balance: 600});
+
+    const other = await createTestTimer();
+    const status = await createBackupService(other).restoreBackup(
+      JSON.stringify(backup),
+    );
+
+    expect(status.availableTime).toBe(600);
+    const entries = await other.timer.getLedgerEntries();
+    expect(entries.pop()).toMatchObject({amount: 600, reason: 'chores'});
+    other.timer.dispose();
+  });
+
+  test('a backup from before the ledger is migrated on restore', async () => {
+    const backup = await backups.createBackup();
+    expect(backup.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+
+    const old = {
+      ...backup,
+      schemaVersion: undefined,
+      profileData: {default: {balance: 900}},
+    };
+    const status = await backups.restoreBackup(old);
+
+    expect(status.availableTime).toBe(900);
+    expect(await env.timer.getLedgerEntries()).toEqual([
+      expect.objectContaining({
+        type: LEDGER_ENTRY_TYPES.OPENING_BALANCE,
+        amount: 900,
+        balance: 900,
+      }),
+    ]);
+  });
+
+  test('restoring replaces what was added since the backup', async () => {
+    const backup = await backups.createBackup();
+    env.timer.addTimeCredits(300, {reason: 'homework'});
+
+    const preview = await backups.previewRestore(backup);
+    expect(preview.profiles).toEqual([
+      expect.objectContaining({
+        id: 'default',
+        currentBalance: 900,
+        backupBalance: 600,
+      }),
+    ]);
+
+    await backups.restoreBackup(backup);
+    expect(env.timer.getStatus().availableTime).toBe(600);
+  });
+
+  test('an invalid backup changes nothing', async () => {
+    const backup = await backups.createBackup();
+    backup.profileData.default.balance = 'lots';
+
+    await expect(backups.restoreBackup(backup)).rejects.toMatchObject({
+      name: 'BackupError',
+      errors: ['profileData.default.balance must be of type integer'],
+    });
+    expect(env.timer.getStatus().availableTime).toBe(600);
+  });
+
+  test('backups leave credentials behind and need a parent session', async () => {
+    await env.storage.setItem(
+      '@sync_config',
+      JSON.stringify({enabled: true, endpoint: 'http://a', token: 'device'}),
+    );
+    await env.services.parentAuth.setPin('1234');
+    await expect(backups.createBackup()).rejects.toMatchObject({
+      code: 'unauthorized',
+    });
+
+    await env.services.parentAuth.unlock('1234');
+    const backup = await backups.createBackup();
+    expect(backup.settings).not.toHaveProperty('parentPin');
+    expect(backup.settings).not.toHaveProperty('syncConfig');
+
+    // The device keeps its own PIN through a restore
+    env.services.parentAuth.lock();
+    await expect(backups.restoreBackup(backup)).rejects.toMatchObject({
+      code: 'unauthorized',
+    });
+    await env.services.parentAuth.unlock('1234');
+    await backups.restoreBackup(backup);
+    expect(env.services.parentAuth.hasPin()).toBe(true);
+  });
+});
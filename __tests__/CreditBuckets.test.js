@@ -0,0 +1,99 @@
+/**
+ * @format
+ */
+
+import {MemoryStorage, createTestTimer} from '../src/testing';
+import {MINUTE, SECOND, flush, useTestTimer} from './helpers';
+
+describe('TimerService credit buckets', () => {
+  const env = useTestTimer();
+
+  const expiries = () =>
+    env.events.filter(event => event.event === 'creditsExpired');
+
+  test('spends the soonest-expiring credits first', () => {
+    const now = env.clock.now();
+    env.timer.addTimeCredits(600);
+    env.timer.addTimeCredits(300, {expiresAt: now + 2 * 60 * MINUTE});
+    env.timer.addTimeCredits(300, {expiresAt: now + 60 * MINUTE});
+    env.appStateSource.background();
+    env.clock.advance(2 * MINUTE);
+
+    expect(env.timer.getStatus()).toMatchObject({
+      availableTime: 1080,
+      expiringCredits: [
+        {amount: 180, expiresAt: now + 60 * MINUTE},
+        {amount: 300, expiresAt: now + 2 * 60 * MINUTE},
+      ],
+    });
+  });
+
+  test('expired credits are removed without touching the rest', async () => {
+    env.timer.addTimeCredits(600);
+    env.timer.addTimeCredits(300, {
+      expiresAt: env.clock.now() + 10 * MINUTE,
+      reason: 'bonus',
+    });
+
+    env.clock.advance(10 * MINUTE);
+
+    expect(env.timer.getStatus()).toMatchObject({
+      availableTime: 600,
+      expiringCredits: [],
+    });
+    expect(expiries()).toHaveLength(1);
+    expect(expiries()[0]).toMatchObject({
+      amount: 300,
+      buckets: [{reason: 'bonus'}],
+      newTotal: 600,
+    });
+
+    const entries = await env.timer.getLedgerEntries();
+    expect(entries.pop()).toMatchObject({type: 'expiry', amount: -300});
+  });
+
+  test('credits used up before their expiry are not reported', () => {
+    env.timer.addTimeCredits(600);
+    env.timer.addTimeCredits(300, {expiresAt: env.clock.now() + 10 * MINUTE});
+    env.appStateSource.background();
+    env.clock.advance(10 * MINUTE);
+
+    expect(env.timer.getStatus().availableTime).toBe(300);
+    expect(expiries()).toHaveLength(0);
+  });
+
+  test('an expiry noticed late charges the rest of the session to other credits', async () => {
+    env.timer.addTimeCredits(600);
+    env.timer.addTimeCredits(600, {expiresAt: env.clock.now() + 5 * MINUTE});
+    env.appStateSource.background();
+
+    // JS is suspended over the expiry; the next tick catches up
+    env.clock.jump(10 * MINUTE);
+    env.clock.advance(SECOND);
+    await flush();
+
+    expect(expiries()[0]).toMatchObject({amount: 300});
+    expect(env.timer.getStatus().availableTime).toBe(299);
+  });
+
+  test('rejects an expiry in the past', () => {
+    expect(() =>
+      env.timer.addTimeCredits(60, {expiresAt: env.clock.now()}),
+    ).toThrow('Credits must expire in the future');
+  });
+});
+
+test('a balance saved before buckets existed never expires', async () => {
+  const storage = new MemoryStorage();
+  await storage.setItem('@timer_remaining', '600');
+
+  const env = await createTestTimer({storage});
+  env.timer.addTimeCredits(60, {expiresAt: env.clock.now() + MINUTE});
+  env.clock.advance(MINUTE);
+
+  expect(env.timer.getStatus()).toMatchObject({
+    availableTime: 600,
+    expiringCredits: [],
+  });
+  env.timer.dispose();
+});
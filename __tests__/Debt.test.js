@@ -0,0 +1,102 @@
+/**
+ * @format
+ */
+
+import {createTestTimer} from '../src/testing';
+import {MINUTE, flush, useTestTimer} from './helpers';
+
+describe('TimerService overtime debt', () => {
+  const env = useTestTimer();
+
+  const named = name => env.events.filter(event => event.event === name);
+
+  test('is off by default, so use past expiry is not tracked', () => {
+    env.timer.addTimeCredits(60);
+    env.appStateSource.background();
+    env.clock.advance(5 * MINUTE);
+
+    expect(env.timer.getStatus()).toMatchObject({
+      availableTime: 0,
+      debt: 0,
+      isTimerRunning: false,
+    });
+  });
+
+  test('accrues debt past expiry up to the cap', async () => {
+    await env.timer.updateDebtConfig({enabled: true, cap: 10 * 60});
+    env.timer.addTimeCredits(60);
+    env.appStateSource.background();
+
+    env.clock.advance(4 * MINUTE);
+    expect(env.timer.getStatus()).toMatchObject({
+      availableTime: 0,
+      debt: 180,
+      isTimerRunning: true,
+    });
+    expect(named('timeExpired')).toHaveLength(1);
+    expect(named('timeExpired')[0]).toMatchObject({overtime: true});
+
+    env.clock.advance(20 * MINUTE);
+    expect(env.timer.getStatus()).toMatchObject({
+      debt: 600,
+      isTimerRunning: false,
+    });
+    expect(named('debtCapReached')).toHaveLength(1);
+
+    env.appStateSource.foreground();
+    expect(named('backgroundTimeProcessed')[0]).toMatchObject({
+      chargedDuration: 60,
+      overtimeDuration: 600,
+    });
+  });
+
+  test('new credits pay off the debt before the balance grows', async () => {
+    await env.timer.updateDebtConfig({enabled: true});
+    env.timer.addTimeCredits(60);
+    env.appStateSource.background();
+    env.clock.advance(3 * MINUTE);
+    env.appStateSource.foreground();
+    expect(env.timer.getStatus().debt).toBe(120);
+
+    env.timer.addTimeCredits(300);
+
+    expect(env.timer.getStatus()).toMatchObject({
+      availableTime: 180,
+      debt: 0,
+    });
+    expect(named('creditsAdded').pop()).toMatchObject({
+      amount: 300,
+      debtRepaid: 120,
+      newTotal: 180,
+    });
+
+    // Ledger amounts always add up to the balance minus the debt
+    const entries = await env.timer.getLedgerEntries();
+    expect(entries.map(entry => entry.type)).toEqual([
+      'grant',
+      'spend-session',
+      'overtime',
+      'grant',
+    ]);
+    expect(entries.reduce((sum, entry) => sum + entry.amount, 0)).toBe(180);
+  });
+
+  test('debt and settings survive a relaunch', async () => {
+    await env.timer.updateDebtConfig({enabled: true, cap: 300});
+    env.appStateSource.background();
+    env.clock.advance(2 * MINUTE);
+    env.appStateSource.foreground();
+    await flush();
+
+    const relaunched = await createTestTimer({
+      storage: env.storage,
+      clock: env.clock,
+    });
+
+    expect(relaunched.timer.getStatus()).toMatchObject({
+      debt: 120,
+      debtConfig: {enabled: true, cap: 300},
+    });
+    relaunched.timer.dispose();
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * @format
+ */
+
+import {
+  CLAIM_REJECTIONS,
+  EarningRulesService,
+} from '../src/services/EarningRulesService';
+import {createTestTimer} from '../src/testing';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+describe('EarningRulesService', () => {
+  let env;
+  let rules;
+  let reading;
+
+  beforeEach(async () => {
+    env = await createTestTimer();
+    rules = new EarningRulesService({
+      storage: env.storage,
+      clock: env.clock,
+      timer: env.timer,
+      parentAuth: env.services.parentAuth,
+    });
+    // 30 minutes of reading earns 15 minutes, at most 30 a day and 60 a week
+    reading = await rules.saveActivity({
+      name: 'Reading',
+      unit: 'minute',
+      ratio: 30,
+      dailyCap: 30 * 60,
+      weeklyCap: 60 * 60,
+    });
+  });
+
+  afterEach(() => {
+    env.timer.dispose();
+  });
+
+  test('credits claims with the activity as source', async () => {
+    await expect(rules.claim(reading.id, 30)).resolves.toMatchObject({
+      accepted: true,
+      credited: 15 * 60,
+    });
+    expect(env.timer.getStatus().availableTime).toBe(15 * 60);
+
+    const entries = await env.timer.getLedgerEntries();
+    expect(entries.pop()).toMatchObject({
+      type: 'grant',
+      source: `activity:${reading.id}`,
+      reason: 'Reading x30',
+    });
+  });
+
+  test('stops at the daily cap and starts again the next day', async () => {
+    await rules.claim(reading.id, 40);
+    await expect(rules.claim(reading.id, 30)).resolves.toMatchObject({
+      accepted: false,
+      reason: CLAIM_REJECTIONS.DAILY_CAP,
+      remaining: 10 * 60,
+    });
+
+    env.clock.jump(DAY);
+    await expect(rules.claim(reading.id, 30)).resolves.toMatchObject({
+      accepted: true,
+    });
+    expect(env.timer.getStatus().availableTime).toBe(35 * 60);
+  });
+
+  test('stops at the weekly cap', async () => {
+    for (let day = 0; day < 2; day++) {
+      await rules.claim(reading.id, 60);
+      env.clock.jump(DAY);
+    }
+
+    await expect(rules.claim(reading.id, 2)).resolves.toMatchObject({
+      accepted: false,
+      reason: CLAIM_REJECTIONS.WEEKLY_CAP,
+      remaining: 0,
+    });
+    expect(env.timer.getStatus().availableTime).toBe(60 * 60);
+  });
+
+  test('claims made at once cannot both pass a cap', async () => {
+    const results = await Promise.all([
+      rules.claim(reading.id, 60),
+      rules.claim(reading.id, 60),
+    ]);
+
+    expect(results.map(result => result.accepted)).toEqual([true, false]);
+    expect(env.timer.getStatus().availableTime).toBe(30 * 60);
+  });
+
+  test('refuses quantities that cannot be credited and saves nothing', async () => {
+    for (const quantity of [1.5, -3, 0, NaN, Infinity, '10']) {
+      await expect(rules.claim(reading.id, quantity)).resolves.toMatchObject({
+        accepted: false,
+        reason: CLAIM_REJECTIONS.INVALID_QUANTITY,
+      });
+    }
+    await rules.saveActivity({
+      id: reading.id,
+      ratio: 1e308,
+      dailyCap: null,
+      weeklyCap: null,
+    });
+    await expect(rules.claim(reading.id, 10)).resolves.toMatchObject({
+      accepted: false,
+      reason: CLAIM_REJECTIONS.INVALID_QUANTITY,
+    });
+
+    expect(await rules.getClaims()).toEqual([]);
+    expect(env.timer.getStatus().availableTime).toBe(0);
+  });
+
+  test('refuses claims during the cooldown', async () => {
+    await rules.saveActivity({id: reading.id, cooldown: 60 * 60});
+    await rules.claim(reading.id, 10);
+
+    const now = env.clock.now();
+    await expect(rules.claim(reading.id, 10)).resolves.toMatchObject({
+      accepted: false,
+      reason: CLAIM_REJECTIONS.COOLDOWN,
+      retryAt: now + 60 * MINUTE,
+    });
+  });
+
+  test('editing activities needs a parent session', async () => {
+    await env.services.parentAuth.setPin('1234');
+
+    await expect(
+      rules.saveActivity({id: reading.id, ratio: 60}),
+    ).rejects.toMatchObject({code: 'unauthorized'});
+    await expect(rules.removeActivity(reading.id)).rejects.toMatchObject({
+      code: 'unauthorized',
+    });
+
+    // Claims carry their own capability
+    await expect(rules.claim(reading.id, 10)).resolves.toMatchObject({
+      accepted: true,
+    });
+  });
+});
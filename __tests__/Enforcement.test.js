@@ -0,0 +1,131 @@
+/**
+ * @format
+ */
+
+import {EnforcementService} from '../src/services/EnforcementService';
+import {createTestTimer} from '../src/testing';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+describe('EnforcementService', () => {
+  let env;
+  let enforcement;
+  let events;
+
+  beforeEach(async () => {
+    env = await createTestTimer();
+    enforcement = new EnforcementService({
+      storage: env.storage,
+      clock: env.clock,
+      timer: env.timer,
+      parentAuth: env.services.parentAuth,
+      logger: env.services.logger,
+    });
+    await enforcement.start();
+    events = [];
+    enforcement.addEventListener(event => events.push(event));
+  });
+
+  afterEach(() => {
+    enforcement.stop();
+    env.timer.dispose();
+  });
+
+  const reminders = () =>
+    events.filter(event => event.event === 'enforcementReminder');
+
+  test('reminds at growing intervals of continued use', () => {
+    env.timer.addTimeCredits(60);
+    env.appStateSource.background();
+    env.clock.advance(MINUTE);
+    expect(enforcement.getStatus()).toMatchObject({
+      isActive: true,
+      overlayVisible: true,
+    });
+
+    // Reminders after 1, then 2 more, then 5 more minutes of use
+    env.clock.advance(8 * MINUTE);
+    expect(reminders().map(event => event.overuse)).toEqual([60, 180, 480]);
+  });
+
+  test('announces upcoming reminders so the OS can deliver them', () => {
+    env.timer.addTimeCredits(60);
+    env.appStateSource.background();
+    env.clock.advance(MINUTE);
+    const expiredAt = env.clock.now();
+
+    const scheduled = events
+      .filter(event => event.event === 'enforcementRemindersScheduled')
+      .pop();
+    expect(scheduled.reminders.slice(0, 4)).toEqual([
+      {reminder: 1, fireAt: expiredAt + MINUTE, overuse: 60},
+      {reminder: 2, fireAt: expiredAt + 3 * MINUTE, overuse: 180},
+      {reminder: 3, fireAt: expiredAt + 8 * MINUTE, overuse: 480},
+      {reminder: 4, fireAt: expiredAt + 18 * MINUTE, overuse: 1080},
+    ]);
+
+    // While suspended no timer ran, but the reminders were shown
+    env.clock.jump(8 * MINUTE);
+    env.lockEventSource.lock();
+    expect(enforcement.getStatus()).toMatchObject({reminders: 3, overuse: 480});
+    expect(events.pop()).toMatchObject({
+      event: 'enforcementRemindersCancelled',
+    });
+  });
+
+  test('locking pauses reminders and overuse', () => {
+    env.timer.addTimeCredits(60);
+    env.appStateSource.background();
+    env.clock.advance(MINUTE + 30 * SECOND);
+
+    env.lockEventSource.lock();
+    env.clock.advance(30 * MINUTE);
+    expect(reminders()).toHaveLength(0);
+    expect(enforcement.getStatus().overuse).toBe(30);
+
+    env.lockEventSource.unlock();
+    env.clock.advance(30 * SECOND);
+    expect(reminders()).toHaveLength(1);
+  });
+
+  test('reports overuse once time is back and keeps the overlay for a parent', async () => {
+    await env.services.parentAuth.setPin('1234');
+    await env.services.parentAuth.unlock('1234');
+    env.timer.addTimeCredits(60);
+    env.appStateSource.background();
+    env.clock.advance(4 * MINUTE);
+
+    // The parent session has timed out by now; allowance needs none
+    env.timer.addTimeCredits(600, {
+      source: 'allowance',
+      capability: env.services.allowance.capability,
+    });
+    expect(enforcement.getReports()).toEqual([
+      expect.objectContaining({reason: 'balance', overuse: 180, reminders: 2}),
+    ]);
+    expect(enforcement.getStatus()).toMatchObject({
+      isActive: false,
+      overlayVisible: true,
+      overuse: 180,
+    });
+
+    await expect(enforcement.dismissOverlay()).rejects.toThrow();
+    expect(enforcement.getStatus()).not.toBeNull();
+
+    await env.services.parentAuth.unlock('1234');
+    await enforcement.dismissOverlay();
+    expect(enforcement.getStatus()).toBeNull();
+  });
+
+  test('an episode without overuse clears itself', () => {
+    env.timer.addTimeCredits(60);
+    env.appStateSource.background();
+    env.clock.advance(MINUTE);
+    env.appStateSource.foreground();
+
+    env.timer.addTimeCredits(60);
+    expect(enforcement.getStatus()).toBeNull();
+    expect(enforcement.getReports()[0]).toMatchObject({overuse: 0});
+  });
+});
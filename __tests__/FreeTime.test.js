@@ -0,0 +1,146 @@
+/**
+ * @format
+ */
+
+import {FreeTimeService} from '../src/services/FreeTimeService';
+import {FakeClock, MemoryStorage} from '../src/testing';
+import {MINUTE, SECOND, at, flush, useTestTimer} from './helpers';
+
+describe('FreeTimeService', () => {
+  let service;
+
+  beforeEach(async () => {
+    service = new FreeTimeService({
+      storage: new MemoryStorage(),
+      clock: new FakeClock(),
+    });
+    await service.load();
+  });
+
+  test('matches windows on their start day, including past midnight', async () => {
+    await service.setWindows([
+      {name: 'Movie night', days: [5], startTime: '22:00', endTime: '01:00'},
+    ]);
+
+    // Friday 22:30 and the following Saturday 00:30 are inside
+    expect(service.getActiveAt(at(4, 22, 30))).toMatchObject({
+      kind: 'window',
+      name: 'Movie night',
+      start: at(4, 22),
+      end: at(5, 1),
+    });
+    expect(service.getActiveAt(at(5, 0, 30))).not.toBeNull();
+    // Saturday night is not a Friday start
+    expect(service.getActiveAt(at(5, 22, 30))).toBeNull();
+  });
+
+  test('finds the next boundary across days', async () => {
+    await service.setWindows([
+      {name: 'Weekend', days: [6], startTime: '10:00', endTime: '12:00'},
+    ]);
+
+    expect(service.getNextBoundary(at(0, 9))).toBe(at(5, 10));
+    expect(service.getNextBoundary(at(5, 11))).toBe(at(5, 12));
+  });
+
+  test('rejects malformed windows', async () => {
+    await expect(
+      service.setWindows([
+        {name: 'Broken', days: [7], startTime: '10:00', endTime: '11:00'},
+      ]),
+    ).rejects.toThrow('Invalid free time window');
+  });
+});
+
+describe('TimerService free time', () => {
+  const env = useTestTimer();
+
+  const eventNames = () =>
+    env.events.map(event => event.event).filter(name => name !== 'timeUpdate');
+
+  test('pauses charging during a scheduled window', async () => {
+    await env.timer.setFreeTimeWindows([
+      {name: 'Homework', days: [1], startTime: '09:01', endTime: '09:03'},
+    ]);
+    env.timer.addTimeCredits(600);
+    env.appStateSource.background();
+
+    env.clock.advance(MINUTE);
+    expect(env.timer.getStatus()).toMatchObject({
+      availableTime: 540,
+      isTimerRunning: false,
+      freeTime: {name: 'Homework'},
+    });
+
+    env.clock.advance(2 * MINUTE);
+    expect(env.timer.isTimerRunning).toBe(true);
+    env.clock.advance(MINUTE);
+    env.appStateSource.foreground();
+
+    expect(env.timer.getStatus().availableTime).toBe(480);
+    expect(eventNames()).toEqual(
+      expect.arrayContaining(['freeTimeStarted', 'freeTimeEnded']),
+    );
+    expect(
+      env.events.find(event => event.event === 'backgroundTimeProcessed'),
+    ).toMatchObject({
+      backgroundDuration: 120,
+      freeDuration: 120,
+      chargedDuration: 120,
+    });
+  });
+
+  test('a pass stops charging straight away and ends on its own', async () => {
+    env.timer.addTimeCredits(600);
+    env.appStateSource.background();
+    env.clock.advance(MINUTE);
+
+    await env.timer.startFreeTimePass(30 * 60);
+    expect(env.timer.isTimerRunning).toBe(false);
+
+    env.clock.advance(30 * MINUTE);
+    expect(env.timer.getStatus().freeTime).toBeNull();
+    expect(env.timer.isTimerRunning).toBe(true);
+    expect(env.timer.getStatus().availableTime).toBe(540);
+  });
+
+  test('passes need a parent session or a capability', async () => {
+    const {parentAuth} = env.services;
+    await parentAuth.setPin('1234');
+    await expect(env.timer.startFreeTimePass(30 * 60)).rejects.toMatchObject({
+      code: 'unauthorized',
+    });
+
+    const capability = parentAuth.createCapability('sync');
+    const pass = await env.timer.startFreeTimePass(30 * 60, {
+      source: 'sync:pass-1',
+      capability,
+    });
+    expect(env.timer.getStatus().freeTime).not.toBeNull();
+
+    await expect(env.timer.cancelFreeTimePass(pass.id)).rejects.toMatchObject({
+      code: 'unauthorized',
+    });
+    await env.timer.cancelFreeTimePass(pass.id, {
+      source: 'sync:pass-1',
+      capability,
+    });
+    expect(env.timer.getStatus().freeTime).toBeNull();
+  });
+
+  test('a window start noticed late is charged only up to the boundary', async () => {
+    await env.timer.setFreeTimeWindows([
+      {name: 'Homework', days: [1], startTime: '09:01', endTime: '10:00'},
+    ]);
+    env.timer.addTimeCredits(600);
+    env.appStateSource.background();
+
+    // JS is suspended over the boundary; the next tick catches up
+    env.clock.jump(5 * MINUTE);
+    env.clock.advance(SECOND);
+    await flush();
+
+    expect(env.timer.isTimerRunning).toBe(false);
+    expect(env.timer.getStatus().availableTime).toBe(540);
+  });
+});
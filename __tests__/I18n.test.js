@@ -0,0 +1,124 @@
+/**
+ * @format
+ */
+
+import {
+  DURATION_STYLES,
+  formatDuration,
+  resolveLanguage,
+  translate,
+} from '../src/i18n';
+import {I18nService} from '../src/services/I18nService';
+import {
+  NOTIFICATION_ACTIONS,
+  getActionForLabel,
+} from '../src/services/NotificationActionRouter';
+import {MemoryStorage} from '../src/testing';
+
+describe('formatDuration', () => {
+  test.each([
+    [3900, DURATION_STYLES.CLOCK, 'en', '1:05:00'],
+    [65, DURATION_STYLES.CLOCK, 'en', '1:05'],
+    [3900, DURATION_STYLES.SHORT, 'en', '1h 5m'],
+    [3900, DURATION_STYLES.LONG, 'en', '1 hour 5 minutes'],
+    [7201, DURATION_STYLES.LONG, 'en', '2 hours 1 second'],
+    [0, DURATION_STYLES.LONG, 'en', '0 seconds'],
+    [-90, DURATION_STYLES.SHORT, 'en', '-1m 30s'],
+    [3900, DURATION_STYLES.SHORT, 'de', '1 Std. 5 Min.'],
+    [7200, DURATION_STYLES.LONG, 'de', '2 Stunden'],
+    [60, DURATION_STYLES.LONG, 'pl', '1 minuta'],
+    [180, DURATION_STYLES.LONG, 'pl', '3 minuty'],
+    [300, DURATION_STYLES.LONG, 'pl', '5 minut'],
+    [720, DURATION_STYLES.LONG, 'pl', '12 minut'],
+    [1320, DURATION_STYLES.LONG, 'pl', '22 minuty'],
+  ])('%i seconds as %s in %s is %s', (seconds, style, language, expected) => {
+    expect(formatDuration(seconds, style, language)).toBe(expected);
+  });
+});
+
+describe('translate', () => {
+  test('picks the plural form for count', () => {
+    expect(translate('en', 'warningMinutesTitle', {count: 1})).toBe(
+      '⏰ 1 Minute Remaining',
+    );
+    expect(translate('en', 'warningMinutesTitle', {count: 5})).toBe(
+      '⏰ 5 Minutes Remaining',
+    );
+    expect(translate('fr', 'warningSecondsTitle', {count: 0})).toBe(
+      '⚠️ Plus que 0 seconde',
+    );
+    expect(translate('pl', 'warningSecondsTitle', {count: 24})).toBe(
+      '⚠️ Zostały 24 sekundy',
+    );
+  });
+
+  test('falls back to English, then to the key', () => {
+    expect(translate('xx', 'expiredTitle')).toBe('⌛ Time Expired');
+    expect(translate('de', 'noSuchMessage')).toBe('noSuchMessage');
+  });
+
+  test('resolves device locales to supported languages', () => {
+    expect(resolveLanguage('pl-PL')).toBe('pl');
+    expect(resolveLanguage('es_419')).toBe('es');
+    expect(resolveLanguage('ja-JP')).toBeNull();
+  });
+});
+
+describe('I18nService', () => {
+  let storage;
+  let deviceLocale;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+    deviceLocale = 'de-AT';
+  });
+
+  const createService = () =>
+    new I18nService({storage, deviceLocale: () => deviceLocale});
+
+  test('follows the device unless overridden', async () => {
+    const i18n = createService();
+    await i18n.load();
+    expect(i18n.getLanguage()).toBe('de');
+
+    deviceLocale = 'ja-JP';
+    expect(i18n.getLanguage()).toBe('en');
+
+    await i18n.setLanguage('es');
+    expect(i18n.t('expiredTitle')).toBe('⌛ Se acabó el tiempo');
+    expect(i18n.formatDuration(90, DURATION_STYLES.LONG)).toBe(
+      '1 minuto 30 segundos',
+    );
+  });
+
+  test('the override is persisted and can be cleared', async () => {
+    const listener = jest.fn();
+    const first = createService();
+    first.addEventListener(listener);
+    await first.setLanguage('fr');
+    expect(listener).toHaveBeenCalledWith({language: 'fr', override: 'fr'});
+
+    const relaunched = createService();
+    expect(await relaunched.load()).toBe('fr');
+
+    await relaunched.setLanguage(null);
+    expect(relaunched.getLanguage()).toBe('de');
+    expect(await storage.getItem('@language')).toBeNull();
+  });
+
+  test('rejects unsupported languages', async () => {
+    await expect(createService().setLanguage('ja')).rejects.toThrow(
+      'Unsupported language: ja',
+    );
+  });
+});
+
+test('translated action labels map back to their action', () => {
+  expect(getActionForLabel('Später erinnern')).toBe(
+    NOTIFICATION_ACTIONS.SNOOZE_WARNING,
+  );
+  expect(getActionForLabel(NOTIFICATION_ACTIONS.OPEN_APP)).toBe(
+    NOTIFICATION_ACTIONS.OPEN_APP,
+  );
+  expect(getActionForLabel('Something else')).toBe('Something else');
+});
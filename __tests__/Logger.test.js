@@ -0,0 +1,113 @@
+/**
+ * @format
+ */
+
+import {Logger, formatLogEntry} from '../src/services/Logger';
+import {MemoryStorage, FakeClock} from '../src/testing';
+
+describe('Logger', () => {
+  let storage;
+  let clock;
+  let logger;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+    clock = new FakeClock();
+    logger = new Logger({storage, clock, echo: false});
+  });
+
+  test('records level, subsystem, message and structured fields', async () => {
+    logger.tag('timer').info('Added time', {seconds: 60, balance: 360});
+
+    const [entry] = await logger.getEntries();
+    expect(entry).toMatchObject({
+      level: 'info',
+      subsystem: 'timer',
+      message: 'Added time',
+      fields: {seconds: 60, balance: 360},
+      timestamp: clock.now(),
+    });
+  });
+
+  test('keeps the message and stack of logged errors', async () => {
+    logger.error('storage', 'Write failed', {error: new Error('disk full')});
+
+    const [entry] = await logger.getEntries();
+    expect(entry.fields.error).toMatchObject({
+      name: 'Error',
+      message: 'disk full',
+    });
+    expect(entry.fields.error.stack).toEqual(expect.any(String));
+  });
+
+  test('filters by minimum level and subsystem', async () => {
+    logger.debug('timer', 'tick');
+    logger.info('timer', 'Starting timer');
+    logger.warn('notifications', 'Not initialized');
+    logger.error('timer', 'Error saving time');
+
+    const warnings = await logger.getEntries({minLevel: 'warn'});
+    expect(warnings.map(entry => entry.message)).toEqual([
+      'Not initialized',
+      'Error saving time',
+    ]);
+
+    const timer = await logger.getEntries({
+      minLevel: 'info',
+      subsystems: ['timer'],
+    });
+    expect(timer.map(entry => entry.message)).toEqual([
+      'Starting timer',
+      'Error saving time',
+    ]);
+    expect(await logger.getSubsystems()).toEqual(['notifications', 'timer']);
+  });
+
+  test('drops the oldest entries once the size cap is reached', async () => {
+    logger = new Logger({storage, clock, echo: false, maxBytes: 2000});
+    for (let i = 0; i < 50; i++) {
+      logger.info('timer', `entry ${i}`, {i});
+    }
+
+    const entries = await logger.getEntries();
+    expect(entries.length).toBeLessThan(50);
+    expect(entries[entries.length - 1].message).toBe('entry 49');
+    expect(JSON.stringify(entries).length).toBeLessThanOrEqual(2000);
+  });
+
+  test('persists across restarts and keeps entries logged before loading', async () => {
+    logger.info('timer', 'before restart');
+    await logger.flush();
+
+    const relaunched = new Logger({storage, clock, echo: false});
+    relaunched.info('timer', 'after restart');
+
+    const entries = await relaunched.getEntries();
+    expect(entries.map(entry => entry.message)).toEqual([
+      'before restart',
+      'after restart',
+    ]);
+    expect(entries[1].seq).toBeGreaterThan(entries[0].seq);
+  });
+
+  test('exports one readable line per entry', async () => {
+    logger.warn('timer', 'Recovered open session', {charged: 50});
+
+    const text = await logger.exportText();
+    expect(text).toBe(formatLogEntry((await logger.getEntries())[0]));
+    expect(text).toMatch(
+      /^\d{4}-\d\d-\d\dT.*Z WARN \[timer\] Recovered open session {"charged":50}$/,
+    );
+  });
+
+  test('clear empties the stored log and notifies listeners', async () => {
+    const listener = jest.fn();
+    logger.addEventListener(listener);
+    logger.info('ui', 'Timer reset');
+    await logger.clear();
+
+    expect(await logger.getEntries()).toEqual([]);
+    expect(JSON.parse(await storage.getItem('@app_log'))).toEqual([]);
+    expect(listener).toHaveBeenLastCalledWith(null);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * @format
+ */
+
+import PushNotification from 'react-native-push-notification';
+import {NotificationCoordinator} from '../src/services/NotificationCoordinator';
+import NotificationService from '../src/services/NotificationService';
+import {
+  NOTIFICATION_ACTIONS,
+  NOTIFICATION_PAYLOAD_TYPES,
+  NotificationActionRouter,
+} from '../src/services/NotificationActionRouter';
+import {TimeRequestService} from '../src/services/TimeRequestService';
+import {EnforcementService} from '../src/services/EnforcementService';
+import {MINUTE, flush, useTestTimer} from './helpers';
+
+describe('NotificationCoordinator', () => {
+  const env = useTestTimer();
+  let router;
+  let timeRequests;
+  let enforcement;
+  let coordinator;
+
+  // What was handed to the OS since the mocks were last cleared, by payload type
+  const scheduled = type =>
+    PushNotification.localNotificationSchedule.mock.calls
+      .map(([notification]) => notification)
+      .filter(notification => notification.userInfo.type === type);
+  const shown = type =>
+    PushNotification.localNotification.mock.calls
+      .map(([notification]) => notification)
+      .filter(notification => notification.userInfo.type === type);
+  const cancelled = () =>
+    PushNotification.cancelLocalNotification.mock.calls.map(([id]) => id);
+
+  beforeEach(async () => {
+    NotificationService.cancelAllNotifications();
+    jest.clearAllMocks();
+
+    const dependencies = {
+      storage: env.storage,
+      clock: env.clock,
+      timer: env.timer,
+      parentAuth: env.services.parentAuth,
+      logger: env.services.logger,
+    };
+    router = new NotificationActionRouter();
+    timeRequests = new TimeRequestService(dependencies);
+    enforcement = new EnforcementService(dependencies);
+    await enforcement.start();
+    coordinator = new NotificationCoordinator({
+      timer: env.timer,
+      router,
+      timeRequests,
+      enforcement,
+      logger: env.services.logger,
+    });
+    coordinator.start();
+  });
+
+  afterEach(() => {
+    coordinator.stop();
+    enforcement.stop();
+  });
+
+  test('tracking schedules warnings and the expiry, stopping cancels them', () => {
+    env.timer.addTimeCredits(10 * 60);
+    env.appStateSource.background();
+
+    const warnings = scheduled(NOTIFICATION_PAYLOAD_TYPES.TIME_WARNING);
+    expect(warnings.map(warning => warning.userInfo.secondsRemaining)).toEqual([
+      300, 60, 30,
+    ]);
+    expect(scheduled(NOTIFICATION_PAYLOAD_TYPES.TIME_EXPIRED)).toHaveLength(1);
+
+    env.appStateSource.foreground();
+    expect(cancelled()).toEqual([
+      ...warnings.map(warning => warning.id),
+      '999',
+    ]);
+  });
+
+  test('credits added in the background are announced and rescheduled', () => {
+    env.timer.addTimeCredits(10 * 60);
+    env.appStateSource.background();
+    jest.clearAllMocks();
+
+    env.timer.addTimeCredits(5 * 60, {reason: 'chores'});
+
+    expect(shown(NOTIFICATION_PAYLOAD_TYPES.TIME_ADDED)).toHaveLength(1);
+    expect(
+      scheduled(NOTIFICATION_PAYLOAD_TYPES.TIME_WARNING).map(
+        warning => warning.userInfo.secondsRemaining,
+      ),
+    ).toEqual([300, 60, 30]);
+    expect(cancelled()).toHaveLength(4);
+  });
+
+  test("running out shows time's up right away", () => {
+    env.timer.addTimeCredits(60);
+    env.appStateSource.background();
+    env.clock.advance(MINUTE);
+
+    expect(shown(NOTIFICATION_PAYLOAD_TYPES.TIME_EXPIRED)).toHaveLength(1);
+  });
+
+  test('the request action queues a time request until stopped', async () => {
+    const requestMoreTime = {
+      action: NOTIFICATION_ACTIONS.REQUEST_MORE_TIME,
+      userInfo: {type: NOTIFICATION_PAYLOAD_TYPES.TIME_WARNING},
+    };
+
+    expect(router.handleAction(requestMoreTime)).toBe(true);
+    await flush();
+    expect(await timeRequests.getPendingRequests()).toEqual([
+      expect.objectContaining({seconds: 5 * 60, origin: 'notification'}),
+    ]);
+
+    coordinator.stop();
+    expect(router.handleAction(requestMoreTime)).toBe(false);
+  });
+});
+
+test('a balance with nothing left still cancels the warnings', () => {
+  NotificationService.scheduleTimeWarnings(10 * 60);
+  const ids = [...NotificationService.scheduledWarningIds];
+  PushNotification.cancelLocalNotification.mockClear();
+
+  NotificationService.scheduleTimeWarnings(0);
+
+  expect(ids).toHaveLength(3);
+  expect(
+    PushNotification.cancelLocalNotification.mock.calls.map(([id]) => id),
+  ).toEqual(ids);
+});
@@ -0,0 +1,97 @@
+/**
+ * @format
+ */
+
+import {
+  DEFAULT_NOTIFICATION_PREFERENCES,
+  NOTIFICATION_TYPES,
+  QUIET_HOURS_MODES,
+  computeWarningSchedule,
+  getQuietHoursEnd,
+} from '../src/services/NotificationPreferences';
+import {at} from './helpers';
+
+const preferences = ({quietHours = {}, ...changes} = {}) => ({
+  ...DEFAULT_NOTIFICATION_PREFERENCES,
+  ...changes,
+  quietHours: {
+    ...DEFAULT_NOTIFICATION_PREFERENCES.quietHours,
+    enabled: true,
+    ...quietHours,
+  },
+});
+
+describe('computeWarningSchedule', () => {
+  test('fires each threshold before expiry, skipping those beyond the balance', () => {
+    const now = at(0, 12);
+
+    expect(computeWarningSchedule(200, preferences(), now)).toEqual([
+      {fireAt: now + 140 * 1000, secondsRemaining: 60},
+      {fireAt: now + 170 * 1000, secondsRemaining: 30},
+    ]);
+  });
+
+  test('defers warnings in quiet hours to their end with what is left then', () => {
+    // Runs out at 07:10; the 15 minute warning would be at 06:55
+    const schedule = computeWarningSchedule(
+      40 * 60,
+      preferences({warningThresholds: [900, 300]}),
+      at(0, 6, 30),
+    );
+
+    expect(schedule).toEqual([
+      {fireAt: at(0, 7), secondsRemaining: 600},
+      {fireAt: at(0, 7, 5), secondsRemaining: 300},
+    ]);
+  });
+
+  test('collapses several deferred warnings into one', () => {
+    const schedule = computeWarningSchedule(
+      40 * 60,
+      preferences({warningThresholds: [1200, 900]}),
+      at(0, 6, 30),
+    );
+
+    expect(schedule).toEqual([{fireAt: at(0, 7), secondsRemaining: 600}]);
+  });
+
+  test('drops deferred warnings that would land after expiry', () => {
+    // Runs out at 21:10, long before quiet hours end
+    expect(
+      computeWarningSchedule(20 * 60, preferences(), at(0, 20, 50)),
+    ).toEqual([]);
+  });
+
+  test('suppress mode drops warnings in quiet hours', () => {
+    const schedule = computeWarningSchedule(
+      40 * 60,
+      preferences({
+        warningThresholds: [900, 300],
+        quietHours: {mode: QUIET_HOURS_MODES.SUPPRESS},
+      }),
+      at(0, 6, 30),
+    );
+
+    expect(schedule).toEqual([{fireAt: at(0, 7, 5), secondsRemaining: 300}]);
+  });
+
+  test('schedules nothing when warnings are switched off', () => {
+    const prefs = preferences({
+      types: {
+        ...DEFAULT_NOTIFICATION_PREFERENCES.types,
+        [NOTIFICATION_TYPES.WARNING]: false,
+      },
+    });
+
+    expect(computeWarningSchedule(600, prefs, at(0, 12))).toEqual([]);
+  });
+});
+
+test('getQuietHoursEnd finds the end of overnight quiet hours', () => {
+  expect(getQuietHoursEnd(preferences(), at(0, 22))).toBe(at(1, 7));
+  expect(getQuietHoursEnd(preferences(), at(1, 6, 59))).toBe(at(1, 7));
+  expect(getQuietHoursEnd(preferences(), at(0, 12))).toBeNull();
+  expect(
+    getQuietHoursEnd(preferences({quietHours: {enabled: false}}), at(0, 22)),
+  ).toBeNull();
+});
@@ -0,0 +1,165 @@
+/**
+ * @format
+ */
+
+import {
+  AUTH_OUTCOMES,
+  LOCKOUT_MS,
+  MAX_FAILED_ATTEMPTS,
+  ParentAuthService,
+  UNLOCK_TIMEOUT_MS,
+} from '../src/services/ParentAuthService';
+import {Logger} from '../src/services/Logger';
+import {FakeClock, MemoryStorage} from '../src/testing';
+import {SECOND, flush} from './helpers';
+
+describe('ParentAuthService', () => {
+  let storage;
+  let clock;
+  let auth;
+
+  const createService = () =>
+    new ParentAuthService({
+      storage,
+      clock,
+      logger: new Logger({storage, clock, echo: false}),
+    });
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    clock = new FakeClock();
+    auth = createService();
+    await auth.load();
+  });
+
+  const expectError = async (promise, code) => {
+    await expect(promise).rejects.toMatchObject({
+      name: 'ParentAuthError',
+      code,
+    });
+  };
+
+  test('everything is allowed until a PIN is set', async () => {
+    expect(() => auth.authorize('add time')).not.toThrow();
+
+    await auth.setPin('1234');
+    expect(() => auth.authorize('add time')).toThrow(
+      expect.objectContaining({code: 'unauthorized'}),
+    );
+  });
+
+  test('an unlocked session times out after a quiet spell', async () => {
+    await auth.setPin('1234');
+    await auth.unlock('1234');
+
+    // Each use pushes the timeout back
+    clock.jump(UNLOCK_TIMEOUT_MS - SECOND);
+    auth.authorize('add time');
+    clock.jump(UNLOCK_TIMEOUT_MS - SECOND);
+    expect(() => auth.authorize('add time')).not.toThrow();
+
+    clock.jump(UNLOCK_TIMEOUT_MS);
+    expect(auth.isUnlocked()).toBe(false);
+    expect(() => auth.authorize('add time')).toThrow();
+  });
+
+  test('locks out after too many wrong PINs, also across a relaunch', async () => {
+    await auth.setPin('1234');
+
+    for (let attempt = 1; attempt < MAX_FAILED_ATTEMPTS; attempt++) {
+      await expect(auth.unlock('0000')).rejects.toMatchObject({
+        code: 'wrong-pin',
+        attemptsLeft: MAX_FAILED_ATTEMPTS - attempt,
+      });
+    }
+    await expect(auth.unlock('0000')).rejects.toMatchObject({
+      code: 'locked-out',
+      lockedUntil: clock.now() + LOCKOUT_MS,
+    });
+
+    // The right PIN does not help while locked out, nor does restarting
+    await expectError(auth.unlock('1234'), 'locked-out');
+    const relaunched = createService();
+    await expectError(relaunched.unlock('1234'), 'locked-out');
+
+    clock.jump(LOCKOUT_MS);
+    await relaunched.unlock('1234');
+    expect(relaunched.isUnlocked()).toBe(true);
+  });
+
+  test('changing the PIN needs the current one', async () => {
+    await auth.setPin('1234');
+    await expectError(auth.setPin('5678'), 'unauthorized');
+    await expectError(auth.setPin('12'), 'invalid-pin');
+
+    await auth.unlock('1234');
+    await auth.setPin('5678');
+    auth.lock();
+    await expectError(auth.unlock('1234'), 'wrong-pin');
+    await auth.unlock('5678');
+  });
+
+  test('capabilities only cover their own kind and issuer', async () => {
+    await auth.setPin('1234');
+    const capability = auth.createCapability('voucher');
+    const foreign = createService().createCapability('voucher');
+
+    expect(() =>
+      auth.authorize('add time', {source: 'voucher:abc', capability}),
+    ).not.toThrow();
+    expect(() =>
+      auth.authorize('add time', {source: 'sync:abc', capability}),
+    ).toThrow(expect.objectContaining({code: 'unauthorized'}));
+    expect(() =>
+      auth.authorize('add time', {
+        source: 'voucher:abc',
+        capability: {kind: 'voucher'},
+      }),
+    ).toThrow();
+    expect(() =>
+      auth.authorize('add time', {source: 'voucher:abc', capability: foreign}),
+    ).toThrow();
+    expect(() => auth.createCapability('manual')).toThrow();
+  });
+
+  test('every decision is written to the auth log', async () => {
+    auth.authorize('add time', {source: 'manual'});
+    await auth.setPin('1234');
+    expect(() => auth.authorize('remove time')).toThrow();
+    await expectError(auth.unlock('0000'), 'wrong-pin');
+    await auth.unlock('1234');
+    auth.lock();
+    await flush();
+
+    const log = await createService().getLog();
+    expect(log.map(entry => [entry.outcome, entry.operation])).toEqual([
+      [AUTH_OUTCOMES.GRANTED, 'add time'],
+      [AUTH_OUTCOMES.PIN_CHANGED, 'setPin'],
+      [AUTH_OUTCOMES.DENIED, 'remove time'],
+      [AUTH_OUTCOMES.UNLOCK_FAILED, 'unlock'],
+      [AUTH_OUTCOMES.UNLOCKED, 'unlock'],
+      [AUTH_OUTCOMES.LOCKED, 'lock'],
+    ]);
+    expect(log[0]).toMatchObject({source: 'manual', via: 'no-pin'});
+    expect(log[3]).toMatchObject({attemptsLeft: MAX_FAILED_ATTEMPTS - 1});
+  });
+
+  test('records made before the log has loaded are all kept', async () => {
+    auth.authorize('add time', {source: 'manual'});
+    await flush();
+
+    // Back to back on a freshly launched service, as at startup
+    const relaunched = createService();
+    await relaunched.load();
+    relaunched.authorize('remove time', {source: 'allowance'});
+    relaunched.authorize('add time', {source: 'allowance'});
+    await flush();
+
+    const log = await createService().getLog();
+    expect(log.map(entry => [entry.operation, entry.source])).toEqual([
+      ['add time', 'manual'],
+      ['remove time', 'allowance'],
+      ['add time', 'allowance'],
+    ]);
+  });
+});
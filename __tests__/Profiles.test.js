@@ -0,0 +1,87 @@
+/**
+ * @format
+ */
+
+import {
+  DEFAULT_PROFILE_ID,
+  getProfileKey,
+} from '../src/services/ProfileService';
+import {useTestTimer} from './helpers';
+
+describe('ProfileService', () => {
+  const env = useTestTimer();
+
+  const profiles = () => env.services.profiles;
+
+  const expectUnauthorized = async promise => {
+    await expect(promise).rejects.toMatchObject({
+      name: 'ParentAuthError',
+      code: 'unauthorized',
+    });
+  };
+
+  test('the default profile keeps the original keys', () => {
+    expect(getProfileKey('@timer_remaining', DEFAULT_PROFILE_ID)).toBe(
+      '@timer_remaining',
+    );
+    expect(getProfileKey('@timer_remaining', 'kid')).toBe(
+      '@timer_remaining:kid',
+    );
+  });
+
+  test('creating, renaming and deleting need a parent session', async () => {
+    const {id} = await profiles().createProfile('Kid');
+    await env.services.parentAuth.setPin('1234');
+
+    await expectUnauthorized(profiles().createProfile('Other'));
+    await expectUnauthorized(profiles().renameProfile(id, 'Kiddo'));
+    await expectUnauthorized(profiles().deleteProfile(id));
+    await expectUnauthorized(env.timer.switchProfile(id));
+    expect((await profiles().getProfiles()).map(p => p.name)).toEqual([
+      'Default',
+      'Kid',
+    ]);
+
+    await env.services.parentAuth.unlock('1234');
+    await profiles().renameProfile(id, 'Kiddo');
+    await profiles().deleteProfile(id);
+    expect((await profiles().getProfiles()).map(p => p.name)).toEqual([
+      'Default',
+    ]);
+  });
+
+  test('switching keeps each profile balance under its own keys', async () => {
+    const {id} = await profiles().createProfile('Kid');
+    env.timer.addTimeCredits(600);
+
+    await env.timer.switchProfile(id);
+    expect(env.timer.getStatus().availableTime).toBe(0);
+    env.timer.addTimeCredits(300);
+
+    await env.timer.switchProfile(DEFAULT_PROFILE_ID);
+    expect(env.timer.getStatus().availableTime).toBe(600);
+    expect(await env.storage.getItem('@timer_remaining')).toBe('600');
+    expect(await env.storage.getItem(`@timer_remaining:${id}`)).toBe('300');
+  });
+
+  test('deleting a profile removes its keys and nothing else', async () => {
+    const {id} = await profiles().createProfile('Kid');
+    env.timer.addTimeCredits(600);
+    await env.timer.switchProfile(id);
+    env.timer.addTimeCredits(300);
+
+    await expect(profiles().deleteProfile(id)).rejects.toThrow(
+      'Switch to another profile',
+    );
+    await expect(profiles().deleteProfile(DEFAULT_PROFILE_ID)).rejects.toThrow(
+      'cannot be deleted',
+    );
+
+    await env.timer.switchProfile(DEFAULT_PROFILE_ID);
+    await profiles().deleteProfile(id);
+
+    const keys = await env.storage.getAllKeys();
+    expect(keys.filter(key => key.endsWith(`:${id}`))).toEqual([]);
+    expect(await env.storage.getItem('@timer_remaining')).toBe('600');
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * @format
+ */
+
+import {MINUTE, at, useTestTimer} from './helpers';
+
+describe('TimerService restrictions', () => {
+  const env = useTestTimer();
+
+  const expiries = () =>
+    env.events.filter(event => event.event === 'timeExpired');
+
+  test('use during a restriction is never charged and is reported as expiry', async () => {
+    await env.timer.setRestrictions([
+      {
+        name: 'School',
+        days: [1, 2, 3, 4, 5],
+        startTime: '08:00',
+        endTime: '15:00',
+      },
+    ]);
+    env.timer.addTimeCredits(3600);
+    env.appStateSource.background();
+    env.clock.advance(10 * MINUTE);
+
+    expect(env.timer.getStatus()).toMatchObject({
+      availableTime: 3600,
+      isTimerRunning: false,
+      restriction: {name: 'School', end: at(0, 15)},
+    });
+    expect(expiries()).toHaveLength(1);
+    expect(expiries()[0]).toMatchObject({
+      reason: 'restriction',
+      restriction: {name: 'School'},
+      availableTime: 3600,
+    });
+  });
+
+  test('a restriction starting mid-session stops it and lifts on time', async () => {
+    await env.timer.setRestrictions([
+      {name: 'Bedtime', days: [1], startTime: '09:05', endTime: '09:10'},
+    ]);
+    env.timer.addTimeCredits(3600);
+    env.appStateSource.background();
+
+    env.clock.advance(5 * MINUTE);
+    expect(env.timer.isTimerRunning).toBe(false);
+    expect(env.timer.getStatus().availableTime).toBe(3300);
+
+    env.clock.advance(5 * MINUTE);
+    expect(env.timer.getStatus().restriction).toBeNull();
+    expect(env.timer.isTimerRunning).toBe(true);
+
+    expect(
+      env.events
+        .map(event => event.event)
+        .filter(
+          name => name.startsWith('restriction') || name === 'timeExpired',
+        ),
+    ).toEqual(['restrictionStarted', 'timeExpired', 'restrictionEnded']);
+  });
+
+  test('each stretch of use during a restriction is reported once', async () => {
+    await env.timer.setRestrictions([
+      {
+        name: 'Bedtime',
+        days: [0, 1, 2, 3, 4, 5, 6],
+        startTime: '08:00',
+        endTime: '10:00',
+      },
+    ]);
+    env.appStateSource.background();
+    env.clock.advance(MINUTE);
+    expect(expiries()).toHaveLength(1);
+
+    env.lockEventSource.lock();
+    env.clock.advance(MINUTE);
+    env.lockEventSource.unlock();
+    env.clock.advance(MINUTE);
+
+    expect(expiries()).toHaveLength(2);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * @format
+ */
+
+import {
+  CURRENT_SCHEMA_VERSION,
+  StorageMigrations,
+} from '../src/services/StorageMigrations';
+import {SCHEMA_VERSION_KEY} from '../src/services/StorageSchema';
+import {LEDGER_ENTRY_TYPES} from '../src/services/CreditLedger';
+import {FakeClock, MemoryStorage, createTestTimer} from '../src/testing';
+
+const ledgerEntry = (amount, balance) => ({
+  id: `entry-${balance}`,
+  type: 'grant',
+  amount,
+  balance,
+  timestamp: 0,
+});
+
+describe('StorageMigrations', () => {
+  let migrations;
+  let now;
+
+  beforeEach(() => {
+    migrations = new StorageMigrations();
+    now = new FakeClock().now();
+  });
+
+  const read = async (storage, key) => JSON.parse(await storage.getItem(key));
+
+  test('records opening balances for data saved before the ledger', async () => {
+    const storage = new MemoryStorage({
+      '@profiles': JSON.stringify([{id: 'kid', name: 'Kid'}]),
+      '@timer_remaining': '600',
+      '@timer_remaining:kid': '300',
+      '@credit_ledger:kid': JSON.stringify([ledgerEntry(300, 300)]),
+    });
+
+    const result = await migrations.run(storage, now);
+
+    expect(result).toEqual({
+      version: CURRENT_SCHEMA_VERSION,
+      applied: [1],
+      failed: null,
+      repairs: [],
+    });
+    expect(await read(storage, '@credit_ledger')).toEqual([
+      expect.objectContaining({
+        type: LEDGER_ENTRY_TYPES.OPENING_BALANCE,
+        amount: 600,
+        balance: 600,
+        timestamp: now,
+      }),
+    ]);
+    // A profile that already has history is left alone
+    expect(await read(storage, '@credit_ledger:kid')).toHaveLength(1);
+  });
+
+  test('runs each step once, and again if the version is unreadable', async () => {
+    const storage = new MemoryStorage({'@timer_remaining': '600'});
+    await migrations.run(storage, now);
+    expect((await migrations.run(storage, now)).applied).toEqual([]);
+
+    await storage.setItem(SCHEMA_VERSION_KEY, 'one');
+    expect((await migrations.run(storage, now)).applied).toEqual([1]);
+    expect(await read(storage, '@credit_ledger')).toHaveLength(1);
+  });
+
+  test('a failed step is reported and leaves the version alone', async () => {
+    const storage = new MemoryStorage({'@timer_remaining': 'ten'});
+    storage.multiSet = async () => {
+      throw new Error('disk full');
+    };
+
+    const result = await migrations.run(storage, now);
+    expect(result).toMatchObject({
+      version: 0,
+      applied: [],
+      failed: {version: 1},
+      repairs: [],
+    });
+    expect(await storage.getItem(SCHEMA_VERSION_KEY)).toBeNull();
+  });
+
+  test('data from a newer app is neither migrated nor repaired', async () => {
+    const storage = new MemoryStorage({
+      [SCHEMA_VERSION_KEY]: String(CURRENT_SCHEMA_VERSION + 1),
+      '@timer_remaining': 'ten',
+    });
+
+    expect(await migrations.run(storage, now)).toMatchObject({
+      applied: [],
+      repairs: [],
+    });
+    expect(await storage.getItem('@timer_remaining')).toBe('ten');
+  });
+
+  test('repair rebuilds balances and drops what cannot be read', async () => {
+    const storage = new MemoryStorage({
+      '@timer_remaining': '-5',
+      '@credit_ledger': JSON.stringify([ledgerEntry(400, 400), 'junk']),
+      '@free_time': '{broken',
+      '@timer_start_time': JSON.stringify({startedAt: 'soon'}),
+      '@language': 'de',
+    });
+
+    const repairs = await migrations.repair(storage);
+
+    expect(repairs.map(repair => [repair.key, repair.action])).toEqual([
+      ['@timer_remaining', 'reset to 400s from ledger'],
+      ['@credit_ledger', 'filtered'],
+      ['@free_time', 'removed'],
+      ['@timer_start_time', 'removed'],
+    ]);
+    expect(await storage.getItem('@timer_remaining')).toBe('400');
+    expect(await read(storage, '@credit_ledger')).toHaveLength(1);
+    expect(await storage.getItem('@free_time')).toBeNull();
+    expect(await storage.getItem('@timer_start_time')).toBeNull();
+    expect(await storage.getItem('@language')).toBe('de');
+  });
+
+  test('the timer starts from repaired data', async () => {
+    const storage = new MemoryStorage({
+      [SCHEMA_VERSION_KEY]: String(CURRENT_SCHEMA_VERSION),
+      '@timer_remaining': 'NaN',
+      '@credit_ledger': JSON.stringify([ledgerEntry(900, 900)]),
+    });
+
+    const env = await createTestTimer({storage});
+    expect(env.timer.getStatus().availableTime).toBe(900);
+    env.timer.dispose();
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * @format
+ */
+
+import {SyncService} from '../src/services/SyncService';
+import {createTestTimer} from '../src/testing';
+import {createSyncStore} from '../server/syncStore';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+describe('SyncService', () => {
+  let env;
+  let store;
+  let offline;
+  let sync;
+
+  // Routes requests straight to the reference server's handler
+  const fetchFn = async (url, {method, headers, body}) => {
+    if (offline) {
+      throw new TypeError('Network request failed');
+    }
+
+    const {pathname, search} = new URL(url);
+    const result = store.handle({
+      method,
+      url: pathname + search,
+      headers: {authorization: headers.Authorization},
+      body: body ? JSON.parse(body) : null,
+    });
+    return {
+      ok: result.status < 300,
+      status: result.status,
+      json: async () => result.body,
+    };
+  };
+
+  // What a parent sees and does on the server
+  const parentRequest = (method, url, body = null) =>
+    store.handle({
+      method,
+      url,
+      headers: {authorization: 'Bearer secret'},
+      body,
+    });
+  const getProfile = () => parentRequest('GET', '/profiles/default').body;
+  const issue = (kind, body) =>
+    parentRequest('POST', `/profiles/default/${kind}`, body);
+
+  beforeEach(async () => {
+    env = await createTestTimer();
+    store = createSyncStore({
+      now: () => env.clock.now(),
+      token: 'secret',
+      deviceToken: 'device-secret',
+    });
+    offline = false;
+    sync = new SyncService({
+      storage: env.storage,
+      clock: env.clock,
+      timer: env.timer,
+      parentAuth: env.services.parentAuth,
+      logger: env.services.logger,
+      fetchFn,
+    });
+    await sync.start();
+    await sync.updateConfig({
+      enabled: true,
+      endpoint: 'http://parent.local:8787/',
+      token: 'device-secret',
+    });
+  });
+
+  afterEach(() => {
+    sync.stop();
+    env.timer.dispose();
+  });
+
+  test('sends the latest balance and each usage session', async () => {
+    env.timer.addTimeCredits(10 * 60);
+    env.appStateSource.background();
+    env.clock.advance(2 * MINUTE);
+    env.appStateSource.foreground();
+
+    const status = await sync.sync();
+    expect(status).toMatchObject({pending: 0, lastError: null});
+    expect(getProfile()).toMatchObject({
+      balance: {type: 'balance', availableTime: 8 * 60, debt: 0},
+      sessions: [{type: 'session', duration: 120, recovered: false}],
+    });
+  });
+
+  test('keeps changes while offline and retries with backoff', async () => {
+    offline = true;
+    env.timer.addTimeCredits(60);
+
+    await sync.sync();
+    expect(sync.getStatus()).toMatchObject({
+      pending: 1,
+      lastError: 'Sync server unreachable: Network request failed',
+      nextAttemptAt: env.clock.now() + 10 * SECOND,
+    });
+    await sync.sync();
+    expect(sync.getStatus().nextAttemptAt).toBe(env.clock.now() + 20 * SECOND);
+
+    // Back online: the scheduled retry sends the queued balance
+    offline = false;
+    env.clock.advance(20 * SECOND);
+    await sync.sync();
+    expect(sync.getStatus()).toMatchObject({pending: 0, lastError: null});
+    expect(getProfile().balance.availableTime).toBe(60);
+  });
+
+  test('drops an operation the server refuses and sends the rest', async () => {
+    sync.enqueue({
+      id: 'broken',
+      type: 'mystery',
+      profileId: 'default',
+      timestamp: env.clock.now(),
+    });
+    env.timer.addTimeCredits(60);
+
+    expect(await sync.sync()).toMatchObject({pending: 0, lastError: null});
+    expect(getProfile().balance.availableTime).toBe(60);
+  });
+
+  test('credits a grant once, even when the server sends it again', async () => {
+    issue('grants', {id: 'grant-1', amount: 900, reason: 'chores'});
+    await sync.sync();
+    expect(env.timer.getStatus().availableTime).toBe(900);
+
+    const entries = await env.timer.getLedgerEntries();
+    expect(entries.pop()).toMatchObject({
+      type: 'grant',
+      amount: 900,
+      reason: 'chores',
+      source: 'sync:grant-1',
+    });
+
+    // A new address starts from the beginning of the server's changes
+    await sync.updateConfig({endpoint: 'http://parent.example:8787'});
+    await sync.sync();
+    expect(env.timer.getStatus().availableTime).toBe(900);
+  });
+
+  test('settings converge on the newest change without a parent PIN', async () => {
+    await env.services.parentAuth.setPin('1234');
+    env.services.parentAuth.lock();
+
+    // Issued at the same moment: the higher id wins, whatever the order
+    issue('settings', {
+      id: 'b',
+      settings: {debtConfig: {enabled: true, cap: 600}},
+    });
+    issue('settings', {
+      id: 'a',
+      settings: {debtConfig: {enabled: true, cap: 300}},
+    });
+    await sync.sync();
+    expect(env.timer.getDebtConfig()).toEqual({enabled: true, cap: 600});
+
+    env.clock.jump(MINUTE);
+    issue('settings', {
+      id: 'a2',
+      settings: {debtConfig: {enabled: false, cap: 0}},
+    });
+    await sync.sync();
+    expect(env.timer.getDebtConfig()).toEqual({enabled: false, cap: 0});
+  });
+
+  test('the outbox survives a relaunch', async () => {
+    offline = true;
+    env.timer.addTimeCredits(60);
+    await sync.sync();
+    sync.stop();
+
+    offline = false;
+    const relaunched = new SyncService({
+      storage: env.storage,
+      clock: env.clock,
+      timer: env.timer,
+      parentAuth: env.services.parentAuth,
+      logger: env.services.logger,
+      fetchFn,
+    });
+    await relaunched.start();
+    await relaunched.sync();
+    expect(getProfile().balance.availableTime).toBe(60);
+    relaunched.stop();
+  });
+});
+
+test('the reference server keeps the newest balance and ignores resends', () => {
+  const store = createSyncStore();
+  const push = operations =>
+    store.handle({
+      method: 'POST',
+      url: '/operations',
+      body: {deviceId: 'phone', operations},
+    });
+  const balance = (id, timestamp, availableTime) => ({
+    id,
+    type: 'balance',
+    profileId: 'default',
+    availableTime,
+    debt: 0,
+    timestamp,
+  });
+
+  expect(push([balance('b', 200, 60), balance('a', 100, 90)]).body).toEqual({
+    received: ['b', 'a'],
+  });
+  expect(push([balance('b', 200, 30)]).status).toBe(200);
+  // One bad operation refuses the whole batch
+  expect(
+    push([balance('c', 300, 10), {id: 'x', profileId: 'default'}]).status,
+  ).toBe(400);
+  const {body} = store.handle({method: 'GET', url: '/profiles/default'});
+  expect(body.balance).toMatchObject({id: 'b', availableTime: 60});
+
+  expect(store.handle({method: 'GET', url: '/profiles/%E0%A4'})).toMatchObject({
+    status: 400,
+  });
+
+  expect(
+    store.handle({method: 'POST', url: '/profiles/default/grants', body: {}}),
+  ).toMatchObject({status: 400});
+});
+
+test('the device token can sync but not issue grants', () => {
+  const store = createSyncStore({
+    token: 'secret',
+    deviceToken: 'device-secret',
+  });
+  const request = (authorization, method, url, body = null) =>
+    store.handle({method, url, headers: {authorization}, body}).status;
+  const grant = {amount: 900};
+
+  expect(request('Bearer device-secret', 'GET', '/profiles/a/changes')).toBe(
+    200,
+  );
+  expect(
+    request('Bearer device-secret', 'POST', '/operations', {
+      deviceId: 'phone',
+      operations: [],
+    }),
+  ).toBe(200);
+  expect(
+    request('Bearer device-secret', 'POST', '/profiles/a/grants', grant),
+  ).toBe(403);
+  expect(request('Bearer device-secret', 'GET', '/profiles/a')).toBe(403);
+  expect(request(undefined, 'POST', '/profiles/a/grants', grant)).toBe(401);
+  expect(request('Bearer secret', 'POST', '/profiles/a/grants', grant)).toBe(
+    201,
+  );
+});
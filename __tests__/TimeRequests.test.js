@@ -0,0 +1,122 @@
+/**
+ * @format
+ */
+
+import {
+  REQUEST_STATUS,
+  TimeRequestService,
+} from '../src/services/TimeRequestService';
+import {
+  NOTIFICATION_ACTIONS,
+  NOTIFICATION_PAYLOAD_TYPES,
+  NotificationActionRouter,
+} from '../src/services/NotificationActionRouter';
+import {translate} from '../src/i18n';
+import {DAY, flush, useTestTimer} from './helpers';
+
+describe('TimeRequestService', () => {
+  const env = useTestTimer();
+  let requests;
+  let requestEvents;
+
+  const createService = () =>
+    new TimeRequestService({
+      storage: env.storage,
+      clock: env.clock,
+      timer: env.timer,
+      parentAuth: env.services.parentAuth,
+      logger: env.services.logger,
+    });
+
+  beforeEach(() => {
+    requests = createService();
+    requestEvents = [];
+    requests.addEventListener(event => requestEvents.push(event.event));
+  });
+
+  test('only one request is pending at a time', async () => {
+    const first = await requests.requestMoreTime(300);
+    const second = await requests.requestMoreTime(600);
+
+    expect(second).toEqual(first);
+    expect(await requests.getPendingRequests()).toEqual([
+      expect.objectContaining({seconds: 300, origin: 'app'}),
+    ]);
+    expect(requestEvents).toEqual(['requestAdded']);
+  });
+
+  test('approving grants the requested time exactly once', async () => {
+    const {id} = await requests.requestMoreTime(300);
+
+    // A double tap: the second resolution finds the request already approved
+    const [approved, again] = await Promise.allSettled([
+      requests.approve(id),
+      requests.approve(id),
+    ]);
+
+    expect(approved.value).toMatchObject({status: REQUEST_STATUS.APPROVED});
+    expect(again.reason.message).toMatch('already approved');
+    expect(env.timer.getStatus().availableTime).toBe(300);
+    const entries = await env.timer.getLedgerEntries();
+    expect(entries.pop()).toMatchObject({source: `time-request:${id}`});
+  });
+
+  test('without a parent session the request stays pending', async () => {
+    await env.services.parentAuth.setPin('1234');
+    const {id} = await requests.requestMoreTime(300);
+
+    await expect(requests.approve(id)).rejects.toMatchObject({
+      code: 'unauthorized',
+    });
+    await expect(requests.deny(id)).rejects.toMatchObject({
+      code: 'unauthorized',
+    });
+    expect(await requests.getPendingRequests()).toHaveLength(1);
+
+    await env.services.parentAuth.unlock('1234');
+    await requests.deny(id);
+    expect(await requests.getRequests()).toEqual([
+      expect.objectContaining({status: REQUEST_STATUS.DENIED}),
+    ]);
+    expect(env.timer.getStatus().availableTime).toBe(0);
+  });
+
+  test('resolved requests are dropped after a week', async () => {
+    const {id} = await requests.requestMoreTime(300);
+    await requests.deny(id);
+
+    env.clock.jump(8 * DAY);
+    const next = await requests.requestMoreTime(600);
+
+    // Also after a relaunch
+    const relaunched = createService();
+    expect(await relaunched.getRequests()).toEqual([next]);
+
+    // Pending requests never expire
+    env.clock.jump(8 * DAY);
+    expect(await relaunched.requestMoreTime(60)).toEqual(next);
+  });
+
+  test('the notification action queues a request in any language', async () => {
+    const router = new NotificationActionRouter();
+    router.on('*', NOTIFICATION_ACTIONS.REQUEST_MORE_TIME, () =>
+      requests.requestMoreTime(300, {origin: 'notification'}),
+    );
+    const notification = action => ({
+      action,
+      userInfo: {type: NOTIFICATION_PAYLOAD_TYPES.TIME_WARNING},
+    });
+
+    expect(router.handleAction(notification('Snooze warning'))).toBe(false);
+    expect(
+      router.handleAction(
+        notification(translate('de', 'actionRequestMoreTime')),
+      ),
+    ).toBe(true);
+    await flush();
+
+    expect(await requests.getPendingRequests()).toEqual([
+      expect.objectContaining({seconds: 300, origin: 'notification'}),
+    ]);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * @format
+ */
+
+import React from 'react';
+import ReactTestRenderer from 'react-test-renderer';
+import {
+  TimerEvent,
+  TimerProvider,
+  useCredits,
+  useTimerEvent,
+  useTimerStatus,
+} from '../src/context/TimerContext';
+import {createTestTimer} from '../src/testing';
+
+const {act} = ReactTestRenderer;
+
+describe('TimerProvider', () => {
+  let env: any;
+  let renderer: ReactTestRenderer.ReactTestRenderer;
+
+  beforeEach(async () => {
+    env = await createTestTimer();
+  });
+
+  afterEach(async () => {
+    await act(async () => {
+      renderer.unmount();
+    });
+    env.timer.dispose();
+  });
+
+  const render = async (element: React.ReactElement) => {
+    await act(async () => {
+      renderer = ReactTestRenderer.create(
+        <TimerProvider service={env.timer}>{element}</TimerProvider>,
+      );
+    });
+  };
+
+  test('status and credits follow the service', async () => {
+    let status: any;
+    let credits: any;
+    const Probe = () => {
+      status = useTimerStatus();
+      credits = useCredits();
+      return null;
+    };
+    await render(<Probe />);
+    expect(credits.availableTime).toBe(0);
+
+    await act(async () => {
+      credits.addCredits(600);
+    });
+    expect(credits).toMatchObject({availableTime: 600, formattedTime: '10:00'});
+
+    await act(async () => {
+      env.appStateSource.background();
+    });
+    expect(status).toMatchObject({
+      isTimerRunning: true,
+      appState: 'background',
+    });
+  });
+
+  test('useTimerEvent only sees the named events', async () => {
+    const seen: string[] = [];
+    const Probe = () => {
+      useTimerEvent(['creditsAdded', 'creditsRemoved'], (event: TimerEvent) =>
+        seen.push(event.event),
+      );
+      return null;
+    };
+    await render(<Probe />);
+
+    await act(async () => {
+      env.timer.addTimeCredits(600);
+      env.appStateSource.background();
+      env.timer.removeTimeCredits(60);
+    });
+    expect(seen).toEqual(['creditsAdded', 'creditsRemoved']);
+  });
+
+  test('unmounting a listener unsubscribes it without stopping the service', async () => {
+    const seen: string[] = [];
+    const Probe = () => {
+      useTimerEvent('*', (event: TimerEvent) => seen.push(event.event));
+      return null;
+    };
+    await render(<Probe />);
+    await act(async () => {
+      renderer.update(
+        <TimerProvider service={env.timer}>{null}</TimerProvider>,
+      );
+    });
+
+    await act(async () => {
+      env.timer.addTimeCredits(600);
+      env.appStateSource.background();
+    });
+    expect(seen).toEqual([]);
+    expect(env.timer.getStatus().isTimerRunning).toBe(true);
+  });
+});
+
+test('hooks throw outside a TimerProvider', () => {
+  const Probe = () => {
+    useTimerStatus();
+    return null;
+  };
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  expect(() =>
+    act(() => {
+      ReactTestRenderer.create(<Probe />);
+    }),
+  ).toThrow('Timer hooks must be used inside a TimerProvider');
+});
@@ -0,0 +1,93 @@
+/**
+ * @format
+ */
+
+import {MINUTE, useTestTimer} from './helpers';
+import {
+  TIMER_EVENT_VERSION,
+  validateTimerEvent,
+} from '../src/services/TimerEvents';
+
+describe('TimerService events', () => {
+  const env = useTestTimer();
+
+  test('every event matches the schema', async () => {
+    await env.timer.updateDebtConfig({enabled: true});
+    env.timer.addTimeCredits(120, {expiresAt: env.clock.now() + MINUTE});
+    env.timer.addTimeCredits(60);
+    env.timer.removeTimeCredits(30);
+    env.appStateSource.background();
+    env.clock.advance(3 * MINUTE);
+    env.lockEventSource.lock();
+    env.timer.addTimeCredits(600);
+    env.lockEventSource.unlock();
+    env.appStateSource.foreground();
+
+    expect(env.events.map(event => event.event)).toEqual(
+      expect.arrayContaining([
+        'creditsAdded',
+        'creditsRemoved',
+        'creditsExpired',
+        'timeExpired',
+        'deviceLocked',
+        'appStateChanged',
+      ]),
+    );
+    env.events.forEach(event => {
+      expect({event: event.event, problems: validateTimerEvent(event)}).toEqual(
+        {event: event.event, problems: []},
+      );
+    });
+    expect(env.events[0]).toMatchObject({
+      version: TIMER_EVENT_VERSION,
+      availableTime: 0,
+      debt: 0,
+      profileId: 'default',
+      timestamp: expect.any(Number),
+    });
+  });
+
+  test('on only receives the named event, once only the next one', () => {
+    const added = [];
+    const removed = [];
+    env.timer.on('creditsAdded', event => added.push(event.amount));
+    env.timer.once('creditsRemoved', event => removed.push(event.amount));
+
+    env.timer.addTimeCredits(60);
+    env.timer.removeTimeCredits(10);
+    env.timer.removeTimeCredits(20);
+
+    expect(added).toEqual([60]);
+    expect(removed).toEqual([10]);
+  });
+
+  test('off and the returned function unsubscribe', () => {
+    const handler = jest.fn();
+    const unsubscribe = env.timer.on('creditsAdded', handler);
+    unsubscribe();
+    env.timer.once('creditsAdded', handler);
+    env.timer.off('creditsAdded', handler);
+
+    env.timer.addTimeCredits(60);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('rejects handlers for unknown events', () => {
+    expect(() => env.timer.on('creditAdded', () => {})).toThrow(
+      'Unknown timer event: creditAdded',
+    );
+  });
+
+  test('malformed payloads are logged when validation is on', async () => {
+    env.timer.validateEvents = true;
+    env.timer.notifyListeners({event: 'creditsRemoved', amount: '60'});
+
+    const [entry] = await env.services.logger.getEntries({minLevel: 'error'});
+    expect(entry).toMatchObject({message: 'Malformed event'});
+    expect(entry.fields.problems).toEqual([
+      'amount should be number, got string',
+      'missing previousTotal',
+      'missing newTotal',
+    ]);
+  });
+});
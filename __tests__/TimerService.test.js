@@ -0,0 +1,200 @@
+/**
+ * @format
+ */
+
+import {createTestTimer} from '../src/testing';
+import {DAY, MINUTE, SECOND, flush, useTestTimer} from './helpers';
+
+describe('TimerService', () => {
+  const env = useTestTimer();
+
+  const eventNames = () => env.events.map(event => event.event);
+
+  test('starts with an empty balance and does not track in the foreground', async () => {
+    expect(env.timer.getStatus()).toMatchObject({
+      availableTime: 0,
+      isTimerRunning: false,
+      appState: 'active',
+    });
+
+    env.timer.addTimeCredits(300);
+    env.clock.advance(MINUTE);
+
+    expect(env.timer.getStatus().availableTime).toBe(300);
+    expect(env.timer.isTimerRunning).toBe(false);
+  });
+
+  test('charges wall-clock time while backgrounded and unlocked', () => {
+    env.timer.addTimeCredits(300);
+    env.appStateSource.background();
+
+    expect(env.timer.isTimerRunning).toBe(true);
+    expect(eventNames()).toContain('trackingStarted');
+
+    env.clock.advance(90 * SECOND);
+    expect(env.timer.getStatus().availableTime).toBe(210);
+  });
+
+  test('stops charging while the device is locked', () => {
+    env.timer.addTimeCredits(300);
+    env.appStateSource.background();
+    env.clock.advance(30 * SECOND);
+
+    env.lockEventSource.lock();
+    expect(env.timer.isTimerRunning).toBe(false);
+
+    env.clock.advance(10 * MINUTE);
+    expect(env.timer.getStatus().availableTime).toBe(270);
+
+    env.lockEventSource.unlock();
+    expect(env.timer.isTimerRunning).toBe(true);
+
+    env.clock.advance(20 * SECOND);
+    expect(env.timer.getStatus().availableTime).toBe(250);
+  });
+
+  test('closes the session at the native lock timestamp, not when JS hears about it', () => {
+    env.timer.addTimeCredits(300);
+    env.appStateSource.background();
+    const lockedAt = env.clock.now() + 40 * SECOND;
+
+    // The lock event reaches JS 20 seconds late
+    env.clock.jump(60 * SECOND);
+    env.lockEventSource.lock(lockedAt);
+
+    expect(env.timer.getStatus().availableTime).toBe(260);
+  });
+
+  test('returning to the foreground stops tracking and reports the background cost', () => {
+    env.timer.addTimeCredits(300);
+    env.appStateSource.background();
+    env.clock.advance(45 * SECOND);
+    env.appStateSource.foreground();
+
+    expect(env.timer.isTimerRunning).toBe(false);
+    expect(env.timer.getStatus().availableTime).toBe(255);
+
+    const report = env.events.find(
+      event => event.event === 'backgroundTimeProcessed',
+    );
+    expect(report).toMatchObject({backgroundDuration: 45, chargedDuration: 45});
+  });
+
+  test('expires at zero and never goes negative', () => {
+    env.timer.addTimeCredits(30);
+    env.appStateSource.background();
+    env.clock.advance(2 * MINUTE);
+
+    expect(env.timer.getStatus().availableTime).toBe(0);
+    expect(env.timer.isTimerRunning).toBe(false);
+    expect(eventNames().filter(name => name === 'timeExpired')).toHaveLength(1);
+  });
+
+  test('credits added mid-session extend the running balance', () => {
+    env.timer.addTimeCredits(60);
+    env.appStateSource.background();
+    env.clock.advance(20 * SECOND);
+
+    env.timer.addTimeCredits(100);
+    env.clock.advance(30 * SECOND);
+
+    expect(env.timer.getStatus().availableTime).toBe(110);
+  });
+
+  test('records each closed session in the ledger and usage statistics', async () => {
+    env.timer.addTimeCredits(300, {reason: 'test'});
+    env.appStateSource.background();
+    env.clock.advance(MINUTE);
+    env.lockEventSource.lock();
+    await flush();
+
+    const entries = await env.timer.getLedgerEntries();
+    expect(
+      entries.map(entry => [entry.type, entry.amount, entry.balance]),
+    ).toEqual([
+      ['grant', 300, 300],
+      ['spend-session', -60, 240],
+    ]);
+
+    const sessions = await env.services.usageStats.getSessions();
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0]).toMatchObject({duration: 60, recovered: false});
+  });
+
+  test('rejects credits that are not a positive whole number of seconds', () => {
+    [0, -60, 1.5, NaN, '60'].forEach(seconds => {
+      expect(() => env.timer.addTimeCredits(seconds)).toThrow(
+        'positive whole number',
+      );
+    });
+    expect(env.timer.getStatus().availableTime).toBe(0);
+  });
+
+  test('removals must also be a positive whole number of seconds', async () => {
+    env.timer.addTimeCredits(300);
+    [-60, NaN, 1.5].forEach(seconds => {
+      expect(() => env.timer.removeTimeCredits(seconds)).toThrow(
+        'positive whole number',
+      );
+    });
+
+    expect(env.timer.getStatus().availableTime).toBe(300);
+    const entries = await env.timer.getLedgerEntries();
+    expect(entries.map(entry => entry.type)).toEqual(['grant']);
+  });
+
+  test('folds ledger entries older than 90 days into an opening balance', async () => {
+    env.timer.addTimeCredits(300);
+    env.timer.removeTimeCredits(100);
+    env.clock.jump(91 * DAY);
+    env.timer.addTimeCredits(60);
+
+    const entries = await env.timer.getLedgerEntries();
+    expect(
+      entries.map(entry => [entry.type, entry.amount, entry.balance]),
+    ).toEqual([
+      ['opening-balance', 200, 200],
+      ['grant', 60, 260],
+    ]);
+  });
+
+  test('persists the balance so a relaunch picks it up', async () => {
+    env.timer.addTimeCredits(300);
+    env.appStateSource.background();
+    env.clock.advance(MINUTE);
+    env.appStateSource.foreground();
+    await flush();
+
+    const relaunched = await createTestTimer({
+      storage: env.storage,
+      clock: env.clock,
+    });
+    expect(relaunched.timer.getStatus().availableTime).toBe(240);
+    relaunched.timer.dispose();
+  });
+
+  test('charges an interrupted session up to its last heartbeat on relaunch', async () => {
+    env.timer.addTimeCredits(300);
+    env.appStateSource.background();
+    env.clock.advance(50 * SECOND);
+    await flush();
+
+    // The process dies: no more ticks, no lock event, time keeps passing
+    env.timer.unsubscribers.forEach(unsubscribe => unsubscribe());
+    env.clock.jump(30 * MINUTE);
+
+    const relaunched = await createTestTimer({
+      storage: env.storage,
+      clock: env.clock,
+    });
+    expect(relaunched.timer.getStatus().availableTime).toBe(250);
+
+    const entries = await relaunched.timer.getLedgerEntries();
+    expect(entries[entries.length - 1]).toMatchObject({
+      type: 'background-reconciliation',
+      amount: -50,
+      reason: 'crash-recovery',
+    });
+    relaunched.timer.dispose();
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * @format
+ */
+
+import {
+  UsageStatsService,
+  getDailyTotals,
+  getHourOfDayDistribution,
+  summarizeSessions,
+} from '../src/services/UsageStatsService';
+import {FakeClock, MemoryStorage} from '../src/testing';
+import {MINUTE, at} from './helpers';
+
+const session = (
+  startedAt,
+  endedAt,
+  duration = (endedAt - startedAt) / 1000,
+) => ({
+  startedAt,
+  endedAt,
+  duration,
+  recovered: false,
+});
+
+describe('usage statistics', () => {
+  test('spread sessions over the days and hours they cover', () => {
+    // 23:30 to 00:30, then half an hour the next afternoon
+    const sessions = [
+      session(at(0, 23, 30), at(1, 0, 30)),
+      session(at(1, 14), at(1, 14, 30)),
+    ];
+
+    expect(getDailyTotals(sessions)).toEqual([
+      {date: '2025-01-06', start: at(0, 0), seconds: 30 * 60, sessions: 1},
+      {date: '2025-01-07', start: at(1, 0), seconds: 60 * 60, sessions: 2},
+    ]);
+
+    const hours = getHourOfDayDistribution(sessions);
+    expect([hours[23], hours[0], hours[14]]).toEqual([1800, 1800, 1800]);
+  });
+
+  test('charged time is spread in proportion to the span', () => {
+    // Ten minutes charged over an hour that crosses 10:00
+    const hours = getHourOfDayDistribution([
+      session(at(0, 9, 30), at(0, 10, 30), 600),
+    ]);
+    expect([hours[9], hours[10]]).toEqual([300, 300]);
+  });
+
+  test('summaries count, average and find the longest session', () => {
+    const long = session(at(0, 10), at(0, 11));
+    const summary = summarizeSessions([
+      session(at(0, 9), at(0, 9, 20)),
+      long,
+      session(at(2, 9), at(2, 9, 40)),
+    ]);
+
+    expect(summary).toMatchObject({
+      totalSeconds: 120 * 60,
+      sessionCount: 3,
+      averageSession: 40 * 60,
+      longestSession: long,
+    });
+    expect(summary.weekly).toEqual([
+      {weekOf: '2025-01-06', start: at(0, 0), seconds: 120 * 60, sessions: 3},
+    ]);
+  });
+});
+
+describe('UsageStatsService', () => {
+  let stats;
+
+  beforeEach(() => {
+    stats = new UsageStatsService({
+      storage: new MemoryStorage(),
+      clock: new FakeClock(),
+    });
+  });
+
+  test('only counts the part of a session inside the range', async () => {
+    stats.recordSession(session(at(0, 23), at(1, 1)));
+    stats.recordSession(session(at(1, 9), at(1, 9, 10)));
+
+    const {totalSeconds, daily} = await stats.getStatistics({
+      from: at(1, 0),
+      to: at(1, 12),
+    });
+    expect(totalSeconds).toBe(70 * 60);
+    expect(daily).toEqual([
+      expect.objectContaining({date: '2025-01-07', seconds: 70 * 60}),
+    ]);
+  });
+
+  test('sessions are kept for 90 days', async () => {
+    const clock = new FakeClock();
+    stats = new UsageStatsService({storage: new MemoryStorage(), clock});
+    stats.recordSession(session(at(0, 9), at(0, 9, 5)));
+
+    clock.jump(91 * 24 * 60 * MINUTE);
+    stats.recordSession(session(clock.now() - 5 * MINUTE, clock.now()));
+
+    expect(await stats.getSessions()).toHaveLength(1);
+  });
+});
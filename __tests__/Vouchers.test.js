@@ -0,0 +1,195 @@
+/**
+ * @format
+ */
+
+import {
+  VOUCHER_ERRORS,
+  VoucherService,
+  mergeRedeemedVouchers,
+  parseRedeemUrl,
+} from '../src/services/VoucherService';
+import {createTestTimer, FakeClock, MemoryStorage} from '../src/testing';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('VoucherService', () => {
+  let env;
+  let parent;
+  let childStorage;
+  let childClock;
+  let child;
+
+  // The parent's phone has its own storage; the child's feeds env.timer
+  const createChild = (clock = childClock) =>
+    new VoucherService({
+      storage: childStorage,
+      clock,
+      timer: env.timer,
+      parentAuth: env.services.parentAuth,
+      logger: env.services.logger,
+    });
+
+  beforeEach(async () => {
+    env = await createTestTimer();
+    parent = new VoucherService({
+      storage: new MemoryStorage(),
+      clock: env.clock,
+      timer: env.timer,
+      parentAuth: env.services.parentAuth,
+      logger: env.services.logger,
+    });
+    childStorage = new MemoryStorage();
+    childClock = new FakeClock();
+    child = createChild();
+
+    await child.pair(await parent.createPairingCode());
+  });
+
+  afterEach(() => {
+    env.timer.dispose();
+  });
+
+  const createVoucher = (amount, lifetime = DAY) =>
+    parent.createVoucher({amount, expiresAt: env.clock.now() + lifetime});
+
+  const expectError = async (promise, code) => {
+    await expect(promise).rejects.toMatchObject({name: 'VoucherError', code});
+  };
+
+  test('a redeemed voucher adds its time with the voucher as source', async () => {
+    const voucher = await createVoucher(900);
+
+    await expect(child.redeem(voucher.code)).resolves.toMatchObject({
+      amount: 900,
+      nonce: voucher.nonce,
+    });
+    expect(env.timer.getStatus().availableTime).toBe(900);
+
+    const entries = await env.timer.getLedgerEntries();
+    expect(entries.pop()).toMatchObject({
+      type: 'grant',
+      amount: 900,
+      source: `voucher:${voucher.nonce}`,
+    });
+  });
+
+  test('works without a parent session once a PIN is set', async () => {
+    const voucher = await createVoucher(60);
+    await env.services.parentAuth.setPin('1234');
+
+    await child.redeem(voucher.code);
+    expect(env.timer.getStatus().availableTime).toBe(60);
+    expect(() =>
+      env.timer.addTimeCredits(60, {source: `voucher:${voucher.nonce}`}),
+    ).toThrow(expect.objectContaining({code: 'unauthorized'}));
+
+    const log = await env.services.parentAuth.getLog();
+    expect(log.slice(-2)).toMatchObject([
+      {
+        outcome: 'granted',
+        source: `voucher:${voucher.nonce}`,
+        via: 'capability',
+      },
+      {outcome: 'denied', source: `voucher:${voucher.nonce}`},
+    ]);
+  });
+
+  test('each voucher can be used once, also after a relaunch', async () => {
+    const voucher = await createVoucher(60);
+    await child.redeem(voucher.code);
+
+    await expectError(
+      child.redeem(voucher.code),
+      VOUCHER_ERRORS.ALREADY_REDEEMED,
+    );
+    await expectError(
+      createChild().redeem(voucher.code.toLowerCase()),
+      VOUCHER_ERRORS.ALREADY_REDEEMED,
+    );
+    expect(env.timer.getStatus().availableTime).toBe(60);
+  });
+
+  test('rejects expired, altered and foreign vouchers', async () => {
+    const expiring = await createVoucher(60, DAY);
+    childClock.jump(DAY);
+    await expectError(child.redeem(expiring.code), VOUCHER_ERRORS.EXPIRED);
+
+    const {code} = await createVoucher(60, 2 * DAY);
+    // Changes the expiry without re-signing
+    const altered =
+      code.slice(0, 10) + (code[10] === 'Z' ? 'Y' : 'Z') + code.slice(11);
+    await expectError(child.redeem(altered), VOUCHER_ERRORS.INVALID_SIGNATURE);
+    await expectError(child.redeem('hello'), VOUCHER_ERRORS.MALFORMED);
+
+    await parent.createPairingCode();
+    const foreign = await createVoucher(60, 2 * DAY);
+    await expectError(
+      child.redeem(foreign.code),
+      VOUCHER_ERRORS.INVALID_SIGNATURE,
+    );
+    expect(env.timer.getStatus().availableTime).toBe(0);
+  });
+
+  test('forgotten vouchers stay used when the clock is wound back', async () => {
+    const old = await createVoucher(60, DAY);
+    await child.redeem(old.code);
+
+    // Redeeming a month later forgets the old nonce
+    const later = await createVoucher(60, 60 * DAY);
+    childClock.jump(40 * DAY);
+    await child.redeem(later.code);
+    expect(child.getRedeemed()).toHaveLength(1);
+
+    const rewound = createChild(new FakeClock());
+    await expectError(rewound.redeem(old.code), VOUCHER_ERRORS.EXPIRED);
+  });
+
+  test('pairing codes with typos are refused', async () => {
+    const pairingCode = parent.getPairingCode();
+    const typo = pairingCode.replace(/^./, pairingCode[0] === 'A' ? 'B' : 'A');
+
+    await expectError(createChild().pair(typo), VOUCHER_ERRORS.MALFORMED);
+  });
+
+  test('unpaired devices cannot redeem', async () => {
+    const voucher = await createVoucher(60);
+    childStorage = new MemoryStorage();
+
+    await expectError(
+      createChild().redeem(voucher.code),
+      VOUCHER_ERRORS.NOT_PAIRED,
+    );
+  });
+});
+
+test('parseRedeemUrl reads the code from voucher links only', () => {
+  expect(parseRedeemUrl('simpletimerapp://redeem?code=ABCD-EFGH')).toBe(
+    'ABCD-EFGH',
+  );
+  expect(parseRedeemUrl('simpletimerapp://redeem/?x=1&code=AB%20CD')).toBe(
+    'AB CD',
+  );
+  expect(parseRedeemUrl('simpletimerapp://other?code=ABCD')).toBeNull();
+  expect(parseRedeemUrl('https://example.com/redeem?code=ABCD')).toBeNull();
+  expect(parseRedeemUrl(null)).toBeNull();
+});
+
+test('merging an older redeemed list keeps every used voucher', () => {
+  const used = (nonce, expiresAt, redeemedAt) => ({
+    nonce,
+    amount: 60,
+    expiresAt,
+    redeemedAt,
+  });
+  const current = {
+    vouchers: [used('a', 500, 20), used('b', 900, 30)],
+    prunedThrough: 100,
+  };
+  const restored = {vouchers: [used('old', 50, 1), used('a', 500, 10)]};
+
+  expect(mergeRedeemedVouchers(current, restored)).toEqual({
+    vouchers: [used('a', 500, 10), used('b', 900, 30)],
+    prunedThrough: 100,
+  });
+  expect(mergeRedeemedVouchers(null, restored).vouchers).toHaveLength(2);
+});
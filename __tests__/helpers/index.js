@@ -0,0 +1,36 @@
+/**
+ * Shared setup for the suites that drive a test timer
+ *
+ * @format
+ */
+
+import {createTestTimer} from '../../src/testing';
+
+export const SECOND = 1000;
+export const MINUTE = 60 * SECOND;
+export const DAY = 24 * 60 * MINUTE;
+
+// Let queued storage writes and promise chains settle
+export const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// A local time `day` days after FakeClock's start, Monday 6 January 2025
+export const at = (day, hours, minutes = 0) =>
+  new Date(2025, 0, 6 + day, hours, minutes).getTime();
+
+// Give every test in the calling suite a fresh createTestTimer environment and
+// dispose of it afterwards. The returned object is refilled before each test,
+// with the timer's events collected in `events`.
+export function useTestTimer(options) {
+  const env = {events: []};
+
+  beforeEach(async () => {
+    Object.assign(env, await createTestTimer(options), {events: []});
+    env.timer.addEventListener(event => env.events.push(event));
+  });
+
+  afterEach(() => {
+    env.timer.dispose();
+  });
+
+  return env;
+}
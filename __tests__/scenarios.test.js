@@ -0,0 +1,15 @@
+/**
+ * @format
+ */
+
+import {SCENARIOS, replayScenario} from '../src/testing';
+
+describe('lock/app-state scenarios', () => {
+  test.each(SCENARIOS.map(scenario => [scenario.name, scenario]))(
+    '%s',
+    async (name, scenario) => {
+      const {failures} = await replayScenario(scenario);
+      expect(failures).toEqual([]);
+    },
+  );
+});
@@ -2,8 +2,18 @@
  * @format
  */
 
+// Provides crypto.getRandomValues for vouchers, PIN salts and sync ids; must load first
+import 'react-native-get-random-values';
 import {AppRegistry} from 'react-native';
 import App from './App';
+import NotificationCoordinator from './src/services/NotificationCoordinator';
+import EnforcementService from './src/services/EnforcementService';
+import SyncService from './src/services/SyncService';
 import {name as appName} from './app.json';
 
+// Notifications, expiry enforcement and sync follow the timer even when no screen is mounted
+NotificationCoordinator.start();
+EnforcementService.start();
+SyncService.start();
+
 AppRegistry.registerComponent(appName, () => App);
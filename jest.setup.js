@@ -0,0 +1,16 @@
+/* eslint-env jest */
+// Native modules that have no JS implementation under Jest
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+jest.mock('react-native-push-notification', () => ({
+  configure: jest.fn(),
+  createChannel: jest.fn(),
+  localNotification: jest.fn(),
+  localNotificationSchedule: jest.fn(),
+  cancelLocalNotification: jest.fn(),
+  cancelAllLocalNotifications: jest.fn(),
+  invokeApp: jest.fn(),
+}));
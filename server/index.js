@@ -0,0 +1,86 @@
+// server/index.js - Reference sync server for local testing of SyncService
+//
+//   node server/index.js   (or npm run sync-server)
+//
+// PORT (default 8787), SYNC_TOKEN (require `Authorization: Bearer <token>`),
+// SYNC_DEVICE_TOKEN and DATA_FILE (keep state across restarts as JSON) are
+// read from the environment. Point the app's sync endpoint at
+// http://<your machine>:8787, then give time with:
+//
+//   curl -X POST localhost:8787/profiles/default/grants -H 'Authorization: Bearer <token>' \
+//     -H 'Content-Type: application/json' -d '{"amount": 900, "reason": "chores"}'
+//
+// Give the child's device SYNC_DEVICE_TOKEN, never SYNC_TOKEN: the device
+// token can only send operations and fetch changes, while SYNC_TOKEN can
+// grant time. Without SYNC_TOKEN the server is open to anyone who can reach it.
+
+const fs = require('fs');
+const http = require('http');
+const { createSyncStore } = require('./syncStore');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.DATA_FILE || null;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function loadState() {
+  if (!DATA_FILE || !fs.existsSync(DATA_FILE)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+}
+
+const store = createSyncStore({
+  token: process.env.SYNC_TOKEN || null,
+  deviceToken: process.env.SYNC_DEVICE_TOKEN || null,
+  state: loadState(),
+});
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    request.setEncoding('utf8');
+    request.on('data', chunk => {
+      text += chunk;
+      if (text.length > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        request.destroy();
+      }
+    });
+    request.on('end', () => resolve(text));
+    request.on('error', reject);
+  });
+}
+
+function send(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+}
+
+const server = http.createServer(async (request, response) => {
+  let body = null;
+  try {
+    const text = await readBody(request);
+    body = text ? JSON.parse(text) : null;
+  } catch (error) {
+    send(response, 400, { error: error.message });
+    return;
+  }
+
+  try {
+    const result = store.handle({ method: request.method, url: request.url, headers: request.headers, body });
+    console.log(`${request.method} ${request.url} -> ${result.status}`);
+
+    if (DATA_FILE && request.method !== 'GET' && result.status < 300) {
+      fs.writeFileSync(DATA_FILE, JSON.stringify(store.toJSON()));
+    }
+    send(response, result.status, result.body);
+  } catch (error) {
+    // Keep serving other requests whatever went wrong with this one
+    console.error(`${request.method} ${request.url} failed:`, error);
+    send(response, 500, { error: 'Internal server error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🔄 Sync server listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,215 @@
+// server/syncStore.js - The reference sync server's data and routes, without any HTTP
+//
+// Devices POST what happened on them to /operations and GET what parents
+// issued from /profiles/:profileId/changes. Everything is keyed by the
+// operation's `id`, so a device retrying a batch it already sent changes
+// nothing. Parents (or curl) issue grants and settings through
+// /profiles/:profileId/grants and /profiles/:profileId/settings.
+//
+// With a `token` every request must carry it or the `deviceToken`. The device
+// token is the one to put on the child's device: it only opens the two routes
+// a device needs, so it cannot be used to grant time.
+//
+// This is a stand-in for local testing: one process, state in memory, and
+// whatever index.js chooses to persist from toJSON().
+
+const crypto = require('crypto');
+
+const SETTINGS_FIELDS = ['debtConfig', 'restrictions', 'freeTimeWindows'];
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function emptyState() {
+  return {
+    // Parent-issued changes, in the order devices should see them
+    changes: [],
+    sequence: 0,
+    // profileId -> the newest balance snapshot a device reported
+    balances: {},
+    // profileId -> { [operation id]: session }
+    sessions: {},
+    // Every operation id ever received, so retries are acknowledged but ignored
+    received: {},
+  };
+}
+
+// Newest by timestamp; the id breaks ties so every replica picks the same one
+function isNewer(candidate, current) {
+  if (!current) {
+    return true;
+  }
+  if (candidate.timestamp !== current.timestamp) {
+    return candidate.timestamp > current.timestamp;
+  }
+  return candidate.id > current.id;
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    throw new HttpError(400, `Malformed path segment: ${segment}`);
+  }
+}
+
+const OPERATION_TYPES = ['balance', 'session'];
+
+function createSyncStore({ now = () => Date.now(), token = null, deviceToken = null, state = null } = {}) {
+  const data = { ...emptyState(), ...(state || {}) };
+
+  function issue(profileId, change) {
+    const id = isNonEmptyString(change.id) ? change.id : crypto.randomUUID();
+    const existing = data.changes.find(entry => entry.id === id);
+    if (existing) {
+      return existing;
+    }
+
+    data.sequence += 1;
+    const entry = { ...change, id, profileId, seq: data.sequence, issuedAt: now() };
+    data.changes.push(entry);
+    return entry;
+  }
+
+  function validate(operation) {
+    if (!operation || !isNonEmptyString(operation.id) || !isNonEmptyString(operation.profileId)) {
+      throw new HttpError(400, 'Every operation needs an id and a profileId');
+    }
+    if (!OPERATION_TYPES.includes(operation.type)) {
+      throw new HttpError(400, `Unknown operation type: ${operation.type}`);
+    }
+  }
+
+  // Only called once the whole batch has passed validate()
+  function receive(deviceId, operation) {
+    if (data.received[operation.id]) {
+      return;
+    }
+
+    const { profileId } = operation;
+    switch (operation.type) {
+      case 'balance':
+        if (isNewer(operation, data.balances[profileId])) {
+          data.balances[profileId] = { ...operation, deviceId };
+        }
+        break;
+      case 'session':
+        data.sessions[profileId] = { ...data.sessions[profileId], [operation.id]: { ...operation, deviceId } };
+        break;
+    }
+
+    data.received[operation.id] = now();
+  }
+
+  // Who sent the request: 'parent' for the parent token (or an open server),
+  // 'device' for the device token
+  function authenticate(headers) {
+    if (!token || headers.authorization === `Bearer ${token}`) {
+      return 'parent';
+    }
+    if (deviceToken && headers.authorization === `Bearer ${deviceToken}`) {
+      return 'device';
+    }
+    throw new HttpError(401, 'Missing or wrong token');
+  }
+
+  // [who may call it, method, path, handler]
+  const routes = [
+    ['device', 'POST', /^\/operations$/, (match, body) => {
+      if (!body || !isNonEmptyString(body.deviceId) || !Array.isArray(body.operations)) {
+        throw new HttpError(400, 'Expected { deviceId, operations }');
+      }
+
+      // A bad operation rejects the whole batch before any of it is stored
+      body.operations.forEach(validate);
+      body.operations.forEach(operation => receive(body.deviceId, operation));
+      return { status: 200, body: { received: body.operations.map(operation => operation.id) } };
+    }],
+
+    ['device', 'GET', /^\/profiles\/([^/]+)\/changes$/, (match, body, query) => {
+      const profileId = decodeSegment(match[1]);
+      const since = Number(query.get('since')) || 0;
+      const changes = data.changes.filter(change => change.profileId === profileId && change.seq > since);
+
+      return { status: 200, body: { changes, cursor: data.sequence } };
+    }],
+
+    ['parent', 'POST', /^\/profiles\/([^/]+)\/grants$/, (match, body) => {
+      const amount = body && body.amount;
+      if (!Number.isInteger(amount) || amount <= 0) {
+        throw new HttpError(400, 'amount must be a positive whole number of seconds');
+      }
+      if (body.expiresAt !== undefined && body.expiresAt !== null && !Number.isFinite(body.expiresAt)) {
+        throw new HttpError(400, 'expiresAt must be a timestamp in milliseconds');
+      }
+
+      const grant = issue(decodeSegment(match[1]), {
+        id: body.id,
+        type: 'grant',
+        amount,
+        reason: isNonEmptyString(body.reason) ? body.reason : null,
+        expiresAt: Number.isFinite(body.expiresAt) ? body.expiresAt : null,
+      });
+      return { status: 201, body: grant };
+    }],
+
+    ['parent', 'POST', /^\/profiles\/([^/]+)\/settings$/, (match, body) => {
+      const settings = body && body.settings;
+      const fields = settings && typeof settings === 'object' ? Object.keys(settings) : [];
+      if (fields.length === 0 || !fields.every(field => SETTINGS_FIELDS.includes(field))) {
+        throw new HttpError(400, `settings may contain ${SETTINGS_FIELDS.join(', ')}`);
+      }
+
+      const change = issue(decodeSegment(match[1]), { id: body.id, type: 'settings', settings });
+      return { status: 201, body: change };
+    }],
+
+    ['parent', 'GET', /^\/profiles\/([^/]+)$/, match => {
+      const profileId = decodeSegment(match[1]);
+      const sessions = Object.values(data.sessions[profileId] || {}).sort((a, b) => a.startedAt - b.startedAt);
+
+      return { status: 200, body: { profileId, balance: data.balances[profileId] || null, sessions } };
+    }],
+  ];
+
+  // { method, url, headers, body } in; { status, body } out. `url` is the path
+  // and query string, `body` already parsed.
+  function handle({ method, url, headers = {}, body = null }) {
+    const { pathname, searchParams } = new URL(url, 'http://localhost');
+
+    try {
+      const caller = authenticate(headers);
+
+      for (const [access, routeMethod, pattern, handler] of routes) {
+        const match = pathname.match(pattern);
+        if (match && routeMethod === method) {
+          if (access === 'parent' && caller !== 'parent') {
+            throw new HttpError(403, 'The device token cannot be used for this route');
+          }
+          return handler(match, body, searchParams);
+        }
+      }
+      throw new HttpError(404, `No route for ${method} ${pathname}`);
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        throw error;
+      }
+      return { status: error.status, body: { error: error.message } };
+    }
+  }
+
+  return {
+    handle,
+    toJSON: () => data,
+  };
+}
+
+module.exports = { createSyncStore, SETTINGS_FIELDS };
@@ -0,0 +1,95 @@
+// src/components/ExpiryOverlay.tsx - Full-screen "time's up" that only a parent can dismiss
+import React from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TouchableOpacity,
+} from 'react-native';
+
+export type EnforcementStatus = {
+  isActive: boolean;
+  overlayVisible: boolean;
+  reason: string;
+  restrictionName: string | null;
+  startedAt: number;
+  endedAt: number | null;
+  overuse: number;
+  reminders: number;
+};
+
+type Props = {
+  status: EnforcementStatus;
+  formatTime: (seconds: number) => string;
+  // Expected to ask for the parent PIN first
+  onDismiss: () => void;
+};
+
+// Rendered over the whole screen rather than in a Modal so the parent PIN
+// prompt can still open on top of it
+const ExpiryOverlay = ({ status, formatTime, onDismiss }: Props) => (
+  <View style={styles.overlay}>
+    <Text style={styles.emoji}>{status.restrictionName ? '🌙' : '⌛'}</Text>
+    <Text style={styles.title}>Time's up!</Text>
+    <Text style={styles.message}>
+      {status.restrictionName
+        ? `Screen time is off during ${status.restrictionName}.`
+        : 'Your screen time has run out.'}
+    </Text>
+    {status.overuse > 0 && (
+      <Text style={styles.overuse}>
+        Used for {formatTime(status.overuse)} after time ran out
+        {status.isActive ? '' : ` (until ${new Date(status.endedAt ?? 0).toLocaleTimeString()})`}
+      </Text>
+    )}
+    <TouchableOpacity style={styles.button} onPress={onDismiss}>
+      <Text style={styles.buttonText}>Parent: Dismiss</Text>
+    </TouchableOpacity>
+  </View>
+);
+
+const styles = StyleSheet.create({
+  overlay: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: '#B71C1C',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 32,
+  },
+  emoji: {
+    fontSize: 72,
+    marginBottom: 16,
+  },
+  title: {
+    fontSize: 36,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 12,
+  },
+  message: {
+    fontSize: 18,
+    color: 'white',
+    textAlign: 'center',
+    marginBottom: 24,
+  },
+  overuse: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#FFEB3B',
+    textAlign: 'center',
+    marginBottom: 24,
+  },
+  button: {
+    backgroundColor: 'white',
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
+  buttonText: {
+    color: '#B71C1C',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+});
+
+export default ExpiryOverlay;
@@ -0,0 +1,169 @@
+// src/components/WeeklyWindowList.tsx - List and add/remove form for weekly time windows
+import React, { useState } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TextInput,
+  TouchableOpacity,
+} from 'react-native';
+
+export type WeeklyWindow = {
+  id?: string;
+  name: string;
+  days: number[];
+  startTime: string;
+  endTime: string;
+  enabled?: boolean;
+};
+
+const WEEKDAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+type Props = {
+  windows: WeeklyWindow[];
+  // Starting values for the add form
+  defaults: WeeklyWindow;
+  namePlaceholder: string;
+  addLabel: string;
+  onAdd: (window: WeeklyWindow) => Promise<boolean>;
+  onRemove: (windowId?: string) => void;
+};
+
+const WeeklyWindowList = ({ windows, defaults, namePlaceholder, addLabel, onAdd, onRemove }: Props) => {
+  const [draft, setDraft] = useState<WeeklyWindow>(defaults);
+
+  const toggleDay = (day: number) => {
+    setDraft(prev => ({
+      ...prev,
+      days: prev.days.includes(day) ? prev.days.filter(d => d !== day) : [...prev.days, day],
+    }));
+  };
+
+  const handleAdd = async () => {
+    if (await onAdd(draft)) {
+      setDraft(prev => ({ ...prev, name: '' }));
+    }
+  };
+
+  return (
+    <>
+      {windows.map((window) => (
+        <View key={window.id} style={styles.row}>
+          <Text style={styles.windowText}>
+            {window.name}: {window.days.map(day => WEEKDAY_LABELS[day]).join('')} {window.startTime}-{window.endTime}
+          </Text>
+          <TouchableOpacity style={[styles.button, styles.removeButton]} onPress={() => onRemove(window.id)}>
+            <Text style={styles.buttonText}>Remove</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      <View style={styles.row}>
+        <TextInput
+          style={styles.textInput}
+          placeholder={namePlaceholder}
+          value={draft.name}
+          onChangeText={(name) => setDraft(prev => ({ ...prev, name }))}
+        />
+        <TextInput
+          style={[styles.textInput, styles.timeInput]}
+          placeholder="HH:MM"
+          value={draft.startTime}
+          onChangeText={(startTime) => setDraft(prev => ({ ...prev, startTime }))}
+        />
+        <TextInput
+          style={[styles.textInput, styles.timeInput]}
+          placeholder="HH:MM"
+          value={draft.endTime}
+          onChangeText={(endTime) => setDraft(prev => ({ ...prev, endTime }))}
+        />
+      </View>
+      <View style={styles.dayRow}>
+        {WEEKDAY_LABELS.map((label, day) => (
+          <TouchableOpacity
+            key={day}
+            style={[styles.dayChip, draft.days.includes(day) && styles.dayChipActive]}
+            onPress={() => toggleDay(day)}
+          >
+            <Text style={[styles.dayChipText, draft.days.includes(day) && styles.dayChipTextActive]}>
+              {label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <TouchableOpacity style={[styles.button, styles.addButton]} onPress={handleAdd}>
+        <Text style={styles.buttonText}>{addLabel}</Text>
+      </TouchableOpacity>
+    </>
+  );
+};
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+    gap: 8,
+  },
+  windowText: {
+    flex: 2,
+    alignSelf: 'center',
+    color: '#333',
+  },
+  textInput: {
+    flex: 1,
+    backgroundColor: 'white',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  timeInput: {
+    flex: 0,
+    width: 72,
+  },
+  dayRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 12,
+  },
+  dayChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#2196F3',
+    backgroundColor: 'white',
+  },
+  dayChipActive: {
+    backgroundColor: '#2196F3',
+  },
+  dayChipText: {
+    color: '#2196F3',
+    fontWeight: 'bold',
+  },
+  dayChipTextActive: {
+    color: 'white',
+  },
+  button: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
+  removeButton: {
+    backgroundColor: '#F44336',
+  },
+  addButton: {
+    backgroundColor: '#2196F3',
+  },
+  buttonText: {
+    color: 'white',
+    fontWeight: 'bold',
+    fontSize: 14,
+  },
+});
+
+export default WeeklyWindowList;
@@ -0,0 +1,176 @@
+// src/context/TimerContext.tsx - React bindings for TimerService: provider, status and event hooks
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+  ReactNode,
+} from 'react';
+import TimerService from '../services/TimerService';
+import {
+  DebtConfig,
+  FreeTimePeriod,
+  Restriction,
+  TimerEvent,
+  TimerEventHandler,
+  TimerEventName,
+} from '../services/TimerEvents';
+
+export type {
+  DebtConfig,
+  FreeTimePeriod,
+  Restriction,
+  TimerEvent,
+  TimerEventName,
+  TimerEventOf,
+} from '../services/TimerEvents';
+
+export type ExpiringCredit = {
+  id: string;
+  amount: number;
+  expiresAt: number;
+  reason: string | null;
+  source: string | null;
+};
+
+// What TimerService.getStatus() returns
+export type TimerStatus = {
+  profileId: string;
+  profileName: string | null;
+  availableTime: number;
+  formattedTime: string;
+  isTimerRunning: boolean;
+  isDeviceLocked: boolean;
+  appState: string;
+  shouldRun: boolean;
+  debt: number;
+  formattedDebt: string;
+  debtConfig: DebtConfig;
+  expiringCredits: ExpiringCredit[];
+  freeTime: FreeTimePeriod | null;
+  restriction: Restriction | null;
+};
+
+export type CreditOptions = {
+  reason?: string | null;
+  source?: string;
+  expiresAt?: number;
+};
+
+// The part of TimerService the hooks rely on, so tests can pass their own
+// instance (see src/testing/createTestTimer)
+export interface TimerServiceApi {
+  ready: Promise<unknown>;
+  getStatus(): unknown;
+  addEventListener(callback: (event: TimerEvent) => void): () => void;
+  on<Name extends TimerEventName>(eventName: Name, handler: TimerEventHandler<Name>): () => void;
+  addTimeCredits(seconds: number, options?: CreditOptions): number;
+  removeTimeCredits(seconds: number, options?: CreditOptions): number;
+  formatTime(seconds: number): string;
+}
+
+type TimerContextValue = {
+  service: TimerServiceApi;
+  status: TimerStatus;
+};
+
+const TimerContext = createContext<TimerContextValue | null>(null);
+
+type ProviderProps = {
+  service?: TimerServiceApi;
+  children: ReactNode;
+};
+
+// Keeps one status snapshot for the tree, refreshed from getStatus() after
+// every event. Unmounting only unsubscribes: the service outlives any screen
+// (and keeps tracking in the background), so it is never cleaned up here.
+export const TimerProvider = ({ service = TimerService, children }: ProviderProps) => {
+  const [status, setStatus] = useState(() => service.getStatus() as TimerStatus);
+
+  useEffect(() => {
+    let isMounted = true;
+    const refresh = () => {
+      if (isMounted) {
+        setStatus(service.getStatus() as TimerStatus);
+      }
+    };
+
+    const removeListener = service.addEventListener(refresh);
+    // Saved data may still be loading; refresh once it is
+    service.ready.then(refresh);
+    refresh();
+
+    return () => {
+      isMounted = false;
+      removeListener();
+    };
+  }, [service]);
+
+  const value = useMemo(() => ({ service, status }), [service, status]);
+
+  return <TimerContext.Provider value={value}>{children}</TimerContext.Provider>;
+};
+
+function useTimerContext() {
+  const context = useContext(TimerContext);
+  if (!context) {
+    throw new Error('Timer hooks must be used inside a TimerProvider');
+  }
+  return context;
+}
+
+export function useTimerService() {
+  return useTimerContext().service;
+}
+
+export function useTimerStatus() {
+  return useTimerContext().status;
+}
+
+// Call `callback` for events named `name` (one name, a list, or '*' for all).
+// The latest callback is always used, so it need not be memoized.
+export function useTimerEvent(name: '*', callback: (event: TimerEvent) => void): void;
+export function useTimerEvent<Name extends TimerEventName>(
+  name: Name | Name[],
+  callback: TimerEventHandler<Name>
+): void;
+export function useTimerEvent(name: string | string[], callback: (event: TimerEvent) => void) {
+  const service = useTimerService();
+  const callbackRef = useRef(callback);
+  const key = Array.isArray(name) ? name.join(',') : name;
+
+  useEffect(() => {
+    callbackRef.current = callback;
+  });
+
+  useEffect(() => {
+    const handler = (event: TimerEvent) => callbackRef.current(event);
+    if (key === '*') {
+      return service.addEventListener(handler);
+    }
+
+    const removers = key.split(',').map(eventName => service.on(eventName as TimerEventName, handler));
+    return () => removers.forEach(remove => remove());
+  }, [service, key]);
+}
+
+// Balance, debt and expiring credits, with actions that change them. The
+// actions throw like the service does (e.g. ParentAuthError).
+export function useCredits() {
+  const service = useTimerService();
+  const { availableTime, formattedTime, debt, expiringCredits } = useTimerStatus();
+
+  const addCredits = useCallback(
+    (seconds: number, options?: CreditOptions) => service.addTimeCredits(seconds, options),
+    [service]
+  );
+  const removeCredits = useCallback(
+    (seconds: number, options?: CreditOptions) => service.removeTimeCredits(seconds, options),
+    [service]
+  );
+
+  return { availableTime, formattedTime, debt, expiringCredits, addCredits, removeCredits };
+}
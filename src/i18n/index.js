@@ -0,0 +1,112 @@
+// src/i18n/index.js - Locale catalogs, message lookup with plurals, and duration formatting
+//
+// Everything here is a pure function of the language code; I18nService picks
+// the language (device or override) and binds these to it.
+import en from './locales/en';
+import de from './locales/de';
+import es from './locales/es';
+import fr from './locales/fr';
+import pl from './locales/pl';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const CATALOGS = { en, de, es, fr, pl };
+
+export const SUPPORTED_LANGUAGES = Object.keys(CATALOGS);
+
+export const DURATION_STYLES = {
+  // 1:05:00, the running-timer display
+  CLOCK: 'clock',
+  // 1h 5m
+  SHORT: 'short',
+  // 1 hour 5 minutes
+  LONG: 'long',
+};
+
+// The supported language for a BCP 47 tag such as 'pl-PL' or 'es_419', or
+// null if there is none
+export function resolveLanguage(locale) {
+  if (typeof locale !== 'string') {
+    return null;
+  }
+
+  const language = locale.split(/[-_]/)[0].toLowerCase();
+  return SUPPORTED_LANGUAGES.includes(language) ? language : null;
+}
+
+function getCatalog(language) {
+  return CATALOGS[language] || CATALOGS[DEFAULT_LANGUAGE];
+}
+
+function interpolate(template, params) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// Pick the plural form of `message` for `count`, falling back to 'other'
+// and then to whatever form the catalog has
+function selectForm(catalog, message, count) {
+  if (typeof message === 'string') {
+    return message;
+  }
+
+  const category = catalog.plural(Math.abs(count));
+  return message[category] || message.other || Object.values(message)[0];
+}
+
+// Message `key` in `language`, or in English if that catalog lacks it. Plural
+// messages are chosen by `params.count`. Unknown keys come back as the key.
+export function translate(language, key, params = {}) {
+  let catalog = getCatalog(language);
+  let message = catalog.messages[key];
+
+  if (message === undefined) {
+    catalog = CATALOGS[DEFAULT_LANGUAGE];
+    message = catalog.messages[key];
+  }
+  if (message === undefined) {
+    return key;
+  }
+
+  return interpolate(selectForm(catalog, message, params.count || 0), params);
+}
+
+function formatClock(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+
+  if (hours > 0) {
+    return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  }
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+}
+
+// `seconds` as clock ('1:05:00'), short ('1h 5m') or long ('1 hour 5
+// minutes') text. Short and long leave out zero parts; a zero duration is
+// '0 seconds'. Negative durations are formatted as their size with a minus.
+export function formatDuration(seconds, style = DURATION_STYLES.CLOCK, language = DEFAULT_LANGUAGE) {
+  const total = Math.round(Math.abs(seconds));
+  const sign = seconds < 0 && total > 0 ? '-' : '';
+
+  if (style === DURATION_STYLES.CLOCK) {
+    return sign + formatClock(total);
+  }
+
+  const catalog = getCatalog(language);
+  const parts = [
+    ['hour', Math.floor(total / 3600)],
+    ['minute', Math.floor((total % 3600) / 60)],
+    ['second', total % 60],
+  ].filter(([, count], index, all) => count > 0 || (total === 0 && index === all.length - 1));
+
+  const text = parts
+    .map(([unit, count]) => {
+      const template = style === DURATION_STYLES.SHORT
+        ? catalog.shortUnits[unit]
+        : selectForm(catalog, catalog.units[unit], count);
+      return interpolate(template, { count });
+    })
+    .join(' ');
+
+  return sign + text;
+}
@@ -0,0 +1,51 @@
+// src/i18n/locales/de.js - German
+export default {
+  name: 'Deutsch',
+  plural: count => (count === 1 ? 'one' : 'other'),
+
+  units: {
+    hour: { one: '{count} Stunde', other: '{count} Stunden' },
+    minute: { one: '{count} Minute', other: '{count} Minuten' },
+    second: { one: '{count} Sekunde', other: '{count} Sekunden' },
+  },
+  shortUnits: {
+    hour: '{count} Std.',
+    minute: '{count} Min.',
+    second: '{count} Sek.',
+  },
+
+  messages: {
+    channelName: 'Timer-Benachrichtigungen',
+    channelDescription: 'Lokale Benachrichtigungen für Timer-Hinweise',
+
+    warningMinutesTitle: {
+      one: '⏰ Noch {count} Minute',
+      other: '⏰ Noch {count} Minuten',
+    },
+    warningSecondsTitle: {
+      one: '⚠️ Noch {count} Sekunde',
+      other: '⚠️ Noch {count} Sekunden',
+    },
+    warningMessage: 'Du hast noch {duration} Bildschirmzeit.',
+    warningAlmostUpMessage: 'Deine Bildschirmzeit ist fast vorbei!',
+
+    expiredTitle: '⌛ Zeit abgelaufen',
+    expiredMessage: 'Deine Bildschirmzeit ist aufgebraucht!',
+    restrictionTitle: '🌙 {name}',
+    restrictionMessage: 'Bildschirmzeit ist bis {time} pausiert.',
+
+    reminderTitle: '⌛ Die Zeit ist um',
+    reminderRestrictionTitle: '🌙 Immer noch {name}',
+    reminderMessage: 'Du hast das Gerät noch {duration} benutzt, nachdem deine Zeit abgelaufen war. Deine Eltern sehen das.',
+
+    timeAddedTitle: '💰 Zeit hinzugefügt',
+    timeAddedMessage: 'Du hast {duration} Bildschirmzeit verdient!',
+
+    actionRequestMoreTime: 'Um 5 Minuten bitten',
+    actionSnoozeWarning: 'Später erinnern',
+    actionOpenApp: 'App öffnen',
+
+    testTitle: '🧪 Testbenachrichtigung',
+    testMessage: 'Dies ist eine Testbenachrichtigung von Simple Timer!',
+  },
+};
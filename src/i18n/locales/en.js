@@ -0,0 +1,55 @@
+// src/i18n/locales/en.js - English, also the fallback for keys missing elsewhere
+//
+// A message is a string or, when it depends on `count`, an object keyed by
+// the plural categories `plural` returns. `{name}` is replaced by params.name.
+
+export default {
+  name: 'English',
+  plural: count => (count === 1 ? 'one' : 'other'),
+
+  units: {
+    hour: { one: '{count} hour', other: '{count} hours' },
+    minute: { one: '{count} minute', other: '{count} minutes' },
+    second: { one: '{count} second', other: '{count} seconds' },
+  },
+  shortUnits: {
+    hour: '{count}h',
+    minute: '{count}m',
+    second: '{count}s',
+  },
+
+  messages: {
+    channelName: 'Timer Local Notifications',
+    channelDescription: 'Local notifications for timer alerts',
+
+    warningMinutesTitle: {
+      one: '⏰ {count} Minute Remaining',
+      other: '⏰ {count} Minutes Remaining',
+    },
+    warningSecondsTitle: {
+      one: '⚠️ {count} Second Left',
+      other: '⚠️ {count} Seconds Left',
+    },
+    warningMessage: 'You have {duration} of screen time left.',
+    warningAlmostUpMessage: 'Your screen time is almost up!',
+
+    expiredTitle: '⌛ Time Expired',
+    expiredMessage: 'Your screen time has run out!',
+    restrictionTitle: '🌙 {name}',
+    restrictionMessage: 'Screen time is off until {time}.',
+
+    reminderTitle: '⌛ Time\'s up',
+    reminderRestrictionTitle: '🌙 Still {name}',
+    reminderMessage: 'You have kept using the device for {duration} after your time ran out. Your parent will see this.',
+
+    timeAddedTitle: '💰 Time Added',
+    timeAddedMessage: 'You earned {duration} of screen time!',
+
+    actionRequestMoreTime: 'Request 5 more minutes',
+    actionSnoozeWarning: 'Snooze warning',
+    actionOpenApp: 'Open app',
+
+    testTitle: '🧪 Test Notification',
+    testMessage: 'This is a test notification from Simple Timer!',
+  },
+};
@@ -0,0 +1,51 @@
+// src/i18n/locales/es.js - Spanish
+export default {
+  name: 'Español',
+  plural: count => (count === 1 ? 'one' : 'other'),
+
+  units: {
+    hour: { one: '{count} hora', other: '{count} horas' },
+    minute: { one: '{count} minuto', other: '{count} minutos' },
+    second: { one: '{count} segundo', other: '{count} segundos' },
+  },
+  shortUnits: {
+    hour: '{count} h',
+    minute: '{count} min',
+    second: '{count} s',
+  },
+
+  messages: {
+    channelName: 'Notificaciones del temporizador',
+    channelDescription: 'Notificaciones locales para avisos del temporizador',
+
+    warningMinutesTitle: {
+      one: '⏰ Queda {count} minuto',
+      other: '⏰ Quedan {count} minutos',
+    },
+    warningSecondsTitle: {
+      one: '⚠️ Queda {count} segundo',
+      other: '⚠️ Quedan {count} segundos',
+    },
+    warningMessage: 'Tiempo de pantalla restante: {duration}.',
+    warningAlmostUpMessage: '¡Tu tiempo de pantalla está por acabarse!',
+
+    expiredTitle: '⌛ Se acabó el tiempo',
+    expiredMessage: '¡Tu tiempo de pantalla se ha agotado!',
+    restrictionTitle: '🌙 {name}',
+    restrictionMessage: 'El tiempo de pantalla está desactivado hasta las {time}.',
+
+    reminderTitle: '⌛ Se acabó el tiempo',
+    reminderRestrictionTitle: '🌙 Todavía: {name}',
+    reminderMessage: 'Has seguido usando el dispositivo durante {duration} después de que se acabara tu tiempo. Tus padres lo verán.',
+
+    timeAddedTitle: '💰 Tiempo añadido',
+    timeAddedMessage: '¡Has ganado {duration} de tiempo de pantalla!',
+
+    actionRequestMoreTime: 'Pedir 5 minutos más',
+    actionSnoozeWarning: 'Recordar más tarde',
+    actionOpenApp: 'Abrir la app',
+
+    testTitle: '🧪 Notificación de prueba',
+    testMessage: '¡Esta es una notificación de prueba de Simple Timer!',
+  },
+};
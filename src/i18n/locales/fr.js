@@ -0,0 +1,52 @@
+// src/i18n/locales/fr.js - French
+export default {
+  name: 'Français',
+  // 0 is singular in French
+  plural: count => (count === 0 || count === 1 ? 'one' : 'other'),
+
+  units: {
+    hour: { one: '{count} heure', other: '{count} heures' },
+    minute: { one: '{count} minute', other: '{count} minutes' },
+    second: { one: '{count} seconde', other: '{count} secondes' },
+  },
+  shortUnits: {
+    hour: '{count} h',
+    minute: '{count} min',
+    second: '{count} s',
+  },
+
+  messages: {
+    channelName: 'Notifications du minuteur',
+    channelDescription: 'Notifications locales pour les alertes du minuteur',
+
+    warningMinutesTitle: {
+      one: '⏰ Plus que {count} minute',
+      other: '⏰ Plus que {count} minutes',
+    },
+    warningSecondsTitle: {
+      one: '⚠️ Plus que {count} seconde',
+      other: '⚠️ Plus que {count} secondes',
+    },
+    warningMessage: 'Il te reste {duration} de temps d\'écran.',
+    warningAlmostUpMessage: 'Ton temps d\'écran est presque écoulé !',
+
+    expiredTitle: '⌛ Temps écoulé',
+    expiredMessage: 'Ton temps d\'écran est épuisé !',
+    restrictionTitle: '🌙 {name}',
+    restrictionMessage: 'Le temps d\'écran est coupé jusqu\'à {time}.',
+
+    reminderTitle: '⌛ C\'est fini',
+    reminderRestrictionTitle: '🌙 Toujours : {name}',
+    reminderMessage: 'Tu as continué à utiliser l\'appareil pendant {duration} après la fin de ton temps. Tes parents le verront.',
+
+    timeAddedTitle: '💰 Temps ajouté',
+    timeAddedMessage: 'Tu as gagné {duration} de temps d\'écran !',
+
+    actionRequestMoreTime: 'Demander 5 minutes de plus',
+    actionSnoozeWarning: 'Rappeler plus tard',
+    actionOpenApp: 'Ouvrir l\'app',
+
+    testTitle: '🧪 Notification de test',
+    testMessage: 'Ceci est une notification de test de Simple Timer !',
+  },
+};
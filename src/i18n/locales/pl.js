@@ -0,0 +1,63 @@
+// src/i18n/locales/pl.js - Polish
+//
+// Messages keep {duration} in the nominative ("1 minuta", "2 minuty",
+// "5 minut") so one set of unit forms fits every sentence.
+export default {
+  name: 'Polski',
+  plural: count => {
+    if (count === 1) {
+      return 'one';
+    }
+    const lastDigit = count % 10;
+    const lastTwo = count % 100;
+    return lastDigit >= 2 && lastDigit <= 4 && (lastTwo < 12 || lastTwo > 14) ? 'few' : 'many';
+  },
+
+  units: {
+    hour: { one: '{count} godzina', few: '{count} godziny', many: '{count} godzin' },
+    minute: { one: '{count} minuta', few: '{count} minuty', many: '{count} minut' },
+    second: { one: '{count} sekunda', few: '{count} sekundy', many: '{count} sekund' },
+  },
+  shortUnits: {
+    hour: '{count} godz.',
+    minute: '{count} min',
+    second: '{count} s',
+  },
+
+  messages: {
+    channelName: 'Powiadomienia minutnika',
+    channelDescription: 'Lokalne powiadomienia o czasie ekranowym',
+
+    warningMinutesTitle: {
+      one: '⏰ Została {count} minuta',
+      few: '⏰ Zostały {count} minuty',
+      many: '⏰ Zostało {count} minut',
+    },
+    warningSecondsTitle: {
+      one: '⚠️ Została {count} sekunda',
+      few: '⚠️ Zostały {count} sekundy',
+      many: '⚠️ Zostało {count} sekund',
+    },
+    warningMessage: 'Pozostały czas ekranowy: {duration}.',
+    warningAlmostUpMessage: 'Twój czas ekranowy zaraz się skończy!',
+
+    expiredTitle: '⌛ Czas minął',
+    expiredMessage: 'Twój czas ekranowy się skończył!',
+    restrictionTitle: '🌙 {name}',
+    restrictionMessage: 'Czas ekranowy jest wyłączony do {time}.',
+
+    reminderTitle: '⌛ Koniec czasu',
+    reminderRestrictionTitle: '🌙 Nadal: {name}',
+    reminderMessage: 'Czas korzystania po upływie limitu: {duration}. Rodzic to zobaczy.',
+
+    timeAddedTitle: '💰 Dodano czas',
+    timeAddedMessage: 'Zdobyto czas ekranowy: {duration}!',
+
+    actionRequestMoreTime: 'Poproś o 5 minut',
+    actionSnoozeWarning: 'Przypomnij później',
+    actionOpenApp: 'Otwórz aplikację',
+
+    testTitle: '🧪 Powiadomienie testowe',
+    testMessage: 'To jest powiadomienie testowe z Simple Timer!',
+  },
+};
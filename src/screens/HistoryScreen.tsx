@@ -0,0 +1,288 @@
+// src/screens/HistoryScreen.tsx - Usage history and statistics
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import TimerService from '../services/TimerService';
+import UsageStatsService from '../services/UsageStatsService';
+import { getStartOfDay, shiftDays, toDateKey } from '../utils/time';
+
+const HISTORY_DAYS = 28;
+const CHART_DAYS = 7;
+
+type DayTotal = {
+  date: string;
+  seconds: number;
+  sessions: number;
+};
+
+type WeekTotal = {
+  weekOf: string;
+  seconds: number;
+  sessions: number;
+};
+
+type Statistics = {
+  totalSeconds: number;
+  sessionCount: number;
+  averageSession: number;
+  longestSession: { startedAt: number; duration: number } | null;
+  daily: DayTotal[];
+  weekly: WeekTotal[];
+  hourOfDay: number[];
+};
+
+type Props = {
+  onClose: () => void;
+};
+
+const HistoryScreen = ({ onClose }: Props) => {
+  const [stats, setStats] = useState<Statistics | null>(null);
+
+  const loadStats = useCallback(async () => {
+    const from = shiftDays(getStartOfDay(Date.now()), -(HISTORY_DAYS - 1));
+    setStats(await UsageStatsService.getStatistics({ from }));
+  }, []);
+
+  useEffect(() => {
+    loadStats();
+
+    // Refresh whenever a session closes
+    const removeListeners = [
+      TimerService.on('trackingStopped', loadStats),
+      TimerService.on('profileSwitched', loadStats),
+    ];
+
+    return () => {
+      removeListeners.forEach(remove => remove());
+    };
+  }, [loadStats]);
+
+  const secondsOn = (date: string) => {
+    const day = stats?.daily.find(item => item.date === date);
+    return day ? day.seconds : 0;
+  };
+
+  const today = getStartOfDay(Date.now());
+  const lastDays = Array.from({ length: CHART_DAYS }, (_, index) => {
+    const dayStart = shiftDays(today, index - (CHART_DAYS - 1));
+    return { date: toDateKey(dayStart), label: new Date(dayStart).toLocaleDateString(undefined, { weekday: 'short' }) };
+  });
+  const maxDay = Math.max(1, ...lastDays.map(day => secondsOn(day.date)));
+  const maxHour = Math.max(1, ...(stats?.hourOfDay || []));
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>📊 Usage History</Text>
+        <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+          <Text style={styles.closeButtonText}>Done</Text>
+        </TouchableOpacity>
+      </View>
+
+      {!stats ? (
+        <Text style={styles.emptyText}>Loading...</Text>
+      ) : (
+        <>
+          {/* Today / Yesterday */}
+          <View style={styles.summaryRow}>
+            <View style={styles.summaryCard}>
+              <Text style={styles.summaryValue}>{TimerService.formatTime(secondsOn(toDateKey(today)))}</Text>
+              <Text style={styles.summaryLabel}>Today</Text>
+            </View>
+            <View style={styles.summaryCard}>
+              <Text style={styles.summaryValue}>
+                {TimerService.formatTime(secondsOn(toDateKey(shiftDays(today, -1))))}
+              </Text>
+              <Text style={styles.summaryLabel}>Yesterday</Text>
+            </View>
+          </View>
+
+          {/* Last 7 days */}
+          <View style={styles.card}>
+            <Text style={styles.sectionTitle}>Last {CHART_DAYS} Days</Text>
+            {lastDays.map(day => (
+              <View key={day.date} style={styles.barRow}>
+                <Text style={styles.barLabel}>{day.label}</Text>
+                <View style={styles.barTrack}>
+                  <View style={[styles.bar, { width: `${(secondsOn(day.date) / maxDay) * 100}%` }]} />
+                </View>
+                <Text style={styles.barValue}>{TimerService.formatTime(secondsOn(day.date))}</Text>
+              </View>
+            ))}
+          </View>
+
+          {/* Sessions */}
+          <View style={styles.card}>
+            <Text style={styles.sectionTitle}>Sessions ({HISTORY_DAYS} days)</Text>
+            <Text style={styles.statText}>Sessions: {stats.sessionCount}</Text>
+            <Text style={styles.statText}>Total: {TimerService.formatTime(stats.totalSeconds)}</Text>
+            <Text style={styles.statText}>Average: {TimerService.formatTime(stats.averageSession)}</Text>
+            <Text style={styles.statText}>
+              Longest: {stats.longestSession
+                ? `${TimerService.formatTime(stats.longestSession.duration)} on ${new Date(stats.longestSession.startedAt).toLocaleString()}`
+                : '-'}
+            </Text>
+          </View>
+
+          {/* Weekly totals */}
+          <View style={styles.card}>
+            <Text style={styles.sectionTitle}>Weekly Totals</Text>
+            {stats.weekly.length === 0 ? (
+              <Text style={styles.emptyText}>No usage recorded yet...</Text>
+            ) : (
+              stats.weekly.map(week => (
+                <Text key={week.weekOf} style={styles.statText}>
+                  Week of {week.weekOf}: {TimerService.formatTime(week.seconds)} ({week.sessions} sessions)
+                </Text>
+              ))
+            )}
+          </View>
+
+          {/* Hour of day */}
+          <View style={styles.card}>
+            <Text style={styles.sectionTitle}>Time of Day</Text>
+            <View style={styles.hourChart}>
+              {stats.hourOfDay.map((seconds, hour) => (
+                <View key={hour} style={styles.hourColumn}>
+                  <View style={[styles.hourBar, { height: `${(seconds / maxHour) * 100}%` }]} />
+                </View>
+              ))}
+            </View>
+            <View style={styles.hourLabels}>
+              {['0h', '6h', '12h', '18h', '24h'].map(label => (
+                <Text key={label} style={styles.summaryLabel}>{label}</Text>
+              ))}
+            </View>
+          </View>
+        </>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 24,
+    paddingVertical: 12,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  closeButton: {
+    backgroundColor: '#2196F3',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  closeButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    gap: 12,
+    marginBottom: 16,
+  },
+  summaryCard: {
+    flex: 1,
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    alignItems: 'center',
+  },
+  summaryValue: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  summaryLabel: {
+    fontSize: 12,
+    color: '#666',
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 12,
+    color: '#333',
+  },
+  barRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+    gap: 8,
+  },
+  barLabel: {
+    width: 40,
+    color: '#666',
+  },
+  barTrack: {
+    flex: 1,
+    height: 12,
+    backgroundColor: '#eee',
+    borderRadius: 6,
+    overflow: 'hidden',
+  },
+  bar: {
+    height: '100%',
+    backgroundColor: '#4CAF50',
+  },
+  barValue: {
+    width: 64,
+    textAlign: 'right',
+    color: '#333',
+  },
+  statText: {
+    fontSize: 14,
+    color: '#333',
+    marginBottom: 4,
+  },
+  hourChart: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    height: 80,
+    gap: 2,
+  },
+  hourColumn: {
+    flex: 1,
+    height: '100%',
+    justifyContent: 'flex-end',
+  },
+  hourBar: {
+    backgroundColor: '#2196F3',
+    borderTopLeftRadius: 2,
+    borderTopRightRadius: 2,
+  },
+  hourLabels: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 4,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    fontStyle: 'italic',
+  },
+});
+
+export default HistoryScreen;
@@ -0,0 +1,274 @@
+// src/screens/LogViewerScreen.tsx - Browse, filter and export the persisted app log
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  Share,
+  Platform,
+} from 'react-native';
+import Logger, { LOG_LEVELS } from '../services/Logger';
+
+// Rendering thousands of rows is slow; exports always include everything matched
+const MAX_VISIBLE_ENTRIES = 300;
+
+const LEVEL_COLORS: { [level: string]: string } = {
+  debug: '#999',
+  info: '#2196F3',
+  warn: '#FF9800',
+  error: '#F44336',
+};
+
+type LogEntry = {
+  seq: number;
+  timestamp: number;
+  level: string;
+  subsystem: string;
+  message: string;
+  fields: { [key: string]: unknown };
+};
+
+type Props = {
+  onClose: () => void;
+};
+
+const LogViewerScreen = ({ onClose }: Props) => {
+  const [entries, setEntries] = useState<LogEntry[]>([]);
+  const [subsystems, setSubsystems] = useState<string[]>([]);
+  const [minLevel, setMinLevel] = useState('info');
+  const [subsystem, setSubsystem] = useState<string | null>(null);
+  const [expanded, setExpanded] = useState<number | null>(null);
+
+  const query = useCallback(() => ({
+    minLevel,
+    subsystems: subsystem ? [subsystem] : [],
+  }), [minLevel, subsystem]);
+
+  const loadEntries = useCallback(async () => {
+    const [matched, tags] = await Promise.all([Logger.getEntries(query()), Logger.getSubsystems()]);
+    setEntries(matched.slice(-MAX_VISIBLE_ENTRIES).reverse());
+    setSubsystems(tags);
+  }, [query]);
+
+  useEffect(() => {
+    loadEntries();
+
+    // Follow new entries while the viewer is open
+    const removeListener = Logger.addEventListener(() => {
+      loadEntries();
+    });
+
+    return () => {
+      removeListener();
+    };
+  }, [loadEntries]);
+
+  const handleExport = async () => {
+    try {
+      const text = await Logger.exportText(query());
+      await Share.share({ message: text || '(log is empty)', title: 'Timer app log' });
+    } catch (error) {
+      Alert.alert('Export failed', (error as Error).message);
+    }
+  };
+
+  const handleClear = () => {
+    Alert.alert(
+      'Clear Log',
+      'Delete every stored log entry?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Clear', style: 'destructive', onPress: () => Logger.clear() },
+      ]
+    );
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>📜 App Log</Text>
+        <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+          <Text style={styles.closeButtonText}>Done</Text>
+        </TouchableOpacity>
+      </View>
+
+      {/* Filters */}
+      <View style={styles.card}>
+        <Text style={styles.filterLabel}>Minimum level</Text>
+        <View style={styles.chipRow}>
+          {LOG_LEVELS.map(level => (
+            <TouchableOpacity
+              key={level}
+              style={[styles.chip, minLevel === level && styles.chipSelected]}
+              onPress={() => setMinLevel(level)}
+            >
+              <Text style={[styles.chipText, minLevel === level && styles.chipTextSelected]}>{level}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <Text style={styles.filterLabel}>Subsystem</Text>
+        <View style={styles.chipRow}>
+          {[null, ...subsystems].map(tag => (
+            <TouchableOpacity
+              key={tag || 'all'}
+              style={[styles.chip, subsystem === tag && styles.chipSelected]}
+              onPress={() => setSubsystem(tag)}
+            >
+              <Text style={[styles.chipText, subsystem === tag && styles.chipTextSelected]}>{tag || 'all'}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <View style={styles.actionRow}>
+          <TouchableOpacity style={[styles.actionButton, styles.exportButton]} onPress={handleExport}>
+            <Text style={styles.actionButtonText}>Export</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={[styles.actionButton, styles.clearButton]} onPress={handleClear}>
+            <Text style={styles.actionButtonText}>Clear</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {/* Entries, newest first; tap one to see its fields */}
+      <View style={styles.card}>
+        {entries.length === 0 ? (
+          <Text style={styles.emptyText}>No log entries match...</Text>
+        ) : (
+          entries.map(entry => (
+            <TouchableOpacity
+              key={entry.seq}
+              style={styles.entry}
+              onPress={() => setExpanded(expanded === entry.seq ? null : entry.seq)}
+            >
+              <Text style={styles.entryMeta}>
+                {new Date(entry.timestamp).toLocaleString()}{' '}
+                <Text style={{ color: LEVEL_COLORS[entry.level] }}>{entry.level.toUpperCase()}</Text>{' '}
+                [{entry.subsystem}]
+              </Text>
+              <Text style={styles.entryMessage}>{entry.message}</Text>
+              {expanded === entry.seq && Object.keys(entry.fields).length > 0 && (
+                <Text style={styles.entryFields}>{JSON.stringify(entry.fields, null, 2)}</Text>
+              )}
+            </TouchableOpacity>
+          ))
+        )}
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 24,
+    paddingVertical: 12,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  closeButton: {
+    backgroundColor: '#2196F3',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  closeButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+  },
+  filterLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 6,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginBottom: 12,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#eee',
+  },
+  chipSelected: {
+    backgroundColor: '#2196F3',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#333',
+  },
+  chipTextSelected: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  actionRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  actionButton: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  exportButton: {
+    backgroundColor: '#4CAF50',
+  },
+  clearButton: {
+    backgroundColor: '#F44336',
+  },
+  actionButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  entry: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  entryMeta: {
+    fontSize: 11,
+    color: '#666',
+    fontFamily: Platform.OS === 'ios' ? 'Courier' : 'monospace',
+  },
+  entryMessage: {
+    fontSize: 14,
+    color: '#333',
+    marginTop: 2,
+  },
+  entryFields: {
+    fontSize: 11,
+    color: '#555',
+    fontFamily: Platform.OS === 'ios' ? 'Courier' : 'monospace',
+    marginTop: 4,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    fontStyle: 'italic',
+  },
+});
+
+export default LogViewerScreen;
@@ -0,0 +1,259 @@
+// src/services/AllowanceService.js - Recurring daily allowance with rollover rules
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_PROFILE_ID, getProfileKey } from './ProfileService';
+import {
+  getLastOccurrence,
+  isValidTimeOfDay,
+  isWeekend,
+  shiftDays,
+  toDateKey,
+} from '../utils/time';
+import ParentAuthService from './ParentAuthService';
+import { systemClock } from '../utils/clock';
+
+const ALLOWANCE_CONFIG_KEY = '@allowance_config';
+const ALLOWANCE_LAST_RESET_KEY = '@allowance_last_reset';
+
+// After a long absence only the latest few resets are replayed; older days
+// grant nothing, so full rollover cannot hand out weeks of time at once
+const MAX_MISSED_RESETS = 3;
+
+export const ROLLOVER_MODES = {
+  NONE: 'none',
+  CAPPED: 'capped',
+  FULL: 'full',
+};
+
+export const DEFAULT_ALLOWANCE_CONFIG = {
+  enabled: false,
+  weekdayAmount: 60 * 60,
+  weekendAmount: 120 * 60,
+  resetTime: '00:00',
+  rollover: ROLLOVER_MODES.NONE,
+  rolloverCap: 30 * 60,
+  // Each day's allowance is lost at the next reset, without touching other credits
+  expiresAtNextReset: false,
+};
+
+export class AllowanceService {
+  constructor({ storage = AsyncStorage, clock = systemClock, parentAuth = ParentAuthService } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+    this.parentAuth = parentAuth;
+    // Lets scheduled resets credit and forfeit time without a parent session
+    this.capability = parentAuth.createCapability('allowance');
+    this.profileId = DEFAULT_PROFILE_ID;
+    this.config = null;
+    this.lastResetAt = null;
+    this.isLoaded = false;
+    // Shared by concurrent callers so a reset is never applied twice
+    this.pendingApply = null;
+  }
+
+  storageKey(baseKey) {
+    return getProfileKey(baseKey, this.profileId);
+  }
+
+  // Settings are per profile; drop the cached config when the profile changes
+  async setProfile(profileId) {
+    if (this.pendingApply) {
+      await this.pendingApply;
+    }
+
+    if (profileId !== this.profileId) {
+      this.profileId = profileId;
+      this.config = null;
+      this.lastResetAt = null;
+      this.isLoaded = false;
+    }
+  }
+
+  // Re-read settings from storage on next use (after a backup restore)
+  async invalidate() {
+    if (this.pendingApply) {
+      await this.pendingApply;
+    }
+
+    this.config = null;
+    this.lastResetAt = null;
+    this.isLoaded = false;
+  }
+
+  async load() {
+    if (this.isLoaded) {
+      return;
+    }
+
+    try {
+      const [[, savedConfig], [, savedLastReset]] = await this.storage.multiGet([
+        this.storageKey(ALLOWANCE_CONFIG_KEY),
+        this.storageKey(ALLOWANCE_LAST_RESET_KEY),
+      ]);
+      this.config = { ...DEFAULT_ALLOWANCE_CONFIG, ...(savedConfig ? JSON.parse(savedConfig) : {}) };
+      this.lastResetAt = savedLastReset ? parseInt(savedLastReset, 10) : null;
+    } catch (error) {
+      console.error('Error loading allowance config:', error);
+      this.config = { ...DEFAULT_ALLOWANCE_CONFIG };
+    }
+
+    this.isLoaded = true;
+  }
+
+  async getConfig() {
+    await this.load();
+    return { ...this.config };
+  }
+
+  // Throws ParentAuthError without an unlocked parent session
+  async updateConfig(changes) {
+    this.parentAuth.authorize('change the allowance', {}, this.clock.now());
+    await this.load();
+
+    const config = { ...this.config, ...changes };
+    const error = this.validateConfig(config);
+    if (error) {
+      throw new Error(`Invalid allowance config: ${error}`);
+    }
+
+    if (this.lastResetAt !== null) {
+      const currentReset = getLastOccurrence(config.resetTime, this.clock.now());
+
+      if (config.resetTime !== this.config.resetTime) {
+        // A changed reset time moves every boundary; restart from the next one
+        this.lastResetAt = currentReset;
+      } else if (config.enabled && !this.config.enabled) {
+        // Re-enabling grants the current period at most, never the paused days
+        this.lastResetAt = Math.max(this.lastResetAt, shiftDays(currentReset, -1));
+      }
+
+      await this.storage.setItem(this.storageKey(ALLOWANCE_LAST_RESET_KEY), this.lastResetAt.toString());
+    }
+
+    this.config = config;
+    await this.storage.setItem(this.storageKey(ALLOWANCE_CONFIG_KEY), JSON.stringify(config));
+    console.log('📅 Allowance config updated', config);
+
+    return { ...config };
+  }
+
+  validateConfig(config) {
+    const isDuration = value => Number.isInteger(value) && value >= 0;
+
+    if (!isDuration(config.weekdayAmount)) {
+      return 'weekdayAmount must be a non-negative integer';
+    }
+    if (!isDuration(config.weekendAmount)) {
+      return 'weekendAmount must be a non-negative integer';
+    }
+    if (!isDuration(config.rolloverCap)) {
+      return 'rolloverCap must be a non-negative integer';
+    }
+    if (!isValidTimeOfDay(config.resetTime)) {
+      return 'resetTime must be HH:MM';
+    }
+    if (typeof config.expiresAtNextReset !== 'boolean') {
+      return 'expiresAtNextReset must be true or false';
+    }
+    if (!Object.values(ROLLOVER_MODES).includes(config.rollover)) {
+      return `rollover must be one of ${Object.values(ROLLOVER_MODES).join(', ')}`;
+    }
+
+    return null;
+  }
+
+  getAmountFor(resetAt) {
+    return isWeekend(resetAt) ? this.config.weekendAmount : this.config.weekdayAmount;
+  }
+
+  // How much of `balance` survives a reset under the configured rollover mode
+  getCarryOver(balance) {
+    switch (this.config.rollover) {
+      case ROLLOVER_MODES.FULL:
+        return balance;
+      case ROLLOVER_MODES.CAPPED:
+        return Math.min(balance, this.config.rolloverCap);
+      default:
+        return 0;
+    }
+  }
+
+  // Reset boundaries that have passed since the last applied one, oldest first.
+  // On the very first run only the current period is granted.
+  getDueResets(now) {
+    const resets = [];
+    let resetAt = getLastOccurrence(this.config.resetTime, now);
+
+    while (
+      (this.lastResetAt === null ? resets.length < 1 : resetAt > this.lastResetAt) &&
+      resets.length < MAX_MISSED_RESETS
+    ) {
+      resets.unshift(resetAt);
+      resetAt = shiftDays(resetAt, -1);
+    }
+
+    return resets;
+  }
+
+  // Apply every reset that is due. `timer` is the TimerService whose balance
+  // receives the allowance; returns the grants that were made.
+  applyDueAllowance(timer, now = this.clock.now()) {
+    if (!this.pendingApply) {
+      this.pendingApply = this.applyResets(timer, now).finally(() => {
+        this.pendingApply = null;
+      });
+    }
+
+    return this.pendingApply;
+  }
+
+  async applyResets(timer, now) {
+    await this.load();
+    if (!this.config.enabled) {
+      return [];
+    }
+
+    const grants = [];
+
+    for (const resetAt of this.getDueResets(now)) {
+      // Record the reset before granting: a crash here may skip one grant but
+      // can never grant the same period twice
+      this.lastResetAt = resetAt;
+      await this.storage.setItem(this.storageKey(ALLOWANCE_LAST_RESET_KEY), resetAt.toString());
+
+      // Rollover applies to what is left of earlier allowances only; time from
+      // vouchers, activities, requests or a parent is never forfeited
+      timer.syncSessionBalance();
+      const unused = timer.getCreditsFrom('allowance');
+      const forfeited = unused - this.getCarryOver(unused);
+      const expiresAt = this.config.expiresAtNextReset ? shiftDays(resetAt, 1) : undefined;
+      // A missed day whose allowance would already have expired grants nothing
+      const amount = expiresAt !== undefined && expiresAt <= now ? 0 : this.getAmountFor(resetAt);
+      const date = toDateKey(resetAt);
+
+      if (forfeited > 0) {
+        timer.removeTimeCredits(forfeited, {
+          source: 'allowance',
+          capability: this.capability,
+          reason: `rollover:${date}`,
+          fromSource: 'allowance',
+        });
+      }
+      if (amount > 0) {
+        timer.addTimeCredits(amount, {
+          source: 'allowance',
+          capability: this.capability,
+          reason: `allowance:${date}`,
+          expiresAt,
+        });
+      }
+
+      console.log(`📅 Allowance for ${date}: +${amount}s, forfeited ${forfeited}s`);
+      grants.push({ resetAt, date, amount, forfeited });
+    }
+
+    return grants;
+  }
+}
+
+// Export singleton instance
+export default new AllowanceService();
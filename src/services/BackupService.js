@@ -0,0 +1,425 @@
+// src/services/BackupService.js - Export/import of all timer data
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import TimerService from './TimerService';
+import { DEFAULT_PROFILE_ID, getProfileKey } from './ProfileService';
+import EarningRulesService from './EarningRulesService';
+import TimeRequestService from './TimeRequestService';
+import NotificationPreferences from './NotificationPreferences';
+import VoucherService, { mergeRedeemedVouchers } from './VoucherService';
+import SyncService from './SyncService';
+import { CURRENT_SCHEMA_VERSION } from './StorageMigrations';
+import Logger from './Logger';
+import {
+  SCHEMA_VERSION_KEY,
+  BACKUP_SETTINGS_FIELDS,
+  PROFILE_FIELDS,
+  OPEN_SESSION_KEY,
+  isPlainObject,
+  checkType,
+  decodeValue,
+  encodeValue,
+} from './StorageSchema';
+import { systemClock } from '../utils/clock';
+
+export const BACKUP_FORMAT = 'simple-timer-backup';
+export const BACKUP_VERSION = 1;
+
+// Open sessions are not exported, but a restore must still clear them so a
+// stale one is not "recovered" against the new data. Device-only settings are
+// neither exported nor cleared.
+const MANAGED_KEYS = [
+  ...Object.values(BACKUP_SETTINGS_FIELDS).map(field => field.key),
+  ...Object.values(PROFILE_FIELDS).map(field => field.key),
+  OPEN_SESSION_KEY,
+];
+
+export class BackupError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'BackupError';
+    this.errors = errors;
+  }
+}
+
+// Services outside TimerService that cache stored data of their own
+async function reloadAppServices() {
+  EarningRulesService.invalidate();
+  TimeRequestService.invalidate();
+  await Promise.all([
+    NotificationPreferences.reload(),
+    VoucherService.reload(),
+    SyncService.reload(),
+  ]);
+}
+
+function isManagedKey(key) {
+  return MANAGED_KEYS.some(base => key === base || key.startsWith(`${base}:`));
+}
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsvValue(row[column])).join(','));
+  });
+  return lines.join('\n');
+}
+
+// Check a backup document (object or JSON string) against the schema.
+// Returns { valid, errors, backup } and never throws.
+export function validateBackup(input) {
+  const errors = [];
+  let backup = input;
+
+  if (typeof input === 'string') {
+    try {
+      backup = JSON.parse(input);
+    } catch (error) {
+      return { valid: false, errors: ['Backup is not valid JSON'], backup: null };
+    }
+  }
+
+  if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+    return { valid: false, errors: ['Not a Simple Timer backup'], backup: null };
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    return { valid: false, errors: ['Backup version is missing or invalid'], backup: null };
+  }
+  if (backup.version > BACKUP_VERSION) {
+    return {
+      valid: false,
+      errors: [`Backup was made by a newer version of the app (format v${backup.version})`],
+      backup: null,
+    };
+  }
+
+  // The storage schema the data was saved under; restores migrate it from
+  // there. Backups made before it was recorded count as version 0.
+  if (backup.schemaVersion !== undefined &&
+    !(Number.isInteger(backup.schemaVersion) && backup.schemaVersion >= 0)) {
+    return { valid: false, errors: ['Backup schema version is invalid'], backup: null };
+  }
+  if (backup.schemaVersion > CURRENT_SCHEMA_VERSION) {
+    return {
+      valid: false,
+      errors: [`Backup was made by a newer version of the app (schema v${backup.schemaVersion})`],
+      backup: null,
+    };
+  }
+
+  if (typeof backup.exportedAt !== 'number') {
+    errors.push('exportedAt must be a timestamp');
+  }
+
+  const settings = isPlainObject(backup.settings) ? backup.settings : null;
+  const profileData = isPlainObject(backup.profileData) ? backup.profileData : null;
+  if (!settings) {
+    errors.push('settings must be an object');
+  }
+  if (!profileData) {
+    errors.push('profileData must be an object');
+  }
+  if (!settings || !profileData) {
+    return { valid: false, errors, backup: null };
+  }
+
+  Object.entries(BACKUP_SETTINGS_FIELDS).forEach(([name, field]) => {
+    if (settings[name] !== undefined && !checkType(field.type, settings[name])) {
+      errors.push(`settings.${name} must be of type ${field.type}`);
+    }
+  });
+
+  const profileIds = new Set([DEFAULT_PROFILE_ID]);
+  (Array.isArray(settings.profiles) ? settings.profiles : []).forEach((profile, index) => {
+    if (typeof profile.id !== 'string' || typeof profile.name !== 'string') {
+      errors.push(`settings.profiles[${index}] needs a string id and name`);
+    } else if (profile.id !== DEFAULT_PROFILE_ID && profileIds.has(profile.id)) {
+      errors.push(`settings.profiles has duplicate id "${profile.id}"`);
+    } else {
+      profileIds.add(profile.id);
+    }
+  });
+
+  if (typeof settings.activeProfileId === 'string' && !profileIds.has(settings.activeProfileId)) {
+    errors.push(`settings.activeProfileId "${settings.activeProfileId}" is not a listed profile`);
+  }
+
+  Object.entries(profileData).forEach(([profileId, data]) => {
+    if (!profileIds.has(profileId)) {
+      errors.push(`profileData.${profileId} does not belong to a listed profile`);
+      return;
+    }
+    if (!isPlainObject(data)) {
+      errors.push(`profileData.${profileId} must be an object`);
+      return;
+    }
+
+    Object.entries(PROFILE_FIELDS).forEach(([name, field]) => {
+      if (data[name] !== undefined && !checkType(field.type, data[name])) {
+        errors.push(`profileData.${profileId}.${name} must be of type ${field.type}`);
+      }
+    });
+
+    (Array.isArray(data.ledger) ? data.ledger : []).forEach((entry, index) => {
+      if (typeof entry.type !== 'string' || typeof entry.amount !== 'number' || typeof entry.timestamp !== 'number') {
+        errors.push(`profileData.${profileId}.ledger[${index}] needs a type, amount and timestamp`);
+      }
+    });
+  });
+
+  return { valid: errors.length === 0, errors, backup: errors.length === 0 ? backup : null };
+}
+
+export class BackupService {
+  constructor({
+    storage = AsyncStorage,
+    clock = systemClock,
+    timer = TimerService,
+    reloadServices = reloadAppServices,
+    logger = Logger,
+  } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+    this.timer = timer;
+    this.reloadServices = reloadServices;
+    this.log = logger.tag('backup');
+  }
+
+  // Build the versioned backup document for every profile. Needs an unlocked
+  // parent session: the document holds everything but the parent's credentials.
+  async createBackup() {
+    this.timer.parentAuth.authorize('export a backup');
+
+    // Write the live balance and drain queued history writes so storage is current
+    this.timer.getStatus();
+    await Promise.all([
+      this.timer.saveTime(),
+      this.timer.ledger.invalidate(),
+      this.timer.usageStats.invalidate(),
+    ]);
+
+    const profiles = await this.timer.profiles.getProfiles();
+    const requests = [];
+
+    Object.entries(BACKUP_SETTINGS_FIELDS).forEach(([name, field]) => {
+      requests.push({ key: field.key, field, assign: (backup, value) => { backup.settings[name] = value; } });
+    });
+    profiles.forEach(profile => {
+      Object.entries(PROFILE_FIELDS).forEach(([name, field]) => {
+        requests.push({
+          key: getProfileKey(field.key, profile.id),
+          field,
+          assign: (backup, value) => {
+            backup.profileData[profile.id] = backup.profileData[profile.id] || {};
+            backup.profileData[profile.id][name] = value;
+          },
+        });
+      });
+    });
+
+    const values = await this.storage.multiGet(requests.map(request => request.key));
+    const backup = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      schemaVersion: await this.timer.migrations.getVersion(this.storage),
+      exportedAt: this.clock.now(),
+      settings: {},
+      profileData: {},
+    };
+
+    values.forEach(([key, raw], index) => {
+      if (raw === null) {
+        return;
+      }
+
+      const { field, assign } = requests[index];
+      try {
+        const value = decodeValue(field.type, raw);
+        if (checkType(field.type, value)) {
+          assign(backup, value);
+        } else {
+          this.log.warn('Skipping malformed value in backup', { key });
+        }
+      } catch (error) {
+        this.log.warn('Skipping unreadable value in backup', { key, error });
+      }
+    });
+
+    // Every profile appears even if it has nothing stored yet
+    profiles.forEach(profile => {
+      backup.profileData[profile.id] = backup.profileData[profile.id] || {};
+    });
+
+    this.log.info('Created backup', { profiles: profiles.length });
+    return backup;
+  }
+
+  async exportJson() {
+    return JSON.stringify(await this.createBackup(), null, 2);
+  }
+
+  // Credit history of every profile as CSV, oldest first
+  async exportLedgerCsv() {
+    const backup = await this.createBackup();
+    const rows = [];
+
+    Object.entries(backup.profileData).forEach(([profileId, data]) => {
+      (data.ledger || []).forEach(entry => {
+        rows.push({ profile: profileId, date: new Date(entry.timestamp).toISOString(), ...entry });
+      });
+    });
+    rows.sort((a, b) => a.timestamp - b.timestamp);
+
+    return toCsv(['profile', 'date', 'type', 'amount', 'balance', 'reason', 'source'], rows);
+  }
+
+  // Spending sessions of every profile as CSV, oldest first
+  async exportUsageCsv() {
+    const backup = await this.createBackup();
+    const rows = [];
+
+    Object.entries(backup.profileData).forEach(([profileId, data]) => {
+      (data.usageSessions || []).forEach(session => {
+        rows.push({
+          profile: profileId,
+          started: new Date(session.startedAt).toISOString(),
+          ended: new Date(session.endedAt).toISOString(),
+          ...session,
+        });
+      });
+    });
+    rows.sort((a, b) => a.startedAt - b.startedAt);
+
+    return toCsv(['profile', 'started', 'ended', 'duration', 'recovered'], rows);
+  }
+
+  // Describe what restoring `input` would change, without changing anything
+  async previewRestore(input) {
+    const { valid, errors, backup } = validateBackup(input);
+    if (!valid) {
+      return { valid, errors };
+    }
+
+    const currentProfiles = await this.timer.profiles.getProfiles();
+    const currentBalances = await this.storage.multiGet(
+      currentProfiles.map(profile => getProfileKey(PROFILE_FIELDS.balance.key, profile.id))
+    );
+    const backupProfiles = backup.settings.profiles || [{ id: DEFAULT_PROFILE_ID, name: 'Default' }];
+    const backupIds = new Set(backupProfiles.map(profile => profile.id));
+
+    // The active profile's stored balance can lag the live one by a tick
+    const { profileId: activeId, availableTime } = this.timer.getStatus();
+    const currentBalanceOf = profileId => {
+      if (profileId === activeId) {
+        return availableTime;
+      }
+      const index = currentProfiles.findIndex(profile => profile.id === profileId);
+      if (index === -1) {
+        return null;
+      }
+      const raw = currentBalances[index][1];
+      return raw ? parseInt(raw, 10) : 0;
+    };
+
+    return {
+      valid: true,
+      errors: [],
+      version: backup.version,
+      exportedAt: backup.exportedAt,
+      profiles: backupProfiles.map(profile => {
+        const data = backup.profileData[profile.id] || {};
+        return {
+          id: profile.id,
+          name: profile.name,
+          isNew: !currentProfiles.some(current => current.id === profile.id),
+          currentBalance: currentBalanceOf(profile.id),
+          backupBalance: data.balance || 0,
+          ledgerEntries: (data.ledger || []).length,
+          usageSessions: (data.usageSessions || []).length,
+        };
+      }),
+      removedProfiles: currentProfiles
+        .filter(profile => !backupIds.has(profile.id))
+        .map(profile => ({ id: profile.id, name: profile.name, currentBalance: currentBalanceOf(profile.id) })),
+    };
+  }
+
+  // The stored value of a settings field, or null if missing or unreadable
+  async readSetting(field) {
+    try {
+      const raw = await this.storage.getItem(field.key);
+      return raw === null ? null : decodeValue(field.type, raw);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Replace all timer data with the backup. Needs an unlocked parent session;
+  // throws BackupError when the document fails validation.
+  async restoreBackup(input) {
+    this.timer.parentAuth.authorize('restore a backup');
+
+    const { valid, errors, backup } = validateBackup(input);
+    if (!valid) {
+      throw new BackupError('Backup failed validation', errors);
+    }
+
+    // Older backups may still carry the parent PIN, voucher secret or sync
+    // settings; they are ignored. Vouchers used on this device stay used.
+    const redeemedField = BACKUP_SETTINGS_FIELDS.redeemedVouchers;
+    const settings = {
+      ...backup.settings,
+      redeemedVouchers: mergeRedeemedVouchers(
+        await this.readSetting(redeemedField),
+        backup.settings.redeemedVouchers
+      ),
+    };
+
+    const entries = [[SCHEMA_VERSION_KEY, String(backup.schemaVersion || 0)]];
+    Object.entries(BACKUP_SETTINGS_FIELDS).forEach(([name, field]) => {
+      if (settings[name] !== undefined) {
+        entries.push([field.key, encodeValue(field.type, settings[name])]);
+      }
+    });
+    Object.entries(backup.profileData).forEach(([profileId, data]) => {
+      Object.entries(PROFILE_FIELDS).forEach(([name, field]) => {
+        if (data[name] !== undefined) {
+          entries.push([getProfileKey(field.key, profileId), encodeValue(field.type, data[name])]);
+        }
+      });
+    });
+
+    this.log.info('Restoring backup', { exportedAt: backup.exportedAt });
+
+    const status = await this.timer.replaceStoredData(async () => {
+      const existingKeys = await this.storage.getAllKeys();
+      await this.storage.multiRemove(existingKeys.filter(isManagedKey));
+      await this.storage.multiSet(entries);
+      // Bring data from an older app up to this one's schema before anything loads it
+      await this.timer.migrations.run(this.storage, this.clock.now());
+
+      await Promise.all([this.timer.i18n.reload(), this.reloadServices()]);
+    });
+
+    this.log.info('Backup restored');
+    return status;
+  }
+}
+
+// Export singleton instance
+export default new BackupService();
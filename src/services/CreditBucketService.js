@@ -0,0 +1,196 @@
+// src/services/CreditBucketService.js - Grants kept as separate buckets, some of them expiring
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import Logger from './Logger';
+import { DEFAULT_PROFILE_ID, getProfileKey } from './ProfileService';
+import { systemClock } from '../utils/clock';
+
+const BUCKETS_KEY = '@credit_buckets';
+
+// Spending order: soonest expiry first, buckets that never expire last, and
+// the oldest grant first among equals
+function compareBuckets(a, b) {
+  const aExpiry = a.expiresAt === null ? Infinity : a.expiresAt;
+  const bExpiry = b.expiresAt === null ? Infinity : b.expiresAt;
+  return aExpiry - bExpiry || a.grantedAt - b.grantedAt;
+}
+
+function isValidBucket(bucket) {
+  return bucket !== null && typeof bucket === 'object' &&
+    typeof bucket.id === 'string' &&
+    Number.isInteger(bucket.amount) && bucket.amount > 0 &&
+    Number.isFinite(bucket.grantedAt) &&
+    (bucket.expiresAt === null || Number.isFinite(bucket.expiresAt));
+}
+
+// Consume `seconds` from `buckets` (already in spending order) in place;
+// returns how many seconds were found
+function consumeFrom(buckets, seconds) {
+  let remaining = seconds;
+
+  for (const bucket of buckets) {
+    if (remaining <= 0) {
+      break;
+    }
+    const taken = Math.min(bucket.amount, remaining);
+    bucket.amount -= taken;
+    remaining -= taken;
+  }
+
+  return seconds - remaining;
+}
+
+// TimerService's `availableTime` stays the total; this service only tracks
+// which grants it is made of. Everything but load/save is synchronous so the
+// buckets change in step with the balance.
+export class CreditBucketService {
+  constructor({ storage = AsyncStorage, clock = systemClock, logger = Logger } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+    this.log = logger.tag('credits');
+    this.profileId = DEFAULT_PROFILE_ID;
+    this.buckets = [];
+    this.isLoaded = false;
+    this.isDirty = false;
+    this.sequence = 0;
+  }
+
+  storageKey(baseKey) {
+    return getProfileKey(baseKey, this.profileId);
+  }
+
+  async setProfile(profileId) {
+    if (profileId !== this.profileId) {
+      this.profileId = profileId;
+      this.invalidate();
+    }
+    await this.load();
+  }
+
+  // Re-read the buckets from storage on next load (after a backup restore)
+  invalidate() {
+    this.buckets = [];
+    this.isLoaded = false;
+    this.isDirty = false;
+  }
+
+  async load() {
+    if (this.isLoaded) {
+      return;
+    }
+
+    try {
+      const saved = await this.storage.getItem(this.storageKey(BUCKETS_KEY));
+      const buckets = saved ? JSON.parse(saved) : [];
+      this.buckets = (Array.isArray(buckets) ? buckets : []).filter(isValidBucket).sort(compareBuckets);
+    } catch (error) {
+      this.log.error('Error loading credit buckets', { error });
+      this.buckets = [];
+    }
+
+    this.isLoaded = true;
+  }
+
+  // Writes only when something changed since the last save
+  async save() {
+    if (!this.isDirty) {
+      return;
+    }
+    this.isDirty = false;
+
+    try {
+      await this.storage.setItem(this.storageKey(BUCKETS_KEY), JSON.stringify(this.buckets));
+    } catch (error) {
+      this.log.error('Error saving credit buckets', { error });
+    }
+  }
+
+  setBuckets(buckets) {
+    this.buckets = buckets.filter(bucket => bucket.amount > 0).sort(compareBuckets);
+    this.isDirty = true;
+  }
+
+  getTotal() {
+    return this.buckets.reduce((total, bucket) => total + bucket.amount, 0);
+  }
+
+  // Buckets in spending order. `pending` seconds already spent but not yet
+  // consumed (an open session) are taken off first, as consume() would.
+  getBuckets(pending = 0) {
+    const buckets = this.buckets.map(bucket => ({ ...bucket }));
+    consumeFrom(buckets, pending);
+    return buckets.filter(bucket => bucket.amount > 0);
+  }
+
+  add(seconds, { expiresAt = null, reason = null, source = null, grantedAt = this.clock.now() } = {}) {
+    if (seconds <= 0) {
+      return null;
+    }
+
+    this.sequence = (this.sequence + 1) % 1000;
+    const bucket = {
+      id: `bucket-${grantedAt.toString(36)}-${this.sequence}`,
+      amount: seconds,
+      expiresAt,
+      grantedAt,
+      reason,
+      source,
+    };
+
+    this.setBuckets([...this.buckets, bucket]);
+    return { ...bucket };
+  }
+
+  // Spend from the soonest-expiring buckets first. With `source`, only buckets
+  // granted by that source are touched.
+  consume(seconds, { source = null } = {}) {
+    if (seconds <= 0) {
+      return 0;
+    }
+
+    const buckets = this.buckets.map(bucket => ({ ...bucket }));
+    const consumed = consumeFrom(
+      source === null ? buckets : buckets.filter(bucket => bucket.source === source),
+      seconds
+    );
+    this.setBuckets(buckets);
+    return consumed;
+  }
+
+  // Remove and return the buckets that have expired by `now`
+  takeExpired(now = this.clock.now()) {
+    const expired = this.buckets.filter(bucket => bucket.expiresAt !== null && bucket.expiresAt <= now);
+    if (expired.length === 0) {
+      return [];
+    }
+
+    this.setBuckets(this.buckets.filter(bucket => !expired.includes(bucket)));
+    return expired.map(bucket => ({ ...bucket }));
+  }
+
+  getNextExpiry() {
+    const expiring = this.buckets.find(bucket => bucket.expiresAt !== null);
+    return expiring ? expiring.expiresAt : null;
+  }
+
+  // Make the buckets add up to `balance`: data from before buckets existed, or
+  // a crash between saving the balance and the buckets. Missing time becomes a
+  // bucket that never expires; extra time is taken in spending order.
+  reconcile(balance) {
+    const difference = balance - this.getTotal();
+
+    if (difference > 0) {
+      this.add(difference, { reason: 'carried-over', source: 'reconcile' });
+    } else if (difference < 0) {
+      this.consume(-difference);
+    }
+
+    return difference;
+  }
+
+  clear() {
+    this.setBuckets([]);
+  }
+}
+
+// Export singleton instance
+export default new CreditBucketService();
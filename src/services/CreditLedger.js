@@ -0,0 +1,163 @@
+// src/services/CreditLedger.js - Append-only audit trail of balance changes
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_PROFILE_ID, getProfileKey } from './ProfileService';
+import { systemClock } from '../utils/clock';
+
+const LEDGER_STORAGE_KEY = '@credit_ledger';
+
+// Entries older than this are folded into one opening-balance entry, like
+// UsageStatsService keeps 90 days of sessions
+const LEDGER_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+
+export const LEDGER_ENTRY_TYPES = {
+  GRANT: 'grant',
+  REMOVAL: 'removal',
+  SPEND_SESSION: 'spend-session',
+  BACKGROUND_RECONCILIATION: 'background-reconciliation',
+  OVERTIME: 'overtime',
+  EXPIRY: 'expiry',
+  RESET: 'reset',
+  // Stands in for compacted entries: their summed amount, and the balance
+  // and debt after the last of them
+  OPENING_BALANCE: 'opening-balance',
+};
+
+const VALID_TYPES = new Set(Object.values(LEDGER_ENTRY_TYPES));
+
+export class CreditLedger {
+  constructor({ storage = AsyncStorage, clock = systemClock } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+    this.profileId = DEFAULT_PROFILE_ID;
+    this.entries = null;
+    // Appends are chained so concurrent writers never clobber each other
+    this.writeQueue = Promise.resolve();
+    this.sequence = 0;
+  }
+
+  // Queued behind pending appends so they land in the profile they were made for
+  setProfile(profileId) {
+    this.writeQueue = this.writeQueue.then(() => {
+      if (profileId !== this.profileId) {
+        this.profileId = profileId;
+        this.entries = null;
+      }
+    });
+
+    return this.writeQueue;
+  }
+
+  // Forget cached entries once pending appends land, e.g. after a backup restore
+  invalidate() {
+    this.writeQueue = this.writeQueue.then(() => {
+      this.entries = null;
+    });
+
+    return this.writeQueue;
+  }
+
+  async load() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    try {
+      const saved = await this.storage.getItem(getProfileKey(LEDGER_STORAGE_KEY, this.profileId));
+      this.entries = saved ? JSON.parse(saved) : [];
+    } catch (error) {
+      console.error('Error loading credit ledger:', error);
+      this.entries = [];
+    }
+
+    return this.entries;
+  }
+
+  createEntryId(timestamp) {
+    this.sequence = (this.sequence + 1) % 1000;
+    return `${timestamp.toString(36)}-${this.sequence}-${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  // Append an entry. `amount` is signed: positive adds time, negative removes it.
+  // `balance` is the running balance after the change was applied and `debt`
+  // the overtime still owed, so amounts always sum to `balance - debt`.
+  record({ type, amount, balance, debt = 0, reason = null, source = null, timestamp = this.clock.now() }) {
+    if (!VALID_TYPES.has(type)) {
+      return Promise.reject(new Error(`Unknown ledger entry type: ${type}`));
+    }
+
+    const entry = {
+      id: this.createEntryId(timestamp),
+      type,
+      amount,
+      balance,
+      debt,
+      reason,
+      source,
+      timestamp,
+    };
+
+    this.writeQueue = this.writeQueue.then(async () => {
+      this.entries = this.compact([...await this.load(), entry], this.clock.now() - LEDGER_RETENTION_MS);
+
+      try {
+        await this.storage.setItem(getProfileKey(LEDGER_STORAGE_KEY, this.profileId), JSON.stringify(this.entries));
+      } catch (error) {
+        console.error('Error saving credit ledger:', error);
+      }
+    });
+
+    return this.writeQueue.then(() => entry);
+  }
+
+  // Fold entries before `cutoff` into an opening-balance entry so amounts
+  // still sum to `balance - debt`
+  compact(entries, cutoff) {
+    const old = entries.filter(entry => entry.timestamp < cutoff);
+    if (old.length === 0 || (old.length === 1 && old[0].type === LEDGER_ENTRY_TYPES.OPENING_BALANCE)) {
+      return entries;
+    }
+
+    const last = old[old.length - 1];
+    const opening = {
+      id: `opening-${last.timestamp.toString(36)}`,
+      type: LEDGER_ENTRY_TYPES.OPENING_BALANCE,
+      amount: old.reduce((total, entry) => total + entry.amount, 0),
+      balance: last.balance,
+      debt: last.debt || 0,
+      reason: null,
+      source: 'compaction',
+      timestamp: last.timestamp,
+    };
+
+    return [opening, ...entries.filter(entry => entry.timestamp >= cutoff)];
+  }
+
+  // Query entries, oldest first. `from`/`to` are inclusive millisecond timestamps,
+  // `types` limits the result to the given entry types and `limit` keeps the newest N.
+  async getEntries({ from = null, to = null, types = null, limit = null } = {}) {
+    await this.writeQueue;
+    const entries = await this.load();
+    const typeFilter = types ? new Set(types) : null;
+
+    const matches = entries.filter(entry =>
+      (from === null || entry.timestamp >= from) &&
+      (to === null || entry.timestamp <= to) &&
+      (!typeFilter || typeFilter.has(entry.type))
+    );
+
+    return limit ? matches.slice(-limit) : matches;
+  }
+
+  // Sum of signed amounts per entry type for the given range
+  async getTotals(query = {}) {
+    const entries = await this.getEntries(query);
+
+    return entries.reduce((totals, entry) => {
+      totals[entry.type] = (totals[entry.type] || 0) + entry.amount;
+      return totals;
+    }, {});
+  }
+}
+
+// Export singleton instance
+export default new CreditLedger();
@@ -0,0 +1,34 @@
+// src/services/DeviceLockEvents.js - Lock/unlock events from the native DeviceLockModule
+import { Platform, NativeEventEmitter, NativeModules } from 'react-native';
+
+// A lock event source passes the native payloads ({ isLocked, isUnlocked,
+// isScreenOn, timestamp }) to the matching handler. `subscribe` returns an
+// unsubscribe function; `requestCurrentState` triggers onLockState.
+export function createNativeLockEventSource() {
+  const nativeModule = Platform.OS === 'android' ? NativeModules.DeviceLockModule : null;
+
+  return {
+    isAvailable: Boolean(nativeModule),
+
+    subscribe({ onLocked, onUnlocked, onLockState }) {
+      if (!nativeModule) {
+        return () => {};
+      }
+
+      const eventEmitter = new NativeEventEmitter(nativeModule);
+      const subscriptions = [
+        eventEmitter.addListener('deviceLocked', onLocked),
+        eventEmitter.addListener('deviceUnlocked', onUnlocked),
+        eventEmitter.addListener('currentLockState', onLockState),
+      ];
+
+      return () => subscriptions.forEach(subscription => subscription.remove());
+    },
+
+    requestCurrentState() {
+      if (nativeModule) {
+        nativeModule.getCurrentLockState();
+      }
+    },
+  };
+}
@@ -0,0 +1,278 @@
+// src/services/EarningRulesService.js - Parent-defined activities that earn screen time
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import TimerService from './TimerService';
+import ParentAuthService from './ParentAuthService';
+import { getProfileKey } from './ProfileService';
+import { getStartOfDay, getStartOfWeek } from '../utils/time';
+import { systemClock } from '../utils/clock';
+
+const ACTIVITIES_KEY = '@earning_activities';
+const CLAIMS_KEY = '@activity_claims';
+
+// Claims older than this can no longer affect a cap or cooldown
+const CLAIM_RETENTION_MS = 35 * 24 * 60 * 60 * 1000;
+
+export const ACTIVITY_UNITS = {
+  MINUTE: 'minute',
+  ITEM: 'item',
+};
+
+export const CLAIM_REJECTIONS = {
+  UNKNOWN_ACTIVITY: 'unknown-activity',
+  DISABLED: 'disabled',
+  INVALID_QUANTITY: 'invalid-quantity',
+  COOLDOWN: 'cooldown',
+  DAILY_CAP: 'daily-cap',
+  WEEKLY_CAP: 'weekly-cap',
+};
+
+export class EarningRulesService {
+  constructor({
+    storage = AsyncStorage,
+    clock = systemClock,
+    timer = TimerService,
+    parentAuth = ParentAuthService,
+  } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+    this.timer = timer;
+    this.parentAuth = parentAuth;
+    this.capability = parentAuth.createCapability('activity');
+    // Per-profile cache: profileId -> { activities, claims }
+    this.cache = new Map();
+    // Claims run one at a time so two quick taps cannot both pass a cap
+    this.claimQueue = Promise.resolve();
+  }
+
+  async load(profileId = this.timer.profileId) {
+    if (this.cache.has(profileId)) {
+      return this.cache.get(profileId);
+    }
+
+    let data = { activities: [], claims: [] };
+
+    try {
+      const [[, savedActivities], [, savedClaims]] = await this.storage.multiGet([
+        getProfileKey(ACTIVITIES_KEY, profileId),
+        getProfileKey(CLAIMS_KEY, profileId),
+      ]);
+      data = {
+        activities: savedActivities ? JSON.parse(savedActivities) : [],
+        claims: savedClaims ? JSON.parse(savedClaims) : [],
+      };
+    } catch (error) {
+      console.error('Error loading earning rules:', error);
+    }
+
+    this.cache.set(profileId, data);
+    return data;
+  }
+
+  invalidate() {
+    this.cache.clear();
+  }
+
+  async saveActivities(profileId, activities) {
+    await this.storage.setItem(getProfileKey(ACTIVITIES_KEY, profileId), JSON.stringify(activities));
+  }
+
+  async saveClaims(profileId, claims) {
+    await this.storage.setItem(getProfileKey(CLAIMS_KEY, profileId), JSON.stringify(claims));
+  }
+
+  async getActivities() {
+    const { activities } = await this.load();
+    return activities.map(activity => ({ ...activity }));
+  }
+
+  validateActivity(activity) {
+    const isOptionalLimit = value => value === null || (Number.isInteger(value) && value > 0);
+
+    if (!activity.name || !activity.name.trim()) {
+      return 'name is required';
+    }
+    if (!Object.values(ACTIVITY_UNITS).includes(activity.unit)) {
+      return `unit must be one of ${Object.values(ACTIVITY_UNITS).join(', ')}`;
+    }
+    if (!(typeof activity.ratio === 'number' && activity.ratio > 0)) {
+      return 'ratio must be a positive number of seconds per unit';
+    }
+    if (!isOptionalLimit(activity.dailyCap)) {
+      return 'dailyCap must be a positive integer or null';
+    }
+    if (!isOptionalLimit(activity.weeklyCap)) {
+      return 'weeklyCap must be a positive integer or null';
+    }
+    if (!isOptionalLimit(activity.cooldown)) {
+      return 'cooldown must be a positive integer or null';
+    }
+
+    return null;
+  }
+
+  // Create or update an activity. `ratio` is seconds of screen time earned per
+  // unit, so "30 min reading = 15 min" is { unit: 'minute', ratio: 30 }.
+  // Caps are in earned seconds, `cooldown` in seconds between claims.
+  // Throws ParentAuthError without an unlocked parent session.
+  async saveActivity(changes) {
+    this.parentAuth.authorize('change activities', {}, this.clock.now());
+
+    const profileId = this.timer.profileId;
+    const { activities } = await this.load(profileId);
+    const existing = changes.id ? activities.find(activity => activity.id === changes.id) : null;
+
+    const activity = {
+      unit: ACTIVITY_UNITS.ITEM,
+      dailyCap: null,
+      weeklyCap: null,
+      cooldown: null,
+      enabled: true,
+      ...existing,
+      ...changes,
+      id: existing ? existing.id : `activity-${this.clock.now().toString(36)}`,
+    };
+
+    const error = this.validateActivity(activity);
+    if (error) {
+      throw new Error(`Invalid activity: ${error}`);
+    }
+
+    const updated = existing
+      ? activities.map(item => (item.id === activity.id ? activity : item))
+      : [...activities, activity];
+
+    this.cache.get(profileId).activities = updated;
+    await this.saveActivities(profileId, updated);
+
+    return { ...activity };
+  }
+
+  async removeActivity(activityId) {
+    this.parentAuth.authorize('change activities', {}, this.clock.now());
+
+    const profileId = this.timer.profileId;
+    const { activities } = await this.load(profileId);
+    const updated = activities.filter(activity => activity.id !== activityId);
+
+    this.cache.get(profileId).activities = updated;
+    await this.saveActivities(profileId, updated);
+  }
+
+  sumCredited(claims, activityId, since) {
+    return claims
+      .filter(claim => claim.activityId === activityId && claim.timestamp >= since)
+      .reduce((total, claim) => total + claim.credited, 0);
+  }
+
+  reject(reason, message, details = {}) {
+    console.log(`🚫 Claim rejected (${reason}): ${message}`);
+    return { accepted: false, reason, message, ...details };
+  }
+
+  // Check a claim against the activity's rules without granting anything
+  async evaluateClaim(activityId, quantity, now = this.clock.now()) {
+    const { activities, claims } = await this.load();
+    const activity = activities.find(item => item.id === activityId);
+
+    if (!activity) {
+      return this.reject(CLAIM_REJECTIONS.UNKNOWN_ACTIVITY, `No activity with id ${activityId}`);
+    }
+    if (!activity.enabled) {
+      return this.reject(CLAIM_REJECTIONS.DISABLED, `${activity.name} is currently disabled`);
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return this.reject(CLAIM_REJECTIONS.INVALID_QUANTITY, 'Quantity must be a positive whole number');
+    }
+
+    // Nothing is saved unless it can also be credited (see addTimeCredits)
+    const credited = Math.floor(quantity * activity.ratio);
+    if (!Number.isInteger(credited)) {
+      return this.reject(CLAIM_REJECTIONS.INVALID_QUANTITY, 'Quantity is too large to credit');
+    }
+    if (credited <= 0) {
+      return this.reject(CLAIM_REJECTIONS.INVALID_QUANTITY, 'Quantity is too small to earn any time');
+    }
+
+    if (activity.cooldown) {
+      const lastClaim = claims.filter(claim => claim.activityId === activityId).pop();
+      const retryAt = lastClaim ? lastClaim.timestamp + activity.cooldown * 1000 : 0;
+
+      if (retryAt > now) {
+        return this.reject(CLAIM_REJECTIONS.COOLDOWN, `${activity.name} can be claimed again later`, { retryAt });
+      }
+    }
+
+    if (activity.dailyCap) {
+      const remaining = activity.dailyCap - this.sumCredited(claims, activityId, getStartOfDay(now));
+      if (credited > remaining) {
+        return this.reject(CLAIM_REJECTIONS.DAILY_CAP, `Daily limit for ${activity.name} reached`, {
+          remaining: Math.max(0, remaining),
+        });
+      }
+    }
+
+    if (activity.weeklyCap) {
+      const remaining = activity.weeklyCap - this.sumCredited(claims, activityId, getStartOfWeek(now));
+      if (credited > remaining) {
+        return this.reject(CLAIM_REJECTIONS.WEEKLY_CAP, `Weekly limit for ${activity.name} reached`, {
+          remaining: Math.max(0, remaining),
+        });
+      }
+    }
+
+    return { accepted: true, activity, credited };
+  }
+
+  // Claim `quantity` units of an activity. Rejected claims resolve to
+  // { accepted: false, reason, message }; accepted ones grant the credits.
+  claim(activityId, quantity, now = this.clock.now()) {
+    const result = this.claimQueue.then(() => this.applyClaim(activityId, quantity, now));
+    this.claimQueue = result.catch(() => {});
+    return result;
+  }
+
+  async applyClaim(activityId, quantity, now) {
+    const profileId = this.timer.profileId;
+    const result = await this.evaluateClaim(activityId, quantity, now);
+    if (!result.accepted) {
+      return result;
+    }
+
+    const { activity, credited } = result;
+    const data = await this.load(profileId);
+    const claim = {
+      id: `claim-${now.toString(36)}-${data.claims.length}`,
+      activityId,
+      activityName: activity.name,
+      quantity,
+      credited,
+      timestamp: now,
+    };
+
+    data.claims = [...data.claims.filter(item => item.timestamp >= now - CLAIM_RETENTION_MS), claim];
+    await this.saveClaims(profileId, data.claims);
+
+    this.timer.addTimeCredits(credited, {
+      source: `activity:${activity.id}`,
+      capability: this.capability,
+      reason: `${activity.name} x${quantity}`,
+    });
+
+    console.log(`🏅 ${activity.name} x${quantity} earned ${credited}s`);
+
+    return { accepted: true, credited, claim };
+  }
+
+  async getClaims({ from = null, to = null, activityId = null } = {}) {
+    const { claims } = await this.load();
+
+    return claims.filter(claim =>
+      (from === null || claim.timestamp >= from) &&
+      (to === null || claim.timestamp <= to) &&
+      (activityId === null || claim.activityId === activityId)
+    );
+  }
+}
+
+// Export singleton instance
+export default new EarningRulesService();
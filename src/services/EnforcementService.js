@@ -0,0 +1,422 @@
+// src/services/EnforcementService.js - Escalation after time runs out: reminders, a parent-dismissed overlay and overuse reports
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import TimerService from './TimerService';
+import ParentAuthService from './ParentAuthService';
+import Logger from './Logger';
+import { DEFAULT_PROFILE_ID, getProfileKey } from './ProfileService';
+import { systemClock } from '../utils/clock';
+
+const POLICY_KEY = '@enforcement_policy';
+const STATE_KEY = '@enforcement';
+const MAX_REPORTS = 50;
+// Reminders handed to the OS ahead of time; the schedule is topped up
+// whenever the app gets to run again
+const MAX_SCHEDULED_REMINDERS = 10;
+
+export const DEFAULT_ENFORCEMENT_POLICY = {
+  enabled: true,
+  // Seconds of continued use between reminders; the last gap repeats
+  reminderIntervals: [60, 2 * 60, 5 * 60, 10 * 60],
+  // Full-screen "time's up" in the app until a parent dismisses it
+  overlay: true,
+};
+
+// An episode starts when time runs out and lasts until time can be used
+// again. Use of the device in between is counted as overuse: it only grows
+// while TimerService says the device is in use outside the app, so it follows
+// the lock and app-state events without a clock of its own.
+//
+// Reminders are scheduled on that same overuse, so locking the device pauses
+// them. Their times are announced with 'enforcementRemindersScheduled' so they
+// can be delivered as OS notifications while the app is suspended. The
+// overlay outlives the episode when there was overuse to report, so a parent
+// always sees it before it goes away.
+export class EnforcementService {
+  constructor({
+    storage = AsyncStorage,
+    clock = systemClock,
+    timer = TimerService,
+    parentAuth = ParentAuthService,
+    logger = Logger,
+  } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+    this.timer = timer;
+    this.parentAuth = parentAuth;
+    this.log = logger.tag('enforcement');
+    this.profileId = DEFAULT_PROFILE_ID;
+    this.policy = { ...DEFAULT_ENFORCEMENT_POLICY };
+    this.episode = null;
+    this.reports = [];
+    this.reminderTimer = null;
+    this.removeListener = null;
+    this.listeners = new Set();
+    this.ready = Promise.resolve();
+  }
+
+  storageKey(baseKey) {
+    return getProfileKey(baseKey, this.profileId);
+  }
+
+  // Follow the timer; call once at startup next to NotificationCoordinator
+  start() {
+    if (this.removeListener) {
+      return this.ready;
+    }
+
+    this.removeListener = this.timer.addEventListener(event => this.handleTimerEvent(event));
+    this.ready = this.timer.ready.then(() => this.setProfile(this.timer.profileId));
+    return this.ready;
+  }
+
+  stop() {
+    if (!this.removeListener) {
+      return;
+    }
+
+    this.removeListener();
+    this.removeListener = null;
+    this.cancelReminder();
+  }
+
+  async setProfile(profileId) {
+    if (this.episode) {
+      this.foldUsage(this.clock.now(), false);
+      await this.save();
+    }
+    this.cancelReminder();
+    this.profileId = profileId;
+
+    try {
+      const [[, savedPolicy], [, savedState]] = await this.storage.multiGet([
+        this.storageKey(POLICY_KEY),
+        this.storageKey(STATE_KEY),
+      ]);
+      const state = savedState ? JSON.parse(savedState) : {};
+      this.policy = { ...DEFAULT_ENFORCEMENT_POLICY, ...(savedPolicy ? JSON.parse(savedPolicy) : {}) };
+      this.episode = state.episode || null;
+      this.reports = Array.isArray(state.reports) ? state.reports : [];
+    } catch (error) {
+      this.log.error('Error loading enforcement state', { error });
+      this.policy = { ...DEFAULT_ENFORCEMENT_POLICY };
+      this.episode = null;
+      this.reports = [];
+    }
+
+    // Use while the app was not running cannot be measured; count from now
+    if (this.episode && this.episode.inUseSince !== null) {
+      this.episode.inUseSince = null;
+    }
+    this.refresh(this.clock.now());
+    this.notifyListeners({ event: 'enforcementChanged' });
+  }
+
+  async save() {
+    try {
+      await this.storage.setItem(
+        this.storageKey(STATE_KEY),
+        JSON.stringify({ episode: this.episode, reports: this.reports })
+      );
+    } catch (error) {
+      this.log.error('Error saving enforcement state', { error });
+    }
+  }
+
+  handleTimerEvent(event) {
+    const now = event.timestamp;
+
+    switch (event.event) {
+      case 'timeExpired':
+        // Overtime in debt mode is allowed use, not something to escalate
+        if (!event.overtime) {
+          this.startEpisode(event, now);
+        }
+        break;
+      case 'debtCapReached':
+        this.startEpisode({ reason: 'debt-cap' }, now);
+        break;
+      case 'profileSwitched':
+      case 'dataRestored':
+        this.ready = this.ready.then(() => this.setProfile(event.profileId));
+        return;
+    }
+
+    this.refresh(now);
+  }
+
+  startEpisode(event, now) {
+    if (!this.policy.enabled || (this.episode && this.episode.endedAt === null)) {
+      return;
+    }
+
+    this.episode = {
+      reason: event.reason,
+      restrictionName: event.restriction ? event.restriction.name : null,
+      startedAt: now,
+      endedAt: null,
+      overuseMs: 0,
+      sinceReminderMs: 0,
+      inUseSince: null,
+      reminders: 0,
+      overlayVisible: this.policy.overlay,
+    };
+
+    this.log.warn('Expiry enforcement started', { reason: event.reason });
+    this.save();
+    this.notifyListeners({ event: 'enforcementStarted' });
+  }
+
+  // Re-check the open episode against the timer after anything happened
+  refresh(now = this.clock.now()) {
+    const { episode } = this;
+    if (!episode || episode.endedAt !== null) {
+      return;
+    }
+
+    if (this.timer.isUseAllowed()) {
+      this.endEpisode(now);
+      return;
+    }
+
+    const inUse = this.timer.isDeviceInUse();
+    if (inUse === (episode.inUseSince !== null)) {
+      return;
+    }
+
+    this.foldUsage(now, inUse);
+    if (inUse) {
+      this.scheduleReminder();
+    } else {
+      this.cancelReminder();
+    }
+    this.save();
+  }
+
+  // Move use so far into the totals; `stillInUse` keeps counting from `now`.
+  // Reminders that came due are counted here: timers run late after the app
+  // was suspended, but the OS delivered the notifications on time.
+  foldUsage(now, stillInUse) {
+    const { episode } = this;
+    if (episode.inUseSince !== null) {
+      const used = Math.max(0, now - episode.inUseSince);
+      episode.overuseMs += used;
+      episode.sinceReminderMs += used;
+    }
+    episode.inUseSince = stillInUse ? now : null;
+
+    while (this.policy.reminderIntervals.length > 0 &&
+        episode.sinceReminderMs >= this.getReminderInterval(episode.reminders)) {
+      episode.sinceReminderMs -= this.getReminderInterval(episode.reminders);
+      episode.reminders += 1;
+    }
+  }
+
+  getOveruse(now = this.clock.now()) {
+    const { episode } = this;
+    if (!episode) {
+      return 0;
+    }
+
+    const current = episode.inUseSince !== null ? Math.max(0, now - episode.inUseSince) : 0;
+    return Math.floor((episode.overuseMs + current) / 1000);
+  }
+
+  getReminderInterval(reminder) {
+    const intervals = this.policy.reminderIntervals;
+    return intervals[Math.min(reminder, intervals.length - 1)] * 1000;
+  }
+
+  // The next reminders as { reminder, fireAt, overuse } if use goes on
+  // without a break
+  getReminderSchedule(now = this.clock.now(), count = MAX_SCHEDULED_REMINDERS) {
+    const { episode } = this;
+    if (!episode || episode.inUseSince === null || this.policy.reminderIntervals.length === 0) {
+      return [];
+    }
+
+    const used = episode.sinceReminderMs + (now - episode.inUseSince);
+    const schedule = [];
+    let fireAt = now + Math.max(0, this.getReminderInterval(episode.reminders) - used);
+
+    for (let i = 0; i < count; i++) {
+      const reminder = episode.reminders + i + 1;
+      if (i > 0) {
+        fireAt += this.getReminderInterval(reminder - 1);
+      }
+      schedule.push({ reminder, fireAt, overuse: this.getOveruse(now) + Math.floor((fireAt - now) / 1000) });
+    }
+    return schedule;
+  }
+
+  scheduleReminder() {
+    this.clearReminderTimer();
+
+    const now = this.clock.now();
+    const schedule = this.getReminderSchedule(now);
+    if (schedule.length === 0) {
+      return;
+    }
+
+    this.reminderTimer = this.clock.setTimeout(() => {
+      this.reminderTimer = null;
+      this.sendReminder();
+    }, schedule[0].fireAt - now);
+    this.notifyListeners({
+      event: 'enforcementRemindersScheduled',
+      reminders: schedule,
+      reason: this.episode.reason,
+      restrictionName: this.episode.restrictionName,
+    });
+  }
+
+  clearReminderTimer() {
+    if (!this.reminderTimer) {
+      return false;
+    }
+
+    this.clock.clearTimeout(this.reminderTimer);
+    this.reminderTimer = null;
+    return true;
+  }
+
+  cancelReminder() {
+    if (this.clearReminderTimer()) {
+      this.notifyListeners({ event: 'enforcementRemindersCancelled' });
+    }
+  }
+
+  sendReminder() {
+    const now = this.clock.now();
+    this.foldUsage(now, true);
+    this.save();
+
+    this.log.info('Expiry reminder', { reminder: this.episode.reminders, overuse: this.getOveruse(now) });
+    this.notifyListeners({
+      event: 'enforcementReminder',
+      reminder: this.episode.reminders,
+      overuse: this.getOveruse(now),
+      reason: this.episode.reason,
+      restrictionName: this.episode.restrictionName,
+    });
+    this.scheduleReminder();
+  }
+
+  endEpisode(now) {
+    const { episode } = this;
+    this.foldUsage(now, false);
+    this.cancelReminder();
+    episode.endedAt = now;
+
+    const report = {
+      reason: episode.reason,
+      restrictionName: episode.restrictionName,
+      startedAt: episode.startedAt,
+      endedAt: now,
+      overuse: this.getOveruse(now),
+      reminders: episode.reminders,
+    };
+    this.reports = [...this.reports, report].slice(-MAX_REPORTS);
+
+    // Keep the overlay up for the parent only when there is overuse to see
+    if (!episode.overlayVisible || report.overuse === 0) {
+      this.episode = null;
+    }
+
+    this.log.info('Expiry enforcement ended', report);
+    this.save();
+    this.notifyListeners({ event: 'enforcementEnded', report });
+  }
+
+  // The overlay only goes away with a parent's authorization. Reminders keep
+  // going while time is still out; the report is complete once it has ended.
+  async dismissOverlay() {
+    this.parentAuth.authorize('dismiss the time\'s up screen', {}, this.clock.now());
+    if (!this.episode) {
+      return this.getStatus();
+    }
+
+    const overuse = this.getOveruse();
+    if (this.episode.endedAt !== null) {
+      this.episode = null;
+    } else {
+      this.episode.overlayVisible = false;
+    }
+
+    this.log.info('Time\'s up screen dismissed', { overuse });
+    await this.save();
+    this.notifyListeners({ event: 'enforcementDismissed', overuse });
+    return this.getStatus();
+  }
+
+  // The current or last unacknowledged episode, or null
+  getStatus(now = this.clock.now()) {
+    const { episode } = this;
+    if (!episode) {
+      return null;
+    }
+
+    return {
+      isActive: episode.endedAt === null,
+      overlayVisible: episode.overlayVisible,
+      reason: episode.reason,
+      restrictionName: episode.restrictionName,
+      startedAt: episode.startedAt,
+      endedAt: episode.endedAt,
+      overuse: this.getOveruse(now),
+      reminders: episode.reminders,
+    };
+  }
+
+  // Finished episodes, oldest first: how long the device was used after expiry
+  getReports() {
+    return this.reports.map(report => ({ ...report }));
+  }
+
+  getPolicy() {
+    return { ...this.policy, reminderIntervals: [...this.policy.reminderIntervals] };
+  }
+
+  async updatePolicy(changes) {
+    this.parentAuth.authorize('change expiry enforcement', {}, this.clock.now());
+
+    const policy = { ...this.policy, ...changes };
+    if (typeof policy.enabled !== 'boolean' || typeof policy.overlay !== 'boolean') {
+      throw new Error('Enforcement options must be on or off');
+    }
+    if (!Array.isArray(policy.reminderIntervals) ||
+        !policy.reminderIntervals.every(interval => Number.isInteger(interval) && interval > 0)) {
+      throw new Error('Reminder intervals must be positive whole seconds');
+    }
+
+    this.policy = policy;
+    await this.storage.setItem(this.storageKey(POLICY_KEY), JSON.stringify(policy));
+    this.log.info('Enforcement policy updated', policy);
+
+    // A running reminder was timed on the old intervals
+    if (this.episode && this.episode.inUseSince !== null && this.episode.endedAt === null) {
+      this.scheduleReminder();
+    }
+    this.notifyListeners({ event: 'enforcementChanged' });
+    return this.getPolicy();
+  }
+
+  addEventListener(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(event) {
+    const payload = { ...event, profileId: this.profileId, timestamp: this.clock.now() };
+
+    this.listeners.forEach(callback => {
+      try {
+        callback(payload);
+      } catch (error) {
+        this.log.error('Error in listener', { event: event.event, error });
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export default new EnforcementService();
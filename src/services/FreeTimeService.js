@@ -0,0 +1,203 @@
+// src/services/FreeTimeService.js - Recurring free-time windows and one-off passes that pause deduction
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import Logger from './Logger';
+import { DEFAULT_PROFILE_ID, getProfileKey } from './ProfileService';
+import { getNextWeeklyWindowBoundary, getWeeklyWindowAt, validateWeeklyWindow } from '../utils/time';
+import { systemClock } from '../utils/clock';
+
+const FREE_TIME_KEY = '@free_time';
+
+export const FREE_TIME_KINDS = {
+  WINDOW: 'window',
+  PASS: 'pass',
+};
+
+export const DEFAULT_PASS_REASON = 'Free time pass';
+
+const DEFAULT_FREE_TIME = {
+  windows: [],
+  passes: [],
+};
+
+export class FreeTimeService {
+  constructor({ storage = AsyncStorage, clock = systemClock, logger = Logger } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+    this.log = logger.tag('free-time');
+    this.profileId = DEFAULT_PROFILE_ID;
+    this.schedule = { ...DEFAULT_FREE_TIME };
+    this.isLoaded = false;
+  }
+
+  storageKey(baseKey) {
+    return getProfileKey(baseKey, this.profileId);
+  }
+
+  // Schedules are per profile; load the new profile's before it is queried
+  async setProfile(profileId) {
+    if (profileId !== this.profileId) {
+      this.profileId = profileId;
+      this.invalidate();
+    }
+    await this.load();
+  }
+
+  // Re-read the schedule from storage on next load (after a backup restore)
+  invalidate() {
+    this.schedule = { ...DEFAULT_FREE_TIME };
+    this.isLoaded = false;
+  }
+
+  async load() {
+    if (this.isLoaded) {
+      return;
+    }
+
+    try {
+      const saved = await this.storage.getItem(this.storageKey(FREE_TIME_KEY));
+      const schedule = saved ? JSON.parse(saved) : {};
+      // Skip anything unusable rather than lose the whole schedule
+      this.schedule = {
+        windows: (Array.isArray(schedule.windows) ? schedule.windows : [])
+          .filter(window => validateWeeklyWindow(window) === null),
+        passes: (Array.isArray(schedule.passes) ? schedule.passes : [])
+          .filter(pass => pass && Number.isFinite(pass.startsAt) && Number.isFinite(pass.endsAt)),
+      };
+    } catch (error) {
+      this.log.error('Error loading free time schedule', { error });
+      this.schedule = { ...DEFAULT_FREE_TIME };
+    }
+
+    this.isLoaded = true;
+  }
+
+  async save() {
+    // Expired passes are dropped on every write
+    const now = this.clock.now();
+    this.schedule = {
+      ...this.schedule,
+      passes: this.schedule.passes.filter(pass => pass.endsAt > now),
+    };
+
+    await this.storage.setItem(this.storageKey(FREE_TIME_KEY), JSON.stringify(this.schedule));
+  }
+
+  getWindows() {
+    return this.schedule.windows.map(window => ({ ...window }));
+  }
+
+  getPasses(now = this.clock.now()) {
+    return this.schedule.passes.filter(pass => pass.endsAt > now).map(pass => ({ ...pass }));
+  }
+
+  // Replace the recurring windows (see validateWeeklyWindow in utils/time).
+  // Ids are kept when given so edits keep history.
+  async setWindows(windows) {
+    await this.load();
+
+    const now = this.clock.now();
+    const normalized = windows.map((window, index) => {
+      const error = validateWeeklyWindow(window);
+      if (error) {
+        throw new Error(`Invalid free time window: ${error}`);
+      }
+
+      return {
+        id: window.id || `window-${now.toString(36)}-${index}`,
+        name: window.name.trim(),
+        days: [...new Set(window.days)].sort(),
+        startTime: window.startTime,
+        endTime: window.endTime,
+        enabled: window.enabled !== false,
+      };
+    });
+
+    this.schedule = { ...this.schedule, windows: normalized };
+    await this.save();
+    this.log.info('Free time windows updated', { windows: normalized });
+
+    return this.getWindows();
+  }
+
+  // One-off pass, e.g. "free for the next 30 minutes"
+  async addPass(seconds, { reason = DEFAULT_PASS_REASON, startsAt = this.clock.now() } = {}) {
+    if (!Number.isInteger(seconds) || seconds <= 0) {
+      throw new Error('Free time pass must be a positive number of seconds');
+    }
+
+    await this.load();
+
+    const pass = {
+      id: `pass-${this.clock.now().toString(36)}`,
+      startsAt,
+      endsAt: startsAt + seconds * 1000,
+      reason,
+    };
+
+    this.schedule = { ...this.schedule, passes: [...this.schedule.passes, pass] };
+    await this.save();
+    this.log.info('Free time pass added', { seconds, startsAt, reason });
+
+    return { ...pass };
+  }
+
+  // Ending a pass early; returns false when it was not found
+  async cancelPass(id) {
+    await this.load();
+
+    const passes = this.schedule.passes.filter(pass => pass.id !== id);
+    if (passes.length === this.schedule.passes.length) {
+      return false;
+    }
+
+    this.schedule = { ...this.schedule, passes };
+    await this.save();
+    return true;
+  }
+
+  // The free period in effect at `timestamp` as { kind, id, name, start, end },
+  // or null. When periods overlap the one lasting longest wins.
+  // Synchronous so TimerService can consult it from shouldTimerRun; call
+  // load() (via setProfile) first.
+  getActiveAt(timestamp = this.clock.now()) {
+    const active = [];
+
+    this.schedule.windows.forEach(window => {
+      const occurrence = window.enabled ? getWeeklyWindowAt(window, timestamp) : null;
+      if (occurrence) {
+        active.push({ kind: FREE_TIME_KINDS.WINDOW, id: window.id, name: window.name, ...occurrence });
+      }
+    });
+
+    this.schedule.passes.forEach(pass => {
+      if (pass.startsAt <= timestamp && timestamp < pass.endsAt) {
+        active.push({
+          kind: FREE_TIME_KINDS.PASS,
+          id: pass.id,
+          name: pass.reason || DEFAULT_PASS_REASON,
+          start: pass.startsAt,
+          end: pass.endsAt,
+        });
+      }
+    });
+
+    return active.reduce((longest, period) => (!longest || period.end > longest.end ? period : longest), null);
+  }
+
+  // Earliest moment after `timestamp` at which a free period starts or ends
+  getNextBoundary(timestamp = this.clock.now()) {
+    const boundaries = this.schedule.windows
+      .filter(window => window.enabled)
+      .map(window => getNextWeeklyWindowBoundary(window, timestamp));
+
+    this.schedule.passes.forEach(pass => {
+      boundaries.push(pass.startsAt, pass.endsAt);
+    });
+
+    const upcoming = boundaries.filter(boundary => boundary > timestamp);
+    return upcoming.length > 0 ? Math.min(...upcoming) : null;
+  }
+}
+
+// Export singleton instance
+export default new FreeTimeService();
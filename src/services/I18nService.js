@@ -0,0 +1,131 @@
+// src/services/I18nService.js - The app language: the device's, unless overridden in settings
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  DEFAULT_LANGUAGE,
+  DURATION_STYLES,
+  SUPPORTED_LANGUAGES,
+  formatDuration,
+  resolveLanguage,
+  translate,
+} from '../i18n';
+import Logger from './Logger';
+
+const LANGUAGE_KEY = '@language';
+
+// Hermes and JSC both report the device locale through Intl
+function getDeviceLocale() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().locale;
+  } catch (error) {
+    return null;
+  }
+}
+
+export class I18nService {
+  constructor({ storage = AsyncStorage, deviceLocale = getDeviceLocale, logger = Logger } = {}) {
+    this.storage = storage;
+    this.deviceLocale = deviceLocale;
+    this.log = logger.tag('i18n');
+    // Language code chosen in settings; null follows the device
+    this.override = null;
+    this.isLoaded = false;
+    this.listeners = new Set();
+  }
+
+  // Until this resolves the device language is used
+  async load() {
+    if (this.isLoaded) {
+      return this.getLanguage();
+    }
+
+    try {
+      const saved = await this.storage.getItem(LANGUAGE_KEY);
+      this.override = resolveLanguage(saved);
+    } catch (error) {
+      this.log.error('Error loading language', { error });
+    }
+
+    this.isLoaded = true;
+    return this.getLanguage();
+  }
+
+  // Re-read the override from storage (after a backup restore)
+  reload() {
+    this.override = null;
+    this.isLoaded = false;
+    return this.load().then(language => {
+      this.notifyListeners();
+      return language;
+    });
+  }
+
+  getDeviceLanguage() {
+    return resolveLanguage(this.deviceLocale()) || DEFAULT_LANGUAGE;
+  }
+
+  getLanguage() {
+    return this.override || this.getDeviceLanguage();
+  }
+
+  getOverride() {
+    return this.override;
+  }
+
+  getSupportedLanguages() {
+    return SUPPORTED_LANGUAGES;
+  }
+
+  // Pass a language code to override the device language, or null to follow it
+  async setLanguage(language) {
+    if (language !== null && !SUPPORTED_LANGUAGES.includes(language)) {
+      throw new Error(`Unsupported language: ${language}`);
+    }
+
+    this.override = language;
+    if (language === null) {
+      await this.storage.removeItem(LANGUAGE_KEY);
+    } else {
+      await this.storage.setItem(LANGUAGE_KEY, language);
+    }
+    this.log.info(language === null ? 'Language follows the device' : 'Language set', { language });
+    this.notifyListeners();
+
+    return this.getLanguage();
+  }
+
+  t(key, params) {
+    return translate(this.getLanguage(), key, params);
+  }
+
+  formatDuration(seconds, style = DURATION_STYLES.CLOCK) {
+    return formatDuration(seconds, style, this.getLanguage());
+  }
+
+  // Clock time for a timestamp, e.g. '21:30' or '09:30 PM'. The device's
+  // regional format is kept unless another language was chosen.
+  formatTimeOfDay(timestamp) {
+    const deviceLocale = this.deviceLocale();
+    const language = this.getLanguage();
+    const locale = resolveLanguage(deviceLocale) === language ? deviceLocale : language;
+    return new Date(timestamp).toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' });
+  }
+
+  addEventListener(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners() {
+    const language = this.getLanguage();
+    this.listeners.forEach(callback => {
+      try {
+        callback({ language, override: this.override });
+      } catch (error) {
+        this.log.error('Error in listener', { error });
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export default new I18nService();
@@ -0,0 +1,254 @@
+// src/services/Logger.js - Leveled, tagged, structured logging kept in a persisted ring buffer
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { systemClock } from '../utils/clock';
+
+const LOG_STORAGE_KEY = '@app_log';
+
+// The buffer drops its oldest entries beyond this many bytes of JSON
+const MAX_LOG_BYTES = 256 * 1024;
+// Writes are batched; warnings and errors are written straight away
+const FLUSH_DELAY_MS = 2000;
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const LEVEL_RANK = LOG_LEVELS.reduce((ranks, level, index) => ({ ...ranks, [level]: index }), {});
+
+// Make arbitrary fields safe to persist: errors keep their message and stack,
+// anything that cannot be serialized is stringified
+function serializeFields(fields) {
+  if (!fields || typeof fields !== 'object') {
+    return {};
+  }
+
+  const result = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value instanceof Error) {
+      result[key] = { name: value.name, message: value.message, stack: value.stack };
+    } else if (typeof value !== 'function' && value !== undefined) {
+      try {
+        JSON.stringify(value);
+        result[key] = value;
+      } catch (error) {
+        result[key] = String(value);
+      }
+    }
+  });
+  return result;
+}
+
+// Bytes an entry adds to the persisted JSON array, counting its comma
+const measure = entry => JSON.stringify(entry).length + 1;
+
+export function formatLogEntry(entry) {
+  const fields = Object.keys(entry.fields).length > 0 ? ` ${JSON.stringify(entry.fields)}` : '';
+  return `${new Date(entry.timestamp).toISOString()} ${entry.level.toUpperCase()} [${entry.subsystem}] ${entry.message}${fields}`;
+}
+
+export class Logger {
+  constructor({
+    storage = AsyncStorage,
+    clock = systemClock,
+    maxBytes = MAX_LOG_BYTES,
+    echo = typeof __DEV__ !== 'undefined' && __DEV__,
+  } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+    this.maxBytes = maxBytes;
+    // Mirror entries to the console in development builds
+    this.echo = echo;
+    this.entries = [];
+    // Serialized size of each entry, parallel to `entries`
+    this.entrySizes = [];
+    this.totalBytes = 0;
+    this.sequence = 0;
+    this.isLoaded = false;
+    this.pendingLoad = null;
+    this.flushTimer = null;
+    this.listeners = new Set();
+  }
+
+  // Merge the persisted buffer in front of anything logged since launch
+  load() {
+    if (this.isLoaded) {
+      return Promise.resolve(this.entries);
+    }
+
+    if (!this.pendingLoad) {
+      this.pendingLoad = this.storage.getItem(LOG_STORAGE_KEY)
+        .then(saved => (saved ? JSON.parse(saved) : []))
+        .catch(error => {
+          console.error('Error loading log:', error);
+          return [];
+        })
+        .then(saved => {
+          // Entries logged before loading were numbered from 1; move them after the saved ones
+          const offset = saved.reduce((max, entry) => Math.max(max, entry.seq), 0);
+          this.entries.forEach(entry => {
+            entry.seq += offset;
+          });
+          this.sequence += offset;
+
+          this.entries = [...saved, ...this.entries];
+          this.entrySizes = this.entries.map(measure);
+          this.totalBytes = this.entrySizes.reduce((total, size) => total + size, 0);
+          this.trim();
+          this.isLoaded = true;
+          return this.entries;
+        });
+    }
+
+    return this.pendingLoad;
+  }
+
+  // Sizes include each entry's separating comma; the 1 is the array brackets
+  trim() {
+    while (this.totalBytes + 1 > this.maxBytes && this.entries.length > 1) {
+      this.entries.shift();
+      this.totalBytes -= this.entrySizes.shift();
+    }
+  }
+
+  log(level, subsystem, message, fields = {}) {
+    if (!(level in LEVEL_RANK)) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+
+    const entry = {
+      seq: ++this.sequence,
+      timestamp: this.clock.now(),
+      level,
+      subsystem,
+      message: String(message),
+      fields: serializeFields(fields),
+    };
+    const size = measure(entry);
+
+    this.entries.push(entry);
+    this.entrySizes.push(size);
+    this.totalBytes += size;
+    this.trim();
+
+    if (this.echo) {
+      const method = level === 'debug' ? 'log' : level;
+      console[method](`[${subsystem}] ${message}`, Object.keys(entry.fields).length > 0 ? entry.fields : '');
+    }
+
+    this.scheduleFlush(LEVEL_RANK[level] >= LEVEL_RANK.warn);
+    this.notifyListeners(entry);
+    return entry;
+  }
+
+  debug(subsystem, message, fields) {
+    return this.log('debug', subsystem, message, fields);
+  }
+
+  info(subsystem, message, fields) {
+    return this.log('info', subsystem, message, fields);
+  }
+
+  warn(subsystem, message, fields) {
+    return this.log('warn', subsystem, message, fields);
+  }
+
+  error(subsystem, message, fields) {
+    return this.log('error', subsystem, message, fields);
+  }
+
+  // Logger bound to one subsystem: Logger.tag('timer').info('Started', { availableTime })
+  tag(subsystem) {
+    return {
+      debug: (message, fields) => this.debug(subsystem, message, fields),
+      info: (message, fields) => this.info(subsystem, message, fields),
+      warn: (message, fields) => this.warn(subsystem, message, fields),
+      error: (message, fields) => this.error(subsystem, message, fields),
+    };
+  }
+
+  scheduleFlush(immediate = false) {
+    if (immediate) {
+      this.flush();
+      return;
+    }
+    if (this.flushTimer) {
+      return;
+    }
+
+    this.flushTimer = this.clock.setTimeout(() => this.flush(), FLUSH_DELAY_MS);
+    // Under Node (tests, scripts) a pending flush must not keep the process alive
+    if (this.flushTimer && typeof this.flushTimer.unref === 'function') {
+      this.flushTimer.unref();
+    }
+  }
+
+  async flush() {
+    if (this.flushTimer) {
+      this.clock.clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    try {
+      await this.load();
+      await this.storage.setItem(LOG_STORAGE_KEY, JSON.stringify(this.entries));
+    } catch (error) {
+      console.error('Error saving log:', error);
+    }
+  }
+
+  // Entries oldest first. `minLevel` drops anything less severe, `subsystems`
+  // keeps only the listed tags (all when empty), `search` matches message text,
+  // `limit` keeps the newest N.
+  async getEntries({ minLevel = 'debug', subsystems = [], search = '', limit = 0 } = {}) {
+    await this.load();
+
+    const minRank = LEVEL_RANK[minLevel] || 0;
+    const subsystemFilter = subsystems.length > 0 ? new Set(subsystems) : null;
+    const needle = search ? search.toLowerCase() : null;
+
+    const matches = this.entries.filter(entry =>
+      LEVEL_RANK[entry.level] >= minRank &&
+      (!subsystemFilter || subsystemFilter.has(entry.subsystem)) &&
+      (!needle || entry.message.toLowerCase().includes(needle))
+    );
+
+    return limit ? matches.slice(-limit) : matches;
+  }
+
+  async getSubsystems() {
+    await this.load();
+    return [...new Set(this.entries.map(entry => entry.subsystem))].sort();
+  }
+
+  // Plain-text export, one line per entry, for attaching to bug reports
+  async exportText(query = {}) {
+    const entries = await this.getEntries(query);
+    return entries.map(formatLogEntry).join('\n');
+  }
+
+  async clear() {
+    await this.load();
+    this.entries = [];
+    this.entrySizes = [];
+    this.totalBytes = 0;
+    await this.flush();
+    this.notifyListeners(null);
+  }
+
+  // Event system; called with each new entry, or null after clear()
+  addEventListener(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(entry) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(entry);
+      } catch (error) {
+        console.error('Error in log listener:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export default new Logger();
@@ -0,0 +1,105 @@
+// src/services/NotificationActionRouter.js - Dispatches notification taps and actions to JS handlers
+import { SUPPORTED_LANGUAGES, translate } from '../i18n';
+import Logger from './Logger';
+
+const log = Logger.tag('notifications');
+
+// Action buttons shown on notifications. The OS hands back the label, which
+// is translated; these English labels identify the actions in handlers.
+export const NOTIFICATION_ACTIONS = {
+  REQUEST_MORE_TIME: 'Request 5 more minutes',
+  SNOOZE_WARNING: 'Snooze warning',
+  OPEN_APP: 'Open app',
+};
+
+// Catalog message for each action's label
+export const ACTION_MESSAGE_KEYS = {
+  [NOTIFICATION_ACTIONS.REQUEST_MORE_TIME]: 'actionRequestMoreTime',
+  [NOTIFICATION_ACTIONS.SNOOZE_WARNING]: 'actionSnoozeWarning',
+  [NOTIFICATION_ACTIONS.OPEN_APP]: 'actionOpenApp',
+};
+
+// The action a tapped label stands for. Every language is checked: the
+// notification may have been posted before the language was changed.
+export function getActionForLabel(label) {
+  const action = Object.keys(ACTION_MESSAGE_KEYS).find(candidate =>
+    SUPPORTED_LANGUAGES.some(language => translate(language, ACTION_MESSAGE_KEYS[candidate]) === label)
+  );
+  return action || label;
+}
+
+// Values of `userInfo.type` set by NotificationService
+export const NOTIFICATION_PAYLOAD_TYPES = {
+  TIME_WARNING: 'time-warning',
+  TIME_EXPIRED: 'time-expired',
+  TIME_ADDED: 'time-added',
+  TEST: 'test',
+};
+
+export class NotificationActionRouter {
+  constructor() {
+    // `${type}:${action}` -> handler, with '*' as a wildcard on either side
+    this.handlers = new Map();
+  }
+
+  // Register `handler(payload, notification)` for an action on notifications of
+  // `type`. Pass null as `action` to handle plain taps. Returns an unregister function.
+  on(type, action, handler) {
+    const key = `${type}:${action === null ? 'tap' : action}`;
+    this.handlers.set(key, handler);
+    return () => {
+      if (this.handlers.get(key) === handler) {
+        this.handlers.delete(key);
+      }
+    };
+  }
+
+  // The library delivers userInfo under different names per platform
+  getPayload(notification) {
+    return notification.userInfo || notification.data || {};
+  }
+
+  findHandler(type, action) {
+    const name = action === null ? 'tap' : action;
+
+    return this.handlers.get(`${type}:${name}`) || this.handlers.get(`*:${name}`) || null;
+  }
+
+  dispatch(notification, action) {
+    const payload = this.getPayload(notification);
+    const type = payload.type || 'unknown';
+    const handler = this.findHandler(type, action);
+
+    if (!handler) {
+      log.info('No handler for notification', { type, action: action || 'tap' });
+      return false;
+    }
+
+    try {
+      handler(payload, notification);
+    } catch (error) {
+      log.error('Error in notification handler', { type, action: action || 'tap', error });
+    }
+
+    return true;
+  }
+
+  // PushNotification.configure({ onNotification })
+  // Only the payload type is logged; the rest may hold the child's details
+  handleNotification(notification) {
+    log.debug('Notification received', { type: this.getPayload(notification).type || 'unknown' });
+    return this.dispatch(notification, null);
+  }
+
+  // PushNotification.configure({ onAction })
+  handleAction(notification) {
+    log.debug('Notification action', {
+      type: this.getPayload(notification).type || 'unknown',
+      action: getActionForLabel(notification.action),
+    });
+    return this.dispatch(notification, getActionForLabel(notification.action));
+  }
+}
+
+// Export singleton instance
+export default new NotificationActionRouter();
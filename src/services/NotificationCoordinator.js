@@ -0,0 +1,148 @@
+// src/services/NotificationCoordinator.js - Drives notifications from TimerService events
+import TimerService from './TimerService';
+import NotificationService from './NotificationService';
+import NotificationActionRouter, {
+  NOTIFICATION_ACTIONS,
+  NOTIFICATION_PAYLOAD_TYPES,
+} from './NotificationActionRouter';
+import TimeRequestService from './TimeRequestService';
+import EnforcementService from './EnforcementService';
+import Logger from './Logger';
+
+const REQUESTED_EXTRA_TIME = 5 * 60;
+const SNOOZE_DELAY = 60;
+
+export class NotificationCoordinator {
+  constructor({
+    timer = TimerService,
+    notifications = NotificationService,
+    router = NotificationActionRouter,
+    timeRequests = TimeRequestService,
+    enforcement = EnforcementService,
+    logger = Logger,
+  } = {}) {
+    this.timer = timer;
+    this.notifications = notifications;
+    this.router = router;
+    this.timeRequests = timeRequests;
+    this.enforcement = enforcement;
+    this.log = logger.tag('notifications');
+    this.removeListener = null;
+    this.removeEnforcementListener = null;
+    this.removeActionHandlers = [];
+  }
+
+  start() {
+    if (this.removeListener) {
+      return;
+    }
+
+    this.log.info('Notification coordinator started');
+    this.removeListener = this.timer.addEventListener(event => this.handleTimerEvent(event));
+    this.removeEnforcementListener = this.enforcement.addEventListener(event => this.handleEnforcementEvent(event));
+    this.registerActionHandlers();
+
+    // Tracking may already be under way if the service started before us
+    if (this.timer.isTimerRunning) {
+      this.scheduleForBalance(this.timer.getStatus().availableTime);
+    }
+  }
+
+  stop() {
+    if (!this.removeListener) {
+      return;
+    }
+
+    this.removeListener();
+    this.removeListener = null;
+    this.removeEnforcementListener();
+    this.removeEnforcementListener = null;
+    this.removeActionHandlers.forEach(remove => remove());
+    this.removeActionHandlers = [];
+    this.cancelForBalance();
+    this.notifications.cancelExpiryReminders();
+  }
+
+  registerActionHandlers() {
+    this.removeActionHandlers = [
+      this.router.on('*', NOTIFICATION_ACTIONS.REQUEST_MORE_TIME, () => {
+        this.timeRequests.requestMoreTime(REQUESTED_EXTRA_TIME, { origin: 'notification' })
+          .catch(error => this.log.error('Error requesting more time', { error }));
+      }),
+      this.router.on(NOTIFICATION_PAYLOAD_TYPES.TIME_WARNING, NOTIFICATION_ACTIONS.SNOOZE_WARNING, () => {
+        // Only worth repeating while time is still running down
+        if (!this.timer.isTimerRunning) {
+          return;
+        }
+
+        const { availableTime } = this.timer.getStatus();
+        this.notifications.snoozeWarning(SNOOZE_DELAY, availableTime - SNOOZE_DELAY);
+      }),
+      this.router.on('*', NOTIFICATION_ACTIONS.OPEN_APP, (payload, notification) => {
+        this.notifications.openApp(notification);
+      }),
+    ];
+  }
+
+  handleTimerEvent(event) {
+    switch (event.event) {
+      case 'trackingStarted':
+        // Spending started: warnings and expiry fire relative to the balance right now
+        this.scheduleForBalance(event.availableTime);
+        break;
+      case 'trackingStopped':
+      case 'profileSwitched':
+      case 'reset':
+        // Device locked, app in foreground or balance gone: nothing is being spent
+        this.cancelForBalance();
+        break;
+      case 'creditsAdded':
+      case 'creditsRemoved':
+      case 'creditsExpired':
+        this.handleCreditsChanged(event);
+        break;
+      case 'timeExpired':
+        this.notifications.cancelTimeWarnings();
+        this.notifications.showTimeExpiredNotification(event.reason === 'restriction' ? event.restriction : null);
+        break;
+    }
+  }
+
+  handleEnforcementEvent(event) {
+    switch (event.event) {
+      case 'enforcementRemindersScheduled':
+        this.notifications.scheduleExpiryReminders(event.reminders, { restrictionName: event.restrictionName });
+        break;
+      case 'enforcementRemindersCancelled':
+        this.notifications.cancelExpiryReminders();
+        break;
+    }
+  }
+
+  // Warnings and the "time's up" notification are handed to the OS, so they
+  // arrive on time even while the app is suspended
+  scheduleForBalance(availableTime) {
+    this.notifications.scheduleTimeWarnings(availableTime);
+    this.notifications.scheduleTimeExpiredNotification(availableTime);
+  }
+
+  cancelForBalance() {
+    this.notifications.cancelTimeWarnings();
+    this.notifications.cancelTimeExpiredNotification();
+  }
+
+  handleCreditsChanged(event) {
+    // Pending warnings and expiry were computed from the old balance
+    if (this.timer.isTimerRunning) {
+      this.scheduleForBalance(event.availableTime);
+    }
+
+    // The app UI already shows grants made while it is open
+    if (event.event === 'creditsAdded' && this.timer.appState !== 'active') {
+      this.notifications.showTimeAddedNotification(event.amount);
+    }
+  }
+}
+
+// Export singleton instance
+export default new NotificationCoordinator();
@@ -0,0 +1,185 @@
+// src/services/NotificationPreferences.js - Persisted notification settings and warning schedule
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getDailyWindowAt, isValidTimeOfDay } from '../utils/time';
+
+const PREFERENCES_KEY = '@notification_prefs';
+const MAX_WARNING_THRESHOLDS = 10;
+
+export const QUIET_HOURS_MODES = {
+  SUPPRESS: 'suppress',
+  DEFER: 'defer',
+};
+
+export const NOTIFICATION_TYPES = {
+  TIME_ADDED: 'timeAdded',
+  WARNING: 'warning',
+  EXPIRED: 'expired',
+};
+
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+  // Seconds of remaining time at which a warning fires
+  warningThresholds: [300, 60, 30],
+  quietHours: {
+    enabled: false,
+    start: '21:00',
+    end: '07:00',
+    mode: QUIET_HOURS_MODES.DEFER,
+  },
+  types: {
+    [NOTIFICATION_TYPES.TIME_ADDED]: true,
+    [NOTIFICATION_TYPES.WARNING]: true,
+    [NOTIFICATION_TYPES.EXPIRED]: true,
+  },
+};
+
+// End of the quiet period containing `timestamp`, or null outside quiet hours
+export function getQuietHoursEnd(preferences, timestamp) {
+  const { quietHours } = preferences;
+  if (!quietHours.enabled) {
+    return null;
+  }
+
+  const window = getDailyWindowAt(timestamp, quietHours.start, quietHours.end);
+  return window ? window.end : null;
+}
+
+// When each warning should fire for a balance that starts running down at `now`.
+// Warnings inside quiet hours are dropped or moved to the end of the quiet
+// period; a moved warning reports what will actually be left by then, and
+// warnings that would land after expiry are dropped.
+export function computeWarningSchedule(availableSeconds, preferences, now = Date.now()) {
+  if (!preferences.types[NOTIFICATION_TYPES.WARNING]) {
+    return [];
+  }
+
+  const expiresAt = now + availableSeconds * 1000;
+  const schedule = [];
+
+  [...preferences.warningThresholds]
+    .sort((a, b) => b - a)
+    .filter(threshold => threshold < availableSeconds)
+    .forEach(threshold => {
+      let fireAt = expiresAt - threshold * 1000;
+      const quietEnd = getQuietHoursEnd(preferences, fireAt);
+
+      if (quietEnd !== null) {
+        if (preferences.quietHours.mode === QUIET_HOURS_MODES.SUPPRESS) {
+          return;
+        }
+        fireAt = quietEnd;
+      }
+
+      if (fireAt >= expiresAt) {
+        return;
+      }
+
+      // Several deferred warnings collapse into one at the end of quiet hours
+      if (schedule.some(warning => warning.fireAt === fireAt)) {
+        return;
+      }
+
+      schedule.push({
+        fireAt,
+        secondsRemaining: Math.round((expiresAt - fireAt) / 1000),
+      });
+    });
+
+  return schedule;
+}
+
+class NotificationPreferences {
+  constructor() {
+    this.preferences = DEFAULT_NOTIFICATION_PREFERENCES;
+    this.isLoaded = false;
+  }
+
+  async load() {
+    if (this.isLoaded) {
+      return this.preferences;
+    }
+
+    try {
+      const saved = await AsyncStorage.getItem(PREFERENCES_KEY);
+      if (saved) {
+        this.preferences = this.merge(DEFAULT_NOTIFICATION_PREFERENCES, JSON.parse(saved));
+      }
+    } catch (error) {
+      console.error('Error loading notification preferences:', error);
+    }
+
+    this.isLoaded = true;
+    return this.preferences;
+  }
+
+  // Re-read preferences from storage (after a backup restore)
+  reload() {
+    this.preferences = DEFAULT_NOTIFICATION_PREFERENCES;
+    this.isLoaded = false;
+    return this.load();
+  }
+
+  // Current preferences; defaults until load() has completed
+  get() {
+    return this.preferences;
+  }
+
+  merge(base, changes) {
+    return {
+      ...base,
+      ...changes,
+      quietHours: { ...base.quietHours, ...changes.quietHours },
+      types: { ...base.types, ...changes.types },
+    };
+  }
+
+  validate(preferences) {
+    const { warningThresholds, quietHours, types } = preferences;
+
+    if (!Array.isArray(warningThresholds) || warningThresholds.length > MAX_WARNING_THRESHOLDS) {
+      return `warningThresholds must be a list of at most ${MAX_WARNING_THRESHOLDS} values`;
+    }
+    if (!warningThresholds.every(value => Number.isInteger(value) && value > 0)) {
+      return 'warningThresholds must be positive whole seconds';
+    }
+    if (!isValidTimeOfDay(quietHours.start) || !isValidTimeOfDay(quietHours.end)) {
+      return 'quietHours start and end must be HH:MM';
+    }
+    if (!Object.values(QUIET_HOURS_MODES).includes(quietHours.mode)) {
+      return `quietHours.mode must be one of ${Object.values(QUIET_HOURS_MODES).join(', ')}`;
+    }
+    if (!Object.values(NOTIFICATION_TYPES).every(type => typeof types[type] === 'boolean')) {
+      return 'types must map each notification type to true or false';
+    }
+
+    return null;
+  }
+
+  async update(changes) {
+    await this.load();
+
+    const preferences = this.merge(this.preferences, changes);
+    preferences.warningThresholds = [...new Set(preferences.warningThresholds)].sort((a, b) => b - a);
+
+    const error = this.validate(preferences);
+    if (error) {
+      throw new Error(`Invalid notification preferences: ${error}`);
+    }
+
+    this.preferences = preferences;
+    await AsyncStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+    console.log('🔔 Notification preferences updated', preferences);
+
+    return preferences;
+  }
+
+  isEnabled(type) {
+    return this.preferences.types[type] !== false;
+  }
+
+  isQuietAt(timestamp = Date.now()) {
+    return getQuietHoursEnd(this.preferences, timestamp) !== null;
+  }
+}
+
+// Export singleton instance
+export default new NotificationPreferences();
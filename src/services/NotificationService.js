@@ -1,11 +1,37 @@
 // src/services/NotificationService.js - Simple local notifications
 import { Platform } from 'react-native';
 import PushNotification from 'react-native-push-notification';
+import NotificationPreferences, {
+  NOTIFICATION_TYPES,
+  QUIET_HOURS_MODES,
+  computeWarningSchedule,
+  getQuietHoursEnd,
+} from './NotificationPreferences';
+import NotificationActionRouter, { ACTION_MESSAGE_KEYS, NOTIFICATION_ACTIONS } from './NotificationActionRouter';
+import I18nService from './I18nService';
+import Logger from './Logger';
+import { DURATION_STYLES } from '../i18n';
+
+const log = Logger.tag('notifications');
+
+// Scheduled warnings and reminders get ids from these ranges so they can be
+// cancelled on their own
+const WARNING_NOTIFICATION_ID_BASE = 1000;
+const REMINDER_NOTIFICATION_ID_BASE = 2000;
+const EXPIRED_NOTIFICATION_ID = '999';
+
+// Action button labels in the current language
+const actionLabels = actions => actions.map(action => I18nService.t(ACTION_MESSAGE_KEYS[action]));
 
 class NotificationService {
   constructor() {
     this.isInitialized = false;
+    this.scheduledWarningIds = [];
+    this.scheduledReminderIds = [];
+    this.isExpiredNotificationScheduled = false;
     this.initializeNotifications();
+    NotificationPreferences.load();
+    I18nService.load();
   }
   
   initializeNotifications() {
@@ -13,7 +39,12 @@ class NotificationService {
     PushNotification.configure({
       // Called when a notification is opened
       onNotification: function (notification) {
-        console.log('Notification received:', notification);
+        NotificationActionRouter.handleNotification(notification);
+      },
+
+      // Called when an action button is pressed (Android)
+      onAction: function (notification) {
+        NotificationActionRouter.handleAction(notification);
       },
       
       // iOS permissions
@@ -35,15 +66,16 @@ class NotificationService {
       PushNotification.createChannel(
         {
           channelId: 'timer-local',
-          channelName: 'Timer Local Notifications',
-          channelDescription: 'Local notifications for timer alerts',
+          // Named in the device language; Android keeps the name it was created with
+          channelName: I18nService.t('channelName'),
+          channelDescription: I18nService.t('channelDescription'),
           playSound: true,
           soundName: 'default',
           importance: 4, // High importance
           vibrate: true,
         },
         (created) => {
-          console.log(`Notification channel created: ${created}`);
+          log.debug('Notification channel created', { created });
           this.isInitialized = true;
         }
       );
@@ -52,27 +84,38 @@ class NotificationService {
       this.isInitialized = true;
     }
     
-    console.log('Notification service initialized');
+    log.info('Initialized', { platform: Platform.OS });
   }
   
-  // Schedule a notification for when time will run low
-  scheduleLowTimeNotification(minutesRemaining, timeUntilInSeconds) {
+  // Schedule a warning that `secondsRemaining` of screen time will be left at `fireDate`
+  scheduleLowTimeNotification(secondsRemaining, fireDate) {
     if (!this.isInitialized) {
-      console.warn('Notifications not initialized');
+      log.warn('Notifications not initialized');
       return;
     }
     
-    const fireDate = new Date(Date.now() + (timeUntilInSeconds * 1000));
+    const minutesRemaining = Math.floor(secondsRemaining / 60);
+    const isMinuteWarning = minutesRemaining > 0 && secondsRemaining % 60 === 0;
+    const title = isMinuteWarning
+      ? I18nService.t('warningMinutesTitle', { count: minutesRemaining })
+      : I18nService.t('warningSecondsTitle', { count: secondsRemaining });
+    const message = isMinuteWarning
+      ? I18nService.t('warningMessage', { duration: I18nService.formatDuration(secondsRemaining, DURATION_STYLES.LONG) })
+      : I18nService.t('warningAlmostUpMessage');
     
-    console.log(`Scheduling ${minutesRemaining} minute warning for:`, fireDate.toLocaleTimeString());
+    log.debug('Scheduling warning', { secondsRemaining, fireAt: fireDate.getTime() });
     
+    const id = this.nextWarningId();
+
     PushNotification.localNotificationSchedule({
+      id,
+
       // Android specific
       channelId: 'timer-local',
       
       // Notification content
-      title: `⏰ ${minutesRemaining} Minute${minutesRemaining !== 1 ? 's' : ''} Remaining`,
-      message: `You have ${minutesRemaining} minute${minutesRemaining !== 1 ? 's' : ''} of screen time left.`,
+      title,
+      message,
       
       // When to fire
       date: fireDate,
@@ -87,32 +130,36 @@ class NotificationService {
       // Custom data
       userInfo: {
         type: 'time-warning',
-        minutesRemaining: minutesRemaining
+        secondsRemaining,
       },
       
+      // Handled in JS without bringing the app forward
+      actions: actionLabels([NOTIFICATION_ACTIONS.REQUEST_MORE_TIME, NOTIFICATION_ACTIONS.SNOOZE_WARNING]),
+      invokeApp: false,
+
       // Auto cancel when tapped
       autoCancel: true,
     });
     
-    console.log(`✓ Scheduled ${minutesRemaining} minute notification`);
+    log.info('Scheduled warning', { secondsRemaining, fireAt: fireDate.getTime() });
   }
   
-  // Show immediate notification when time expires
-  showTimeExpiredNotification() {
-    if (!this.isInitialized) {
-      console.warn('Notifications not initialized');
-      return;
-    }
-    
-    console.log('Showing time expired notification');
-    
-    PushNotification.localNotification({
+  // The "time's up" notification. This one is critical and ignores quiet
+  // hours; only the per-type switch can silence it. With a `restriction`
+  // (bedtime, school hours) the message says when it ends.
+  buildTimeExpiredNotification(restriction = null) {
+    return {
+      // Scheduled and immediate ones share an id, so one replaces the other
+      id: EXPIRED_NOTIFICATION_ID,
+
       // Android specific
       channelId: 'timer-local',
       
       // Notification content
-      title: '⌛ Time Expired',
-      message: 'Your screen time has run out!',
+      title: restriction ? I18nService.t('restrictionTitle', { name: restriction.name }) : I18nService.t('expiredTitle'),
+      message: restriction
+        ? I18nService.t('restrictionMessage', { time: I18nService.formatTimeOfDay(restriction.end) })
+        : I18nService.t('expiredMessage'),
       
       // Notification settings
       playSound: true,
@@ -126,24 +173,159 @@ class NotificationService {
         type: 'time-expired'
       },
       
+      // Extra time cannot be spent during a restriction, so don't offer to ask
+      actions: actionLabels(restriction
+        ? [NOTIFICATION_ACTIONS.OPEN_APP]
+        : [NOTIFICATION_ACTIONS.REQUEST_MORE_TIME, NOTIFICATION_ACTIONS.OPEN_APP]),
+      invokeApp: false,
+
       // Auto cancel when tapped
       autoCancel: true,
-    });
+    };
+  }
+
+  // Show it now, when the timer reports expiry; replaces the scheduled one
+  showTimeExpiredNotification(restriction = null) {
+    if (!this.isInitialized) {
+      log.warn('Notifications not initialized');
+      return;
+    }
+
+    if (!NotificationPreferences.isEnabled(NOTIFICATION_TYPES.EXPIRED)) {
+      log.info('Time expired notification disabled');
+      return;
+    }
+
+    this.cancelTimeExpiredNotification();
+    PushNotification.localNotification(this.buildTimeExpiredNotification(restriction));
     
-    console.log('✓ Time expired notification sent');
+    log.info('Time expired notification sent', { restriction });
   }
   
+  // Have the OS show the notification when the balance runs out in
+  // `availableTimeInSeconds`, whether or not the app is running by then
+  scheduleTimeExpiredNotification(availableTimeInSeconds) {
+    this.cancelTimeExpiredNotification();
+    if (!this.isInitialized || availableTimeInSeconds <= 0) {
+      return;
+    }
+    if (!NotificationPreferences.isEnabled(NOTIFICATION_TYPES.EXPIRED)) {
+      return;
+    }
+
+    const fireAt = Date.now() + availableTimeInSeconds * 1000;
+    PushNotification.localNotificationSchedule({ ...this.buildTimeExpiredNotification(), date: new Date(fireAt) });
+    this.isExpiredNotificationScheduled = true;
+
+    log.info('Scheduled time expired notification', { fireAt });
+  }
+
+  cancelTimeExpiredNotification() {
+    if (!this.isExpiredNotificationScheduled) {
+      return;
+    }
+
+    PushNotification.cancelLocalNotification(EXPIRED_NOTIFICATION_ID);
+    this.isExpiredNotificationScheduled = false;
+  }
+
+  // Repeated while the device stays in use after expiry, at the times from
+  // EnforcementService.getReminderSchedule. Scheduled with the OS so they
+  // arrive while the app is suspended. Like the expiry notification they
+  // ignore quiet hours.
+  scheduleExpiryReminders(reminders, { restrictionName = null } = {}) {
+    this.cancelExpiryReminders();
+    if (!this.isInitialized || !NotificationPreferences.isEnabled(NOTIFICATION_TYPES.EXPIRED)) {
+      return;
+    }
+
+    reminders.forEach(({ reminder, fireAt, overuse }) => {
+      this.scheduleExpiryReminderNotification({ reminder, fireAt, overuse, restrictionName });
+    });
+    log.info('Scheduled expiry reminders', { count: reminders.length });
+  }
+
+  scheduleExpiryReminderNotification({ reminder, fireAt, overuse, restrictionName }) {
+    const minutes = Math.max(1, Math.round(overuse / 60));
+    const id = String(REMINDER_NOTIFICATION_ID_BASE + this.scheduledReminderIds.length);
+    this.scheduledReminderIds.push(id);
+
+    PushNotification.localNotificationSchedule({
+      id,
+      date: new Date(fireAt),
+      channelId: 'timer-local',
+      title: restrictionName
+        ? I18nService.t('reminderRestrictionTitle', { name: restrictionName })
+        : I18nService.t('reminderTitle'),
+      message: I18nService.t('reminderMessage', {
+        duration: I18nService.formatDuration(minutes * 60, DURATION_STYLES.LONG),
+      }),
+      playSound: true,
+      soundName: 'default',
+      vibrate: true,
+      importance: 'high',
+      priority: 'high',
+      userInfo: {
+        type: 'time-expired',
+        reminder,
+      },
+      actions: actionLabels([NOTIFICATION_ACTIONS.OPEN_APP]),
+      invokeApp: false,
+      autoCancel: true,
+    });
+  }
+
+  // Cancel pending expiry reminders (device locked, time back, episode over)
+  cancelExpiryReminders() {
+    if (this.scheduledReminderIds.length === 0) {
+      return;
+    }
+
+    log.debug('Canceling expiry reminders', { ids: this.scheduledReminderIds });
+    this.scheduledReminderIds.forEach(id => PushNotification.cancelLocalNotification(id));
+    this.scheduledReminderIds = [];
+  }
+
+  // Show a warning again after `delaySeconds`, e.g. from the "Snooze warning" action
+  snoozeWarning(delaySeconds, secondsRemaining) {
+    if (secondsRemaining <= 0) {
+      return;
+    }
+
+    log.info('Snoozing warning', { delaySeconds, secondsRemaining });
+    this.scheduleLowTimeNotification(secondsRemaining, new Date(Date.now() + delaySeconds * 1000));
+  }
+
+  // Bring the app to the foreground from a notification action
+  openApp(notification) {
+    PushNotification.invokeApp(notification);
+  }
+
   // Show notification when time is added
   showTimeAddedNotification(seconds) {
-    if (!this.isInitialized) return;
-    
-    const minutes = Math.floor(seconds / 60);
-    const timeText = minutes > 0 ? `${minutes} minute${minutes !== 1 ? 's' : ''}` : `${seconds} seconds`;
+    if (!this.isInitialized || !NotificationPreferences.isEnabled(NOTIFICATION_TYPES.TIME_ADDED)) {
+      return;
+    }
+
+    const preferences = NotificationPreferences.get();
+    const quietEnd = getQuietHoursEnd(preferences, Date.now());
+
+    if (quietEnd !== null && preferences.quietHours.mode === QUIET_HOURS_MODES.SUPPRESS) {
+      log.info('Time added notification suppressed by quiet hours', { seconds, quietEnd });
+      return;
+    }
     
-    PushNotification.localNotification({
+    // During quiet hours in defer mode, deliver once they are over
+    const show = quietEnd !== null
+      ? notification => PushNotification.localNotificationSchedule({ ...notification, date: new Date(quietEnd) })
+      : notification => PushNotification.localNotification(notification);
+
+    show({
       channelId: 'timer-local',
-      title: '💰 Time Added',
-      message: `You earned ${timeText} of screen time!`,
+      title: I18nService.t('timeAddedTitle'),
+      message: I18nService.t('timeAddedMessage', {
+        duration: I18nService.formatDuration(seconds, DURATION_STYLES.LONG),
+      }),
       playSound: true,
       soundName: 'default',
       vibrate: true,
@@ -154,22 +336,20 @@ class NotificationService {
       autoCancel: true,
     });
     
-    console.log(`✓ Time added notification sent (${seconds}s)`);
+    log.info('Time added notification sent', { seconds });
   }
   
   // Test notification (for development)
   testNotification() {
     if (!this.isInitialized) {
-      console.warn('Cannot test - notifications not initialized');
+      log.warn('Cannot test - notifications not initialized');
       return;
     }
     
-    console.log('Sending test notification');
-    
     PushNotification.localNotification({
       channelId: 'timer-local',
-      title: '🧪 Test Notification',
-      message: 'This is a test notification from Simple Timer!',
+      title: I18nService.t('testTitle'),
+      message: I18nService.t('testMessage'),
       playSound: true,
       soundName: 'default',
       vibrate: true,
@@ -179,61 +359,51 @@ class NotificationService {
       autoCancel: true,
     });
     
-    console.log('✓ Test notification sent');
+    log.info('Test notification sent');
   }
   
   // Cancel all notifications
   cancelAllNotifications() {
-    console.log('Canceling all notifications');
+    log.info('Canceling all notifications');
     PushNotification.cancelAllLocalNotifications();
+    this.scheduledWarningIds = [];
+    this.scheduledReminderIds = [];
+    this.isExpiredNotificationScheduled = false;
+  }
+
+  nextWarningId() {
+    const id = String(WARNING_NOTIFICATION_ID_BASE + this.scheduledWarningIds.length);
+    this.scheduledWarningIds.push(id);
+    return id;
+  }
+
+  // Cancel pending low-time warnings, leaving other notifications alone
+  cancelTimeWarnings() {
+    if (this.scheduledWarningIds.length === 0) {
+      return;
+    }
+
+    log.debug('Canceling time warnings', { ids: this.scheduledWarningIds });
+    this.scheduledWarningIds.forEach(id => PushNotification.cancelLocalNotification(id));
+    this.scheduledWarningIds = [];
   }
   
-  // Schedule notifications based on available time
+  // Schedule notifications based on available time, using the thresholds and
+  // quiet hours from NotificationPreferences
   scheduleTimeWarnings(availableTimeInSeconds) {
+    // Warnings for the previous balance go even when there is nothing left to warn about
+    this.cancelTimeWarnings();
     if (!this.isInitialized || availableTimeInSeconds <= 0) {
       return;
     }
     
-    console.log('Scheduling time warnings for', availableTimeInSeconds, 'seconds');
-    
-    // Cancel existing notifications first
-    this.cancelAllNotifications();
+    log.info('Scheduling time warnings', { availableTime: availableTimeInSeconds });
     
-    // Schedule 5 minute warning
-    if (availableTimeInSeconds > 300) {
-      const timeUntil5Min = availableTimeInSeconds - 300;
-      this.scheduleLowTimeNotification(5, timeUntil5Min);
-    }
-    
-    // Schedule 1 minute warning  
-    if (availableTimeInSeconds > 60) {
-      const timeUntil1Min = availableTimeInSeconds - 60;
-      this.scheduleLowTimeNotification(1, timeUntil1Min);
-    }
+    const schedule = computeWarningSchedule(availableTimeInSeconds, NotificationPreferences.get());
     
-    // Schedule 30 second warning
-    if (availableTimeInSeconds > 30) {
-      const timeUntil30Sec = availableTimeInSeconds - 30;
-      
-      const fireDate = new Date(Date.now() + (timeUntil30Sec * 1000));
-      
-      PushNotification.localNotificationSchedule({
-        channelId: 'timer-local',
-        title: '⚠️ 30 Seconds Left',
-        message: 'Your screen time is almost up!',
-        date: fireDate,
-        playSound: true,
-        soundName: 'default',
-        vibrate: true,
-        userInfo: {
-          type: 'time-warning',
-          secondsRemaining: 30
-        },
-        autoCancel: true,
-      });
-      
-      console.log('✓ Scheduled 30 second warning');
-    }
+    schedule.forEach(({ fireAt, secondsRemaining }) => {
+      this.scheduleLowTimeNotification(secondsRemaining, new Date(fireAt));
+    });
   }
 }
 
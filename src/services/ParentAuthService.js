@@ -0,0 +1,310 @@
+// src/services/ParentAuthService.js - Parent PIN gate for balance-changing operations
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { randomBytes, sha256Hex, toHex } from '../utils/sha256';
+import { systemClock } from '../utils/clock';
+import Logger from './Logger';
+
+const PIN_KEY = '@parent_pin';
+const AUTH_STATE_KEY = '@parent_auth_state';
+const AUTH_LOG_KEY = '@parent_auth_log';
+
+const PIN_PATTERN = /^\d{4,8}$/;
+const HASH_ITERATIONS = 2000;
+const MAX_LOG_ENTRIES = 200;
+
+export const UNLOCK_TIMEOUT_MS = 2 * 60 * 1000;
+export const MAX_FAILED_ATTEMPTS = 5;
+export const LOCKOUT_MS = 5 * 60 * 1000;
+
+// Services that carry their own authorization (allowance schedule, earning
+// rules, signed vouchers, the parent's sync server) and may act without an
+// unlocked session. Each holds a capability issued for its kind and passes
+// it alongside a 'kind' or 'kind:detail' source.
+export const CAPABILITY_KINDS = ['allowance', 'activity', 'voucher', 'sync'];
+
+export const AUTH_OUTCOMES = {
+  GRANTED: 'granted',
+  DENIED: 'denied',
+  UNLOCKED: 'unlocked',
+  UNLOCK_FAILED: 'unlock-failed',
+  LOCKED_OUT: 'locked-out',
+  LOCKED: 'locked',
+  PIN_CHANGED: 'pin-changed',
+};
+
+export class ParentAuthError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'ParentAuthError';
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+export class ParentAuthService {
+  constructor({ storage = AsyncStorage, clock = systemClock, logger = Logger } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+    this.log = logger.tag('parent-auth');
+    this.pin = null;
+    this.failedAttempts = 0;
+    this.lockedUntil = 0;
+    this.unlockedUntil = 0;
+    // Shared by every record() and getLog() so none of them reads a stale log
+    this.pendingLogLoad = null;
+    this.isLoaded = false;
+    this.listeners = new Set();
+    // Issued capability -> kind. Only objects created here are found.
+    this.capabilities = new WeakMap();
+  }
+
+  async load() {
+    if (this.isLoaded) {
+      return;
+    }
+
+    try {
+      const [[, savedPin], [, savedState]] = await this.storage.multiGet([PIN_KEY, AUTH_STATE_KEY]);
+      this.pin = savedPin ? JSON.parse(savedPin) : null;
+
+      if (savedState) {
+        const state = JSON.parse(savedState);
+        this.failedAttempts = state.failedAttempts || 0;
+        this.lockedUntil = state.lockedUntil || 0;
+      }
+    } catch (error) {
+      this.log.error('Error loading parent auth', { error });
+    }
+
+    this.isLoaded = true;
+  }
+
+  // Re-read the PIN from storage (after a backup restore). Any unlocked
+  // session ends since it was opened with the previous PIN.
+  async reload() {
+    this.pin = null;
+    this.failedAttempts = 0;
+    this.lockedUntil = 0;
+    this.unlockedUntil = 0;
+    this.pendingLogLoad = null;
+    this.isLoaded = false;
+
+    await this.load();
+    this.notifyListeners();
+  }
+
+  hashPin(pin, salt, iterations = HASH_ITERATIONS) {
+    let hash = sha256Hex(`${salt}:${pin}`);
+    for (let i = 1; i < iterations; i++) {
+      hash = sha256Hex(`${salt}:${hash}`);
+    }
+    return hash;
+  }
+
+  hasPin() {
+    return this.pin !== null;
+  }
+
+  isUnlocked(now = this.clock.now()) {
+    return this.unlockedUntil > now;
+  }
+
+  // True when a privileged operation would currently be refused
+  requiresAuthorization(now = this.clock.now()) {
+    return this.hasPin() && !this.isUnlocked(now);
+  }
+
+  getLockout(now = this.clock.now()) {
+    return this.lockedUntil > now ? this.lockedUntil : null;
+  }
+
+  async saveAuthState() {
+    try {
+      await this.storage.setItem(AUTH_STATE_KEY, JSON.stringify({
+        failedAttempts: this.failedAttempts,
+        lockedUntil: this.lockedUntil,
+      }));
+    } catch (error) {
+      this.log.error('Error saving parent auth state', { error });
+    }
+  }
+
+  // Set or change the PIN. Changing an existing PIN needs an unlocked session.
+  async setPin(pin) {
+    await this.load();
+
+    if (!PIN_PATTERN.test(pin)) {
+      throw new ParentAuthError('PIN must be 4 to 8 digits', 'invalid-pin');
+    }
+    if (this.hasPin() && !this.isUnlocked()) {
+      throw new ParentAuthError('Unlock with the current PIN before changing it', 'unauthorized');
+    }
+
+    const salt = toHex(randomBytes(16));
+    this.pin = { salt, iterations: HASH_ITERATIONS, hash: this.hashPin(pin, salt) };
+    await this.storage.setItem(PIN_KEY, JSON.stringify(this.pin));
+
+    this.record(AUTH_OUTCOMES.PIN_CHANGED, 'setPin');
+    this.notifyListeners();
+  }
+
+  // Start (or extend) an unlocked session
+  async unlock(pin, now = this.clock.now()) {
+    await this.load();
+
+    if (!this.hasPin()) {
+      throw new ParentAuthError('No parent PIN has been set', 'no-pin');
+    }
+
+    const lockedUntil = this.getLockout(now);
+    if (lockedUntil) {
+      this.record(AUTH_OUTCOMES.LOCKED_OUT, 'unlock');
+      throw new ParentAuthError('Too many wrong attempts. Try again later.', 'locked-out', { lockedUntil });
+    }
+
+    if (this.hashPin(pin, this.pin.salt, this.pin.iterations) !== this.pin.hash) {
+      this.failedAttempts++;
+      const attemptsLeft = MAX_FAILED_ATTEMPTS - this.failedAttempts;
+
+      if (attemptsLeft <= 0) {
+        this.failedAttempts = 0;
+        this.lockedUntil = now + LOCKOUT_MS;
+      }
+      await this.saveAuthState();
+      this.record(AUTH_OUTCOMES.UNLOCK_FAILED, 'unlock', { attemptsLeft: Math.max(0, attemptsLeft) });
+
+      if (attemptsLeft <= 0) {
+        throw new ParentAuthError('Too many wrong attempts. Try again later.', 'locked-out', {
+          lockedUntil: this.lockedUntil,
+        });
+      }
+      throw new ParentAuthError('Wrong PIN', 'wrong-pin', { attemptsLeft });
+    }
+
+    this.failedAttempts = 0;
+    this.lockedUntil = 0;
+    this.unlockedUntil = now + UNLOCK_TIMEOUT_MS;
+    await this.saveAuthState();
+
+    this.record(AUTH_OUTCOMES.UNLOCKED, 'unlock');
+    this.notifyListeners();
+  }
+
+  lock() {
+    if (!this.isUnlocked()) {
+      return;
+    }
+
+    this.unlockedUntil = 0;
+    this.record(AUTH_OUTCOMES.LOCKED, 'lock');
+    this.notifyListeners();
+  }
+
+  // Issue a capability for a service that acts without a parent session.
+  // Keep it private to the service; it is only good for sources of its kind.
+  createCapability(kind) {
+    if (!CAPABILITY_KINDS.includes(kind)) {
+      throw new ParentAuthError(`Unknown capability kind: ${kind}`, 'invalid-capability');
+    }
+
+    const capability = Object.freeze({ kind });
+    this.capabilities.set(capability, kind);
+    return capability;
+  }
+
+  holdsCapability(capability, source) {
+    const kind = capability && typeof capability === 'object' ? this.capabilities.get(capability) : undefined;
+    return kind !== undefined && typeof source === 'string' && source.split(':')[0] === kind;
+  }
+
+  // Gate for privileged operations. Throws ParentAuthError unless no PIN is
+  // set, a matching capability is given, or a parent session is unlocked;
+  // each use of the session pushes its inactivity timeout back.
+  authorize(operation, { source = null, capability = null } = {}, now = this.clock.now()) {
+    if (capability) {
+      if (!this.holdsCapability(capability, source)) {
+        this.record(AUTH_OUTCOMES.DENIED, operation, { source });
+        throw new ParentAuthError(`Capability does not cover ${source}`, 'unauthorized', { operation });
+      }
+      this.record(AUTH_OUTCOMES.GRANTED, operation, { source, via: 'capability' });
+      return;
+    }
+
+    if (!this.isLoaded) {
+      this.record(AUTH_OUTCOMES.DENIED, operation, { source });
+      throw new ParentAuthError('Parental controls are still loading', 'not-ready');
+    }
+
+    if (!this.hasPin()) {
+      this.record(AUTH_OUTCOMES.GRANTED, operation, { source, via: 'no-pin' });
+      return;
+    }
+
+    if (!this.isUnlocked(now)) {
+      this.record(AUTH_OUTCOMES.DENIED, operation, { source });
+      throw new ParentAuthError(`Parent PIN required to ${operation}`, 'unauthorized', { operation });
+    }
+
+    this.unlockedUntil = now + UNLOCK_TIMEOUT_MS;
+    this.record(AUTH_OUTCOMES.GRANTED, operation, { source });
+  }
+
+  // Audit trail of every authorization decision
+  loadLog() {
+    if (!this.pendingLogLoad) {
+      this.pendingLogLoad = this.storage.getItem(AUTH_LOG_KEY)
+        .then(saved => (saved ? JSON.parse(saved) : []))
+        .catch(error => {
+          this.log.error('Error loading parent auth log', { error });
+          return [];
+        });
+    }
+
+    return this.pendingLogLoad;
+  }
+
+  record(outcome, operation, details = {}) {
+    const entry = { outcome, operation, timestamp: this.clock.now(), ...details };
+    this.log.info(`${operation}: ${outcome}`, details);
+
+    this.loadLog()
+      .then(log => {
+        log.push(entry);
+        if (log.length > MAX_LOG_ENTRIES) {
+          log.splice(0, log.length - MAX_LOG_ENTRIES);
+        }
+        return this.storage.setItem(AUTH_LOG_KEY, JSON.stringify(log));
+      })
+      .catch(error => this.log.error('Error saving parent auth log', { error }));
+  }
+
+  async getLog({ limit = null } = {}) {
+    const log = await this.loadLog();
+    return limit ? log.slice(-limit) : [...log];
+  }
+
+  // Event system
+  addEventListener(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners() {
+    const status = {
+      hasPin: this.hasPin(),
+      isUnlocked: this.isUnlocked(),
+      unlockedUntil: this.unlockedUntil,
+    };
+
+    this.listeners.forEach(callback => {
+      try {
+        callback(status);
+      } catch (error) {
+        this.log.error('Error in listener', { error });
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export default new ParentAuthService();
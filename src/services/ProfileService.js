@@ -0,0 +1,183 @@
+// src/services/ProfileService.js - Named profiles with isolated storage namespaces
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { systemClock } from '../utils/clock';
+import ParentAuthService from './ParentAuthService';
+import Logger from './Logger';
+
+const PROFILES_KEY = '@profiles';
+const ACTIVE_PROFILE_KEY = '@active_profile';
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+const DEFAULT_PROFILE = {
+  id: DEFAULT_PROFILE_ID,
+  name: 'Default',
+  createdAt: 0,
+};
+
+// Storage key for per-profile data. The default profile keeps the original
+// un-suffixed keys so data saved before profiles existed stays where it was.
+export function getProfileKey(baseKey, profileId) {
+  return profileId === DEFAULT_PROFILE_ID ? baseKey : `${baseKey}:${profileId}`;
+}
+
+export class ProfileService {
+  constructor({
+    storage = AsyncStorage,
+    clock = systemClock,
+    parentAuth = ParentAuthService,
+    logger = Logger,
+  } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+    this.parentAuth = parentAuth;
+    this.log = logger.tag('profiles');
+    this.profiles = [{ ...DEFAULT_PROFILE }];
+    this.activeProfileId = DEFAULT_PROFILE_ID;
+    this.isLoaded = false;
+  }
+
+  async load() {
+    if (this.isLoaded) {
+      return;
+    }
+
+    try {
+      const [[, savedProfiles], [, savedActive]] = await this.storage.multiGet([
+        PROFILES_KEY,
+        ACTIVE_PROFILE_KEY,
+      ]);
+
+      const profiles = savedProfiles ? JSON.parse(savedProfiles) : [];
+      if (!profiles.some(profile => profile.id === DEFAULT_PROFILE_ID)) {
+        profiles.unshift({ ...DEFAULT_PROFILE });
+      }
+      this.profiles = profiles;
+
+      if (savedActive && this.profiles.some(profile => profile.id === savedActive)) {
+        this.activeProfileId = savedActive;
+      }
+    } catch (error) {
+      this.log.error('Error loading profiles', { error });
+    }
+
+    this.isLoaded = true;
+  }
+
+  // Re-read profiles from storage on next use (after a backup restore)
+  invalidate() {
+    this.profiles = [{ ...DEFAULT_PROFILE }];
+    this.activeProfileId = DEFAULT_PROFILE_ID;
+    this.isLoaded = false;
+  }
+
+  async saveProfiles() {
+    await this.storage.setItem(PROFILES_KEY, JSON.stringify(this.profiles));
+  }
+
+  async getProfiles() {
+    await this.load();
+    return this.profiles.map(profile => ({ ...profile }));
+  }
+
+  async getActiveProfileId() {
+    await this.load();
+    return this.activeProfileId;
+  }
+
+  // Synchronous lookup for status reporting; only meaningful after load()
+  getProfile(profileId) {
+    return this.profiles.find(profile => profile.id === profileId) || null;
+  }
+
+  createProfileId(name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+    return `${slug}-${this.clock.now().toString(36)}`;
+  }
+
+  validateName(name, exceptProfileId = null) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+      throw new Error('Profile name is required');
+    }
+    if (this.profiles.some(profile =>
+      profile.id !== exceptProfileId && profile.name.toLowerCase() === trimmed.toLowerCase()
+    )) {
+      throw new Error(`A profile named "${trimmed}" already exists`);
+    }
+    return trimmed;
+  }
+
+  // Creating, renaming and deleting profiles need a parent session once a PIN
+  // is set, like switching between them (see TimerService.switchProfile)
+  async createProfile(name) {
+    await this.load();
+    this.parentAuth.authorize('create profile', {}, this.clock.now());
+
+    const trimmed = this.validateName(name);
+    const profile = {
+      id: this.createProfileId(trimmed),
+      name: trimmed,
+      createdAt: this.clock.now(),
+    };
+
+    this.profiles.push(profile);
+    await this.saveProfiles();
+    this.log.info('Created profile', { profileId: profile.id, name: profile.name });
+
+    return { ...profile };
+  }
+
+  async renameProfile(profileId, name) {
+    await this.load();
+    this.parentAuth.authorize('rename profile', {}, this.clock.now());
+
+    const profile = this.getProfile(profileId);
+    if (!profile) {
+      throw new Error(`Unknown profile: ${profileId}`);
+    }
+
+    profile.name = this.validateName(name, profileId);
+    await this.saveProfiles();
+
+    return { ...profile };
+  }
+
+  // Removes the profile and every key in its storage namespace
+  async deleteProfile(profileId) {
+    await this.load();
+    this.parentAuth.authorize('delete profile', {}, this.clock.now());
+
+    if (profileId === DEFAULT_PROFILE_ID) {
+      throw new Error('The default profile cannot be deleted');
+    }
+    if (profileId === this.activeProfileId) {
+      throw new Error('Switch to another profile before deleting this one');
+    }
+    if (!this.getProfile(profileId)) {
+      throw new Error(`Unknown profile: ${profileId}`);
+    }
+
+    const keys = await this.storage.getAllKeys();
+    const scopedKeys = keys.filter(key => key.endsWith(`:${profileId}`));
+    await this.storage.multiRemove(scopedKeys);
+
+    this.profiles = this.profiles.filter(profile => profile.id !== profileId);
+    await this.saveProfiles();
+    this.log.info('Deleted profile', { profileId, keys: scopedKeys.length });
+  }
+
+  async setActiveProfileId(profileId) {
+    await this.load();
+
+    if (!this.getProfile(profileId)) {
+      throw new Error(`Unknown profile: ${profileId}`);
+    }
+
+    this.activeProfileId = profileId;
+    await this.storage.setItem(ACTIVE_PROFILE_KEY, profileId);
+  }
+}
+
+// Export singleton instance
+export default new ProfileService();
@@ -0,0 +1,118 @@
+// src/services/RestrictionService.js - Bedtime and school-hours windows during which no time can be spent
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import Logger from './Logger';
+import { DEFAULT_PROFILE_ID, getProfileKey } from './ProfileService';
+import { getNextWeeklyWindowBoundary, getWeeklyWindowAt, validateWeeklyWindow } from '../utils/time';
+import { systemClock } from '../utils/clock';
+
+const RESTRICTIONS_KEY = '@restrictions';
+
+export class RestrictionService {
+  constructor({ storage = AsyncStorage, clock = systemClock, logger = Logger } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+    this.log = logger.tag('restrictions');
+    this.profileId = DEFAULT_PROFILE_ID;
+    this.windows = [];
+    this.isLoaded = false;
+  }
+
+  storageKey(baseKey) {
+    return getProfileKey(baseKey, this.profileId);
+  }
+
+  // Restrictions are per profile; load the new profile's before it is queried
+  async setProfile(profileId) {
+    if (profileId !== this.profileId) {
+      this.profileId = profileId;
+      this.invalidate();
+    }
+    await this.load();
+  }
+
+  // Re-read the windows from storage on next load (after a backup restore)
+  invalidate() {
+    this.windows = [];
+    this.isLoaded = false;
+  }
+
+  async load() {
+    if (this.isLoaded) {
+      return;
+    }
+
+    try {
+      const saved = await this.storage.getItem(this.storageKey(RESTRICTIONS_KEY));
+      const windows = saved ? JSON.parse(saved) : [];
+      this.windows = (Array.isArray(windows) ? windows : [])
+        .filter(window => validateWeeklyWindow(window) === null);
+    } catch (error) {
+      this.log.error('Error loading restrictions', { error });
+      this.windows = [];
+    }
+
+    this.isLoaded = true;
+  }
+
+  getWindows() {
+    return this.windows.map(window => ({ ...window }));
+  }
+
+  // Replace the restriction windows, e.g. bedtime every day 21:00-07:00
+  // (see validateWeeklyWindow in utils/time)
+  async setWindows(windows) {
+    await this.load();
+
+    const now = this.clock.now();
+    const normalized = windows.map((window, index) => {
+      const error = validateWeeklyWindow(window);
+      if (error) {
+        throw new Error(`Invalid restriction: ${error}`);
+      }
+
+      return {
+        id: window.id || `restriction-${now.toString(36)}-${index}`,
+        name: window.name.trim(),
+        days: [...new Set(window.days)].sort(),
+        startTime: window.startTime,
+        endTime: window.endTime,
+        enabled: window.enabled !== false,
+      };
+    });
+
+    this.windows = normalized;
+    await this.storage.setItem(this.storageKey(RESTRICTIONS_KEY), JSON.stringify(normalized));
+    this.log.info('Restrictions updated', { windows: normalized });
+
+    return this.getWindows();
+  }
+
+  // The restriction in effect at `timestamp` as { id, name, start, end }, or
+  // null. Overlapping windows report the one ending last, so `end` is when
+  // time can be spent again. Synchronous like FreeTimeService.getActiveAt.
+  getActiveAt(timestamp = this.clock.now()) {
+    let active = null;
+
+    this.windows.forEach(window => {
+      const occurrence = window.enabled ? getWeeklyWindowAt(window, timestamp) : null;
+      if (occurrence && (!active || occurrence.end > active.end)) {
+        active = { id: window.id, name: window.name, ...occurrence };
+      }
+    });
+
+    return active;
+  }
+
+  // Earliest moment after `timestamp` at which a restriction starts or ends
+  getNextBoundary(timestamp = this.clock.now()) {
+    const upcoming = this.windows
+      .filter(window => window.enabled)
+      .map(window => getNextWeeklyWindowBoundary(window, timestamp))
+      .filter(boundary => boundary > timestamp);
+
+    return upcoming.length > 0 ? Math.min(...upcoming) : null;
+  }
+}
+
+// Export singleton instance
+export default new RestrictionService();
@@ -0,0 +1,268 @@
+// src/services/StorageMigrations.js - Schema versioning, ordered migrations and repair of corrupt values
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_PROFILE_ID, getProfileKey } from './ProfileService';
+import { LEDGER_ENTRY_TYPES } from './CreditLedger';
+import Logger from './Logger';
+import {
+  SCHEMA_VERSION_KEY,
+  SETTINGS_FIELDS,
+  PROFILE_FIELDS,
+  OPEN_SESSION_KEY,
+  isPlainObject,
+  checkType,
+  isValidSession,
+  parseStoredInteger,
+} from './StorageSchema';
+
+function parseJson(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Profiles listed in storage, plus the default one which always exists
+async function getStoredProfileIds(storage) {
+  const profiles = parseJson(await storage.getItem(SETTINGS_FIELDS.profiles.key));
+  const ids = new Set([DEFAULT_PROFILE_ID]);
+
+  if (Array.isArray(profiles)) {
+    profiles.forEach(profile => {
+      if (isPlainObject(profile) && typeof profile.id === 'string') {
+        ids.add(profile.id);
+      }
+    });
+  }
+
+  return [...ids];
+}
+
+// Latest trustworthy balance in a ledger, or null
+function getLedgerBalance(ledger) {
+  if (!Array.isArray(ledger)) {
+    return null;
+  }
+
+  for (let i = ledger.length - 1; i >= 0; i--) {
+    const entry = ledger[i];
+    if (isPlainObject(entry) && Number.isInteger(entry.balance) && entry.balance >= 0) {
+      return entry.balance;
+    }
+  }
+
+  return null;
+}
+
+// Ordered schema migrations. Each step returns the writes it needs as
+// { set: [[key, value]], remove: [key] } instead of writing them itself, so the
+// runner can commit them together with the version bump in one multiSet.
+// Steps must tolerate data they cannot parse: repair runs only afterwards.
+// `now` is the launch time, for any timestamps a step writes.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Record opening balances for data saved before the credit ledger existed',
+    async migrate(storage, now) {
+      const set = [];
+
+      for (const profileId of await getStoredProfileIds(storage)) {
+        const [[, rawBalance], [, rawLedger]] = await storage.multiGet([
+          getProfileKey(PROFILE_FIELDS.balance.key, profileId),
+          getProfileKey(PROFILE_FIELDS.ledger.key, profileId),
+        ]);
+        const balance = parseStoredInteger(rawBalance);
+        const ledger = rawLedger ? parseJson(rawLedger) : [];
+
+        if (!(balance > 0) || !Array.isArray(ledger) || ledger.length > 0) {
+          continue;
+        }
+
+        set.push([getProfileKey(PROFILE_FIELDS.ledger.key, profileId), JSON.stringify([{
+          id: `opening-${now.toString(36)}`,
+          type: LEDGER_ENTRY_TYPES.OPENING_BALANCE,
+          amount: balance,
+          balance,
+          debt: 0,
+          reason: null,
+          source: 'migration',
+          timestamp: now,
+        }])]);
+      }
+
+      return { set };
+    },
+  },
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export class StorageMigrations {
+  constructor({ logger = Logger } = {}) {
+    this.log = logger.tag('storage');
+  }
+
+  async getVersion(storage = AsyncStorage) {
+    const raw = await storage.getItem(SCHEMA_VERSION_KEY);
+    if (raw === null) {
+      return 0;
+    }
+
+    const version = parseStoredInteger(raw);
+    if (Number.isNaN(version)) {
+      // Every step is safe to re-run, so start over rather than guess
+      this.log.error('Corrupt schema version, re-running migrations', { raw });
+      return 0;
+    }
+    return version;
+  }
+
+  // Bring storage up to CURRENT_SCHEMA_VERSION, then repair corrupt values.
+  // Never throws: failures are logged and reported in the result.
+  async run(storage = AsyncStorage, now = Date.now()) {
+    let version = 0;
+    const applied = [];
+    let failed = null;
+
+    try {
+      version = await this.getVersion(storage);
+    } catch (error) {
+      this.log.error('Could not read schema version', { error });
+      return { version: null, applied, failed: { version: null, error }, repairs: [] };
+    }
+
+    if (version > CURRENT_SCHEMA_VERSION) {
+      this.log.warn('Storage schema is newer than this app', { version, current: CURRENT_SCHEMA_VERSION });
+    }
+
+    for (const migration of MIGRATIONS) {
+      if (migration.version <= version) {
+        continue;
+      }
+
+      try {
+        const { set = [], remove = [] } = await migration.migrate(storage, now);
+
+        // The version bump commits in the same multiSet as the migrated values,
+        // so a step is either fully applied or re-run on the next launch
+        await storage.multiSet([...set, [SCHEMA_VERSION_KEY, migration.version.toString()]]);
+        if (remove.length > 0) {
+          await storage.multiRemove(remove);
+        }
+
+        version = migration.version;
+        applied.push(migration.version);
+        this.log.info('Migrated storage', { version, description: migration.description });
+      } catch (error) {
+        // Later steps assume earlier ones ran, so stop here
+        this.log.error('Storage migration failed', { version: migration.version, error });
+        failed = { version: migration.version, error };
+        break;
+      }
+    }
+
+    // Repair rules describe the current schema; they would damage older data
+    let repairs = [];
+    if (!failed && version === CURRENT_SCHEMA_VERSION) {
+      repairs = await this.repair(storage);
+    }
+
+    return { version, applied, failed, repairs };
+  }
+
+  // Find stored values the loaders would choke on or misread and fix them:
+  // balances are rebuilt from the ledger, lists lose unreadable items, and
+  // anything else malformed is removed so its owner falls back to defaults.
+  async repair(storage = AsyncStorage) {
+    const repairs = [];
+
+    try {
+      const set = [];
+      const remove = [];
+      const profileIds = await getStoredProfileIds(storage);
+
+      const check = (key, raw, type) => {
+        if (raw === null) {
+          return;
+        }
+
+        if (type === 'integer') {
+          if (Number.isNaN(parseStoredInteger(raw))) {
+            remove.push(key);
+            repairs.push({ key, problem: 'not a non-negative integer', action: 'removed' });
+          }
+          return;
+        }
+        if (type === 'string') {
+          return;
+        }
+
+        const value = parseJson(raw);
+        if (type === 'array' && Array.isArray(value)) {
+          const kept = value.filter(isPlainObject);
+          if (kept.length !== value.length) {
+            set.push([key, JSON.stringify(kept)]);
+            repairs.push({ key, problem: `${value.length - kept.length} malformed item(s)`, action: 'filtered' });
+          }
+        } else if (!checkType(type, value)) {
+          remove.push(key);
+          repairs.push({ key, problem: value === undefined ? 'malformed JSON' : `not ${type}`, action: 'removed' });
+        }
+      };
+
+      const settingsKeys = Object.values(SETTINGS_FIELDS).map(field => field.key);
+      const settings = await storage.multiGet(settingsKeys);
+      Object.values(SETTINGS_FIELDS).forEach((field, index) => {
+        check(field.key, settings[index][1], field.type);
+      });
+
+      for (const profileId of profileIds) {
+        const fields = Object.values(PROFILE_FIELDS);
+        const sessionKey = getProfileKey(OPEN_SESSION_KEY, profileId);
+        const values = await storage.multiGet([
+          ...fields.map(field => getProfileKey(field.key, profileId)),
+          sessionKey,
+        ]);
+
+        fields.forEach((field, index) => {
+          const [key, raw] = values[index];
+
+          // A corrupt balance is rebuilt from the ledger rather than zeroed
+          if (field === PROFILE_FIELDS.balance && raw !== null && Number.isNaN(parseStoredInteger(raw))) {
+            const ledgerRaw = values[fields.indexOf(PROFILE_FIELDS.ledger)][1];
+            const balance = getLedgerBalance(ledgerRaw ? parseJson(ledgerRaw) : null) || 0;
+            set.push([key, balance.toString()]);
+            repairs.push({ key, problem: `invalid balance "${raw}"`, action: `reset to ${balance}s from ledger` });
+            return;
+          }
+
+          check(key, raw, field.type);
+        });
+
+        const rawSession = values[fields.length][1];
+        if (rawSession !== null && !isValidSession(parseJson(rawSession))) {
+          remove.push(sessionKey);
+          repairs.push({ key: sessionKey, problem: 'malformed open session', action: 'removed' });
+        }
+      }
+
+      if (set.length > 0) {
+        await storage.multiSet(set);
+      }
+      if (remove.length > 0) {
+        await storage.multiRemove(remove);
+      }
+    } catch (error) {
+      this.log.error('Storage repair failed', { error });
+    }
+
+    repairs.forEach(repair => {
+      this.log.warn('Repaired stored value', repair);
+    });
+
+    return repairs;
+  }
+}
+
+// Export singleton instance
+export default new StorageMigrations();
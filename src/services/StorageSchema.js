@@ -0,0 +1,103 @@
+// src/services/StorageSchema.js - Registry of persisted keys and their value types
+//
+// The keys must match the services that own them. `type` drives validation,
+// (de)serialization, backups and the repair pass in StorageMigrations.
+
+export const SCHEMA_VERSION_KEY = '@schema_version';
+
+// Device-wide values
+export const SETTINGS_FIELDS = {
+  profiles: { key: '@profiles', type: 'array' },
+  activeProfileId: { key: '@active_profile', type: 'string' },
+  notificationPreferences: { key: '@notification_prefs', type: 'object' },
+  language: { key: '@language', type: 'string' },
+  // Restores merge this with the device's own list, see mergeRedeemedVouchers
+  redeemedVouchers: { key: '@redeemed_vouchers', type: 'object' },
+  // Credentials and secrets stay on the device: they are never exported,
+  // and a restore leaves the device's own values alone
+  syncConfig: { key: '@sync_config', type: 'object', deviceOnly: true },
+  parentPin: { key: '@parent_pin', type: 'object', deviceOnly: true },
+  parentAuthLog: { key: '@parent_auth_log', type: 'array', deviceOnly: true },
+  voucherSecret: { key: '@voucher_secret', type: 'string', deviceOnly: true },
+};
+
+// The settings a backup carries
+export const BACKUP_SETTINGS_FIELDS = Object.fromEntries(
+  Object.entries(SETTINGS_FIELDS).filter(([, field]) => !field.deviceOnly)
+);
+
+// Stored once per profile, under getProfileKey(key, profileId)
+export const PROFILE_FIELDS = {
+  balance: { key: '@timer_remaining', type: 'integer' },
+  debt: { key: '@timer_debt', type: 'integer' },
+  debtConfig: { key: '@debt_config', type: 'object' },
+  lockState: { key: '@lock_state', type: 'object' },
+  ledger: { key: '@credit_ledger', type: 'array' },
+  creditBuckets: { key: '@credit_buckets', type: 'array' },
+  allowanceConfig: { key: '@allowance_config', type: 'object' },
+  allowanceLastReset: { key: '@allowance_last_reset', type: 'integer' },
+  activities: { key: '@earning_activities', type: 'array' },
+  activityClaims: { key: '@activity_claims', type: 'array' },
+  timeRequests: { key: '@time_requests', type: 'array' },
+  usageSessions: { key: '@usage_sessions', type: 'array' },
+  freeTime: { key: '@free_time', type: 'object' },
+  restrictions: { key: '@restrictions', type: 'array' },
+  enforcementPolicy: { key: '@enforcement_policy', type: 'object' },
+  enforcement: { key: '@enforcement', type: 'object' },
+};
+
+// The open spending session (per profile). Device-local, so never backed up.
+export const OPEN_SESSION_KEY = '@timer_start_time';
+
+const SESSION_NUMBER_FIELDS = ['startedAt', 'segmentStartedAt', 'segmentStartBalance', 'charged', 'lastHeartbeat'];
+
+export function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+export function checkType(type, value) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value) && value >= 0;
+    case 'string':
+      return typeof value === 'string';
+    case 'object':
+      return isPlainObject(value);
+    case 'array':
+      return Array.isArray(value) && value.every(isPlainObject);
+    default:
+      return false;
+  }
+}
+
+export function isValidSession(session) {
+  return isPlainObject(session) &&
+    SESSION_NUMBER_FIELDS.every(field => Number.isFinite(session[field]) && session[field] >= 0);
+}
+
+// Strict parse of a stored non-negative integer: NaN for anything else,
+// including values parseInt would half-accept such as '12abc' or '-5'
+export function parseStoredInteger(raw) {
+  return typeof raw === 'string' && /^\d+$/.test(raw) ? parseInt(raw, 10) : NaN;
+}
+
+// Throws on malformed JSON
+export function decodeValue(type, raw) {
+  if (type === 'string') {
+    return raw;
+  }
+  if (type === 'integer') {
+    return parseStoredInteger(raw);
+  }
+  return JSON.parse(raw);
+}
+
+export function encodeValue(type, value) {
+  if (type === 'string') {
+    return value;
+  }
+  if (type === 'integer') {
+    return value.toString();
+  }
+  return JSON.stringify(value);
+}
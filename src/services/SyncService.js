@@ -0,0 +1,609 @@
+// src/services/SyncService.js - Sends balance and usage to the parent's server and applies the grants and settings it issues
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import TimerService from './TimerService';
+import ParentAuthService from './ParentAuthService';
+import Logger from './Logger';
+import { DEFAULT_PROFILE_ID, getProfileKey } from './ProfileService';
+import { randomBytes, toHex } from '../utils/sha256';
+import { systemClock } from '../utils/clock';
+
+const CONFIG_KEY = '@sync_config';
+const DEVICE_ID_KEY = '@sync_device_id';
+const OUTBOX_KEY = '@sync_outbox';
+const STATE_KEY = '@sync_state';
+
+export const DEFAULT_SYNC_CONFIG = {
+  enabled: false,
+  // Base URL of the server, e.g. http://192.168.1.10:8787 for server/index.js
+  endpoint: '',
+  token: null,
+};
+
+// Changes are sent shortly after they happen, batched; grants are picked up
+// on every sync, on returning to the app and otherwise every few minutes
+const PUSH_DELAY_MS = 5 * 1000;
+const POLL_INTERVAL_MS = 5 * 60 * 1000;
+const RETRY_BASE_MS = 10 * 1000;
+const RETRY_MAX_MS = 30 * 60 * 1000;
+const PUSH_BATCH_SIZE = 50;
+// Usage sessions wait at most this many; balances never pile up (see enqueue)
+const MAX_OUTBOX = 500;
+const MAX_APPLIED_IDS = 500;
+// Client errors worth retrying: the token, the address or the server's load
+// may change. Any other 4xx refuses the operation itself.
+const RETRYABLE_STATUSES = new Set([401, 403, 404, 408, 429]);
+
+// Sent by this device
+export const SYNC_OPERATIONS = {
+  BALANCE: 'balance',
+  SESSION: 'session',
+};
+
+// Issued by a parent, received from the server
+export const SYNC_CHANGES = {
+  GRANT: 'grant',
+  SETTINGS: 'settings',
+};
+
+const BALANCE_EVENTS = new Set([
+  'creditsAdded',
+  'creditsRemoved',
+  'creditsExpired',
+  'reset',
+  'allowanceApplied',
+  'backgroundTimeProcessed',
+  'sessionRecovered',
+  'trackingStopped',
+  'dataRestored',
+]);
+
+// Settings a parent can change remotely, and how each is applied
+const SETTINGS_APPLIERS = {
+  debtConfig: (timer, value, options) => timer.updateDebtConfig(value, options),
+  restrictions: (timer, value, options) => timer.setRestrictions(value, options),
+  freeTimeWindows: (timer, value, options) => timer.setFreeTimeWindows(value, options),
+};
+
+export class SyncError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'SyncError';
+    this.status = status;
+  }
+}
+
+function isRejection(error) {
+  return error instanceof SyncError && error.status >= 400 && error.status < 500 && !RETRYABLE_STATUSES.has(error.status);
+}
+
+// Settings changes win by (issuedAt, id), so every device and every replay
+// of the same changes ends with the same value whatever order they arrive in
+function isNewerChange(change, applied) {
+  if (!applied) {
+    return true;
+  }
+  if (change.issuedAt !== applied.issuedAt) {
+    return change.issuedAt > applied.issuedAt;
+  }
+  return change.id > applied.id;
+}
+
+function emptyProfileState() {
+  // `cursor` is only meaningful for the server at `endpoint`
+  return { endpoint: null, cursor: 0, applied: [], settings: {} };
+}
+
+// Everything that changes the balance or records usage is queued in an outbox
+// and sent when the server can be reached; failed attempts back off
+// exponentially. Operations carry ids made on this device so the server can
+// drop duplicates when a batch is resent after a lost response.
+//
+// Grants are credited with source 'sync:<id>' and their ids remembered, so a
+// grant is never applied twice even if the cursor is lost.
+export class SyncService {
+  constructor({
+    storage = AsyncStorage,
+    clock = systemClock,
+    timer = TimerService,
+    parentAuth = ParentAuthService,
+    logger = Logger,
+    fetchFn = (url, options) => fetch(url, options),
+  } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+    this.timer = timer;
+    this.parentAuth = parentAuth;
+    this.capability = parentAuth.createCapability('sync');
+    this.fetch = fetchFn;
+    this.log = logger.tag('sync');
+    this.config = { ...DEFAULT_SYNC_CONFIG };
+    this.deviceId = null;
+    this.outbox = [];
+    this.profileId = DEFAULT_PROFILE_ID;
+    this.profileState = emptyProfileState();
+    this.sequence = 0;
+    this.failures = 0;
+    this.lastSyncAt = null;
+    this.lastError = null;
+    this.nextAttemptAt = null;
+    this.syncTimer = null;
+    this.pendingSync = null;
+    this.isSyncing = false;
+    this.removeListener = null;
+    this.listeners = new Set();
+    this.isLoaded = false;
+    this.ready = Promise.resolve();
+  }
+
+  // Follow the timer; call once at startup next to EnforcementService
+  start() {
+    if (this.removeListener) {
+      return this.ready;
+    }
+
+    this.removeListener = this.timer.addEventListener(event => this.handleTimerEvent(event));
+    this.ready = this.timer.ready
+      .then(() => this.load())
+      .then(() => this.setProfile(this.timer.profileId))
+      .then(() => this.scheduleSync(0));
+    return this.ready;
+  }
+
+  stop() {
+    if (!this.removeListener) {
+      return;
+    }
+
+    this.removeListener();
+    this.removeListener = null;
+    this.cancelScheduledSync();
+  }
+
+  async load() {
+    if (this.isLoaded) {
+      return;
+    }
+
+    try {
+      const [[, savedConfig], [, savedDeviceId], [, savedOutbox]] = await this.storage.multiGet([
+        CONFIG_KEY,
+        DEVICE_ID_KEY,
+        OUTBOX_KEY,
+      ]);
+      this.config = { ...DEFAULT_SYNC_CONFIG, ...(savedConfig ? JSON.parse(savedConfig) : {}) };
+      this.deviceId = savedDeviceId;
+      this.outbox = savedOutbox ? JSON.parse(savedOutbox) : [];
+    } catch (error) {
+      this.log.error('Error loading sync state', { error });
+    }
+
+    if (!this.deviceId) {
+      this.deviceId = toHex(randomBytes(8));
+      await this.storage.setItem(DEVICE_ID_KEY, this.deviceId);
+    }
+    this.isLoaded = true;
+  }
+
+  // Re-read the settings from storage (after a backup restore). The outbox
+  // and device id are device-local and stay as they are.
+  async reload() {
+    this.isLoaded = false;
+    await this.load();
+    this.notifyListeners({ event: 'syncChanged' });
+  }
+
+  async setProfile(profileId) {
+    this.profileId = profileId;
+
+    try {
+      const saved = await this.storage.getItem(getProfileKey(STATE_KEY, profileId));
+      this.profileState = { ...emptyProfileState(), ...(saved ? JSON.parse(saved) : {}) };
+    } catch (error) {
+      this.log.error('Error loading profile sync state', { profileId, error });
+      this.profileState = emptyProfileState();
+    }
+  }
+
+  async saveProfileState() {
+    await this.storage.setItem(getProfileKey(STATE_KEY, this.profileId), JSON.stringify(this.profileState));
+  }
+
+  async saveOutbox() {
+    try {
+      await this.storage.setItem(OUTBOX_KEY, JSON.stringify(this.outbox));
+    } catch (error) {
+      this.log.error('Error saving sync outbox', { error });
+    }
+  }
+
+  handleTimerEvent(event) {
+    // The timer's own startup events arrive before the outbox is loaded
+    if (!this.isLoaded) {
+      this.ready = this.ready.then(() => this.handleTimerEvent(event));
+      return;
+    }
+
+    switch (event.event) {
+      case 'profileSwitched':
+      case 'dataRestored':
+        this.ready = this.ready.then(() => this.setProfile(event.profileId));
+        break;
+      case 'appStateChanged':
+        if (event.currentState === 'active') {
+          this.scheduleSync(0);
+        }
+        break;
+    }
+
+    if (event.event === 'trackingStopped' && event.session) {
+      this.enqueueSession(event.profileId, event.session);
+    }
+    if (event.event === 'sessionRecovered' && event.charged + event.overtime > 0) {
+      this.enqueueSession(event.profileId, {
+        startedAt: event.sessionStartedAt,
+        endedAt: event.lastHeartbeat,
+        duration: event.charged + event.overtime,
+        recovered: true,
+      });
+    }
+    if (BALANCE_EVENTS.has(event.event)) {
+      this.enqueue({
+        id: this.createOperationId(event.timestamp),
+        type: SYNC_OPERATIONS.BALANCE,
+        profileId: event.profileId,
+        availableTime: event.availableTime,
+        debt: event.debt,
+        timestamp: event.timestamp,
+      });
+    }
+  }
+
+  createOperationId(timestamp) {
+    this.sequence = (this.sequence + 1) % 1000;
+    return `${this.deviceId}-${timestamp.toString(36)}-${this.sequence}`;
+  }
+
+  // Session ids follow from when they started, so the same session queued
+  // twice (e.g. after recovery) is still one session on the server
+  enqueueSession(profileId, session) {
+    this.enqueue({
+      id: `${this.deviceId}-session-${profileId}-${session.startedAt.toString(36)}`,
+      type: SYNC_OPERATIONS.SESSION,
+      profileId,
+      recovered: false,
+      ...session,
+    });
+  }
+
+  enqueue(operation) {
+    if (!this.config.enabled || !this.isLoaded) {
+      return;
+    }
+
+    // Only the latest balance matters; older unsent ones are dropped
+    if (operation.type === SYNC_OPERATIONS.BALANCE) {
+      this.outbox = this.outbox.filter(queued =>
+        queued.type !== SYNC_OPERATIONS.BALANCE || queued.profileId !== operation.profileId
+      );
+    }
+    this.outbox.push(operation);
+
+    if (this.outbox.length > MAX_OUTBOX) {
+      const dropped = this.outbox.splice(0, this.outbox.length - MAX_OUTBOX);
+      this.log.warn('Sync outbox full, dropped oldest operations', { count: dropped.length });
+    }
+
+    this.saveOutbox();
+    this.scheduleSync(PUSH_DELAY_MS);
+  }
+
+  getRetryDelay() {
+    return this.failures > 0 ? Math.min(RETRY_BASE_MS * 2 ** (this.failures - 1), RETRY_MAX_MS) : 0;
+  }
+
+  // Sync after `delay` ms, or later while backing off from failures. An
+  // earlier scheduled attempt is kept.
+  scheduleSync(delay) {
+    if (!this.config.enabled || !this.removeListener) {
+      return;
+    }
+
+    const dueAt = this.clock.now() + Math.max(delay, this.getRetryDelay());
+    if (this.syncTimer && this.nextAttemptAt <= dueAt) {
+      return;
+    }
+
+    this.cancelScheduledSync();
+    this.nextAttemptAt = dueAt;
+    this.syncTimer = this.clock.setTimeout(() => {
+      this.syncTimer = null;
+      this.sync();
+    }, dueAt - this.clock.now());
+  }
+
+  cancelScheduledSync() {
+    if (this.syncTimer) {
+      this.clock.clearTimeout(this.syncTimer);
+      this.syncTimer = null;
+    }
+    this.nextAttemptAt = null;
+  }
+
+  // Push the outbox, then pull new changes. Never throws: failures are kept
+  // in getStatus().lastError and retried. Concurrent calls share one attempt.
+  sync() {
+    if (!this.pendingSync) {
+      this.pendingSync = this.runSync().finally(() => {
+        this.pendingSync = null;
+      });
+    }
+    return this.pendingSync;
+  }
+
+  async runSync() {
+    await this.ready;
+    await this.load();
+    if (!this.config.enabled) {
+      return this.getStatus();
+    }
+
+    this.cancelScheduledSync();
+    this.isSyncing = true;
+    this.notifyListeners({ event: 'syncStarted' });
+
+    try {
+      await this.push();
+      await this.pull();
+
+      this.failures = 0;
+      this.lastError = null;
+      this.lastSyncAt = this.clock.now();
+      this.log.info('Synced', { pending: this.outbox.length, cursor: this.profileState.cursor });
+    } catch (error) {
+      this.failures++;
+      this.lastError = error.message;
+      this.log.warn('Sync failed', { failures: this.failures, retryIn: this.getRetryDelay(), error });
+    }
+
+    this.isSyncing = false;
+    // Operations queued while syncing go out soon; otherwise just poll
+    this.scheduleSync(this.outbox.length > 0 ? PUSH_DELAY_MS : POLL_INTERVAL_MS);
+    this.notifyListeners({ event: 'syncChanged' });
+    return this.getStatus();
+  }
+
+  async request(method, path, body) {
+    const headers = { Accept: 'application/json' };
+    if (body) {
+      headers['Content-Type'] = 'application/json';
+    }
+    if (this.config.token) {
+      headers.Authorization = `Bearer ${this.config.token}`;
+    }
+
+    let response;
+    try {
+      response = await this.fetch(`${this.config.endpoint.replace(/\/+$/, '')}${path}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+      });
+    } catch (error) {
+      throw new SyncError(`Sync server unreachable: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      throw new SyncError(`Sync server answered ${response.status}`, response.status);
+    }
+    return response.json();
+  }
+
+  async push() {
+    while (this.outbox.length > 0) {
+      const batch = this.outbox.slice(0, PUSH_BATCH_SIZE);
+      const done = new Set(await this.send(batch));
+      if (!batch.some(operation => done.has(operation.id))) {
+        throw new SyncError('Sync server did not accept any queued changes');
+      }
+
+      // Operations queued during the request are kept
+      this.outbox = this.outbox.filter(operation => !done.has(operation.id));
+      await this.saveOutbox();
+    }
+  }
+
+  // Ids of the operations the server took or refused for good. A refused
+  // batch is resent one operation at a time, and an operation refused on its
+  // own is dropped, so it cannot hold up the rest of the outbox.
+  async send(batch) {
+    try {
+      const { received } = await this.request('POST', '/operations', {
+        deviceId: this.deviceId,
+        operations: batch,
+      });
+      return Array.isArray(received) ? received : [];
+    } catch (error) {
+      if (!isRejection(error)) {
+        throw error;
+      }
+
+      if (batch.length === 1) {
+        const [{ id, type }] = batch;
+        this.log.warn('Dropped operation refused by the sync server', { id, type, status: error.status });
+        return [id];
+      }
+    }
+
+    const ids = [];
+    for (const operation of batch) {
+      ids.push(...(await this.send([operation])));
+    }
+    return ids;
+  }
+
+  async pull() {
+    const { profileId } = this;
+    if (this.profileState.endpoint !== this.config.endpoint) {
+      this.profileState = { ...this.profileState, endpoint: this.config.endpoint, cursor: 0 };
+    }
+
+    const { changes, cursor } = await this.request(
+      'GET',
+      `/profiles/${encodeURIComponent(profileId)}/changes?since=${this.profileState.cursor}`
+    );
+
+    for (const change of Array.isArray(changes) ? changes : []) {
+      // A profile switch mid-sync leaves the rest for the next sync
+      if (profileId !== this.profileId) {
+        return;
+      }
+      await this.applyChange(change);
+    }
+
+    if (profileId === this.profileId && Number.isFinite(cursor)) {
+      this.profileState.cursor = cursor;
+      await this.saveProfileState();
+    }
+  }
+
+  async applyChange(change) {
+    if (!change || typeof change.id !== 'string' || change.profileId !== this.profileId) {
+      this.log.warn('Ignored malformed change', { change });
+      return;
+    }
+
+    switch (change.type) {
+      case SYNC_CHANGES.GRANT:
+        await this.applyGrant(change);
+        break;
+      case SYNC_CHANGES.SETTINGS:
+        await this.applySettings(change);
+        break;
+      default:
+        this.log.warn('Ignored unknown change', { id: change.id, type: change.type });
+    }
+  }
+
+  async applyGrant(change) {
+    const { applied } = this.profileState;
+    if (applied.includes(change.id)) {
+      return;
+    }
+
+    // Remembered before crediting: a crash in between loses the grant but
+    // can never credit it twice
+    applied.push(change.id);
+    applied.splice(0, Math.max(0, applied.length - MAX_APPLIED_IDS));
+    await this.saveProfileState();
+
+    const hasExpiry = change.expiresAt !== undefined && change.expiresAt !== null;
+    if (!Number.isInteger(change.amount) || change.amount <= 0) {
+      this.log.warn('Ignored grant with invalid amount', { id: change.id, amount: change.amount });
+      return;
+    }
+    if (hasExpiry && !(change.expiresAt > this.clock.now())) {
+      this.log.info('Skipped grant that expired before it arrived', { id: change.id, expiresAt: change.expiresAt });
+      return;
+    }
+
+    this.timer.addTimeCredits(change.amount, {
+      source: `sync:${change.id}`,
+      capability: this.capability,
+      reason: change.reason || 'parent',
+      expiresAt: hasExpiry ? change.expiresAt : undefined,
+    });
+    this.log.info('Applied grant', { id: change.id, amount: change.amount });
+  }
+
+  async applySettings(change) {
+    const settings = change.settings || {};
+
+    for (const [field, value] of Object.entries(settings)) {
+      const apply = SETTINGS_APPLIERS[field];
+      if (!apply) {
+        this.log.warn('Ignored unknown setting', { id: change.id, field });
+        continue;
+      }
+      if (!isNewerChange(change, this.profileState.settings[field])) {
+        continue;
+      }
+
+      try {
+        await apply(this.timer, value, { source: `sync:${change.id}`, capability: this.capability });
+        this.log.info('Applied setting', { id: change.id, field });
+      } catch (error) {
+        // Recorded anyway: the same invalid value would fail on every sync
+        this.log.warn('Could not apply setting', { id: change.id, field, error });
+      }
+
+      this.profileState.settings[field] = { id: change.id, issuedAt: change.issuedAt };
+      await this.saveProfileState();
+    }
+  }
+
+  getConfig() {
+    return { ...this.config };
+  }
+
+  // `changes` is merged into { enabled, endpoint, token }
+  async updateConfig(changes) {
+    this.parentAuth.authorize('change sync settings', {}, this.clock.now());
+    await this.load();
+
+    const config = { ...this.config, ...changes };
+    const endpoint = typeof config.endpoint === 'string' ? config.endpoint.trim() : null;
+    if (typeof config.enabled !== 'boolean') {
+      throw new Error('Sync must be enabled or disabled');
+    }
+    if (endpoint === null || (config.enabled && !/^https?:\/\/[^\s/]+/i.test(endpoint))) {
+      throw new Error('The sync server address must start with http:// or https://');
+    }
+    if (config.token !== null && typeof config.token !== 'string') {
+      throw new Error('The sync token must be text');
+    }
+
+    this.config = { enabled: config.enabled, endpoint, token: config.token || null };
+    await this.storage.setItem(CONFIG_KEY, JSON.stringify(this.config));
+    this.log.info('Sync settings updated', { enabled: this.config.enabled, endpoint: this.config.endpoint });
+
+    this.failures = 0;
+    this.lastError = null;
+    this.cancelScheduledSync();
+    this.scheduleSync(0);
+    this.notifyListeners({ event: 'syncChanged' });
+    return this.getConfig();
+  }
+
+  getStatus() {
+    return {
+      enabled: this.config.enabled,
+      endpoint: this.config.endpoint,
+      deviceId: this.deviceId,
+      pending: this.outbox.length,
+      isSyncing: this.isSyncing,
+      lastSyncAt: this.lastSyncAt,
+      lastError: this.lastError,
+      nextAttemptAt: this.nextAttemptAt,
+    };
+  }
+
+  addEventListener(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(event) {
+    const payload = { ...event, timestamp: this.clock.now() };
+
+    this.listeners.forEach(callback => {
+      try {
+        callback(payload);
+      } catch (error) {
+        this.log.error('Error in listener', { event: event.event, error });
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export default new SyncService();
@@ -0,0 +1,175 @@
+// src/services/TimeRequestService.js - Queue of "more time" requests awaiting a parent
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { systemClock } from '../utils/clock';
+import TimerService from './TimerService';
+import ParentAuthService from './ParentAuthService';
+import Logger from './Logger';
+import { getProfileKey } from './ProfileService';
+
+const TIME_REQUESTS_KEY = '@time_requests';
+
+// Resolved requests are kept this long for display, then dropped
+const RESOLVED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const REQUEST_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  DENIED: 'denied',
+};
+
+export class TimeRequestService {
+  constructor({
+    storage = AsyncStorage,
+    clock = systemClock,
+    timer = TimerService,
+    parentAuth = ParentAuthService,
+    logger = Logger,
+  } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+    // Requests are queued for, and approved time granted to, the timer's active profile
+    this.timer = timer;
+    this.parentAuth = parentAuth;
+    this.log = logger.tag('time-requests');
+    this.listeners = new Set();
+    // Per-profile cache: profileId -> requests
+    this.cache = new Map();
+    // Resolutions run one at a time so a double tap cannot approve twice
+    this.resolveQueue = Promise.resolve();
+  }
+
+  async load(profileId) {
+    if (this.cache.has(profileId)) {
+      return this.cache.get(profileId);
+    }
+
+    let requests = [];
+    try {
+      const saved = await this.storage.getItem(getProfileKey(TIME_REQUESTS_KEY, profileId));
+      requests = saved ? JSON.parse(saved) : [];
+    } catch (error) {
+      this.log.error('Error loading time requests', { error });
+    }
+
+    this.cache.set(profileId, requests);
+    return requests;
+  }
+
+  invalidate() {
+    this.cache.clear();
+  }
+
+  async save(profileId, requests) {
+    const cutoff = this.clock.now() - RESOLVED_RETENTION_MS;
+    const kept = requests.filter(request =>
+      request.status === REQUEST_STATUS.PENDING || request.resolvedAt >= cutoff
+    );
+
+    this.cache.set(profileId, kept);
+    await this.storage.setItem(getProfileKey(TIME_REQUESTS_KEY, profileId), JSON.stringify(kept));
+  }
+
+  // Queue a request for the active profile. Only one request can be pending at
+  // a time; asking again returns the existing one.
+  async requestMoreTime(seconds, { origin = 'app' } = {}) {
+    const profileId = this.timer.profileId;
+    const requests = await this.load(profileId);
+    const pending = requests.find(request => request.status === REQUEST_STATUS.PENDING);
+
+    if (pending) {
+      this.log.info('Time request already pending', { requestId: pending.id });
+      return pending;
+    }
+
+    const now = this.clock.now();
+    const request = {
+      id: `request-${now.toString(36)}`,
+      seconds,
+      origin,
+      status: REQUEST_STATUS.PENDING,
+      requestedAt: now,
+      resolvedAt: null,
+    };
+
+    await this.save(profileId, [...requests, request]);
+    this.log.info('Requested more time', { seconds, origin });
+
+    this.notifyListeners({ event: 'requestAdded', request, profileId });
+    return request;
+  }
+
+  async getRequests({ status = null } = {}) {
+    const requests = await this.load(this.timer.profileId);
+    return requests.filter(request => status === null || request.status === status);
+  }
+
+  getPendingRequests() {
+    return this.getRequests({ status: REQUEST_STATUS.PENDING });
+  }
+
+  // `onResolved` runs before anything is saved; if it throws, the request
+  // stays pending.
+  resolve(requestId, status, { onResolved = null } = {}) {
+    const result = this.resolveQueue.then(() => this.applyResolution(requestId, status, onResolved));
+    this.resolveQueue = result.catch(() => {});
+    return result;
+  }
+
+  async applyResolution(requestId, status, onResolved) {
+    const profileId = this.timer.profileId;
+    const requests = await this.load(profileId);
+    const request = requests.find(item => item.id === requestId);
+
+    if (!request) {
+      throw new Error(`Unknown time request: ${requestId}`);
+    }
+    if (request.status !== REQUEST_STATUS.PENDING) {
+      throw new Error(`Time request ${requestId} was already ${request.status}`);
+    }
+
+    const resolved = { ...request, status, resolvedAt: this.clock.now() };
+    if (onResolved) {
+      onResolved(resolved);
+    }
+    await this.save(profileId, requests.map(item => (item.id === requestId ? resolved : item)));
+
+    this.notifyListeners({ event: 'requestResolved', request: resolved, profileId });
+    return resolved;
+  }
+
+  // Mark the request approved and grant the requested time
+  approve(requestId) {
+    return this.resolve(requestId, REQUEST_STATUS.APPROVED, {
+      onResolved: request => this.timer.addTimeCredits(request.seconds, {
+        source: `time-request:${request.id}`,
+        reason: `Requested via ${request.origin}`,
+      }),
+    });
+  }
+
+  // Granting time is authorized by addTimeCredits; denying needs the same session
+  deny(requestId) {
+    return this.resolve(requestId, REQUEST_STATUS.DENIED, {
+      onResolved: () => this.parentAuth.authorize('deny time request', {}, this.clock.now()),
+    });
+  }
+
+  // Event system
+  addEventListener(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(event) {
+    this.listeners.forEach(callback => {
+      try {
+        callback({ ...event, timestamp: this.clock.now() });
+      } catch (error) {
+        this.log.error('Error in listener', { error });
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export default new TimeRequestService();
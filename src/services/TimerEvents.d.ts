@@ -0,0 +1,117 @@
+// src/services/TimerEvents.d.ts - Types for the events declared in TimerEvents.js
+//
+// TimerEvent is a union discriminated by `event` (and, for timeExpired, by
+// `reason`), so a switch on `event.event` narrows the payload.
+
+export const TIMER_EVENT_VERSION: 1;
+
+export type FreeTimePeriod = {
+  kind: 'window' | 'pass';
+  id: string;
+  name: string;
+  start: number;
+  end: number;
+};
+
+export type Restriction = {
+  id: string;
+  name: string;
+  start: number;
+  end: number;
+};
+
+export type DebtConfig = {
+  enabled: boolean;
+  cap: number;
+};
+
+export type CreditBucket = {
+  id: string;
+  amount: number;
+  expiresAt: number | null;
+  grantedAt: number;
+  reason: string | null;
+  source: string | null;
+};
+
+export type AllowanceGrant = {
+  resetAt: number;
+  date: string;
+  amount: number;
+  forfeited: number;
+};
+
+// Recorded in UsageStatsService when tracking stops; duration in seconds
+export type UsageSession = {
+  startedAt: number;
+  endedAt: number;
+  duration: number;
+};
+
+// Fields every event carries
+type Common<Name extends string> = {
+  event: Name;
+  version: typeof TIMER_EVENT_VERSION;
+  profileId: string;
+  availableTime: number;
+  debt: number;
+  timestamp: number;
+};
+
+type CreditChange = {
+  amount: number;
+  previousTotal: number;
+  // Same as availableTime
+  newTotal: number;
+};
+
+export type TimerEvent =
+  | Common<'timeLoaded'>
+  | Common<'timeUpdate'>
+  | Common<'trackingStarted'>
+  | (Common<'trackingStopped'> & { session?: UsageSession | null })
+  | Common<'reset'>
+  | Common<'dataRestored'>
+  | (Common<'profileSwitched'> & { previousProfileId: string })
+  | (Common<'deviceLocked'> & { isLocked: true })
+  | (Common<'deviceUnlocked'> & { isLocked: false })
+  | (Common<'appStateChanged'> & { previousState: string; currentState: string })
+  | (Common<'creditsAdded'> & CreditChange & { debtRepaid: number; expiresAt: number | null })
+  | (Common<'creditsRemoved'> & CreditChange)
+  | (Common<'creditsExpired'> & CreditChange & { buckets: CreditBucket[] })
+  | (Common<'timeExpired'> & { reason: 'balance'; overtime?: boolean })
+  | (Common<'timeExpired'> & { reason: 'restriction'; restriction: Restriction })
+  | (Common<'debtCapReached'> & { cap: number })
+  | (Common<'debtConfigChanged'> & { debtConfig: DebtConfig })
+  | (Common<'restrictionStarted'> & { restriction: Restriction })
+  | (Common<'restrictionEnded'> & { restriction: Restriction })
+  | (Common<'freeTimeStarted'> & { freeTime: FreeTimePeriod })
+  | (Common<'freeTimeEnded'> & { freeTime: FreeTimePeriod })
+  | (Common<'allowanceApplied'> & { grants: AllowanceGrant[] })
+  | (Common<'backgroundTimeProcessed'> & {
+      backgroundDuration: number;
+      freeDuration: number;
+      chargedDuration: number;
+      overtimeDuration: number;
+    })
+  | (Common<'sessionRecovered'> & {
+      sessionStartedAt: number;
+      lastHeartbeat: number;
+      charged: number;
+      overtime: number;
+      previousTotal: number;
+    });
+
+export type TimerEventName = TimerEvent['event'];
+
+// The payload of one event, e.g. TimerEventOf<'creditsAdded'>
+export type TimerEventOf<Name extends TimerEventName> = Extract<TimerEvent, { event: Name }>;
+
+export type TimerEventHandler<Name extends TimerEventName> = (event: TimerEventOf<Name>) => void;
+
+export const COMMON_FIELDS: Record<string, string>;
+export const TIMER_EVENT_SCHEMA: Record<TimerEventName, Record<string, string>>;
+export const TIMER_EVENT_NAMES: TimerEventName[];
+
+export function isTimerEventName(name: unknown): name is TimerEventName;
+export function validateTimerEvent(payload: unknown): string[];
@@ -0,0 +1,121 @@
+// src/services/TimerEvents.js - The contract for events broadcast by TimerService
+//
+// Every event carries the fields in COMMON_FIELDS plus its own, listed in
+// TIMER_EVENT_SCHEMA; TimerEvents.d.ts declares the same shapes for
+// TypeScript. Adding an event or a field is backwards compatible. Removing,
+// renaming or retyping a field bumps TIMER_EVENT_VERSION.
+
+export const TIMER_EVENT_VERSION = 1;
+
+// A field spec is a type name, `|`-separated alternatives, and a trailing `?`
+// for fields that may be left out
+export const COMMON_FIELDS = {
+  event: 'string',
+  version: 'number',
+  profileId: 'string',
+  // Balance after the event
+  availableTime: 'number',
+  // Overtime owed after the event
+  debt: 'number',
+  // When it happened, which can be earlier than when it was reported
+  timestamp: 'number',
+};
+
+export const TIMER_EVENT_SCHEMA = {
+  timeLoaded: {},
+  timeUpdate: {},
+  trackingStarted: {},
+  // `session` is the usage session recorded, null when nothing was spent
+  trackingStopped: { session: 'object|null?' },
+  reset: {},
+  dataRestored: {},
+  profileSwitched: { previousProfileId: 'string' },
+  deviceLocked: { isLocked: 'boolean' },
+  deviceUnlocked: { isLocked: 'boolean' },
+  appStateChanged: { previousState: 'string', currentState: 'string' },
+  creditsAdded: {
+    amount: 'number',
+    debtRepaid: 'number',
+    expiresAt: 'number|null',
+    previousTotal: 'number',
+    newTotal: 'number',
+  },
+  creditsRemoved: { amount: 'number', previousTotal: 'number', newTotal: 'number' },
+  creditsExpired: { amount: 'number', buckets: 'array', previousTotal: 'number', newTotal: 'number' },
+  // `restriction` is set when `reason` is 'restriction'; `overtime` when the
+  // balance ran out but use continues as debt
+  timeExpired: { reason: 'string', restriction: 'object?', overtime: 'boolean?' },
+  debtCapReached: { cap: 'number' },
+  debtConfigChanged: { debtConfig: 'object' },
+  restrictionStarted: { restriction: 'object' },
+  restrictionEnded: { restriction: 'object' },
+  freeTimeStarted: { freeTime: 'object' },
+  freeTimeEnded: { freeTime: 'object' },
+  allowanceApplied: { grants: 'array' },
+  backgroundTimeProcessed: {
+    backgroundDuration: 'number',
+    freeDuration: 'number',
+    chargedDuration: 'number',
+    overtimeDuration: 'number',
+  },
+  sessionRecovered: {
+    sessionStartedAt: 'number',
+    lastHeartbeat: 'number',
+    charged: 'number',
+    overtime: 'number',
+    previousTotal: 'number',
+  },
+};
+
+export const TIMER_EVENT_NAMES = Object.keys(TIMER_EVENT_SCHEMA);
+
+export function isTimerEventName(name) {
+  return Object.prototype.hasOwnProperty.call(TIMER_EVENT_SCHEMA, name);
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function checkField(payload, field, spec, problems) {
+  const isOptional = spec.endsWith('?');
+  const types = (isOptional ? spec.slice(0, -1) : spec).split('|');
+
+  if (!(field in payload) || payload[field] === undefined) {
+    if (!isOptional) {
+      problems.push(`missing ${field}`);
+    }
+    return;
+  }
+
+  const actual = typeOf(payload[field]);
+  if (!types.includes(actual) || (actual === 'number' && !Number.isFinite(payload[field]))) {
+    problems.push(`${field} should be ${types.join(' or ')}, got ${actual === 'number' ? payload[field] : actual}`);
+  }
+}
+
+// Everything wrong with `payload` as a list of messages; empty when it
+// matches the schema. Extra fields are allowed.
+export function validateTimerEvent(payload) {
+  if (typeOf(payload) !== 'object') {
+    return ['event is not an object'];
+  }
+  if (!isTimerEventName(payload.event)) {
+    return [`unknown event ${payload.event}`];
+  }
+
+  const problems = [];
+  const fields = { ...COMMON_FIELDS, ...TIMER_EVENT_SCHEMA[payload.event] };
+  Object.entries(fields).forEach(([field, spec]) => checkField(payload, field, spec, problems));
+
+  if (payload.version !== undefined && payload.version !== TIMER_EVENT_VERSION) {
+    problems.push(`version should be ${TIMER_EVENT_VERSION}, got ${payload.version}`);
+  }
+  return problems;
+}
@@ -1,86 +1,298 @@
 // Enhanced TimerService.js - Phone lock detection and background timer
-import { AppState, Platform, NativeEventEmitter, NativeModules } from 'react-native';
+import { AppState } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import CreditLedger, { LEDGER_ENTRY_TYPES } from './CreditLedger';
+import CreditBucketService from './CreditBucketService';
+import AllowanceService from './AllowanceService';
+import ProfileService, { DEFAULT_PROFILE_ID, getProfileKey } from './ProfileService';
+import ParentAuthService from './ParentAuthService';
+import UsageStatsService from './UsageStatsService';
+import FreeTimeService, { DEFAULT_PASS_REASON } from './FreeTimeService';
+import RestrictionService from './RestrictionService';
+import StorageMigrations from './StorageMigrations';
+import { isValidSession, parseStoredInteger } from './StorageSchema';
+import { createNativeLockEventSource } from './DeviceLockEvents';
+import { TIMER_EVENT_VERSION, isTimerEventName, validateTimerEvent } from './TimerEvents';
+import I18nService from './I18nService';
+import Logger from './Logger';
+import { DURATION_STYLES } from '../i18n';
+import { systemClock } from '../utils/clock';
 
 const TIMER_STORAGE_KEY = '@timer_remaining';
 const TIMER_START_KEY = '@timer_start_time';
 const LOCK_STATE_KEY = '@lock_state';
+const DEBT_KEY = '@timer_debt';
+const DEBT_CONFIG_KEY = '@debt_config';
+
+// Overtime debt is opt-in: when enabled, use past expiry keeps being tracked
+// as debt (up to `cap` seconds) that later credits pay off first
+export const DEFAULT_DEBT_CONFIG = {
+  enabled: false,
+  cap: 30 * 60,
+};
+
+// Every platform dependency can be injected so the service runs without a
+// device: `storage` is AsyncStorage-compatible, `clock` provides now() and
+// set/clearInterval, `appStateSource` looks like RN's AppState and
+// `lockEventSource` like createNativeLockEventSource(). `services` overrides
+// the collaborating singletons (ledger, buckets, allowance, profiles,
+// parentAuth, usageStats, freeTime, restrictions, migrations, i18n, logger). See
+// src/testing for in-memory implementations. `validateEvents` checks every
+// event against TimerEvents.js before it is sent (on in development builds).
+export class TimerService {
+  constructor({
+    storage = AsyncStorage,
+    clock = systemClock,
+    appStateSource = AppState,
+    lockEventSource = createNativeLockEventSource(),
+    services = {},
+    validateEvents = typeof __DEV__ !== 'undefined' && __DEV__,
+  } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+    this.appStateSource = appStateSource;
+    this.lockEventSource = lockEventSource;
+    this.ledger = services.ledger || CreditLedger;
+    this.buckets = services.buckets || CreditBucketService;
+    this.allowance = services.allowance || AllowanceService;
+    this.profiles = services.profiles || ProfileService;
+    this.parentAuth = services.parentAuth || ParentAuthService;
+    this.usageStats = services.usageStats || UsageStatsService;
+    this.freeTime = services.freeTime || FreeTimeService;
+    this.restrictions = services.restrictions || RestrictionService;
+    this.migrations = services.migrations || StorageMigrations;
+    this.i18n = services.i18n || I18nService;
+    this.log = (services.logger || Logger).tag('timer');
+    this.unsubscribers = [];
 
-class TimerService {
-  constructor() {
     // Core timer state
+    this.profileId = DEFAULT_PROFILE_ID;
     this.availableTime = 0;
     this.timer = null;
     this.listeners = new Set();
-    this.appState = AppState.currentState || 'active';
+    // Event name -> Map of handler -> whether it runs only once
+    this.eventHandlers = new Map();
+    this.validateEvents = validateEvents;
+    // currentState can be null before the native module reports one
+    this.appState = typeof appStateSource.currentState === 'string' ? appStateSource.currentState : 'active';
     this.isDeviceLocked = false;
     this.isTimerRunning = false;
     
     // Background tracking
     this.backgroundStartTime = null;
+    this.backgroundCharged = 0;
+    this.backgroundOvertime = 0;
     this.lockStartTime = null;
+
+    // Overtime owed (see DEFAULT_DEBT_CONFIG). Kept apart from the balance,
+    // which never goes below zero.
+    this.debt = 0;
+    this.debtConfig = { ...DEFAULT_DEBT_CONFIG };
+    // Set once running into overtime has been reported for the current session
+    this.isOvertimeReported = false;
+
+    // Open spending session, mirrored to TIMER_START_KEY (see startTimer)
+    this.session = null;
     
-    // Initialize
-    this.initialize();
+    // Free period and restriction in effect (see checkSchedules), and the
+    // timer for the next boundary of either
+    this.activeFreeTime = null;
+    this.activeRestriction = null;
+    this.nextScheduleBoundary = null;
+    this.scheduleTimer = null;
+    // Set once use during a restriction has been reported as expiry
+    this.isRestrictionEnforced = false;
+    // Free seconds in the current background period, and when the open free part began
+    this.backgroundFree = 0;
+    this.backgroundFreeSince = null;
+
+    // Initialize; await `ready` before relying on loaded state
+    this.ready = this.initialize();
   }
 
   async initialize() {
-    console.log('🚀 Initializing TimerService');
-    
-    // Load saved data
-    await this.loadSavedTime();
+    this.log.info('Initializing');
     
+    // Bring stored data up to the current schema before anything reads it
+    await this.migrations.run(this.storage, this.clock.now());
+
+    // Parent PIN state must be known before any privileged call can be checked
+    await this.parentAuth.load();
+
+    // Restore the last active profile before touching its data
+    this.profileId = await this.profiles.getActiveProfileId();
+    await this.loadProfileData();
+
     // Setup device lock listener
     this.setupDeviceLockListener();
-    
+
     // Setup app state listener
     this.setupAppStateListener();
-    
+
     // Get initial lock state
     this.getCurrentLockState();
+
+    this.log.info('Initialized', { profileId: this.profileId, availableTime: this.availableTime });
+  }
+
+  // Load everything stored under the active profile's namespace
+  async loadProfileData() {
+    await Promise.all([
+      this.ledger.setProfile(this.profileId),
+      this.buckets.setProfile(this.profileId),
+      this.allowance.setProfile(this.profileId),
+      this.usageStats.setProfile(this.profileId),
+      this.freeTime.setProfile(this.profileId),
+      this.restrictions.setProfile(this.profileId),
+    ]);
+
+    // The new profile's schedules apply from now on, without entry events
+    const now = this.clock.now();
+    this.activeFreeTime = this.freeTime.getActiveAt(now);
+    this.activeRestriction = this.restrictions.getActiveAt(now);
+    this.isRestrictionEnforced = false;
+    this.scheduleBoundaryCheck(now);
+
+    // Load saved data
+    await this.loadDebtConfig();
+    await this.loadSavedTime();
     
-    console.log('✅ TimerService initialized');
+    // Settle any session left open by a crash or force-stop
+    await this.recoverOpenSession();
+
+    // The buckets must add up to the settled balance; then drop expired ones
+    const difference = this.buckets.reconcile(this.availableTime);
+    if (difference !== 0) {
+      this.log.warn('Reconciled credit buckets with the balance', { difference });
+    }
+    this.checkCreditExpiry();
+    await this.saveTime();
+
+    // Grant any allowance resets missed while the app was not running
+    await this.applyAllowance();
+  }
+
+  storageKey(baseKey) {
+    return getProfileKey(baseKey, this.profileId);
+  }
+
+  async switchProfile(profileId) {
+    if (profileId === this.profileId) {
+      return this.getStatus();
+    }
+
+    this.parentAuth.authorize('switch profile', {}, this.clock.now());
+
+    const previousProfileId = this.profileId;
+    await this.profiles.setActiveProfileId(profileId);
+    
+    this.log.info('Switching profile', { from: previousProfileId, to: profileId });
+    
+    // Settle the outgoing profile's session and state under its own keys
+    this.stopTimer();
+    await Promise.all([this.saveTime(), this.saveState()]);
+    
+    this.profileId = profileId;
+    this.availableTime = 0;
+    this.debt = 0;
+    await this.loadProfileData();
+    this.updateTimerState();
+
+    this.notifyListeners({
+      event: 'profileSwitched',
+      previousProfileId,
+      availableTime: this.availableTime,
+      timestamp: this.clock.now(),
+    });
+
+    return this.getStatus();
+  }
+
+  // Swap the persisted data out from under the service (backup restore). The
+  // open session is settled and pending writes drained first, so nothing from
+  // the old data lands on top of the new; then everything is reloaded.
+  async replaceStoredData(writeData) {
+    this.stopTimer();
+    await Promise.all([
+      this.saveTime(),
+      this.saveState(),
+      this.ledger.invalidate(),
+      this.usageStats.invalidate(),
+      this.allowance.invalidate(),
+    ]);
+
+    await writeData();
+
+    this.freeTime.invalidate();
+    this.restrictions.invalidate();
+    this.buckets.invalidate();
+    await Promise.all([
+      this.ledger.invalidate(),
+      this.usageStats.invalidate(),
+      this.allowance.invalidate(),
+    ]);
+    this.profiles.invalidate();
+
+    this.profileId = await this.profiles.getActiveProfileId();
+    this.availableTime = 0;
+    this.debt = 0;
+    await this.loadProfileData();
+    this.updateTimerState();
+
+    this.notifyListeners({
+      event: 'dataRestored',
+      availableTime: this.availableTime,
+      timestamp: this.clock.now(),
+    });
+
+    return this.getStatus();
   }
 
   setupDeviceLockListener() {
-    if (Platform.OS === 'android' && NativeModules.DeviceLockModule) {
-      const eventEmitter = new NativeEventEmitter(NativeModules.DeviceLockModule);
-      
-      eventEmitter.addListener('deviceLocked', (data) => {
-        console.log('📱 Device locked', data);
+    const unsubscribe = this.lockEventSource.subscribe({
+      onLocked: (data) => {
+        this.log.info('Device locked', data);
         this.isDeviceLocked = true;
-        this.handleLockStateChange();
+        this.handleLockStateChange(data.timestamp);
         this.notifyListeners({
           event: 'deviceLocked',
           availableTime: this.availableTime,
           isLocked: true,
           timestamp: data.timestamp
         });
-      });
-      
-      eventEmitter.addListener('deviceUnlocked', (data) => {
-        console.log('🔓 Device unlocked', data);
+      },
+      onUnlocked: (data) => {
+        // The screen turning on under the keyguard is reported as an unlock
+        // with isUnlocked=false; the real unlock follows when it is dismissed
+        if (data.isUnlocked === false) {
+          this.log.debug('Screen on, still locked', data);
+          return;
+        }
+
+        this.log.info('Device unlocked', data);
         this.isDeviceLocked = false;
-        this.handleLockStateChange();
+        this.handleLockStateChange(data.timestamp);
         this.notifyListeners({
           event: 'deviceUnlocked',
           availableTime: this.availableTime,
           isLocked: false,
           timestamp: data.timestamp
         });
-      });
-      
-      eventEmitter.addListener('currentLockState', (data) => {
-        console.log('📋 Current lock state', data);
-        this.isDeviceLocked = data.isLocked;
+      },
+      onLockState: (data) => {
+        this.log.info('Current lock state', data);
+        // Without a keyguard isLocked stays false, so a dark screen counts too
+        this.isDeviceLocked = data.isLocked || data.isScreenOn === false;
         this.handleLockStateChange();
-      });
-    }
+      },
+    });
+
+    this.unsubscribers.push(unsubscribe);
   }
 
   setupAppStateListener() {
-    AppState.addEventListener('change', (nextAppState) => {
-      console.log(`📱 App state: ${this.appState} -> ${nextAppState}`);
+    const subscription = this.appStateSource.addEventListener('change', (nextAppState) => {
+      this.log.info('App state changed', { from: this.appState, to: nextAppState });
       
       const previousState = this.appState;
       this.appState = nextAppState;
@@ -94,164 +306,712 @@ class TimerService {
         availableTime: this.availableTime
       });
     });
+
+    this.unsubscribers.push(() => subscription.remove());
   }
 
   getCurrentLockState() {
-    if (Platform.OS === 'android' && NativeModules.DeviceLockModule) {
-      NativeModules.DeviceLockModule.getCurrentLockState();
-    }
+    this.lockEventSource.requestCurrentState();
   }
 
-  handleLockStateChange() {
-    this.updateTimerState();
+  // `timestamp` is when the native side observed the change, so a lock that
+  // reaches JS late still closes the session at the right moment
+  handleLockStateChange(timestamp = this.clock.now()) {
+    this.updateTimerState(timestamp);
     this.saveState();
   }
 
   handleAppStateChange(previousState, currentState) {
+    this.catchUpSchedules();
+
     if (currentState === 'active') {
       // App came to foreground - stop timer
       this.stopTimer();
+      this.enforceRestriction();
       this.processBackgroundTime();
+      this.applyAllowance();
     } else if (previousState === 'active') {
       // App went to background - start timer if device is unlocked
+      this.backgroundStartTime = this.clock.now();
+      this.backgroundCharged = 0;
+      this.backgroundFree = 0;
+      this.backgroundFreeSince = this.activeFreeTime ? this.backgroundStartTime : null;
       this.updateTimerState();
     }
   }
 
-  updateTimerState() {
+  updateTimerState(timestamp = this.clock.now()) {
+    this.catchUpSchedules();
+
     const shouldRunTimer = this.shouldTimerRun();
     
     if (shouldRunTimer && !this.isTimerRunning) {
-      this.startTimer();
+      this.startTimer(timestamp);
     } else if (!shouldRunTimer && this.isTimerRunning) {
-      this.stopTimer();
+      this.stopTimer(timestamp);
     }
+
+    this.enforceRestriction();
+  }
+
+  // Whether the device is being used outside this app right now
+  isDeviceInUse() {
+    return !this.isDeviceLocked && (this.appState === 'background' || this.appState === 'inactive');
+  }
+
+  // Whether the device may be used at all right now: not during a restriction,
+  // and otherwise during free time or with time (or overtime) left to spend
+  isUseAllowed() {
+    return !this.activeRestriction &&
+      (Boolean(this.activeFreeTime) || this.availableTime > 0 || this.getDebtRoom() > 0);
   }
 
   shouldTimerRun() {
     // Timer should run when:
     // 1. Device is unlocked AND
     // 2. App is in background/inactive AND
-    // 3. We have available time
-    return !this.isDeviceLocked && 
-           (this.appState === 'background' || this.appState === 'inactive') && 
-           this.availableTime > 0;
+    // 3. We have available time, or debt mode allows more overtime AND
+    // 4. No free-time window or pass is in effect
+    // 5. No restriction (bedtime, school hours) is in effect
+    return this.isDeviceInUse() &&
+           (this.availableTime > 0 || this.getDebtRoom() > 0) &&
+           !this.activeFreeTime &&
+           !this.activeRestriction;
+  }
+
+  // During a restriction the balance cannot be spent, so using the device is
+  // reported like running out of time: one timeExpired per stretch of use.
+  enforceRestriction() {
+    if (!this.activeRestriction || !this.isDeviceInUse()) {
+      this.isRestrictionEnforced = false;
+      return;
+    }
+    if (this.isRestrictionEnforced) {
+      return;
+    }
+
+    this.isRestrictionEnforced = true;
+    this.log.warn('Device used during restriction', { restriction: this.activeRestriction });
+    this.notifyListeners({
+      event: 'timeExpired',
+      reason: 'restriction',
+      restriction: { ...this.activeRestriction },
+      availableTime: this.availableTime,
+      timestamp: this.clock.now(),
+    });
+  }
+
+  // Seconds of overtime that may still accrue before the cap
+  getDebtRoom(debt = this.debt) {
+    return this.debtConfig.enabled ? Math.max(0, this.debtConfig.cap - debt) : 0;
   }
 
-  startTimer() {
+  // Re-evaluate credit expiry, free time and restrictions at a boundary or
+  // after a schedule changed, then wait for the next boundary
+  checkSchedules(now = this.clock.now()) {
+    this.checkCreditExpiry(now);
+    this.scheduleBoundaryCheck(now);
+    this.checkRestriction(now);
+    this.checkFreeTime(now);
+  }
+
+  checkRestriction(now = this.clock.now()) {
+    const previous = this.activeRestriction;
+    const current = this.restrictions.getActiveAt(now);
+
+    if (previous && current && previous.id === current.id && previous.end === current.end) {
+      return;
+    }
+    if (!previous && !current) {
+      return;
+    }
+
+    this.activeRestriction = current;
+
+    // Like free time, a late-noticed start is not charged past the boundary
+    const boundary = current && !previous && this.session
+      ? Math.min(now, Math.max(current.start, this.session.segmentStartedAt))
+      : now;
+
+    if (previous) {
+      this.log.info('Restriction ended', { restriction: previous });
+      this.notifyListeners({
+        event: 'restrictionEnded',
+        restriction: previous,
+        availableTime: this.availableTime,
+        timestamp: now,
+      });
+    }
+    if (current) {
+      this.log.info('Restriction started', { restriction: current });
+      this.notifyListeners({
+        event: 'restrictionStarted',
+        restriction: current,
+        availableTime: this.availableTime,
+        timestamp: now,
+      });
+    }
+
+    this.updateTimerState(boundary);
+  }
+
+  // Entering a free period closes the running session at the period's start,
+  // so a boundary noticed late (JS suspended in the background) is not charged.
+  checkFreeTime(now = this.clock.now()) {
+    const previous = this.activeFreeTime;
+    const current = this.freeTime.getActiveAt(now);
+
+    if (previous && current && previous.id === current.id && previous.end === current.end) {
+      return;
+    }
+    if (!previous && !current) {
+      return;
+    }
+
+    this.activeFreeTime = current;
+
+    if (this.backgroundStartTime !== null) {
+      if (previous && this.backgroundFreeSince !== null) {
+        this.backgroundFree += Math.max(0, Math.min(previous.end, now) - this.backgroundFreeSince) / 1000;
+      }
+      this.backgroundFreeSince = current ? Math.max(current.start, this.backgroundStartTime) : null;
+    }
+
+    const boundary = current && !previous && this.session
+      ? Math.min(now, Math.max(current.start, this.session.segmentStartedAt))
+      : now;
+    this.updateTimerState(boundary);
+
+    if (previous) {
+      this.log.info('Free time ended', { freeTime: previous });
+      this.notifyListeners({
+        event: 'freeTimeEnded',
+        freeTime: previous,
+        availableTime: this.availableTime,
+        timestamp: now,
+      });
+    }
+    if (current) {
+      this.log.info('Free time started', { freeTime: current });
+      this.notifyListeners({
+        event: 'freeTimeStarted',
+        freeTime: current,
+        availableTime: this.availableTime,
+        timestamp: now,
+      });
+    }
+  }
+
+  scheduleBoundaryCheck(now = this.clock.now()) {
+    if (this.scheduleTimer) {
+      this.clock.clearTimeout(this.scheduleTimer);
+      this.scheduleTimer = null;
+    }
+
+    const boundaries = [
+      this.freeTime.getNextBoundary(now),
+      this.restrictions.getNextBoundary(now),
+      this.buckets.getNextExpiry(),
+    ].filter(boundary => boundary !== null);
+    this.nextScheduleBoundary = boundaries.length > 0 ? Math.min(...boundaries) : null;
+
+    if (this.nextScheduleBoundary !== null) {
+      this.scheduleTimer = this.clock.setTimeout(() => {
+        this.scheduleTimer = null;
+        this.checkSchedules();
+      }, Math.max(0, this.nextScheduleBoundary - now));
+    }
+  }
+
+  // Expired buckets are removed at their expiry time. Spending up to that
+  // moment still came out of them, so the session is settled there first.
+  checkCreditExpiry(now = this.clock.now()) {
+    let expiresAt = this.buckets.getNextExpiry();
+    if (expiresAt === null || expiresAt > now) {
+      return;
+    }
+
+    for (; expiresAt !== null && expiresAt <= now; expiresAt = this.buckets.getNextExpiry()) {
+      this.checkpointSession(expiresAt);
+      const expired = this.buckets.takeExpired(expiresAt);
+      const amount = expired.reduce((total, bucket) => total + bucket.amount, 0);
+      // Buckets spent down to nothing before they expired are just dropped
+      if (amount === 0) {
+        continue;
+      }
+
+      const previousTime = this.availableTime;
+      this.availableTime = Math.max(0, this.availableTime - amount);
+      this.rebaseSession();
+
+      this.log.info('Credits expired', { amount, buckets: expired.length, balance: this.availableTime });
+      this.recordLedgerEntry(LEDGER_ENTRY_TYPES.EXPIRY, this.availableTime - previousTime, {
+        reason: 'expired',
+      });
+      this.notifyListeners({
+        event: 'creditsExpired',
+        amount,
+        buckets: expired,
+        previousTotal: previousTime,
+        newTotal: this.availableTime,
+        availableTime: this.availableTime,
+        timestamp: expiresAt,
+      });
+    }
+
+    this.saveTime();
+
+    // The expired time may have been all that was left
+    if (this.isTimerRunning) {
+      this.syncSessionBalance(now);
+      if (this.availableTime <= 0) {
+        this.handleBalanceExhausted();
+      }
+    }
+  }
+
+  // Timers do not fire while JS is suspended; catch up on a missed boundary
+  catchUpSchedules(now = this.clock.now()) {
+    if (this.nextScheduleBoundary !== null && now >= this.nextScheduleBoundary) {
+      this.checkSchedules(now);
+    }
+  }
+
+  // Spending is tracked as a persisted session rather than by counting ticks:
+  // the balance is always `segmentStartBalance` minus the wall-clock time since
+  // `segmentStartedAt`. A segment is rebased whenever credits change mid-session.
+  startTimer(timestamp = this.clock.now()) {
     if (this.isTimerRunning) return;
     
-    console.log('▶️ Starting timer');
+    this.log.info('Starting timer', { balance: this.availableTime, timestamp });
     this.isTimerRunning = true;
-    this.backgroundStartTime = Date.now();
+    this.isOvertimeReported = false;
+    this.session = {
+      startedAt: timestamp,
+      segmentStartedAt: timestamp,
+      segmentStartBalance: this.availableTime,
+      segmentStartDebt: this.debt,
+      charged: 0,
+      overtime: 0,
+      lastHeartbeat: timestamp,
+    };
+    this.saveSession();
     
-    this.timer = setInterval(() => {
+    // The interval only refreshes the derived balance; it never deducts by itself
+    this.timer = this.clock.setInterval(() => {
       this.tick();
     }, 1000);
     
     this.notifyListeners({
       event: 'trackingStarted',
       availableTime: this.availableTime,
-      timestamp: Date.now()
+      timestamp,
     });
   }
 
-  stopTimer() {
+  stopTimer(timestamp = this.clock.now()) {
     if (!this.isTimerRunning) return;
     
-    console.log('⏸️ Stopping timer');
+    this.log.info('Stopping timer', { timestamp });
     
     if (this.timer) {
-      clearInterval(this.timer);
+      this.clock.clearInterval(this.timer);
       this.timer = null;
     }
     
     this.isTimerRunning = false;
+    const session = this.endSession(timestamp);
     
     this.notifyListeners({
       event: 'trackingStopped',
+      session,
       availableTime: this.availableTime,
-      timestamp: Date.now()
+      timestamp,
     });
   }
 
   tick() {
-    if (this.availableTime <= 0) {
-      this.handleTimeExpired();
+    this.catchUpSchedules();
+    if (!this.session) {
       return;
     }
+
+    const now = this.clock.now();
+    const previousTime = this.availableTime;
+    const previousDebt = this.debt;
+    this.syncSessionBalance(now);
+    this.session.lastHeartbeat = now;
+    this.saveSession();
     
-    this.availableTime--;
-    this.saveTime();
-    
-    this.notifyListeners({
-      event: 'timeUpdate',
-      availableTime: this.availableTime,
-      timestamp: Date.now()
-    });
-    
+    if (this.availableTime !== previousTime || this.debt !== previousDebt) {
+      this.saveTime();
+      this.notifyListeners({
+        event: 'timeUpdate',
+        availableTime: this.availableTime,
+        timestamp: now,
+      });
+    }
+
     if (this.availableTime <= 0) {
+      this.handleBalanceExhausted();
+    }
+  }
+
+  handleBalanceExhausted() {
+    if (!this.debtConfig.enabled) {
       this.handleTimeExpired();
+    } else if (this.getDebtRoom() <= 0) {
+      this.handleDebtCapReached();
+    } else if (!this.isOvertimeReported) {
+      this.handleOvertimeStarted();
+    }
+  }
+
+  // Seconds spent in the current segment, capped at what the segment could
+  // afford including any overtime debt mode allows
+  getSegmentSpent(timestamp) {
+    const { segmentStartedAt, segmentStartBalance, segmentStartDebt = 0 } = this.session;
+    const elapsed = Math.floor((timestamp - segmentStartedAt) / 1000);
+    return Math.min(Math.max(0, elapsed), segmentStartBalance + this.getDebtRoom(segmentStartDebt));
+  }
+
+  // The balance is spent first; whatever the segment spent beyond it is debt
+  syncSessionBalance(timestamp = this.clock.now()) {
+    if (!this.session) {
+      return;
+    }
+
+    const { segmentStartBalance, segmentStartDebt = 0 } = this.session;
+    const spent = this.getSegmentSpent(timestamp);
+    this.availableTime = Math.max(0, segmentStartBalance - spent);
+    this.debt = segmentStartDebt + Math.max(0, spent - segmentStartBalance);
+  }
+
+  // Fold the current segment into the session totals and start a new segment.
+  // Only whole seconds are moved so fractional time keeps accruing.
+  checkpointSession(timestamp = this.clock.now()) {
+    if (!this.session) {
+      return;
     }
+
+    const spent = this.getSegmentSpent(timestamp);
+    const fromBalance = Math.min(spent, this.session.segmentStartBalance);
+    const overtime = spent - fromBalance;
+
+    this.buckets.consume(fromBalance);
+    this.session.charged += fromBalance;
+    this.session.overtime = (this.session.overtime || 0) + overtime;
+    this.session.segmentStartedAt += spent * 1000;
+    this.session.segmentStartBalance -= fromBalance;
+    this.session.segmentStartDebt = (this.session.segmentStartDebt || 0) + overtime;
+    this.availableTime = this.session.segmentStartBalance;
+    this.debt = this.session.segmentStartDebt;
+  }
+
+  // Call after changing availableTime or debt while a session is open
+  rebaseSession() {
+    if (!this.session) {
+      return;
+    }
+
+    this.session.segmentStartBalance = this.availableTime;
+    this.session.segmentStartDebt = this.debt;
+    this.saveSession();
+  }
+
+  // Returns the usage session it recorded, or null when nothing was spent
+  endSession(timestamp = this.clock.now()) {
+    if (!this.session) {
+      return null;
+    }
+
+    this.checkpointSession(timestamp);
+    const { charged, overtime, startedAt } = this.session;
+    this.session = null;
+    this.clearSession();
+    this.saveTime();
+
+    if (charged > 0) {
+      this.backgroundCharged += charged;
+      this.recordLedgerEntry(LEDGER_ENTRY_TYPES.SPEND_SESSION, -charged, {
+        reason: 'background-usage',
+      });
+    }
+    if (overtime > 0) {
+      this.backgroundOvertime += overtime;
+      this.recordLedgerEntry(LEDGER_ENTRY_TYPES.OVERTIME, -overtime, {
+        reason: 'background-usage',
+      });
+    }
+    if (charged + overtime === 0) {
+      return null;
+    }
+
+    const session = { startedAt, endedAt: timestamp, duration: charged + overtime };
+    this.recordUsageSession(session);
+    return session;
+  }
+
+  // A session still on disk at launch means the process died mid-session.
+  // It is charged up to its last heartbeat: that is the last moment we know the
+  // device was in use, since a lock after that never reached JS.
+  async recoverOpenSession() {
+    try {
+      const saved = await this.storage.getItem(this.storageKey(TIMER_START_KEY));
+      if (!saved) {
+        return;
+      }
+
+      const session = JSON.parse(saved);
+      if (!isValidSession(session)) {
+        this.log.error('Discarding malformed open session', { saved });
+        await this.storage.removeItem(this.storageKey(TIMER_START_KEY));
+        return;
+      }
+
+      const previousTime = this.availableTime;
+      this.session = session;
+      this.checkpointSession(session.lastHeartbeat);
+      const { charged, overtime } = this.session;
+      this.session = null;
+
+      await this.storage.removeItem(this.storageKey(TIMER_START_KEY));
+      await this.saveTime();
+
+      this.log.warn('Recovered open session', {
+        startedAt: session.startedAt,
+        lastHeartbeat: session.lastHeartbeat,
+        charged,
+        overtime,
+        previousBalance: previousTime,
+        balance: this.availableTime,
+        debt: this.debt,
+      });
+
+      if (charged > 0) {
+        this.recordLedgerEntry(LEDGER_ENTRY_TYPES.BACKGROUND_RECONCILIATION, -charged, {
+          reason: 'crash-recovery',
+        });
+      }
+      if (overtime > 0) {
+        this.recordLedgerEntry(LEDGER_ENTRY_TYPES.OVERTIME, -overtime, {
+          reason: 'crash-recovery',
+        });
+      }
+      if (charged + overtime > 0) {
+        this.recordUsageSession({
+          startedAt: session.startedAt,
+          endedAt: session.lastHeartbeat,
+          duration: charged + overtime,
+          recovered: true,
+        });
+      }
+
+      this.notifyListeners({
+        event: 'sessionRecovered',
+        sessionStartedAt: session.startedAt,
+        lastHeartbeat: session.lastHeartbeat,
+        charged,
+        overtime,
+        previousTotal: previousTime,
+        availableTime: this.availableTime,
+        timestamp: this.clock.now(),
+      });
+    } catch (error) {
+      this.log.error('Error recovering open session', { error });
+    }
+  }
+
+  recordLedgerEntry(type, amount, { reason = null, source = null } = {}) {
+    this.ledger.record({
+      type,
+      amount,
+      reason,
+      source,
+      balance: this.availableTime,
+      debt: this.debt,
+      timestamp: this.clock.now(),
+    }).catch(error => {
+      this.log.error('Error recording ledger entry', { type, amount, error });
+    });
+  }
+
+  recordUsageSession(session) {
+    this.usageStats.recordSession(session).catch(error => {
+      this.log.error('Error recording usage session', { session, error });
+    });
   }
 
   handleTimeExpired() {
-    console.log('⌛ Time expired!');
+    this.log.info('Time expired');
     this.stopTimer();
     
     this.notifyListeners({
       event: 'timeExpired',
+      reason: 'balance',
+      availableTime: 0,
+      timestamp: this.clock.now(),
+    });
+  }
+
+  // Debt mode: the balance ran out but use goes on as overtime. Reported once
+  // per session, like expiry, so the child still gets the alert.
+  handleOvertimeStarted() {
+    this.isOvertimeReported = true;
+    this.log.warn('Time expired, accruing overtime', { debt: this.debt, cap: this.debtConfig.cap });
+
+    this.notifyListeners({
+      event: 'timeExpired',
+      reason: 'balance',
+      overtime: true,
+      availableTime: 0,
+      timestamp: this.clock.now(),
+    });
+  }
+
+  handleDebtCapReached() {
+    this.log.warn('Debt cap reached', { debt: this.debt, cap: this.debtConfig.cap });
+    this.stopTimer();
+
+    this.notifyListeners({
+      event: 'debtCapReached',
+      cap: this.debtConfig.cap,
       availableTime: 0,
-      timestamp: Date.now()
+      timestamp: this.clock.now(),
     });
   }
 
+  async applyAllowance() {
+    try {
+      const grants = await this.allowance.applyDueAllowance(this, this.clock.now());
+
+      if (grants.length > 0) {
+        this.notifyListeners({
+          event: 'allowanceApplied',
+          grants,
+          availableTime: this.availableTime,
+          timestamp: this.clock.now(),
+        });
+      }
+
+      return grants;
+    } catch (error) {
+      this.log.error('Error applying allowance', { error });
+      return [];
+    }
+  }
+
+  // Report what the background period cost. Deduction already happened in the
+  // sessions closed while backgrounded, so nothing is charged here. Time spent
+  // in free periods is reported as `freeDuration`, not as background time, and
+  // use that went into debt as `overtimeDuration`.
   processBackgroundTime() {
-    // Calculate time spent in background and deduct it
     if (this.backgroundStartTime) {
-      const backgroundDuration = Math.floor((Date.now() - this.backgroundStartTime) / 1000);
-      console.log(`📊 Background duration: ${backgroundDuration}s`);
+      const now = this.clock.now();
+      if (this.backgroundFreeSince !== null) {
+        this.backgroundFree += Math.max(0, now - this.backgroundFreeSince) / 1000;
+      }
+      const freeDuration = Math.floor(this.backgroundFree);
+      const backgroundDuration = Math.floor((now - this.backgroundStartTime) / 1000) - freeDuration;
+      this.log.info('Background period ended', {
+        backgroundDuration,
+        freeDuration,
+        charged: this.backgroundCharged,
+        overtime: this.backgroundOvertime,
+      });
       
-      if (backgroundDuration > 0) {
-        this.availableTime = Math.max(0, this.availableTime - backgroundDuration);
-        this.saveTime();
-        
+      if (backgroundDuration > 0 || freeDuration > 0) {
         this.notifyListeners({
           event: 'backgroundTimeProcessed',
           backgroundDuration,
+          freeDuration,
+          chargedDuration: this.backgroundCharged,
+          overtimeDuration: this.backgroundOvertime,
           availableTime: this.availableTime,
-          timestamp: Date.now()
+          timestamp: this.clock.now(),
         });
       }
     }
     
     this.backgroundStartTime = null;
+    this.backgroundCharged = 0;
+    this.backgroundOvertime = 0;
+    this.backgroundFree = 0;
+    this.backgroundFreeSince = null;
   }
 
   // Public methods
   async loadSavedTime() {
     try {
-      const savedTime = await AsyncStorage.getItem(TIMER_STORAGE_KEY);
-      if (savedTime) {
-        this.availableTime = parseInt(savedTime, 10);
-        console.log(`💾 Loaded ${this.availableTime}s from storage`);
+      const savedTime = await this.storage.getItem(this.storageKey(TIMER_STORAGE_KEY));
+      const parsedTime = parseStoredInteger(savedTime);
+
+      if (savedTime !== null && Number.isNaN(parsedTime)) {
+        // Migrations repair this at launch; never load it as-is in the meantime
+        this.log.error('Ignoring corrupt saved time', { savedTime });
+      } else if (savedTime !== null) {
+        this.availableTime = parsedTime;
+        this.log.info('Loaded balance', { profileId: this.profileId, balance: this.availableTime });
         
         this.notifyListeners({
           event: 'timeLoaded',
           availableTime: this.availableTime,
-          timestamp: Date.now()
+          timestamp: this.clock.now(),
         });
       }
     } catch (error) {
-      console.error('Error loading saved time:', error);
+      this.log.error('Error loading saved time', { error });
+    }
+
+    try {
+      const savedDebt = parseStoredInteger(await this.storage.getItem(this.storageKey(DEBT_KEY)));
+      this.debt = Number.isNaN(savedDebt) ? 0 : savedDebt;
+    } catch (error) {
+      this.log.error('Error loading debt', { error });
+    }
+
+    return this.availableTime;
+  }
+
+  async loadDebtConfig() {
+    try {
+      const saved = await this.storage.getItem(this.storageKey(DEBT_CONFIG_KEY));
+      this.debtConfig = { ...DEFAULT_DEBT_CONFIG, ...(saved ? JSON.parse(saved) : {}) };
+    } catch (error) {
+      this.log.error('Error loading debt settings', { error });
+      this.debtConfig = { ...DEFAULT_DEBT_CONFIG };
     }
   }
 
+  // The balance and the debt are written together so they never disagree.
+  // The buckets are reconciled with the balance at launch instead.
   async saveTime() {
     try {
-      await AsyncStorage.setItem(TIMER_STORAGE_KEY, this.availableTime.toString());
+      await Promise.all([
+        this.storage.multiSet([
+          [this.storageKey(TIMER_STORAGE_KEY), this.availableTime.toString()],
+          [this.storageKey(DEBT_KEY), this.debt.toString()],
+        ]),
+        this.buckets.save(),
+      ]);
+    } catch (error) {
+      this.log.error('Error saving time', { balance: this.availableTime, debt: this.debt, error });
+    }
+  }
+
+  async saveSession() {
+    try {
+      await this.storage.setItem(this.storageKey(TIMER_START_KEY), JSON.stringify(this.session));
     } catch (error) {
-      console.error('Error saving time:', error);
+      this.log.error('Error saving session', { error });
+    }
+  }
+
+  async clearSession() {
+    try {
+      await this.storage.removeItem(this.storageKey(TIMER_START_KEY));
+    } catch (error) {
+      this.log.error('Error clearing session', { error });
     }
   }
 
@@ -261,41 +1021,83 @@ class TimerService {
         isDeviceLocked: this.isDeviceLocked,
         appState: this.appState,
         isTimerRunning: this.isTimerRunning,
-        timestamp: Date.now()
+        timestamp: this.clock.now(),
       };
-      await AsyncStorage.setItem(LOCK_STATE_KEY, JSON.stringify(state));
+      await this.storage.setItem(this.storageKey(LOCK_STATE_KEY), JSON.stringify(state));
     } catch (error) {
-      console.error('Error saving state:', error);
+      this.log.error('Error saving state', { error });
     }
   }
 
-  addTimeCredits(seconds) {
+  // `options.reason` and `options.source` are stored in the credit ledger.
+  // With `options.expiresAt` the grant is lost if not spent by then; credits
+  // expiring soonest are always spent first (see CreditBucketService).
+  // Throws ParentAuthError without an unlocked parent session, unless
+  // `options.capability` (see ParentAuthService.createCapability) covers the source.
+  addTimeCredits(seconds, { reason = null, source = 'manual', expiresAt, capability } = {}) {
+    if (!Number.isInteger(seconds) || seconds <= 0) {
+      throw new Error('Time credits must be a positive whole number of seconds');
+    }
+    this.parentAuth.authorize('add time', { source, capability }, this.clock.now());
+
+    const hasExpiry = expiresAt !== undefined && expiresAt !== null;
+    if (hasExpiry && !(Number.isFinite(expiresAt) && expiresAt > this.clock.now())) {
+      throw new Error('Credits must expire in the future');
+    }
+
+    this.checkpointSession();
     const previousTime = this.availableTime;
-    this.availableTime += seconds;
+    // Overtime debt is paid off before anything reaches the balance
+    const debtRepaid = Math.min(this.debt, seconds);
+    this.debt -= debtRepaid;
+    this.availableTime += seconds - debtRepaid;
+    this.buckets.add(seconds - debtRepaid, { expiresAt: hasExpiry ? expiresAt : null, reason, source });
+    this.rebaseSession();
     
-    console.log(`💰 Added ${seconds}s. Total: ${this.availableTime}s`);
+    this.log.info('Added time', { seconds, debtRepaid, expiresAt, balance: this.availableTime, reason, source });
     
     this.saveTime();
+    this.recordLedgerEntry(LEDGER_ENTRY_TYPES.GRANT, seconds, { reason, source });
+    if (hasExpiry) {
+      this.scheduleBoundaryCheck();
+    }
     this.updateTimerState(); // Check if timer should start
     
     this.notifyListeners({
       event: 'creditsAdded',
       amount: seconds,
+      debtRepaid,
+      expiresAt: hasExpiry ? expiresAt : null,
       previousTotal: previousTime,
       newTotal: this.availableTime,
-      timestamp: Date.now()
+      timestamp: this.clock.now(),
     });
     
     return this.availableTime;
   }
 
-  removeTimeCredits(seconds) {
+  // With `options.fromSource` only credits granted by that source are removed,
+  // as far as any of them are left (see getCreditsFrom).
+  removeTimeCredits(seconds, { reason = null, source = 'manual', capability, fromSource = null } = {}) {
+    if (!Number.isInteger(seconds) || seconds <= 0) {
+      throw new Error('Time credits must be a positive whole number of seconds');
+    }
+    this.parentAuth.authorize('remove time', { source, capability }, this.clock.now());
+
+    this.checkpointSession();
     const previousTime = this.availableTime;
-    this.availableTime = Math.max(0, this.availableTime - seconds);
+    if (fromSource === null) {
+      this.availableTime = Math.max(0, this.availableTime - seconds);
+      this.buckets.consume(previousTime - this.availableTime);
+    } else {
+      this.availableTime -= this.buckets.consume(Math.min(seconds, this.availableTime), { source: fromSource });
+    }
+    this.rebaseSession();
     
-    console.log(`💸 Removed ${seconds}s. Total: ${this.availableTime}s`);
+    this.log.info('Removed time', { seconds, balance: this.availableTime, reason, source });
     
     this.saveTime();
+    this.recordLedgerEntry(LEDGER_ENTRY_TYPES.REMOVAL, this.availableTime - previousTime, { reason, source });
     this.updateTimerState(); // Check if timer should stop
     
     this.notifyListeners({
@@ -303,76 +1105,272 @@ class TimerService {
       amount: seconds,
       previousTotal: previousTime,
       newTotal: this.availableTime,
-      timestamp: Date.now()
+      timestamp: this.clock.now(),
     });
     
     return this.availableTime;
   }
 
-  async resetAll() {
-    console.log('🔄 Resetting all timer data');
+  // The credit ledger is intentionally kept: a reset is recorded, not erased.
+  // Any overtime debt is forgiven.
+  async resetAll({ reason = null, source = 'manual' } = {}) {
+    this.parentAuth.authorize('reset the timer', { source }, this.clock.now());
+
+    this.log.warn('Resetting all timer data', { balance: this.availableTime, debt: this.debt, reason, source });
     
     this.stopTimer();
+    const previousTime = this.availableTime;
+    const previousDebt = this.debt;
     this.availableTime = 0;
+    this.debt = 0;
+    this.buckets.clear();
+    this.buckets.save();
+    this.recordLedgerEntry(LEDGER_ENTRY_TYPES.RESET, previousDebt - previousTime, { reason, source });
     
     try {
-      await AsyncStorage.multiRemove([TIMER_STORAGE_KEY, TIMER_START_KEY, LOCK_STATE_KEY]);
+      await this.storage.multiRemove([
+        this.storageKey(TIMER_STORAGE_KEY),
+        this.storageKey(DEBT_KEY),
+        this.storageKey(TIMER_START_KEY),
+        this.storageKey(LOCK_STATE_KEY),
+      ]);
     } catch (error) {
-      console.error('Error resetting storage:', error);
+      this.log.error('Error resetting storage', { error });
     }
     
     this.notifyListeners({
       event: 'reset',
       availableTime: 0,
-      timestamp: Date.now()
+      timestamp: this.clock.now(),
     });
   }
 
-  // Event system
+  // Event system: addEventListener receives every event, on/once only the
+  // named one. Payloads are described in TimerEvents.js.
   addEventListener(callback) {
     this.listeners.add(callback);
     return () => this.listeners.delete(callback);
   }
 
+  on(eventName, handler, { once = false } = {}) {
+    if (!isTimerEventName(eventName)) {
+      throw new Error(`Unknown timer event: ${eventName}`);
+    }
+
+    if (!this.eventHandlers.has(eventName)) {
+      this.eventHandlers.set(eventName, new Map());
+    }
+    this.eventHandlers.get(eventName).set(handler, once);
+    return () => this.off(eventName, handler);
+  }
+
+  once(eventName, handler) {
+    return this.on(eventName, handler, { once: true });
+  }
+
+  off(eventName, handler) {
+    const handlers = this.eventHandlers.get(eventName);
+    if (handlers) {
+      handlers.delete(handler);
+    }
+  }
+
+  // Fill in the fields every event carries; an event may set its own
+  // `timestamp` (e.g. when the native side saw a lock) or `availableTime`
   notifyListeners(event) {
-    this.listeners.forEach(callback => {
+    const payload = {
+      ...event,
+      version: TIMER_EVENT_VERSION,
+      availableTime: event.availableTime !== undefined ? event.availableTime : this.availableTime,
+      debt: this.debt,
+      profileId: this.profileId,
+      timestamp: event.timestamp !== undefined ? event.timestamp : this.clock.now(),
+    };
+
+    if (this.validateEvents) {
+      const problems = validateTimerEvent(payload);
+      if (problems.length > 0) {
+        this.log.error('Malformed event', { event: event.event, problems });
+      }
+    }
+
+    const handlers = this.eventHandlers.get(payload.event);
+    const callbacks = [...this.listeners];
+    if (handlers) {
+      handlers.forEach((once, handler) => {
+        if (once) {
+          handlers.delete(handler);
+        }
+        callbacks.push(handler);
+      });
+    }
+
+    callbacks.forEach(callback => {
       try {
-        callback(event);
+        callback(payload);
       } catch (error) {
-        console.error('Error in listener:', error);
+        this.log.error('Error in listener', { event: event.event, error });
       }
     });
   }
 
-  // Utility methods
-  formatTime(seconds) {
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = seconds % 60;
-    
-    if (hours > 0) {
-      return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  // Replace the recurring free-time windows (see FreeTimeService.setWindows)
+  async setFreeTimeWindows(windows, { source = 'manual', capability } = {}) {
+    this.parentAuth.authorize('change free time', { source, capability }, this.clock.now());
+
+    const saved = await this.freeTime.setWindows(windows);
+    this.checkSchedules();
+    return saved;
+  }
+
+  // "Free for the next N seconds"
+  async startFreeTimePass(seconds, { reason = DEFAULT_PASS_REASON, source = 'manual', capability = null } = {}) {
+    this.parentAuth.authorize('grant free time', { source, capability }, this.clock.now());
+
+    const pass = await this.freeTime.addPass(seconds, { reason });
+    this.checkSchedules();
+    return pass;
+  }
+
+  async cancelFreeTimePass(passId, { source = 'manual', capability = null } = {}) {
+    this.parentAuth.authorize('end free time', { source, capability }, this.clock.now());
+
+    const cancelled = await this.freeTime.cancelPass(passId);
+    this.checkSchedules();
+    return cancelled;
+  }
+
+  // Replace the bedtime/school-hours windows (see RestrictionService.setWindows)
+  async setRestrictions(windows, { source = 'manual', capability } = {}) {
+    this.parentAuth.authorize('change restrictions', { source, capability }, this.clock.now());
+
+    const saved = await this.restrictions.setWindows(windows);
+    this.checkSchedules();
+    return saved;
+  }
+
+  getRestrictions() {
+    return this.restrictions.getWindows();
+  }
+
+  getDebtConfig() {
+    return { ...this.debtConfig };
+  }
+
+  // `changes` is merged into the current { enabled, cap } settings. Existing
+  // debt is kept when the mode is turned off; only credits or a reset clear it.
+  // Like the schedule setters, `options.source` works as for addTimeCredits.
+  async updateDebtConfig(changes, { source = 'manual', capability } = {}) {
+    this.parentAuth.authorize('change debt settings', { source, capability }, this.clock.now());
+
+    const config = { ...this.debtConfig, ...changes };
+    if (typeof config.enabled !== 'boolean') {
+      throw new Error('Debt mode must be enabled or disabled');
     }
-    return `${minutes}:${secs.toString().padStart(2, '0')}`;
+    if (!Number.isInteger(config.cap) || config.cap < 0) {
+      throw new Error('Debt cap must be a whole number of seconds');
+    }
+
+    // Settle the open session under the old settings before they change
+    this.checkpointSession();
+    this.debtConfig = { enabled: config.enabled, cap: config.cap };
+    this.rebaseSession();
+    await this.storage.setItem(this.storageKey(DEBT_CONFIG_KEY), JSON.stringify(this.debtConfig));
+
+    this.log.info('Debt settings updated', this.debtConfig);
+    this.updateTimerState();
+
+    this.notifyListeners({
+      event: 'debtConfigChanged',
+      debtConfig: this.getDebtConfig(),
+      availableTime: this.availableTime,
+      timestamp: this.clock.now(),
+    });
+
+    return this.getDebtConfig();
+  }
+
+  getFreeTimeSchedule() {
+    return {
+      windows: this.freeTime.getWindows(),
+      passes: this.freeTime.getPasses(this.clock.now()),
+    };
+  }
+
+  // Query the persisted credit ledger (see CreditLedger.getEntries)
+  getLedgerEntries(query) {
+    return this.ledger.getEntries(query);
+  }
+
+  // Utility methods
+  // '1:05:00' by default; see DURATION_STYLES for '1h 5m' and '1 hour 5 minutes'
+  formatTime(seconds, style = DURATION_STYLES.CLOCK) {
+    return this.i18n.formatDuration(seconds, style);
   }
 
   getStatus() {
+    this.syncSessionBalance();
+
+    const profile = this.profiles.getProfile(this.profileId);
+
     return {
+      profileId: this.profileId,
+      profileName: profile ? profile.name : null,
       availableTime: this.availableTime,
       formattedTime: this.formatTime(this.availableTime),
       isTimerRunning: this.isTimerRunning,
       isDeviceLocked: this.isDeviceLocked,
       appState: this.appState,
-      shouldRun: this.shouldTimerRun()
+      shouldRun: this.shouldTimerRun(),
+      // Overtime owed, paid off by the next credits before the balance grows
+      debt: this.debt,
+      formattedDebt: this.formatTime(this.debt),
+      debtConfig: this.getDebtConfig(),
+      // Credits that will be lost if not spent in time, soonest first
+      expiringCredits: this.getExpiringCredits(),
+      freeTime: this.activeFreeTime ? { ...this.activeFreeTime } : null,
+      // `restriction.end` is when the balance can be spent again
+      restriction: this.activeRestriction ? { ...this.activeRestriction } : null,
     };
   }
 
+  // Seconds left of the credits `source` granted, net of what the open
+  // session has spent so far
+  getCreditsFrom(source) {
+    const pending = Math.max(0, this.buckets.getTotal() - this.availableTime);
+    return this.buckets.getBuckets(pending)
+      .filter(bucket => bucket.source === source)
+      .reduce((total, bucket) => total + bucket.amount, 0);
+  }
+
+  // Buckets with an expiry as { id, amount, expiresAt, reason, source },
+  // soonest first, net of what the open session has spent so far
+  getExpiringCredits() {
+    const pending = Math.max(0, this.buckets.getTotal() - this.availableTime);
+    return this.buckets.getBuckets(pending)
+      .filter(bucket => bucket.expiresAt !== null)
+      .map(({ id, amount, expiresAt, reason, source }) => ({ id, amount, expiresAt, reason, source }));
+  }
+
   cleanup() {
-    console.log('🧹 Cleaning up TimerService');
+    this.log.info('Cleaning up');
+    if (this.scheduleTimer) {
+      this.clock.clearTimeout(this.scheduleTimer);
+      this.scheduleTimer = null;
+    }
     this.stopTimer();
     this.saveTime();
     this.saveState();
   }
+
+  // Detach from the platform sources (tests, or replacing the instance)
+  dispose() {
+    this.cleanup();
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    this.listeners.clear();
+    this.eventHandlers.clear();
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,209 @@
+// src/services/UsageStatsService.js - Recorded spending sessions and usage statistics
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_PROFILE_ID, getProfileKey } from './ProfileService';
+import { getStartOfDay, getStartOfWeek, toDateKey } from '../utils/time';
+import { systemClock } from '../utils/clock';
+
+const USAGE_SESSIONS_KEY = '@usage_sessions';
+
+const HOUR_MS = 60 * 60 * 1000;
+const SESSION_RETENTION_MS = 90 * 24 * HOUR_MS;
+
+// Split a session into slices that never cross a local hour boundary. The
+// charged duration is spread over the wall-clock span in proportion to time.
+function splitByHour(session) {
+  const span = session.endedAt - session.startedAt;
+  if (span <= 0) {
+    return [{ start: session.startedAt, seconds: session.duration }];
+  }
+
+  const slices = [];
+  let cursor = session.startedAt;
+
+  while (cursor < session.endedAt) {
+    const hourStart = new Date(cursor);
+    hourStart.setMinutes(0, 0, 0);
+    const sliceEnd = Math.min(session.endedAt, hourStart.getTime() + HOUR_MS);
+
+    slices.push({ start: cursor, seconds: session.duration * (sliceEnd - cursor) / span });
+    cursor = sliceEnd;
+  }
+
+  return slices;
+}
+
+// The part of a session inside [from, to], its duration scaled like splitByHour
+function clipSession(session, from, to) {
+  const startedAt = from === null ? session.startedAt : Math.max(session.startedAt, from);
+  const endedAt = to === null ? session.endedAt : Math.min(session.endedAt, to);
+  const span = session.endedAt - session.startedAt;
+  if (span <= 0 || (startedAt === session.startedAt && endedAt === session.endedAt)) {
+    return session;
+  }
+
+  return { ...session, startedAt, endedAt, duration: Math.round(session.duration * (endedAt - startedAt) / span) };
+}
+
+function groupTotals(sessions, getGroupStart) {
+  const groups = new Map();
+
+  sessions.forEach(session => {
+    const touched = new Set();
+
+    splitByHour(session).forEach(slice => {
+      const groupStart = getGroupStart(slice.start);
+      const group = groups.get(groupStart) || { start: groupStart, seconds: 0, sessions: 0 };
+      group.seconds += slice.seconds;
+      groups.set(groupStart, group);
+      touched.add(groupStart);
+    });
+
+    // A session counts once in every day/week it overlaps
+    touched.forEach(groupStart => {
+      groups.get(groupStart).sessions++;
+    });
+  });
+
+  return [...groups.values()]
+    .sort((a, b) => a.start - b.start)
+    .map(group => ({ ...group, seconds: Math.round(group.seconds) }));
+}
+
+// Per-day totals, oldest first: [{ date: 'YYYY-MM-DD', start, seconds, sessions }]
+export function getDailyTotals(sessions) {
+  return groupTotals(sessions, getStartOfDay).map(group => ({ date: toDateKey(group.start), ...group }));
+}
+
+// Per-week totals (weeks start on Monday), oldest first
+export function getWeeklyTotals(sessions) {
+  return groupTotals(sessions, getStartOfWeek).map(group => ({ weekOf: toDateKey(group.start), ...group }));
+}
+
+// Seconds used in each local hour of the day, index 0 = midnight
+export function getHourOfDayDistribution(sessions) {
+  const hours = new Array(24).fill(0);
+
+  sessions.forEach(session => {
+    splitByHour(session).forEach(slice => {
+      hours[new Date(slice.start).getHours()] += slice.seconds;
+    });
+  });
+
+  return hours.map(Math.round);
+}
+
+export function summarizeSessions(sessions) {
+  const totalSeconds = sessions.reduce((total, session) => total + session.duration, 0);
+  const longest = sessions.reduce(
+    (best, session) => (!best || session.duration > best.duration ? session : best),
+    null
+  );
+
+  return {
+    totalSeconds,
+    sessionCount: sessions.length,
+    averageSession: sessions.length > 0 ? Math.round(totalSeconds / sessions.length) : 0,
+    longestSession: longest,
+    daily: getDailyTotals(sessions),
+    weekly: getWeeklyTotals(sessions),
+    hourOfDay: getHourOfDayDistribution(sessions),
+  };
+}
+
+export class UsageStatsService {
+  constructor({ storage = AsyncStorage, clock = systemClock } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+    this.profileId = DEFAULT_PROFILE_ID;
+    this.sessions = null;
+    // Writes are chained so a profile switch never interleaves with an append
+    this.writeQueue = Promise.resolve();
+  }
+
+  setProfile(profileId) {
+    this.writeQueue = this.writeQueue.then(() => {
+      if (profileId !== this.profileId) {
+        this.profileId = profileId;
+        this.sessions = null;
+      }
+    });
+
+    return this.writeQueue;
+  }
+
+  // Forget cached sessions once pending writes land, e.g. after a backup restore
+  invalidate() {
+    this.writeQueue = this.writeQueue.then(() => {
+      this.sessions = null;
+    });
+
+    return this.writeQueue;
+  }
+
+  async load() {
+    if (this.sessions) {
+      return this.sessions;
+    }
+
+    try {
+      const saved = await this.storage.getItem(getProfileKey(USAGE_SESSIONS_KEY, this.profileId));
+      this.sessions = saved ? JSON.parse(saved) : [];
+    } catch (error) {
+      console.error('Error loading usage sessions:', error);
+      this.sessions = [];
+    }
+
+    return this.sessions;
+  }
+
+  // Record a finished spending session. `duration` is the seconds charged,
+  // `startedAt`/`endedAt` the wall-clock span it covered.
+  recordSession({ startedAt, endedAt, duration, recovered = false }) {
+    const session = {
+      id: `session-${startedAt.toString(36)}`,
+      startedAt,
+      endedAt,
+      duration,
+      recovered,
+    };
+
+    this.writeQueue = this.writeQueue.then(async () => {
+      const sessions = await this.load();
+      const cutoff = this.clock.now() - SESSION_RETENTION_MS;
+
+      this.sessions = [...sessions.filter(item => item.endedAt >= cutoff), session];
+
+      try {
+        await this.storage.setItem(
+          getProfileKey(USAGE_SESSIONS_KEY, this.profileId),
+          JSON.stringify(this.sessions)
+        );
+      } catch (error) {
+        console.error('Error saving usage sessions:', error);
+      }
+    });
+
+    return this.writeQueue.then(() => session);
+  }
+
+  // Sessions overlapping the given range, oldest first. Sessions crossing an
+  // end of the range are cut to it, so totals only count time inside.
+  async getSessions({ from = null, to = null } = {}) {
+    await this.writeQueue;
+    const sessions = await this.load();
+
+    return sessions
+      .filter(session =>
+        (from === null || session.endedAt >= from) &&
+        (to === null || session.startedAt <= to)
+      )
+      .map(session => clipSession(session, from, to));
+  }
+
+  async getStatistics(range = {}) {
+    return summarizeSessions(await this.getSessions(range));
+  }
+}
+
+// Export singleton instance
+export default new UsageStatsService();
@@ -0,0 +1,320 @@
+// src/services/VoucherService.js - Signed time vouchers a parent can hand out and the child redeems offline
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import TimerService from './TimerService';
+import ParentAuthService from './ParentAuthService';
+import Logger from './Logger';
+import { constantTimeEqual, hmacSha256, randomBytes, sha256Bytes, toHex } from '../utils/sha256';
+import { decodeBase32, encodeBase32, groupCode } from '../utils/base32';
+import { systemClock } from '../utils/clock';
+
+const SECRET_KEY = '@voucher_secret';
+const REDEEMED_KEY = '@redeemed_vouchers';
+
+export const VOUCHER_URL_SCHEME = 'simpletimerapp';
+
+// Redeemed nonces are kept this long after their voucher expires
+const REDEEMED_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/*
+ * A voucher code is 22 bytes written in Crockford base32 (36 characters):
+ *
+ *   version (1) | amount in seconds (3) | expiry in Unix seconds (4) |
+ *   nonce (6) | HMAC-SHA256 of the first 14 bytes, truncated (8)
+ *
+ * The HMAC key is the secret from pairing: the parent's phone creates it and
+ * shows it as a pairing code, which is typed into the child's phone once.
+ * The pairing code carries two bytes of the secret's SHA-256 so typos are
+ * caught there rather than as every voucher failing later.
+ */
+const VOUCHER_VERSION = 1;
+const PAYLOAD_LENGTH = 14;
+const SIGNATURE_LENGTH = 8;
+const NONCE_LENGTH = 6;
+const SECRET_LENGTH = 16;
+const PAIRING_CHECK_LENGTH = 2;
+export const MAX_VOUCHER_SECONDS = 0xffffff;
+
+export const VOUCHER_ERRORS = {
+  NOT_PAIRED: 'not-paired',
+  MALFORMED: 'malformed',
+  INVALID_SIGNATURE: 'invalid-signature',
+  EXPIRED: 'expired',
+  ALREADY_REDEEMED: 'already-redeemed',
+};
+
+export class VoucherError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'VoucherError';
+    this.code = code;
+  }
+}
+
+function sign(secret, payload) {
+  return hmacSha256(secret, payload).slice(0, SIGNATURE_LENGTH);
+}
+
+function encodeVoucher(secret, { amount, expiresAt, nonce }) {
+  const expirySeconds = Math.floor(expiresAt / 1000);
+  const payload = new Uint8Array(PAYLOAD_LENGTH);
+  // Version byte, then a 24-bit amount and a 32-bit expiry, big-endian
+  const view = new DataView(payload.buffer);
+  view.setUint32(0, amount);
+  view.setUint8(0, VOUCHER_VERSION);
+  view.setUint32(4, expirySeconds);
+  payload.set(nonce, 8);
+
+  const bytes = new Uint8Array(PAYLOAD_LENGTH + SIGNATURE_LENGTH);
+  bytes.set(payload);
+  bytes.set(sign(secret, payload), PAYLOAD_LENGTH);
+  return groupCode(encodeBase32(bytes));
+}
+
+// Checks the signature; throws VoucherError for anything but a genuine voucher
+function decodeVoucher(secret, code) {
+  const bytes = typeof code === 'string' ? decodeBase32(code) : null;
+  if (!bytes || bytes.length !== PAYLOAD_LENGTH + SIGNATURE_LENGTH || bytes[0] !== VOUCHER_VERSION) {
+    throw new VoucherError('That is not a voucher code', VOUCHER_ERRORS.MALFORMED);
+  }
+
+  const payload = bytes.slice(0, PAYLOAD_LENGTH);
+  if (!constantTimeEqual(sign(secret, payload), bytes.slice(PAYLOAD_LENGTH))) {
+    throw new VoucherError('This voucher was not made for this device', VOUCHER_ERRORS.INVALID_SIGNATURE);
+  }
+
+  const view = new DataView(payload.buffer);
+  const amount = view.getUint32(0) % 0x1000000;
+  const expirySeconds = view.getUint32(4);
+  return {
+    amount,
+    expiresAt: expirySeconds * 1000,
+    nonce: toHex(payload.slice(8, PAYLOAD_LENGTH)),
+  };
+}
+
+// The code from a `simpletimerapp://redeem?code=...` link, or null for any
+// other URL
+export function parseRedeemUrl(url) {
+  const match = typeof url === 'string' && url.match(new RegExp(`^${VOUCHER_URL_SCHEME}://redeem/?\\?(.*)$`, 'i'));
+  if (!match) {
+    return null;
+  }
+
+  const param = match[1].split('&').find(part => part.startsWith('code='));
+  return param ? decodeURIComponent(param.slice('code='.length)) : null;
+}
+
+export function getRedeemUrl(code) {
+  return `${VOUCHER_URL_SCHEME}://redeem?code=${encodeURIComponent(code)}`;
+}
+
+// Union of two stored { vouchers, prunedThrough } records, so that restoring
+// a backup can never make a used voucher redeemable again
+export function mergeRedeemedVouchers(current, restored) {
+  const records = [current, restored].filter(record => record && typeof record === 'object');
+  const prunedThrough = Math.max(0, ...records.map(record =>
+    (Number.isFinite(record.prunedThrough) ? record.prunedThrough : 0)
+  ));
+
+  const byNonce = new Map();
+  records.forEach(record => {
+    (Array.isArray(record.vouchers) ? record.vouchers : []).forEach(voucher => {
+      const known = byNonce.get(voucher.nonce);
+      if (voucher.expiresAt > prunedThrough && (!known || voucher.redeemedAt < known.redeemedAt)) {
+        byNonce.set(voucher.nonce, voucher);
+      }
+    });
+  });
+
+  return { vouchers: [...byNonce.values()], prunedThrough };
+}
+
+export class VoucherService {
+  constructor({
+    storage = AsyncStorage,
+    clock = systemClock,
+    timer = TimerService,
+    parentAuth = ParentAuthService,
+    logger = Logger,
+  } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+    this.timer = timer;
+    this.parentAuth = parentAuth;
+    this.capability = parentAuth.createCapability('voucher');
+    this.log = logger.tag('vouchers');
+    this.secret = null;
+    // { nonce, amount, expiresAt, redeemedAt } for each voucher used here
+    this.redeemed = [];
+    // Vouchers expiring at or before this were forgotten; all are refused
+    this.prunedThrough = 0;
+    this.isLoaded = false;
+  }
+
+  async load() {
+    if (this.isLoaded) {
+      return;
+    }
+
+    try {
+      const [[, savedSecret], [, savedRedeemed]] = await this.storage.multiGet([SECRET_KEY, REDEEMED_KEY]);
+      const redeemed = savedRedeemed ? JSON.parse(savedRedeemed) : {};
+      this.secret = savedSecret ? decodeBase32(savedSecret) : null;
+      this.redeemed = Array.isArray(redeemed.vouchers) ? redeemed.vouchers : [];
+      this.prunedThrough = Number.isFinite(redeemed.prunedThrough) ? redeemed.prunedThrough : 0;
+    } catch (error) {
+      this.log.error('Error loading vouchers', { error });
+    }
+
+    this.isLoaded = true;
+  }
+
+  // Re-read from storage (after a backup restore)
+  reload() {
+    this.secret = null;
+    this.redeemed = [];
+    this.prunedThrough = 0;
+    this.isLoaded = false;
+    return this.load();
+  }
+
+  async saveRedeemed() {
+    await this.storage.setItem(REDEEMED_KEY, JSON.stringify({
+      vouchers: this.redeemed,
+      prunedThrough: this.prunedThrough,
+    }));
+  }
+
+  async setSecret(secret) {
+    this.secret = secret;
+    await this.storage.setItem(SECRET_KEY, encodeBase32(secret));
+  }
+
+  isPaired() {
+    return this.secret !== null;
+  }
+
+  // On the parent's phone: make a new secret and return it as a pairing code
+  // to type into the child's phone. Vouchers made before stop working.
+  async createPairingCode() {
+    this.parentAuth.authorize('pair devices', {}, this.clock.now());
+    await this.load();
+
+    const secret = randomBytes(SECRET_LENGTH);
+    await this.setSecret(secret);
+    this.log.info('Created pairing secret');
+
+    return this.getPairingCode();
+  }
+
+  // The current secret as a pairing code, e.g. to pair another device
+  getPairingCode() {
+    if (!this.secret) {
+      return null;
+    }
+
+    const check = sha256Bytes(this.secret).slice(0, PAIRING_CHECK_LENGTH);
+    return groupCode(encodeBase32([...this.secret, ...check]));
+  }
+
+  // On the child's phone: accept the secret shown on the parent's phone
+  async pair(pairingCode) {
+    this.parentAuth.authorize('pair devices', {}, this.clock.now());
+    await this.load();
+
+    const bytes = typeof pairingCode === 'string' ? decodeBase32(pairingCode) : null;
+    const secret = bytes && bytes.length === SECRET_LENGTH + PAIRING_CHECK_LENGTH ? bytes.slice(0, SECRET_LENGTH) : null;
+    if (!secret || !constantTimeEqual(sha256Bytes(secret).slice(0, PAIRING_CHECK_LENGTH), bytes.slice(SECRET_LENGTH))) {
+      throw new VoucherError('That pairing code is not valid; check it for typos', VOUCHER_ERRORS.MALFORMED);
+    }
+
+    await this.setSecret(secret);
+    this.log.info('Paired');
+  }
+
+  // On the parent's phone: a code worth `amount` seconds, redeemable once
+  // before `expiresAt`. Returns { code, url, amount, expiresAt, nonce }.
+  async createVoucher({ amount, expiresAt }) {
+    this.parentAuth.authorize('create vouchers', {}, this.clock.now());
+    await this.load();
+
+    if (!this.secret) {
+      throw new VoucherError('Pair this device before making vouchers', VOUCHER_ERRORS.NOT_PAIRED);
+    }
+    if (!Number.isInteger(amount) || amount <= 0 || amount > MAX_VOUCHER_SECONDS) {
+      throw new Error(`Voucher amount must be 1 to ${MAX_VOUCHER_SECONDS} seconds`);
+    }
+    if (!Number.isFinite(expiresAt) || expiresAt <= this.clock.now()) {
+      throw new Error('Vouchers must expire in the future');
+    }
+
+    const nonce = randomBytes(NONCE_LENGTH);
+    const code = encodeVoucher(this.secret, { amount, expiresAt, nonce });
+    this.log.info('Created voucher', { amount, expiresAt, nonce: toHex(nonce) });
+
+    return {
+      code,
+      url: getRedeemUrl(code),
+      amount,
+      // Vouchers carry whole seconds
+      expiresAt: Math.floor(expiresAt / 1000) * 1000,
+      nonce: toHex(nonce),
+    };
+  }
+
+  // On the child's phone: check `code` and add its time. Needs no network and
+  // no parent PIN; the signature stands in for the parent. Throws VoucherError.
+  async redeem(code) {
+    await this.load();
+
+    if (!this.secret) {
+      throw new VoucherError('This device is not paired with a parent yet', VOUCHER_ERRORS.NOT_PAIRED);
+    }
+
+    const voucher = decodeVoucher(this.secret, code);
+    const now = this.clock.now();
+
+    if (voucher.expiresAt <= now || voucher.expiresAt <= this.prunedThrough) {
+      throw new VoucherError(`This voucher expired on ${new Date(voucher.expiresAt).toLocaleString()}`, VOUCHER_ERRORS.EXPIRED);
+    }
+    if (this.redeemed.some(entry => entry.nonce === voucher.nonce)) {
+      throw new VoucherError('This voucher has already been used', VOUCHER_ERRORS.ALREADY_REDEEMED);
+    }
+
+    // Record the nonce before crediting: a crash in between loses the voucher
+    // but can never credit it twice
+    this.redeemed.push({ ...voucher, redeemedAt: now });
+    this.prune(now);
+    await this.saveRedeemed();
+
+    this.timer.addTimeCredits(voucher.amount, {
+      source: `voucher:${voucher.nonce}`,
+      capability: this.capability,
+      reason: 'voucher',
+    });
+    this.log.info('Redeemed voucher', voucher);
+
+    return voucher;
+  }
+
+  // Forget nonces of long-expired vouchers. Anything expiring up to the
+  // latest one forgotten is refused from then on, so winding the clock back
+  // cannot bring a forgotten voucher back.
+  prune(now) {
+    const cutoff = now - REDEEMED_RETENTION_MS;
+    const forgotten = this.redeemed.filter(entry => entry.expiresAt <= cutoff);
+    if (forgotten.length === 0) {
+      return;
+    }
+
+    this.prunedThrough = Math.max(this.prunedThrough, ...forgotten.map(entry => entry.expiresAt));
+    this.redeemed = this.redeemed.filter(entry => entry.expiresAt > cutoff);
+  }
+
+  getRedeemed() {
+    return this.redeemed.map(entry => ({ ...entry }));
+  }
+}
+
+// Export singleton instance
+export default new VoucherService();
@@ -0,0 +1,70 @@
+// src/testing/FakeClock.js - Manually advanced clock implementing the systemClock interface
+
+// Monday 6 January 2025, 09:00 local time
+const DEFAULT_START = new Date(2025, 0, 6, 9, 0, 0).getTime();
+
+export default class FakeClock {
+  constructor(startTime = DEFAULT_START) {
+    this.time = startTime;
+    this.intervals = new Map();
+    this.nextHandle = 1;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setInterval(callback, ms) {
+    const handle = this.nextHandle++;
+    this.intervals.set(handle, { callback, ms, nextAt: this.time + ms });
+    return handle;
+  }
+
+  clearInterval(handle) {
+    this.intervals.delete(handle);
+  }
+
+  // Timeouts are intervals that remove themselves before firing
+  setTimeout(callback, ms) {
+    const handle = this.nextHandle++;
+    this.intervals.set(handle, { callback, ms, nextAt: this.time + ms, once: true, handle });
+    return handle;
+  }
+
+  clearTimeout(handle) {
+    this.intervals.delete(handle);
+  }
+
+  // Move time forward, firing each due timer callback at its scheduled time
+  advance(ms) {
+    const target = this.time + ms;
+
+    for (;;) {
+      let due = null;
+      this.intervals.forEach(interval => {
+        if (interval.nextAt <= target && (!due || interval.nextAt < due.nextAt)) {
+          due = interval;
+        }
+      });
+      if (!due) {
+        break;
+      }
+
+      this.time = due.nextAt;
+      if (due.once) {
+        this.intervals.delete(due.handle);
+      } else {
+        due.nextAt += due.ms;
+      }
+      due.callback();
+    }
+
+    this.time = target;
+  }
+
+  // Move time forward without firing timers, like a JS thread that was
+  // suspended or killed while the wall clock kept going
+  jump(ms) {
+    this.time += ms;
+  }
+}
@@ -0,0 +1,35 @@
+// src/testing/ManualAppStateSource.js - Scriptable stand-in for React Native's AppState
+
+export default class ManualAppStateSource {
+  constructor(initialState = 'active') {
+    this.currentState = initialState;
+    this.handlers = new Set();
+  }
+
+  addEventListener(type, handler) {
+    if (type !== 'change') {
+      return { remove: () => {} };
+    }
+
+    this.handlers.add(handler);
+    return { remove: () => this.handlers.delete(handler) };
+  }
+
+  // Like AppState, only actual changes are reported
+  setState(nextState) {
+    if (nextState === this.currentState) {
+      return;
+    }
+
+    this.currentState = nextState;
+    this.handlers.forEach(handler => handler(nextState));
+  }
+
+  background() {
+    this.setState('background');
+  }
+
+  foreground() {
+    this.setState('active');
+  }
+}
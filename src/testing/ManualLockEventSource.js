@@ -0,0 +1,80 @@
+// src/testing/ManualLockEventSource.js - Scriptable stand-in for the native DeviceLockModule events
+
+// Payloads mirror DeviceLockModule.java, including its quirk of reporting
+// a screen turning on under the keyguard as 'deviceUnlocked'.
+export default class ManualLockEventSource {
+  constructor({ clock = null, isLocked = false } = {}) {
+    this.clock = clock;
+    this.isLocked = isLocked;
+    this.isScreenOn = !isLocked;
+    this.handlers = null;
+    this.isAvailable = true;
+  }
+
+  now() {
+    return this.clock ? this.clock.now() : Date.now();
+  }
+
+  subscribe(handlers) {
+    this.handlers = handlers;
+    return () => {
+      this.handlers = null;
+    };
+  }
+
+  requestCurrentState() {
+    if (!this.handlers) {
+      return;
+    }
+
+    this.handlers.onLockState({
+      isLocked: this.isLocked,
+      isScreenOn: this.isScreenOn,
+      isUnlocked: this.isScreenOn && !this.isLocked,
+    });
+  }
+
+  // Deliver a raw native event, e.g. one replayed from a recorded timeline
+  emit(eventName, payload) {
+    if (!this.handlers) {
+      return;
+    }
+
+    if (eventName === 'deviceLocked') {
+      this.isLocked = true;
+      this.isScreenOn = false;
+      this.handlers.onLocked(payload);
+    } else if (eventName === 'deviceUnlocked') {
+      this.isScreenOn = true;
+      if (payload.isUnlocked !== false) {
+        this.isLocked = false;
+      }
+      this.handlers.onUnlocked(payload);
+    } else if (eventName === 'currentLockState') {
+      this.isLocked = payload.isLocked;
+      this.handlers.onLockState(payload);
+    } else {
+      throw new Error(`Unknown lock event: ${eventName}`);
+    }
+  }
+
+  // Screen off
+  lock(timestamp = this.now()) {
+    this.isLocked = true;
+    this.isScreenOn = false;
+    this.handlers?.onLocked({ isLocked: true, isUnlocked: false, isScreenOn: false, timestamp });
+  }
+
+  // Screen on, keyguard still showing
+  screenOn(timestamp = this.now()) {
+    this.isScreenOn = true;
+    this.handlers?.onUnlocked({ isLocked: false, isUnlocked: !this.isLocked, isScreenOn: true, timestamp });
+  }
+
+  // Keyguard dismissed
+  unlock(timestamp = this.now()) {
+    this.isLocked = false;
+    this.isScreenOn = true;
+    this.handlers?.onUnlocked({ isLocked: false, isUnlocked: true, isScreenOn: true, timestamp });
+  }
+}
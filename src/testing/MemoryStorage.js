@@ -0,0 +1,53 @@
+// src/testing/MemoryStorage.js - In-memory stand-in for AsyncStorage
+
+export default class MemoryStorage {
+  constructor(initialData = {}) {
+    this.data = new Map(Object.entries(initialData));
+  }
+
+  // AsyncStorage only stores strings; failing loudly catches unserialized writes
+  assertString(key, value) {
+    if (typeof value !== 'string') {
+      throw new TypeError(`MemoryStorage: value for ${key} must be a string, got ${typeof value}`);
+    }
+  }
+
+  async getItem(key) {
+    return this.data.has(key) ? this.data.get(key) : null;
+  }
+
+  async setItem(key, value) {
+    this.assertString(key, value);
+    this.data.set(key, value);
+  }
+
+  async removeItem(key) {
+    this.data.delete(key);
+  }
+
+  async multiGet(keys) {
+    return keys.map(key => [key, this.data.has(key) ? this.data.get(key) : null]);
+  }
+
+  async multiSet(pairs) {
+    pairs.forEach(([key, value]) => this.assertString(key, value));
+    pairs.forEach(([key, value]) => this.data.set(key, value));
+  }
+
+  async multiRemove(keys) {
+    keys.forEach(key => this.data.delete(key));
+  }
+
+  async getAllKeys() {
+    return [...this.data.keys()];
+  }
+
+  async clear() {
+    this.data.clear();
+  }
+
+  // Synchronous view of everything stored, for assertions
+  snapshot() {
+    return Object.fromEntries(this.data);
+  }
+}
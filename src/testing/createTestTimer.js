@@ -0,0 +1,51 @@
+// src/testing/createTestTimer.js - A TimerService wired to in-memory adapters
+import { TimerService } from '../services/TimerService';
+import { CreditLedger } from '../services/CreditLedger';
+import { CreditBucketService } from '../services/CreditBucketService';
+import { AllowanceService } from '../services/AllowanceService';
+import { ProfileService } from '../services/ProfileService';
+import { ParentAuthService } from '../services/ParentAuthService';
+import { UsageStatsService } from '../services/UsageStatsService';
+import { FreeTimeService } from '../services/FreeTimeService';
+import { RestrictionService } from '../services/RestrictionService';
+import { StorageMigrations } from '../services/StorageMigrations';
+import { I18nService } from '../services/I18nService';
+import { Logger } from '../services/Logger';
+import MemoryStorage from './MemoryStorage';
+import FakeClock from './FakeClock';
+import ManualAppStateSource from './ManualAppStateSource';
+import ManualLockEventSource from './ManualLockEventSource';
+
+// Every collaborator gets its own instance on the shared storage and clock,
+// so tests never touch the app singletons or each other. Pass `storage` from a
+// previous environment to simulate the app being relaunched.
+export default async function createTestTimer({
+  storage = new MemoryStorage(),
+  clock = new FakeClock(),
+  appState = 'active',
+  isLocked = false,
+} = {}) {
+  const appStateSource = new ManualAppStateSource(appState);
+  const lockEventSource = new ManualLockEventSource({ clock, isLocked });
+  // Capabilities only work with the ParentAuthService that issued them
+  const logger = new Logger({ storage, clock, echo: false });
+  const parentAuth = new ParentAuthService({ storage, clock, logger });
+  const services = {
+    ledger: new CreditLedger({ storage, clock }),
+    buckets: new CreditBucketService({ storage, clock, logger }),
+    allowance: new AllowanceService({ storage, clock, parentAuth }),
+    profiles: new ProfileService({ storage, clock, parentAuth, logger }),
+    parentAuth,
+    usageStats: new UsageStatsService({ storage, clock }),
+    freeTime: new FreeTimeService({ storage, clock, logger }),
+    restrictions: new RestrictionService({ storage, clock, logger }),
+    migrations: new StorageMigrations({ logger }),
+    i18n: new I18nService({ storage, deviceLocale: () => 'en-US', logger }),
+    logger,
+  };
+
+  const timer = new TimerService({ storage, clock, appStateSource, lockEventSource, services });
+  await timer.ready;
+
+  return { timer, storage, clock, appStateSource, lockEventSource, services };
+}
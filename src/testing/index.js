@@ -0,0 +1,8 @@
+// src/testing/index.js - In-memory adapters for running services without a device
+export { default as MemoryStorage } from './MemoryStorage';
+export { default as FakeClock } from './FakeClock';
+export { default as ManualAppStateSource } from './ManualAppStateSource';
+export { default as ManualLockEventSource } from './ManualLockEventSource';
+export { default as createTestTimer } from './createTestTimer';
+export { runScenario, checkScenario, replayScenario } from './runScenario';
+export { SCENARIOS } from './scenarios';
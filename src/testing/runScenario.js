@@ -0,0 +1,141 @@
+// src/testing/runScenario.js - Replay a timeline of platform events against TimerService
+import createTestTimer from './createTestTimer';
+import { validateTimerEvent } from '../services/TimerEvents';
+
+// Progress reports that would only add noise to recorded sequences
+const NOISE_EVENTS = new Set(['timeUpdate', 'timeLoaded']);
+
+// Let storage writes and async handlers settle between steps
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/*
+ * A scenario is plain data:
+ *
+ *   {
+ *     name: 'lock stops charging',
+ *     initial: { balance: 300, appState: 'active', isLocked: false },
+ *     timeline: [
+ *       { at: 0, event: 'change', appState: 'background' },
+ *       { at: 30000, event: 'deviceLocked' },
+ *       { at: 90000, event: 'deviceUnlocked' }
+ *     ],
+ *     duration: 100000,
+ *     expect: { balance: 260, isTimerRunning: true, events: ['trackingStarted', ...] }
+ *   }
+ *
+ * `at` is when JS receives the event, in ms from the start. Lock events may
+ * set `observedAt` when the native side saw the change earlier, and take the
+ * native payload flags (`isUnlocked`, `isLocked`, `isScreenOn`). `addTime`
+ * steps grant `seconds`. Time runs on until `duration` (default: last step).
+ */
+
+function dispatch({ timer, clock, appStateSource, lockEventSource }, step, startedAt) {
+  const timestamp = step.observedAt !== undefined ? startedAt + step.observedAt : clock.now();
+
+  switch (step.event) {
+    case 'change':
+      appStateSource.setState(step.appState);
+      break;
+    case 'deviceLocked':
+      lockEventSource.emit('deviceLocked', { isLocked: true, isUnlocked: false, isScreenOn: false, timestamp });
+      break;
+    case 'deviceUnlocked':
+      lockEventSource.emit('deviceUnlocked', {
+        isLocked: false,
+        isUnlocked: step.isUnlocked !== false,
+        isScreenOn: true,
+        timestamp,
+      });
+      break;
+    case 'currentLockState': {
+      const isScreenOn = step.isScreenOn !== undefined ? step.isScreenOn : !step.isLocked;
+      lockEventSource.emit('currentLockState', {
+        isLocked: step.isLocked,
+        isScreenOn,
+        isUnlocked: isScreenOn && !step.isLocked,
+      });
+      break;
+    }
+    case 'addTime':
+      timer.addTimeCredits(step.seconds, { reason: 'scenario' });
+      break;
+    default:
+      throw new Error(`Unknown scenario event: ${step.event}`);
+  }
+}
+
+// Run a scenario on a fresh in-memory TimerService. Events are recorded from
+// the first timeline step on; setup (initial state and balance) is not.
+export async function runScenario(scenario) {
+  const { initial = {}, timeline = [] } = scenario;
+  const env = await createTestTimer({
+    appState: initial.appState || 'active',
+    isLocked: Boolean(initial.isLocked),
+  });
+  const { timer, clock } = env;
+  const startedAt = clock.now();
+
+  if (initial.balance) {
+    timer.addTimeCredits(initial.balance, { reason: 'scenario' });
+  }
+  await settle();
+
+  const eventLog = [];
+  timer.addEventListener(event => {
+    if (!NOISE_EVENTS.has(event.event)) {
+      eventLog.push({ ...event, at: clock.now() - startedAt });
+    }
+  });
+
+  const steps = [...timeline].sort((a, b) => a.at - b.at);
+  for (const step of steps) {
+    clock.advance(Math.max(0, startedAt + step.at - clock.now()));
+    dispatch(env, step, startedAt);
+    await settle();
+  }
+
+  const duration = scenario.duration !== undefined
+    ? scenario.duration
+    : (steps.length > 0 ? steps[steps.length - 1].at : 0);
+  clock.advance(Math.max(0, startedAt + duration - clock.now()));
+  await settle();
+
+  const status = timer.getStatus();
+  const result = {
+    name: scenario.name,
+    balance: status.availableTime,
+    isTimerRunning: status.isTimerRunning,
+    events: eventLog.map(event => event.event),
+    eventLog: [...eventLog],
+    ledger: await timer.getLedgerEntries(),
+  };
+
+  timer.dispose();
+  return result;
+}
+
+// Compare a result with the scenario's expectations; returns readable failures
+export function checkScenario(scenario, result) {
+  const expected = scenario.expect || {};
+  const failures = [];
+
+  if (expected.balance !== undefined && result.balance !== expected.balance) {
+    failures.push(`balance: expected ${expected.balance}s, got ${result.balance}s`);
+  }
+  if (expected.isTimerRunning !== undefined && result.isTimerRunning !== expected.isTimerRunning) {
+    failures.push(`isTimerRunning: expected ${expected.isTimerRunning}, got ${result.isTimerRunning}`);
+  }
+  if (expected.events && expected.events.join() !== result.events.join()) {
+    failures.push(`events: expected [${expected.events.join(', ')}], got [${result.events.join(', ')}]`);
+  }
+  result.eventLog.forEach(event => {
+    validateTimerEvent(event).forEach(problem => failures.push(`${event.event} event: ${problem}`));
+  });
+
+  return failures;
+}
+
+export async function replayScenario(scenario) {
+  const result = await runScenario(scenario);
+  return { result, failures: checkScenario(scenario, result) };
+}
@@ -0,0 +1,190 @@
+// src/testing/scenarios.js - Library of lock/app-state timelines and their expected outcomes
+//
+// Each entry is replayed by runScenario (see there for the format). Add a
+// scenario whenever a device or OS version delivers events in a new order.
+
+const SECOND = 1000;
+
+export const SCENARIOS = [
+  {
+    name: 'backgrounded while unlocked is charged',
+    initial: { balance: 300 },
+    timeline: [{ at: 0, event: 'change', appState: 'background' }],
+    duration: 60 * SECOND,
+    expect: {
+      balance: 240,
+      isTimerRunning: true,
+      events: ['trackingStarted', 'appStateChanged'],
+    },
+  },
+  {
+    name: 'locking pauses charging until unlocked',
+    initial: { balance: 300 },
+    timeline: [
+      { at: 0, event: 'change', appState: 'background' },
+      { at: 30 * SECOND, event: 'deviceLocked' },
+      { at: 90 * SECOND, event: 'deviceUnlocked' },
+    ],
+    duration: 100 * SECOND,
+    expect: {
+      balance: 260,
+      isTimerRunning: true,
+      events: ['trackingStarted', 'appStateChanged', 'trackingStopped', 'deviceLocked', 'trackingStarted', 'deviceUnlocked'],
+    },
+  },
+  {
+    name: 'screen on while still locked is not charged',
+    description: 'SCREEN_ON arrives as deviceUnlocked with isUnlocked=false; only USER_PRESENT unlocks',
+    initial: { balance: 300 },
+    timeline: [
+      { at: 0, event: 'change', appState: 'background' },
+      { at: 10 * SECOND, event: 'deviceLocked' },
+      { at: 20 * SECOND, event: 'deviceUnlocked', isUnlocked: false },
+      { at: 50 * SECOND, event: 'deviceUnlocked' },
+    ],
+    duration: 60 * SECOND,
+    expect: {
+      balance: 280,
+      isTimerRunning: true,
+      events: ['trackingStarted', 'appStateChanged', 'trackingStopped', 'deviceLocked', 'trackingStarted', 'deviceUnlocked'],
+    },
+  },
+  {
+    name: 'inactive then background is one continuous session',
+    initial: { balance: 300 },
+    timeline: [
+      { at: 0, event: 'change', appState: 'inactive' },
+      { at: 2 * SECOND, event: 'change', appState: 'background' },
+      { at: 32 * SECOND, event: 'change', appState: 'active' },
+    ],
+    expect: {
+      balance: 268,
+      isTimerRunning: false,
+      events: [
+        'trackingStarted',
+        'appStateChanged',
+        'appStateChanged',
+        'trackingStopped',
+        'backgroundTimeProcessed',
+        'appStateChanged',
+      ],
+    },
+  },
+  {
+    name: 'late lock event is charged up to when the screen went off',
+    initial: { balance: 300 },
+    timeline: [
+      { at: 0, event: 'change', appState: 'background' },
+      { at: 60 * SECOND, event: 'deviceLocked', observedAt: 40 * SECOND },
+    ],
+    expect: {
+      balance: 260,
+      isTimerRunning: false,
+      events: ['trackingStarted', 'appStateChanged', 'trackingStopped', 'deviceLocked'],
+    },
+  },
+  {
+    name: 'launched in the background while locked waits for unlock',
+    initial: { balance: 300, appState: 'background', isLocked: true },
+    timeline: [{ at: 60 * SECOND, event: 'deviceUnlocked' }],
+    duration: 90 * SECOND,
+    expect: {
+      balance: 270,
+      isTimerRunning: true,
+      events: ['trackingStarted', 'deviceUnlocked'],
+    },
+  },
+  {
+    name: 'screen off without a keyguard counts as locked',
+    description: 'currentLockState reports isLocked=false when no lock screen is set up',
+    initial: { balance: 300, appState: 'background' },
+    timeline: [{ at: 0, event: 'currentLockState', isLocked: false, isScreenOn: false }],
+    duration: 60 * SECOND,
+    expect: {
+      balance: 300,
+      isTimerRunning: false,
+      events: ['trackingStopped'],
+    },
+  },
+  {
+    name: 'balance runs out in the background',
+    initial: { balance: 30 },
+    timeline: [{ at: 0, event: 'change', appState: 'background' }],
+    duration: 120 * SECOND,
+    expect: {
+      balance: 0,
+      isTimerRunning: false,
+      events: ['trackingStarted', 'appStateChanged', 'trackingStopped', 'timeExpired'],
+    },
+  },
+  {
+    name: 'lock and unlock while the app is open is never charged',
+    initial: { balance: 300 },
+    timeline: [
+      { at: 0, event: 'deviceLocked' },
+      { at: 10 * SECOND, event: 'deviceUnlocked' },
+    ],
+    duration: 60 * SECOND,
+    expect: {
+      balance: 300,
+      isTimerRunning: false,
+      events: ['deviceLocked', 'deviceUnlocked'],
+    },
+  },
+  {
+    name: 'duplicate lock and unlock events are harmless',
+    description: 'Without a keyguard SCREEN_ON and USER_PRESENT both report an unlock',
+    initial: { balance: 300 },
+    timeline: [
+      { at: 0, event: 'change', appState: 'background' },
+      { at: 10 * SECOND, event: 'deviceLocked' },
+      { at: 20 * SECOND, event: 'deviceLocked' },
+      { at: 30 * SECOND, event: 'deviceUnlocked' },
+      { at: 31 * SECOND, event: 'deviceUnlocked' },
+    ],
+    duration: 40 * SECOND,
+    expect: {
+      balance: 280,
+      isTimerRunning: true,
+      events: [
+        'trackingStarted',
+        'appStateChanged',
+        'trackingStopped',
+        'deviceLocked',
+        'deviceLocked',
+        'trackingStarted',
+        'deviceUnlocked',
+        'deviceUnlocked',
+      ],
+    },
+  },
+  {
+    name: 'screen off before the app reaches the background',
+    initial: { balance: 300 },
+    timeline: [
+      { at: 0, event: 'deviceLocked' },
+      { at: 1 * SECOND, event: 'change', appState: 'background' },
+      { at: 60 * SECOND, event: 'deviceUnlocked' },
+    ],
+    duration: 70 * SECOND,
+    expect: {
+      balance: 290,
+      isTimerRunning: true,
+      events: ['deviceLocked', 'appStateChanged', 'trackingStarted', 'deviceUnlocked'],
+    },
+  },
+  {
+    name: 'credits granted mid-session extend it',
+    initial: { balance: 60 },
+    timeline: [
+      { at: 0, event: 'change', appState: 'background' },
+      { at: 20 * SECOND, event: 'addTime', seconds: 100 },
+    ],
+    duration: 50 * SECOND,
+    expect: {
+      balance: 110,
+      isTimerRunning: true,
+      events: ['trackingStarted', 'appStateChanged', 'creditsAdded'],
+    },
+  },
+];
@@ -0,0 +1,63 @@
+// src/utils/base32.js - Crockford base32, for codes people read out and type in
+//
+// No I, L, O or U in the alphabet; decoding ignores case, spaces and dashes
+// and reads I/L as 1 and O as 0, so common typing slips still decode.
+
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+const VALUES = ALPHABET.split('').reduce((values, char, index) => ({ ...values, [char]: index }), {
+  I: 1,
+  L: 1,
+  O: 0,
+});
+
+export function encodeBase32(bytes) {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    buffer &= (1 << bits) - 1;
+  }
+
+  if (bits > 0) {
+    output += ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+// Bytes encoded in `text`, or null if it holds anything but base32 characters
+export function decodeBase32(text) {
+  const chars = text.toUpperCase().replace(/[\s-]/g, '');
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+
+  for (const char of chars) {
+    const value = VALUES[char];
+    if (value === undefined) {
+      return null;
+    }
+
+    buffer = (buffer << 5) | value;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((buffer >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+    buffer &= (1 << bits) - 1;
+  }
+
+  return Uint8Array.from(bytes);
+}
+
+// 'ABCDEFGH' -> 'ABCD-EFGH'
+export function groupCode(code, size = 4) {
+  return (code.match(new RegExp(`.{1,${size}}`, 'g')) || []).join('-');
+}
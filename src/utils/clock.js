@@ -0,0 +1,12 @@
+// src/utils/clock.js - Wall clock and timers behind one interface
+//
+// Services take a clock instead of calling Date.now/setInterval directly so
+// tests can substitute FakeClock (src/testing) and control time exactly.
+
+export const systemClock = {
+  now: () => Date.now(),
+  setInterval: (callback, ms) => setInterval(callback, ms),
+  clearInterval: handle => clearInterval(handle),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: handle => clearTimeout(handle),
+};
@@ -0,0 +1,175 @@
+// src/utils/sha256.js - Dependency-free SHA-256 (FIPS 180-4) for hashing and signing
+
+const K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+];
+
+const BLOCK_SIZE = 64;
+
+export function utf8Encode(text) {
+  const bytes = [];
+
+  for (let i = 0; i < text.length; i++) {
+    let code = text.charCodeAt(i);
+
+    // Combine surrogate pairs into a single code point
+    if (code >= 0xd800 && code <= 0xdbff && i + 1 < text.length) {
+      const next = text.charCodeAt(i + 1);
+      if (next >= 0xdc00 && next <= 0xdfff) {
+        code = 0x10000 + ((code - 0xd800) << 10) + (next - 0xdc00);
+        i++;
+      }
+    }
+
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(
+        0xf0 | (code >> 18),
+        0x80 | ((code >> 12) & 0x3f),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f)
+      );
+    }
+  }
+
+  return Uint8Array.from(bytes);
+}
+
+export function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+const rotr = (value, bits) => (value >>> bits) | (value << (32 - bits));
+
+// SHA-256 of a byte array (or string, hashed as UTF-8). Returns 32 bytes.
+export function sha256Bytes(input) {
+  const message = typeof input === 'string' ? utf8Encode(input) : input;
+  const bitLength = message.length * 8;
+
+  // Pad to a multiple of 64 bytes: 0x80, zeros, then the 64-bit length
+  const paddedLength = Math.ceil((message.length + 9) / BLOCK_SIZE) * BLOCK_SIZE;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(message);
+  padded[message.length] = 0x80;
+
+  const view = new DataView(padded.buffer);
+  view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+  view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+  const hash = [
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+    0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+  ];
+  const w = new Array(64);
+
+  for (let offset = 0; offset < paddedLength; offset += BLOCK_SIZE) {
+    for (let t = 0; t < 16; t++) {
+      w[t] = view.getUint32(offset + t * 4);
+    }
+    for (let t = 16; t < 64; t++) {
+      const s0 = rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3);
+      const s1 = rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10);
+      w[t] = (w[t - 16] + s0 + w[t - 7] + s1) | 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+
+    for (let t = 0; t < 64; t++) {
+      const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const ch = (e & f) ^ (~e & g);
+      const temp1 = (h + S1 + ch + K[t] + w[t]) | 0;
+      const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const temp2 = (S0 + maj) | 0;
+
+      h = g;
+      g = f;
+      f = e;
+      e = (d + temp1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (temp1 + temp2) | 0;
+    }
+
+    hash[0] = (hash[0] + a) | 0;
+    hash[1] = (hash[1] + b) | 0;
+    hash[2] = (hash[2] + c) | 0;
+    hash[3] = (hash[3] + d) | 0;
+    hash[4] = (hash[4] + e) | 0;
+    hash[5] = (hash[5] + f) | 0;
+    hash[6] = (hash[6] + g) | 0;
+    hash[7] = (hash[7] + h) | 0;
+  }
+
+  const digest = new Uint8Array(32);
+  const digestView = new DataView(digest.buffer);
+  hash.forEach((value, index) => digestView.setUint32(index * 4, value >>> 0));
+
+  return digest;
+}
+
+export function sha256Hex(input) {
+  return toHex(sha256Bytes(input));
+}
+
+// HMAC-SHA256 (RFC 2104) of `message` under `key`; either may be bytes or a
+// string (UTF-8). Returns 32 bytes.
+export function hmacSha256(key, message) {
+  let keyBytes = typeof key === 'string' ? utf8Encode(key) : key;
+  if (keyBytes.length > BLOCK_SIZE) {
+    keyBytes = sha256Bytes(keyBytes);
+  }
+  const messageBytes = typeof message === 'string' ? utf8Encode(message) : message;
+
+  const inner = new Uint8Array(BLOCK_SIZE + messageBytes.length);
+  const outer = new Uint8Array(BLOCK_SIZE + 32);
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    const byte = i < keyBytes.length ? keyBytes[i] : 0;
+    inner[i] = byte ^ 0x36;
+    outer[i] = byte ^ 0x5c;
+  }
+  inner.set(messageBytes, BLOCK_SIZE);
+  outer.set(sha256Bytes(inner), BLOCK_SIZE);
+
+  return sha256Bytes(outer);
+}
+
+// Compare two byte arrays in time independent of where they differ
+export function constantTimeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a[i] ^ b[i];
+  }
+  return difference === 0;
+}
+
+// Random bytes from the platform CSPRNG. Hermes has no crypto.getRandomValues
+// of its own; index.js installs react-native-get-random-values for it. Keys,
+// salts and nonces must not be guessable, so there is no fallback.
+export function randomBytes(length) {
+  if (typeof global === 'undefined' || !global.crypto || !global.crypto.getRandomValues) {
+    throw new Error('No secure random number generator available');
+  }
+
+  const bytes = new Uint8Array(length);
+  global.crypto.getRandomValues(bytes);
+
+  return bytes;
+}
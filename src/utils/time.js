@@ -0,0 +1,130 @@
+// src/utils/time.js - Local time-of-day helpers shared by scheduling services
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Parse 'HH:MM' (24h, local time). Returns null for anything else.
+export function parseTimeOfDay(value) {
+  const match = typeof value === 'string' ? TIME_OF_DAY_PATTERN.exec(value) : null;
+  if (!match) {
+    return null;
+  }
+
+  return {
+    hours: parseInt(match[1], 10),
+    minutes: parseInt(match[2], 10),
+  };
+}
+
+export function isValidTimeOfDay(value) {
+  return parseTimeOfDay(value) !== null;
+}
+
+// Timestamp of the latest local 'HH:MM' at or before `timestamp`.
+// Uses Date arithmetic rather than fixed 24h steps so DST changes are honoured.
+export function getLastOccurrence(timeOfDay, timestamp) {
+  const { hours, minutes } = parseTimeOfDay(timeOfDay);
+  const date = new Date(timestamp);
+  date.setHours(hours, minutes, 0, 0);
+
+  if (date.getTime() > timestamp) {
+    date.setDate(date.getDate() - 1);
+  }
+
+  return date.getTime();
+}
+
+// Same local time of day, `days` calendar days later (or earlier when negative)
+export function shiftDays(timestamp, days) {
+  const date = new Date(timestamp);
+  date.setDate(date.getDate() + days);
+  return date.getTime();
+}
+
+export function isWeekend(timestamp) {
+  const day = new Date(timestamp).getDay();
+  return day === 0 || day === 6;
+}
+
+// Local calendar date as 'YYYY-MM-DD'
+export function toDateKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+export function getStartOfDay(timestamp) {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+// Weeks start on Monday
+export function getStartOfWeek(timestamp) {
+  const date = new Date(getStartOfDay(timestamp));
+  const daysSinceMonday = (date.getDay() + 6) % 7;
+  date.setDate(date.getDate() - daysSinceMonday);
+  return date.getTime();
+}
+
+// The occurrence of a daily 'HH:MM'-'HH:MM' window that contains `timestamp`,
+// as { start, end } timestamps, or null. Windows may wrap past midnight.
+export function getDailyWindowAt(timestamp, startTime, endTime) {
+  const start = getLastOccurrence(startTime, timestamp);
+  // First end after the start: the last one at or before it, a day later
+  const end = shiftDays(getLastOccurrence(endTime, start), 1);
+
+  return timestamp < end ? { start, end } : null;
+}
+
+// Weekly windows ({ days, startTime, endTime }) repeat on the listed weekdays
+// (0 = Sunday). `days` are the days a window starts on, so an overnight
+// window belongs to the evening it begins.
+export function validateWeeklyWindow(window) {
+  if (!window || typeof window !== 'object') {
+    return 'window must be an object';
+  }
+  if (typeof window.name !== 'string' || window.name.trim() === '') {
+    return 'name is required';
+  }
+  if (!Array.isArray(window.days) || window.days.length === 0 ||
+      !window.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    return 'days must list weekdays from 0 (Sunday) to 6 (Saturday)';
+  }
+  if (!isValidTimeOfDay(window.startTime)) {
+    return 'startTime must be HH:MM';
+  }
+  if (!isValidTimeOfDay(window.endTime)) {
+    return 'endTime must be HH:MM';
+  }
+  if (window.startTime === window.endTime) {
+    return 'startTime and endTime must differ';
+  }
+
+  return null;
+}
+
+// The occurrence of a weekly window containing `timestamp` as { start, end }, or null
+export function getWeeklyWindowAt(window, timestamp) {
+  const occurrence = getDailyWindowAt(timestamp, window.startTime, window.endTime);
+  if (!occurrence || !window.days.includes(new Date(occurrence.start).getDay())) {
+    return null;
+  }
+  return occurrence;
+}
+
+// Earliest start or end of a weekly window after `timestamp`
+export function getNextWeeklyWindowBoundary(window, timestamp) {
+  const occurrence = getWeeklyWindowAt(window, timestamp);
+  let start = getLastOccurrence(window.startTime, timestamp);
+
+  // Any weekday comes round within a week
+  for (let day = 0; day < 7; day++) {
+    start = shiftDays(start, 1);
+    if (window.days.includes(new Date(start).getDay())) {
+      break;
+    }
+  }
+
+  return occurrence ? Math.min(occurrence.end, start) : start;
+}